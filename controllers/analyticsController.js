@@ -0,0 +1,168 @@
+import mongoose from 'mongoose';
+import File from '../models/File.js';
+import { isAdminUser } from '../middleware/adminAuth.js';
+import {
+  ANALYTICS_METRICS,
+  parseDayRange,
+  getDailySeries,
+  emptySeries,
+  getTopMaterials as getTopMaterialsReport
+} from '../services/analyticsService.js';
+
+// Day-by-day sum of several series of the same range
+const sumSeries = (seriesList, from, to) => {
+  const total = emptySeries(from, to);
+  seriesList.forEach(({ series }) => {
+    series.forEach((day, index) => {
+      total.series[index].views += day.views;
+      total.series[index].downloads += day.downloads;
+      total.totals.views += day.views;
+      total.totals.downloads += day.downloads;
+    });
+  });
+  // Unique users can't be added up across materials
+  total.series = total.series.map(({ date, views, downloads }) => ({ date, views, downloads }));
+  return total;
+};
+
+const invalidRange = (res, message) => res.status(400).json({
+  success: false,
+  message
+});
+
+// Views/downloads of the current user's materials. Query: from, to (YYYY-MM-DD, default last 30 days)
+export const getMyAnalytics = async (req, res) => {
+  try {
+    const { from, to, error } = parseDayRange(req.query);
+    if (error) {
+      return invalidRange(res, error);
+    }
+
+    const [files, seriesByFile] = await Promise.all([
+      File.find({ uploadedBy: req.user.uid })
+        .select('title category verification.status stats.views stats.downloadCount createdAt')
+        .lean(),
+      getDailySeries({ owner: req.user.uid }, from, to)
+    ]);
+
+    // Materials deleted since keep counting in the totals but aren't listed
+    const overall = sumSeries([...seriesByFile.values()], from, to);
+    const materials = files
+      .map(file => ({
+        file,
+        totals: (seriesByFile.get(String(file._id)) || emptySeries(from, to)).totals
+      }))
+      .sort((a, b) => b.totals.downloads - a.totals.downloads || b.totals.views - a.totals.views);
+
+    res.json({
+      success: true,
+      data: {
+        from,
+        to,
+        totals: overall.totals,
+        series: overall.series,
+        materials
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching analytics:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch analytics'
+    });
+  }
+};
+
+// Daily views/downloads of one material (its uploader or an admin). Query: from, to
+export const getFileAnalytics = async (req, res) => {
+  try {
+    const { fileId } = req.params;
+    const file = mongoose.Types.ObjectId.isValid(fileId)
+      ? await File.findById(fileId).select('title uploadedBy stats.views stats.downloadCount').lean()
+      : null;
+
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found'
+      });
+    }
+
+    const isOwner = file.uploadedBy === req.user.uid;
+    const isAdmin = req.user.role === 'admin' || isAdminUser(req.user);
+    if (!isOwner && !isAdmin) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the uploader can see the analytics of this file'
+      });
+    }
+
+    const { from, to, error } = parseDayRange(req.query);
+    if (error) {
+      return invalidRange(res, error);
+    }
+
+    const seriesByFile = await getDailySeries({ file: file._id }, from, to);
+    const { totals, series } = seriesByFile.get(String(file._id)) || emptySeries(from, to);
+
+    res.json({
+      success: true,
+      data: {
+        file,
+        from,
+        to,
+        // All-time counters, including activity from before analytics were logged
+        allTime: {
+          views: file.stats?.views || 0,
+          downloads: file.stats?.downloadCount || 0
+        },
+        totals,
+        series
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching file analytics:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch file analytics'
+    });
+  }
+};
+
+// ✅ ADMIN ONLY: Most downloaded/viewed materials and platform totals
+// Query: metric=downloads|views, from, to, limit
+export const getTopMaterials = async (req, res) => {
+  try {
+    const { metric = 'downloads' } = req.query;
+    if (!ANALYTICS_METRICS.includes(metric)) {
+      return res.status(400).json({
+        success: false,
+        message: `metric must be one of: ${ANALYTICS_METRICS.join(', ')}`
+      });
+    }
+
+    const { from, to, error } = parseDayRange(req.query);
+    if (error) {
+      return invalidRange(res, error);
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const report = await getTopMaterialsReport({ from, to, metric, limit });
+
+    res.json({
+      success: true,
+      data: {
+        metric,
+        from,
+        to,
+        ...report
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching top materials:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch top materials'
+    });
+  }
+};
@@ -0,0 +1,121 @@
+import AuditLog from '../models/AuditLog.js';
+import { AUDIT_CSV_HEADER, formatAuditCsvRow } from '../services/auditService.js';
+import { escapeRegex } from '../utils/search.js';
+
+const MAX_EXPORT_ROWS = 50000;
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Build the AuditLog filter from query params.
+ * actor: email (partial match) or UID; targetType; targetId; action; from/to: ISO dates.
+ * A `to` without a time includes that whole day.
+ * @returns {{ filter: Object, error: string|null }}
+ */
+export const buildAuditFilter = (query) => {
+  const { actor, targetType, targetId, action, from, to } = query;
+  const filter = {};
+
+  if (actor) {
+    filter.$or = [
+      { 'actor.uid': String(actor) },
+      { 'actor.email': new RegExp(escapeRegex(String(actor).toLowerCase()), 'i') }
+    ];
+  }
+  if (targetType) filter.targetType = targetType;
+  if (targetId) filter.targetId = String(targetId);
+  if (action) filter.action = action;
+
+  if (from || to) {
+    const range = {};
+    if (from) range.$gte = new Date(from);
+    if (to && DATE_ONLY.test(to)) {
+      range.$lt = new Date(`${to}T00:00:00.000Z`);
+      range.$lt.setUTCDate(range.$lt.getUTCDate() + 1);
+    } else if (to) {
+      range.$lte = new Date(to);
+    }
+    if (Object.values(range).some(date => Number.isNaN(date.getTime()))) {
+      return { filter, error: 'from and to must be valid dates (e.g. 2025-01-31)' };
+    }
+    filter.createdAt = range;
+  }
+
+  return { filter, error: null };
+};
+
+// ✅ ADMIN ONLY: Query the audit log, newest first
+export const getAuditLog = async (req, res) => {
+  try {
+    const { filter, error } = buildAuditFilter(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+    const [entries, total] = await Promise.all([
+      AuditLog.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      AuditLog.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: entries,
+      pagination: {
+        current: page,
+        total: Math.ceil(total / limit),
+        count: entries.length,
+        totalItems: total
+      }
+    });
+  } catch (error) {
+    console.error('❌ Get audit log error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch audit log'
+    });
+  }
+};
+
+// ✅ ADMIN ONLY: Download the (filtered) audit log as CSV
+export const exportAuditLog = async (req, res) => {
+  try {
+    const { filter, error } = buildAuditFilter(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="audit-log-${new Date().toISOString().slice(0, 10)}.csv"`);
+    res.write(`${AUDIT_CSV_HEADER}\r\n`);
+
+    // Stream rows so large exports don't sit in memory
+    const cursor = AuditLog.find(filter).sort({ createdAt: -1 }).limit(MAX_EXPORT_ROWS).lean().cursor();
+    for await (const entry of cursor) {
+      res.write(`${formatAuditCsvRow(entry)}\r\n`);
+    }
+
+    console.log(`📤 Audit log exported by ${req.user.email}`);
+    res.end();
+  } catch (error) {
+    console.error('❌ Export audit log error:', error);
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export audit log'
+    });
+  }
+};
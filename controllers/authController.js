@@ -2,7 +2,13 @@ import User from '../models/User.js';
 import { verifyIdToken } from '../utils/firebaseAdmin.js';
 import admin from '../utils/firebaseAdmin.js'; // ✅ NEW: Added admin import
 import { deleteFile } from '../services/storageService.js'; // ✅ NEW: Added deleteFile import
+import { getStoredObjects } from '../services/trashService.js';
+import { getQuotaStatus } from '../services/quotaService.js';
 import File from '../models/File.js'; // ✅ NEW: Added File model import
+import ExtractionPage from '../models/ExtractionPage.js';
+import DocumentChunk from '../models/DocumentChunk.js';
+import FileActivity from '../models/FileActivity.js';
+import DailyFileStats from '../models/DailyFileStats.js';
 import logger from '../utils/logger.js';
 
 // Google Login/Register
@@ -145,6 +151,15 @@ export const googleAuth = async (req, res) => {
 export const getProfile = async (req, res) => {
   try {
     const user = req.user;
+
+    // Remaining quota for the UI; uploadCount is corrected from the actual materials
+    const [quota, uploadCount] = await Promise.all([
+      getQuotaStatus(user),
+      File.countDocuments({ uploadedBy: user.uid })
+    ]);
+    if (user.uploadCount !== uploadCount) {
+      await User.updateOne({ _id: user._id }, { $set: { uploadCount } });
+    }
     
     return res.status(200).json({
       success: true,
@@ -159,10 +174,11 @@ export const getProfile = async (req, res) => {
           branch: user.branch,
           semester: user.semester,
           college: user.college,
-          uploadCount: user.uploadCount,
+          uploadCount,
           downloadCount: user.downloadCount,
           createdAt: user.createdAt
-        }
+        },
+        quota
       }
     });
   } catch (error) {
@@ -242,14 +258,17 @@ export const deleteAccount = async (req, res) => {
     const firebaseUid = req.user.uid;
 
     // Step 1: Find and delete all user's files from Cloudinary and database
-    const userFiles = await File.find({ uploadedBy: firebaseUid });
+    // Files in the trash are removed too
+    const userFiles = await File.find({ uploadedBy: firebaseUid }).select('+versions').setOptions({ withDeleted: true });
   logger.info(`📁 Found ${userFiles.length} files to delete`);
 
     // Delete files from Cloudinary and database
     for (const file of userFiles) {
       try {
-        // Delete from Cloudinary
-        await deleteFile(file.storage.publicId, file.storage.provider);
+        // Delete from Cloudinary (every uploaded version)
+        for (const { publicId, provider, access } of getStoredObjects(file)) {
+          await deleteFile(publicId, provider, { access });
+        }
   logger.info(`✅ Deleted from Cloudinary: ${file.title}`);
       } catch (cloudinaryError) {
   logger.error(`❌ Failed to delete from Cloudinary: ${file.title}`, cloudinaryError);
@@ -258,6 +277,8 @@ export const deleteAccount = async (req, res) => {
 
       // Delete from database
       await File.findByIdAndDelete(file._id);
+      await ExtractionPage.deleteMany({ file: file._id });
+      await DocumentChunk.deleteMany({ file: file._id });
   logger.info(`✅ Deleted from database: ${file.title}`);
     }
 
@@ -267,6 +288,11 @@ export const deleteAccount = async (req, res) => {
       { $pull: { bookmarks: { $in: userFiles.map(f => f._id) } } }
     );
 
+    // Analytics of their materials go too; their own views/downloads elsewhere become anonymous
+    await FileActivity.deleteMany({ owner: firebaseUid });
+    await DailyFileStats.deleteMany({ owner: firebaseUid });
+    await FileActivity.updateMany({ user: firebaseUid }, { $set: { user: null } });
+
     // Step 3: Delete user from MongoDB
     await User.findByIdAndDelete(userId);
   logger.info('✅ User deleted from MongoDB');
@@ -0,0 +1,111 @@
+import { findAccessibleFile } from '../services/fileQueryService.js';
+import { answerQuestion, getChatHistory, clearChatHistory } from '../services/chatService.js';
+import { TextGenerationRateLimitError } from '../services/textGenerationProviders.js';
+
+const MAX_MESSAGE_LENGTH = 2000;
+
+// Ask a question about a material; the answer is grounded in its extracted text
+export const chatWithFile = async (req, res) => {
+  try {
+    const message = typeof req.body?.message === 'string' ? req.body.message.trim() : '';
+
+    if (!message) {
+      return res.status(400).json({
+        success: false,
+        message: 'Message is required'
+      });
+    }
+
+    if (message.length > MAX_MESSAGE_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        message: `Message must be at most ${MAX_MESSAGE_LENGTH} characters`
+      });
+    }
+
+    // Same visibility as downloads: unverified materials only for their uploader and admins
+    const file = await findAccessibleFile(req.params.fileId, req.user, 'title category extractedText extractionStatus');
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found'
+      });
+    }
+
+    const result = await answerQuestion(file, req.user.uid, message);
+
+    if (!result) {
+      const stillExtracting = file.extractionStatus === 'pending';
+      return res.status(stillExtracting ? 409 : 422).json({
+        success: false,
+        message: stillExtracting
+          ? 'Text extraction for this file is still in progress. Please try again shortly.'
+          : 'No text could be extracted from this file, so it cannot be discussed'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        fileId: file._id,
+        answer: result.answer,
+        citations: result.citations,
+        pagesSearched: result.pagesSearched,
+        history: await getChatHistory(file._id, req.user.uid)
+      }
+    });
+  } catch (error) {
+    console.error('❌ Chat error:', error);
+
+    if (error instanceof TextGenerationRateLimitError) {
+      return res.status(429).json({
+        success: false,
+        message: 'The assistant is busy right now. Please try again in a minute.'
+      });
+    }
+
+    res.status(502).json({
+      success: false,
+      message: 'The assistant could not answer right now'
+    });
+  }
+};
+
+// Recent conversation of the current user about a material
+export const getFileChatHistory = async (req, res) => {
+  try {
+    const messages = await getChatHistory(req.params.fileId, req.user.uid);
+
+    res.json({
+      success: true,
+      data: {
+        fileId: req.params.fileId,
+        messages
+      }
+    });
+  } catch (error) {
+    console.error('❌ Get chat history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch chat history'
+    });
+  }
+};
+
+// Start over: forget the current user's conversation about a material
+export const clearFileChatHistory = async (req, res) => {
+  try {
+    await clearChatHistory(req.params.fileId, req.user.uid);
+
+    res.json({
+      success: true,
+      message: 'Chat history cleared'
+    });
+  } catch (error) {
+    console.error('❌ Clear chat history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to clear chat history'
+    });
+  }
+};
@@ -0,0 +1,128 @@
+import CollegeSettings from '../models/CollegeSettings.js';
+import { toCollegeKey } from '../services/collegeSettingsService.js';
+import { recordAudit } from '../services/auditService.js';
+import { parseOcrLanguages, validateOcrLanguages, DEFAULT_OCR_LANGUAGES } from '../utils/ocrLanguages.js';
+
+// ✅ ADMIN ONLY: List per-college settings
+export const getAllCollegeSettings = async (req, res) => {
+  try {
+    const settings = await CollegeSettings.find()
+      .sort({ collegeName: 1 })
+      .lean();
+
+    res.json({
+      success: true,
+      data: {
+        settings,
+        defaults: { ocrLanguages: DEFAULT_OCR_LANGUAGES }
+      }
+    });
+  } catch (error) {
+    console.error('❌ Get college settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch college settings'
+    });
+  }
+};
+
+// ✅ ADMIN ONLY: Create or update the settings of a college
+export const updateCollegeSettings = async (req, res) => {
+  try {
+    const collegeName = String(req.params.collegeName || '').trim();
+    const { ocrLanguages } = req.body || {};
+
+    if (!collegeName) {
+      return res.status(400).json({
+        success: false,
+        message: 'College name is required'
+      });
+    }
+
+    const parsed = parseOcrLanguages(ocrLanguages);
+    const validationError = parsed.languages.length === 0 && parsed.invalid.length === 0
+      ? 'ocrLanguages must contain at least one language'
+      : validateOcrLanguages(parsed);
+
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    const before = await CollegeSettings.findOne({ collegeKey: toCollegeKey(collegeName) }).lean();
+
+    const settings = await CollegeSettings.findOneAndUpdate(
+      { collegeKey: toCollegeKey(collegeName) },
+      {
+        $set: {
+          collegeName,
+          ocrLanguages: parsed.languages,
+          updatedBy: req.user.email
+        }
+      },
+      { upsert: true, new: true, runValidators: true }
+    );
+
+    await recordAudit(req, {
+      action: before ? 'college-settings.update' : 'college-settings.create',
+      targetType: 'college-settings',
+      targetId: settings._id,
+      targetLabel: settings.collegeName,
+      before,
+      after: settings
+    });
+
+    console.log(`✅ College settings updated by ${req.user.email}: ${collegeName} → ${parsed.languages.join('+')}`);
+
+    res.json({
+      success: true,
+      message: 'College settings saved',
+      data: settings
+    });
+  } catch (error) {
+    console.error('❌ Update college settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save college settings'
+    });
+  }
+};
+
+// ✅ ADMIN ONLY: Remove a college's settings (it falls back to the global defaults)
+export const deleteCollegeSettings = async (req, res) => {
+  try {
+    const settings = await CollegeSettings.findOneAndDelete({
+      collegeKey: toCollegeKey(req.params.collegeName)
+    });
+
+    if (!settings) {
+      return res.status(404).json({
+        success: false,
+        message: 'No settings found for this college'
+      });
+    }
+
+    await recordAudit(req, {
+      action: 'college-settings.delete',
+      targetType: 'college-settings',
+      targetId: settings._id,
+      targetLabel: settings.collegeName,
+      before: settings
+    });
+
+    console.log(`✅ College settings removed by ${req.user.email}: ${settings.collegeName}`);
+
+    res.json({
+      success: true,
+      message: 'College settings removed'
+    });
+  } catch (error) {
+    console.error('❌ Delete college settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove college settings'
+    });
+  }
+};
@@ -1,4 +1,5 @@
 import Donation from '../models/Donation.js';
+import { recordAudit } from '../services/auditService.js';
 
 // ✅ PUBLIC: Get all active donations (for marquee)
 export const getDonations = async (req, res) => {
@@ -88,6 +89,14 @@ export const addDonation = async (req, res) => {
 
     await donation.save();
 
+    await recordAudit(req, {
+      action: 'donation.create',
+      targetType: 'donation',
+      targetId: donation._id,
+      targetLabel: donation.donorName,
+      after: donation
+    });
+
     console.log(`✅ New donation added by ${req.user.email}: ${donorName} - ₹${amount}`);
 
     res.status(201).json({
@@ -128,6 +137,8 @@ export const updateDonation = async (req, res) => {
       });
     }
 
+    const before = donation.toObject();
+
     // Update fields
     if (donorName !== undefined) donation.donorName = donorName.trim();
     if (amount !== undefined) donation.amount = parseInt(amount);
@@ -136,6 +147,15 @@ export const updateDonation = async (req, res) => {
 
     await donation.save();
 
+    await recordAudit(req, {
+      action: 'donation.update',
+      targetType: 'donation',
+      targetId: donation._id,
+      targetLabel: donation.donorName,
+      before,
+      after: donation
+    });
+
     console.log(`✅ Donation updated by ${req.user.email}: ${donation.donorName}`);
 
     res.json({
@@ -166,6 +186,14 @@ export const deleteDonation = async (req, res) => {
       });
     }
 
+    await recordAudit(req, {
+      action: 'donation.delete',
+      targetType: 'donation',
+      targetId: donation._id,
+      targetLabel: donation.donorName,
+      before: donation
+    });
+
     console.log(`✅ Donation deleted by ${req.user.email}: ${donation.donorName} - ₹${donation.amount}`);
 
     res.json({
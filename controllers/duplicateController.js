@@ -0,0 +1,67 @@
+import File from '../models/File.js';
+
+const DUPLICATE_KINDS = ['exact', 'near'];
+
+// ✅ ADMIN ONLY: Materials that duplicate earlier uploads, newest first
+// Query: kind=exact|near, status=pending|verified|rejected, page, limit
+export const getDuplicatesReport = async (req, res) => {
+  try {
+    const { kind, status, page = 1, limit = 20 } = req.query;
+
+    if (kind && !DUPLICATE_KINDS.includes(kind)) {
+      return res.status(400).json({
+        success: false,
+        message: `kind must be one of: ${DUPLICATE_KINDS.join(', ')}`
+      });
+    }
+
+    const filter = kind
+      ? { duplicates: { $elemMatch: { kind } } }
+      : { 'duplicates.0': { $exists: true } };
+    if (status) filter['verification.status'] = status;
+
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+    const [files, total] = await Promise.all([
+      File.find(filter)
+        .select('title fileName fileSize uploadedBy category verification createdAt duplicates')
+        .populate('duplicates.file', 'title fileName uploadedBy verification.status createdAt')
+        .sort({ createdAt: -1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize)
+        .lean(),
+      File.countDocuments(filter)
+    ]);
+
+    const report = files.map(({ duplicates, ...file }) => ({
+      ...file,
+      // Originals deleted since detection are left out
+      duplicates: duplicates
+        .filter(duplicate => duplicate.file && (!kind || duplicate.kind === kind))
+        .map(duplicate => ({
+          kind: duplicate.kind,
+          similarity: duplicate.similarity,
+          detectedAt: duplicate.detectedAt,
+          original: duplicate.file
+        }))
+    }));
+
+    res.json({
+      success: true,
+      data: report,
+      pagination: {
+        current: pageNumber,
+        total: Math.ceil(total / pageSize),
+        count: report.length,
+        totalItems: total
+      }
+    });
+  } catch (error) {
+    console.error('❌ Duplicates report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build duplicates report'
+    });
+  }
+};
@@ -3,6 +3,7 @@ import Event from '../models/Event.js';
 import { uploadFile as uploadImageBB, deleteFile as deleteImageBB } from '../services/imageBBService.js';
 import { uploadFile as uploadStorage, deleteFile as deleteStorage } from '../services/storageService.js';
 import fs from 'fs';
+import { recordAudit } from '../services/auditService.js';
 
 // Get all events for admin
 export const getAllEventsAdmin = async (req, res) => {
@@ -97,6 +98,14 @@ export const createEvent = async (req, res) => {
     await newEvent.save();
     console.log('✅ Event saved successfully with ID:', newEvent._id);
 
+    await recordAudit(req, {
+      action: 'event.create',
+      targetType: 'event',
+      targetId: newEvent._id,
+      targetLabel: newEvent.sectionTitle,
+      after: newEvent
+    });
+
     res.status(201).json({
       success: true,
       event: newEvent,
@@ -130,6 +139,8 @@ export const updateEvent = async (req, res) => {
       });
     }
 
+    const before = event.toObject();
+
     // Update fields
     if (description !== undefined) event.description = description.trim();
     if (sectionTitle !== undefined) event.sectionTitle = sectionTitle.trim();
@@ -163,6 +174,15 @@ export const updateEvent = async (req, res) => {
     event.updatedAt = new Date();
     await event.save();
 
+    await recordAudit(req, {
+      action: 'event.update',
+      targetType: 'event',
+      targetId: event._id,
+      targetLabel: event.sectionTitle,
+      before,
+      after: event
+    });
+
     res.json({
       success: true,
       event,
@@ -190,52 +210,22 @@ export const deleteEvent = async (req, res) => {
       });
     }
 
-    console.log('🗑️ Event found for deletion:', {
-      id: event._id,
-      description: event.description,
-      imageUrl: event.imageUrl,
-      imagePublicId: event.imagePublicId,
-      imagePublicIdType: typeof event.imagePublicId,
-      isImageBBUrl: event.imagePublicId?.startsWith('https://')
-    });
+    // Move to the trash; the image is deleted from ImageBB/Cloudinary by the purge job
+    await event.softDelete(req.user.uid);
+    console.log('🗑️ Event moved to trash:', event._id);
 
-    // Delete image from storage provider (ImageBB or Cloudinary)
-    if (event.imagePublicId) {
-      try {
-        console.log('🖼️ Attempting to delete image from storage...');
-        console.log('🔗 Image identifier:', event.imagePublicId);
-        
-        // Determine provider by checking imagePublicId format
-        if (event.imagePublicId?.startsWith('https://')) {
-          // ImageBB delete URL format: https://ibb.co/xxx/yyy
-          console.log('📸 Deleting from ImageBB...');
-          await deleteImageBB(event.imagePublicId);
-        } else {
-          // Cloudinary public_id format: noto/events/timestamp_uuid.ext
-          console.log('☁️ Deleting from Cloudinary...');
-          await deleteStorage(event.imagePublicId);
-        }
-        
-        console.log('✅ Image deleted successfully from storage');
-      } catch (imageError) {
-        console.error('❌ Image deletion failed:', {
-          error: imageError.message,
-          imagePublicId: event.imagePublicId
-        });
-        // Continue with event deletion even if image deletion fails
-        // This prevents events from becoming "undeletable" due to image issues
-      }
-    } else {
-      console.log('ℹ️ No image to delete (imagePublicId is empty)');
-    }
-    
-    // Delete event from database
-    await Event.findByIdAndDelete(eventId);
-    console.log('✅ Event deleted from database successfully');
+    await recordAudit(req, {
+      action: 'event.delete',
+      targetType: 'event',
+      targetId: event._id,
+      targetLabel: event.sectionTitle,
+      before: event
+    });
 
     res.json({
       success: true,
-      message: 'Event and associated image deleted successfully'
+      message: `Event moved to trash. It can be restored until ${event.purgeAfter.toISOString()}`,
+      data: { purgeAfter: event.purgeAfter }
     });
   } catch (error) {
     console.error('❌ Error deleting event:', {
@@ -266,6 +256,15 @@ export const toggleEventStatus = async (req, res) => {
     event.updatedAt = new Date();
     await event.save();
 
+    await recordAudit(req, {
+      action: event.isActive ? 'event.activate' : 'event.deactivate',
+      targetType: 'event',
+      targetId: event._id,
+      targetLabel: event.sectionTitle,
+      before: { isActive: !event.isActive },
+      after: { isActive: event.isActive }
+    });
+
     res.json({
       success: true,
       event,
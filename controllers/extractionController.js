@@ -0,0 +1,284 @@
+import File from '../models/File.js';
+import Job from '../models/Job.js';
+import ExtractionPage from '../models/ExtractionPage.js';
+import { enqueueExtraction, EXTRACT_TEXT_JOB } from '../jobs/extractionJob.js';
+import { parseOcrLanguages, validateOcrLanguages } from '../utils/ocrLanguages.js';
+import { unpackPageText } from '../utils/extractionPages.js';
+import { findAccessibleFile, isOwnerOrAdmin } from '../services/fileQueryService.js';
+
+const DOCUMENT_TYPES = ['typed', 'handwritten'];
+
+// Shape a job for the API (progress includes per-chunk page ranges for PDFs)
+const formatJob = (job) => {
+  if (!job) return null;
+
+  const { current = 0, total = 0, message = null, details = null, updatedAt = null } = job.progress || {};
+
+  return {
+    id: job._id,
+    status: job.status,
+    attempts: job.attempts,
+    maxAttempts: job.maxAttempts,
+    nextAttemptAt: job.status === 'queued' && job.attempts > 0 ? job.runAt : null,
+    lastError: job.lastError,
+    progress: {
+      pagesDone: current,
+      totalPages: total,
+      percent: total > 0 ? Math.round((current / total) * 100) : null,
+      message,
+      chunks: details?.chunks || [],
+      updatedAt
+    },
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt
+  };
+};
+
+// Load a file and make sure the requester owns it or is an admin
+const findFileForOwnerOrAdmin = async (req, res) => {
+  const file = await findAccessibleFile(req.params.fileId, req.user, '-extractedText');
+  if (!file) {
+    res.status(404).json({
+      success: false,
+      message: 'File not found'
+    });
+    return null;
+  }
+
+  if (!isOwnerOrAdmin(file, req.user)) {
+    res.status(403).json({
+      success: false,
+      message: 'Only the uploader or an admin can manage text extraction'
+    });
+    return null;
+  }
+
+  return file;
+};
+
+// Get extraction status (and OCR progress) for a file
+export const getExtractionStatus = async (req, res) => {
+  try {
+    const file = await findFileForOwnerOrAdmin(req, res);
+    if (!file) return;
+
+    const jobs = await Job.find({ file: file._id, type: EXTRACT_TEXT_JOB })
+      .sort({ createdAt: -1 })
+      .limit(5)
+      .lean();
+
+    const textInfo = await File.aggregate([
+      { $match: { _id: file._id } },
+      { $project: { length: { $strLenCP: { $ifNull: ['$extractedText', ''] } } } }
+    ]);
+
+    const failedPages = await ExtractionPage.find({ file: file._id, error: { $ne: null } })
+      .select('page')
+      .sort({ page: 1 })
+      .lean();
+    const pageCount = await ExtractionPage.countDocuments({ file: file._id });
+
+    // Exact duplicates are known at upload, near duplicates once the text is extracted
+    const duplicateFiles = await File.find({ _id: { $in: (file.duplicates || []).map(duplicate => duplicate.file) } })
+      .select('title')
+      .lean();
+    const duplicateTitles = new Map(duplicateFiles.map(duplicate => [String(duplicate._id), duplicate.title]));
+
+    res.json({
+      success: true,
+      data: {
+        fileId: file._id,
+        title: file.title,
+        documentType: file.metadata?.documentType || 'typed',
+        ocrLanguages: file.metadata?.ocrLanguages || [],
+        extractionStatus: file.extractionStatus,
+        extractionError: file.extractionError,
+        textLength: textInfo[0]?.length || 0,
+        pages: {
+          total: pageCount,
+          failed: failedPages.map(page => page.page)
+        },
+        duplicates: (file.duplicates || [])
+          .filter(duplicate => duplicateTitles.has(String(duplicate.file)))
+          .map(duplicate => ({
+            file: { id: duplicate.file, title: duplicateTitles.get(String(duplicate.file)) },
+            kind: duplicate.kind,
+            similarity: duplicate.similarity,
+            message: `This looks like "${duplicateTitles.get(String(duplicate.file))}"`
+          })),
+        currentJob: formatJob(jobs[0]),
+        history: jobs.slice(1).map(formatJob)
+      }
+    });
+  } catch (error) {
+    console.error('❌ Get extraction status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch extraction status'
+    });
+  }
+};
+
+// Re-queue text extraction, optionally switching between typed and handwritten
+// or changing the OCR languages
+export const retryExtraction = async (req, res) => {
+  try {
+    const { documentType, ocrLanguages } = req.body || {};
+
+    if (documentType !== undefined && !DOCUMENT_TYPES.includes(documentType)) {
+      return res.status(400).json({
+        success: false,
+        message: `documentType must be one of: ${DOCUMENT_TYPES.join(', ')}`
+      });
+    }
+
+    const parsedLanguages = parseOcrLanguages(ocrLanguages);
+    const languageError = validateOcrLanguages(parsedLanguages);
+    if (languageError) {
+      return res.status(400).json({
+        success: false,
+        message: languageError
+      });
+    }
+
+    const file = await findFileForOwnerOrAdmin(req, res);
+    if (!file) return;
+
+    const activeJob = await Job.findOne({
+      file: file._id,
+      type: EXTRACT_TEXT_JOB,
+      status: 'running'
+    });
+
+    if (activeJob) {
+      return res.status(409).json({
+        success: false,
+        message: 'Extraction is already running for this file',
+        data: { job: formatJob(activeJob) }
+      });
+    }
+
+    if (documentType) file.metadata.documentType = documentType;
+    if (parsedLanguages.languages.length) file.metadata.ocrLanguages = parsedLanguages.languages;
+    file.extractionStatus = 'pending';
+    file.extractionError = null;
+    await file.save();
+
+    const job = await enqueueExtraction(file);
+
+    console.log('🔁 Extraction re-queued:', {
+      fileId: file._id,
+      documentType: file.metadata.documentType,
+      ocrLanguages: file.metadata.ocrLanguages,
+      requestedBy: req.user.email
+    });
+
+    res.status(202).json({
+      success: true,
+      message: 'Text extraction queued',
+      data: {
+        fileId: file._id,
+        documentType: file.metadata.documentType,
+        ocrLanguages: file.metadata.ocrLanguages,
+        extractionStatus: file.extractionStatus,
+        job: formatJob(job)
+      }
+    });
+  } catch (error) {
+    console.error('❌ Retry extraction error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to queue text extraction'
+    });
+  }
+};
+
+const fileNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'File not found'
+});
+
+// List the extracted pages of a file (without their text)
+export const getExtractionPages = async (req, res) => {
+  try {
+    const file = await findAccessibleFile(req.params.fileId, req.user, 'title extractionStatus');
+    if (!file) {
+      return fileNotFound(res);
+    }
+
+    const pages = await ExtractionPage.find({ file: file._id })
+      .select('-_id page unit title source confidence error textLength')
+      .sort({ page: 1 })
+      .lean();
+
+    const failed = pages.filter(page => page.error).map(page => page.page);
+
+    res.json({
+      success: true,
+      data: {
+        fileId: file._id,
+        title: file.title,
+        extractionStatus: file.extractionStatus,
+        summary: {
+          total: pages.length,
+          succeeded: pages.length - failed.length,
+          failed
+        },
+        pages
+      }
+    });
+  } catch (error) {
+    console.error('❌ Get extraction pages error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch extracted pages'
+    });
+  }
+};
+
+// Get the extracted text of a single page
+export const getExtractionPage = async (req, res) => {
+  try {
+    const { fileId } = req.params;
+    const pageNumber = Number(req.params.page);
+
+    if (!Number.isInteger(pageNumber) || pageNumber < 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'Page must be a positive integer'
+      });
+    }
+
+    const file = await findAccessibleFile(fileId, req.user, '_id');
+    if (!file) {
+      return fileNotFound(res);
+    }
+
+    const page = await ExtractionPage.findOne({ file: file._id, page: pageNumber })
+      .select('-_id -__v')
+      .lean();
+
+    if (!page) {
+      return res.status(404).json({
+        success: false,
+        message: `Page ${pageNumber} has not been extracted`
+      });
+    }
+
+    const { textCompressed, ...fields } = page;
+
+    res.json({
+      success: true,
+      data: {
+        page: { ...fields, text: unpackPageText(page) }
+      }
+    });
+  } catch (error) {
+    console.error('❌ Get extraction page error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch extracted page'
+    });
+  }
+};
@@ -1,11 +1,41 @@
 import File from '../models/File.js';
 import User from '../models/User.js';
-import { uploadFile, deleteFile } from '../services/storageService.js';
+import Job from '../models/Job.js';
+import ExtractionPage from '../models/ExtractionPage.js';
+import DocumentChunk from '../models/DocumentChunk.js';
+import { isAdminUser } from '../middleware/adminAuth.js';
+import { formatInsights } from '../services/insightsService.js';
+import { hashUpload, findExactDuplicates } from '../services/duplicateService.js';
+import { uploadFile, moveFile, getSignedDownloadUrl, downloadFileBuffer, openFileStream } from '../services/storageService.js';
 import multer from 'multer';
 import path from 'path'; // ✅ NEW: Added path import
 import fs from 'fs'; // ✅ NEW: Added fs import  
-import axios from 'axios'; // ✅ NEW: Added axios for file download
 import { TextExtractionService } from '../services/textExtraction.js'; // ✅ NEW: Added text extraction service
+import { parseSearchTerms, buildSnippets } from '../utils/search.js';
+import {
+  buildFileFilter,
+  combineFilters,
+  getFileFacets,
+  findFilesByCursor,
+  resolveSortMode,
+  getSortSpec,
+  VALID_SORT_MODES,
+  attachUploaders,
+  canAccessFile,
+  isOwnerOrAdmin,
+  toPublicFile,
+  toPublicVersion
+} from '../services/fileQueryService.js';
+import { recordFileActivity, trendingContribution, downloadCountThreshold, ACTIVITY_WEIGHTS } from '../services/fileStatsService.js';
+import { enqueueExtraction, EXTRACT_TEXT_JOB } from '../jobs/extractionJob.js';
+import { enqueueChunkIndexing } from '../jobs/chunkIndexJob.js';
+import { recordAudit, diffChanges } from '../services/auditService.js';
+import { checkQuota, reserveQuota, storedBytes } from '../services/quotaService.js';
+import { getCollegeOcrLanguages, resolveOcrLanguages } from '../services/collegeSettingsService.js';
+import { parseOcrLanguages, validateOcrLanguages } from '../utils/ocrLanguages.js';
+import { imagesToPDF, isImageMimeType, MAX_IMAGES_PER_UPLOAD } from '../services/imagePdfService.js';
+import { DOCUMENT_MIME_TYPES } from '../services/uploadSessionService.js';
+import { parseCursorQuery, decodeCursor, buildCursorFilter, buildCursorPage } from '../utils/cursor.js';
 
 // ✅ UPDATED: Configure multer for disk storage (was memory storage)
 const storage = multer.diskStorage({
@@ -24,29 +54,45 @@ const storage = multer.diskStorage({
   }
 });
 
+// Accepts one document in "file", or photos of handwritten pages in "file"/"images"
+// (photos are merged into a single PDF by uploadMaterial).
+// Larger documents go through the resumable upload (POST /api/files/uploads).
 export const uploadMiddleware = multer({
   storage,
   limits: {
-    fileSize: 5 * 1024 * 1024, // 5MB limit
+    fileSize: 5 * 1024 * 1024, // 5MB limit (per file)
   },
   fileFilter: (req, file, cb) => {
-    // ✅ UPDATED: Removed image types (only PDF, DOC, DOCX, PPT, PPTX, TXT)
-    const allowedTypes = [
-      'application/pdf',
-      'application/msword',
-      'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-      'application/vnd.ms-powerpoint',
-      'application/vnd.openxmlformats-officedocument.presentationml.presentation',
-      'text/plain'
-    ];
-
-    if (allowedTypes.includes(file.mimetype)) {
+    // Some phones/browsers send HEIC photos as application/octet-stream
+    if (/\.(heic|heif)$/i.test(file.originalname)) {
+      file.mimetype = 'image/heic';
+    }
+
+    if (isImageMimeType(file.mimetype) || (file.fieldname === 'file' && DOCUMENT_MIME_TYPES.includes(file.mimetype))) {
       cb(null, true);
     } else {
-      cb(new Error('File type not supported. Only PDF, DOC, DOCX, PPT, PPTX, and TXT files are allowed.'), false);
+      cb(new Error('File type not supported. Only PDF, DOC, DOCX, PPT, PPTX, TXT and JPG/PNG/HEIC photos are allowed.'), false);
     }
   }
-}).single('file');
+}).fields([
+  { name: 'file', maxCount: 1 },
+  { name: 'images', maxCount: MAX_IMAGES_PER_UPLOAD }
+]);
+
+// Replacing a verified material's file sends it back to the moderation queue when enabled
+const REVERIFY_NEW_VERSIONS = process.env.REVERIFY_NEW_VERSIONS === 'true';
+const MAX_CHANGELOG_LENGTH = 500;
+const MAX_TITLE_LENGTH = 200;
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 40;
+
+// Where downloads are counted: 'link' when GET /download/:fileId hands out a link (default),
+// 'stream' only when GET /:fileId/stream actually sent DOWNLOAD_COUNT_MIN_RATIO of the file
+// or, for a resumed download, the rest of it when that is at least DOWNLOAD_RESUME_MIN_RATIO of the file
+const DOWNLOAD_COUNTING = process.env.DOWNLOAD_COUNTING === 'stream' ? 'stream' : 'link';
+const DOWNLOAD_COUNT_MIN_RATIO = Number(process.env.DOWNLOAD_COUNT_MIN_RATIO || 0.9);
+const DOWNLOAD_RESUME_MIN_RATIO = Number(process.env.DOWNLOAD_RESUME_MIN_RATIO || 0.1);
+const SINGLE_BYTE_RANGE = /^bytes=(\d+-\d*|-\d+)$/;
 
 // Category-to-folder mapping
 const getCategoryFolder = (category) => {
@@ -60,6 +106,118 @@ const getCategoryFolder = (category) => {
   return folderMap[category] || 'Others';
 };
 
+/**
+ * Turn the multer uploads of a request into the one file to store: a document as is,
+ * or photos of handwritten pages merged into a PDF (added to tempFilePaths for cleanup).
+ * @returns {Promise<{ uploadedFile?: Object, images?: Array, error?: string }>}
+ */
+const prepareUploadedFile = async (uploads, { title, documentType }, tempFilePaths) => {
+  if (uploads.length === 0) {
+    return { error: 'No file uploaded' };
+  }
+
+  const images = uploads.filter(file => isImageMimeType(file.mimetype));
+  if (images.length > 0 && images.length !== uploads.length) {
+    return { error: 'Upload either one document or photos of pages, not both' };
+  }
+  if (images.length > 0 && documentType !== 'handwritten') {
+    return { error: 'Photo uploads are only supported for handwritten materials (documentType: handwritten)' };
+  }
+  if (images.length === 0) {
+    return { uploadedFile: uploads[0], images };
+  }
+
+  // Photos of handwritten pages become one PDF material, one page per photo
+  console.log(`🖼️ Merging ${images.length} photo(s) into a PDF...`);
+  let pdfBuffer;
+  try {
+    pdfBuffer = await imagesToPDF(images);
+  } catch (mergeError) {
+    return { error: mergeError.message };
+  }
+
+  const pdfPath = path.join(path.dirname(images[0].path), `${Date.now()}-${Math.round(Math.random() * 1E9)}-photos.pdf`);
+  await fs.promises.writeFile(pdfPath, pdfBuffer);
+  tempFilePaths.push(pdfPath);
+
+  const baseName = title.trim().replace(/[^\w\- ]+/g, '').replace(/\s+/g, '-') || 'handwritten-notes';
+  return {
+    uploadedFile: {
+      path: pdfPath,
+      buffer: pdfBuffer,
+      originalname: `${baseName}.pdf`,
+      mimetype: 'application/pdf',
+      size: pdfBuffer.length
+    },
+    images
+  };
+};
+
+// ✅ NEW: Critical cleanup of temporary files
+const cleanupTempFiles = (tempFilePaths) => {
+  for (const tempFilePath of tempFilePaths) {
+    if (tempFilePath && fs.existsSync(tempFilePath)) {
+      try {
+        fs.unlinkSync(tempFilePath);
+        console.log('🧹 Cleaned up temp file:', tempFilePath);
+      } catch (cleanupError) {
+        console.warn('⚠️ Failed to cleanup temp file:', cleanupError);
+      }
+    }
+  }
+};
+
+// Over quota: the message says which limit, quota lets the UI show what's left
+const quotaExceeded = (res, { message, exceeded, quota }) => res.status(400).json({
+  success: false,
+  message,
+  data: { exceeded, quota }
+});
+
+// Give back the usage reserved for an upload, once the material is saved or the upload failed
+const releaseQuota = (reservation) => {
+  reservation?.release().catch(error => {
+    console.error('❌ Failed to release quota reservation:', error.message);
+  });
+};
+
+/**
+ * Search tags derived from a material's classification, plus any extra tags of the uploader.
+ * @param {Object} fields - { category, course, subject, semester, collegeName }
+ * @param {string[]} [extraTags]
+ */
+const buildTags = ({ category, course, subject, semester, collegeName }, extraTags = []) => [...new Set([
+  category,
+  course.toLowerCase(),
+  subject.toLowerCase(),
+  `sem-${semester}`,
+  collegeName.toLowerCase(),
+  ...extraTags.map(tag => tag.trim().toLowerCase()).filter(Boolean)
+])];
+
+// Classification of a stored material in the shape buildTags expects
+const tagFields = (file) => ({
+  category: file.category.type,
+  course: file.metadata.course,
+  subject: file.category.subject,
+  semester: file.category.semester,
+  collegeName: file.metadata.collegeName
+});
+
+// History entry describing the file currently stored on a material
+const snapshotVersion = (file, extra = {}) => ({
+  version: file.version || 1,
+  fileName: file.fileName,
+  fileUrl: file.fileUrl,
+  fileType: file.fileType,
+  fileSize: file.fileSize,
+  contentHash: file.contentHash,
+  storage: { provider: file.storage.provider, publicId: file.storage.publicId, access: file.storage.access },
+  uploadedBy: file.uploadedBy,
+  uploadedAt: file.createdAt,
+  ...extra
+});
+
 // ✅ NEW: Add text extraction endpoint
 export const getFileWithText = async (req, res) => {
   try {
@@ -67,7 +225,7 @@ export const getFileWithText = async (req, res) => {
     console.log('📖 Fetching file with text extraction:', fileId);
 
     const file = await File.findById(fileId);
-    if (!file) {
+    if (!file || !canAccessFile(file, req.user)) {
       return res.status(404).json({
         success: false,
         message: 'File not found'
@@ -88,6 +246,9 @@ export const getFileWithText = async (req, res) => {
     if (file.extractedText) {
       console.log('✅ Using stored extracted text, length:', file.extractedText.length);
       extractedText = file.extractedText;
+    } else if (file.extractionStatus === 'pending') {
+      // Extraction is queued/running in the background worker - don't block this request on it
+      console.log('⏳ Text extraction still pending for this file');
     } else {
       // Fallback: try to extract from URL (legacy files)
       console.log('⚠️ No stored text found, attempting URL extraction...');
@@ -96,20 +257,13 @@ export const getFileWithText = async (req, res) => {
         const documentType = file.metadata?.documentType || 'typed';
         console.log(`📖 Extracting text with documentType: ${documentType}`);
         
-        const response = await axios.get(file.fileUrl, {
-          responseType: 'arraybuffer',
-          timeout: 30000,
-          headers: {
-            'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-          }
-        });
-        
-        const buffer = Buffer.from(response.data);
+        const buffer = await downloadFileBuffer(file);
         extractedText = await TextExtractionService.extractTextFromBuffer(
           buffer,
           file.fileName,
           file.fileType,
-          documentType // ✅ CRITICAL: Pass document type for handwritten OCR
+          documentType, // ✅ CRITICAL: Pass document type for handwritten OCR
+          { languages: await resolveOcrLanguages(file) }
         );
         console.log('✅ Text extracted successfully, length:', extractedText.length);
       } catch (extractError) {
@@ -119,10 +273,11 @@ export const getFileWithText = async (req, res) => {
       }
     }
 
-    // Update file stats
-    await File.findByIdAndUpdate(fileId, {
-      $inc: { 'stats.views': 1 }
-    });
+    // Update file stats (views also feed the trending score)
+    await recordFileActivity(fileId, 'view', { owner: file.uploadedBy, user: req.user?.uid });
+
+    // Stored files are private: the viewer gets a short-lived inline link
+    const preview = file.storage.purgedAt ? null : await getSignedDownloadUrl(file, { attachment: false });
 
     // Return file data with extracted text
     res.json({
@@ -132,14 +287,17 @@ export const getFileWithText = async (req, res) => {
           _id: file._id,
           title: file.title,
           fileName: file.fileName,
-          fileUrl: file.fileUrl,
+          fileUrl: preview?.url || null,
+          fileUrlExpiresAt: preview?.expiresAt || null,
           fileType: file.fileType,
           fileSize: file.fileSize,
           category: file.category,
           metadata: file.metadata,
           stats: file.stats,
           createdAt: file.createdAt,
-          extractedText: extractedText // ✅ ACTUAL extracted text
+          extractionStatus: file.extractionStatus,
+          extractedText: extractedText, // ✅ ACTUAL extracted text
+          insights: formatInsights(file.insights)
         }
       }
     });
@@ -154,8 +312,11 @@ export const getFileWithText = async (req, res) => {
 
 // ✅ UPDATED: Upload material with category-based folders + upload limit + temp file cleanup
 export const uploadMaterial = async (req, res) => {
-  let tempFilePath = null; // ✅ NEW: Track temp file for cleanup
-  
+  // ✅ NEW: Track temp files for cleanup (uploads + merged photo PDF)
+  const uploads = [...(req.files?.file || []), ...(req.files?.images || [])];
+  const tempFilePaths = uploads.map(file => file.path);
+  let quotaReservation = null;
+
   try {
     console.log('📤 Upload request received from:', req.user.email);
 
@@ -168,7 +329,8 @@ export const uploadMaterial = async (req, res) => {
       professorName,
       semester,
       year,
-      documentType = 'typed' // NEW: Document type for AI model selection
+      documentType = 'typed', // NEW: Document type for AI model selection
+      ocrLanguages // Optional: "hin,eng" or repeated fields; defaults to the college's setting
     } = req.body;
 
     // Validate required fields
@@ -182,106 +344,101 @@ export const uploadMaterial = async (req, res) => {
       });
     }
 
-    if (!req.file) {
+    const parsedLanguages = parseOcrLanguages(ocrLanguages);
+    const languageError = validateOcrLanguages(parsedLanguages);
+    if (languageError) {
       return res.status(400).json({
         success: false,
-        message: 'No file uploaded'
+        message: languageError
       });
     }
+    const resolvedLanguages = parsedLanguages.languages.length
+      ? parsedLanguages.languages
+      : await getCollegeOcrLanguages(collegeName);
+
+    // Check the counted limits first so a full quota doesn't wait for the photo merge
+    const newMaterial = { files: 1, pendingFiles: 1, uploadsToday: 1 };
+    const countCheck = await checkQuota(req.user, newMaterial);
+    const { usage, limits } = countCheck.quota;
+    console.log(`📊 User ${req.user.email} has ${usage.files}/${limits.maxFiles ?? '∞'} files`);
+
+    if (!countCheck.allowed) {
+      return quotaExceeded(res, countCheck);
+    }
 
-    // ✅ NEW: Check upload limit using fresh database count
-    const currentUser = await User.findById(req.user._id);
-    const UPLOAD_LIMIT = 5; // Upload limit per user
-
-    // Count actual files in database for this user
-    const actualFileCount = await File.countDocuments({ 
-      uploadedBy: req.user.uid,
-      'moderation.approved': true 
-    });
-
-    console.log(`📊 User ${req.user.email} has ${actualFileCount}/${UPLOAD_LIMIT} files`);
-
-    if (actualFileCount >= UPLOAD_LIMIT) {
+    const { uploadedFile, images, error: uploadError } = await prepareUploadedFile(uploads, { title, documentType }, tempFilePaths);
+    if (uploadError) {
       return res.status(400).json({
         success: false,
-        message: `Upload limit reached. Please delete some files to upload new ones.`
+        message: uploadError
       });
     }
 
-    // ✅ NEW: Store temp file path for cleanup
-    tempFilePath = req.file.path;
+    // Held until the material is saved, so parallel uploads can't all pass the same check
+    const sizeCheck = await reserveQuota(req.user, { ...newMaterial, storageBytes: uploadedFile.size });
+    if (!sizeCheck.allowed) {
+      return quotaExceeded(res, sizeCheck);
+    }
+    quotaReservation = sizeCheck;
 
     console.log('📁 File details:', {
-      name: req.file.originalname,
-      size: `${(req.file.size / 1024 / 1024).toFixed(2)} MB`,
-      type: req.file.mimetype,
+      name: uploadedFile.originalname,
+      size: `${(uploadedFile.size / 1024 / 1024).toFixed(2)} MB`,
+      type: uploadedFile.mimetype,
       category: category,
-      tempPath: tempFilePath, // ✅ NEW: Log temp path
-      currentUploadCount: currentUser.uploadCount
+      photos: images.length || undefined,
+      tempPath: uploadedFile.path, // ✅ NEW: Log temp path
+      currentUploadCount: usage.files
     });
 
+    // Same bytes as an existing material? Warn, but let the upload through for admins to review
+    const contentHash = await hashUpload(uploadedFile);
+    const exactDuplicates = await findExactDuplicates(contentHash);
+    if (exactDuplicates.length > 0) {
+      console.log(`👯 Upload matches existing material(s): ${exactDuplicates.map(file => file.title).join(', ')}`);
+    }
+
     // Get category-specific folder
     const categoryFolder = getCategoryFolder(category);
     console.log(`📂 Uploading to folder: ${categoryFolder}`);
 
     // Upload file to category-specific folder
-    const uploadResult = await uploadFile(req.file, categoryFolder);
+    const uploadResult = await uploadFile(uploadedFile, categoryFolder, { access: 'private' });
     console.log('✅ File uploaded successfully:', uploadResult.fileUrl);
 
-    // ✅ OPTIMIZED: Only extract and store text for HANDWRITTEN documents
-    // Typed documents will use client-side extraction to save MongoDB space
-    let extractedText = null;
-    let extractionStatus = 'not-required'; // Default for typed documents
-    let extractionError = null;
-
-    if (documentType === 'handwritten') {
-      // Only extract text for handwritten documents (needs server-side OCR)
-      try {
-        console.log('�️ Handwritten document detected - starting OCR extraction...');
-        const fileBuffer = await fs.promises.readFile(tempFilePath);
-        
-        extractedText = await TextExtractionService.extractTextFromBuffer(
-          fileBuffer,
-          req.file.originalname,
-          req.file.mimetype,
-          documentType
-        );
-        
-        extractionStatus = 'success';
-        console.log('✅ OCR extraction completed:', {
-          length: extractedText?.length || 0,
-          sizeKB: (extractedText?.length / 1024).toFixed(2),
-          preview: extractedText?.substring(0, 100) + '...'
-        });
-      } catch (extractError) {
-        console.error('❌ OCR extraction failed:', extractError.message);
-        extractionStatus = 'failed';
-        extractionError = extractError.message;
-        extractedText = `OCR extraction failed: ${extractError.message}`;
-      }
-    } else {
-      // Typed documents: Don't store text in MongoDB (save space)
-      console.log('⚡ Typed document - text extraction will be handled client-side (MongoDB space saved)');
-      extractionStatus = 'not-required';
-      extractedText = null; // Don't store text for typed documents
-    }
+    // Text extraction (OCR for handwritten, parsers for typed documents) runs in the
+    // background worker (see jobs/extractionJob.js) so the upload returns immediately
+    // with extractionStatus 'pending'. Per-page text is stored compressed in
+    // ExtractionPage; the File only keeps a capped copy for search and the chatbot.
 
     // Create comprehensive file record
     const newFile = new File({
       title: title.trim(),
-      fileName: req.file.originalname,
+      fileName: uploadedFile.originalname,
       fileUrl: uploadResult.fileUrl,
-      fileType: req.file.mimetype,
-      fileSize: req.file.size,
+      fileType: uploadedFile.mimetype,
+      fileSize: uploadedFile.size,
+      contentHash,
+      duplicates: exactDuplicates.map(file => ({ file: file._id, kind: 'exact', similarity: 1 })),
       
-      // ✅ OPTIMIZED: Only store text for handwritten documents
-      extractedText: extractedText, // null for typed, OCR text for handwritten
-      extractionStatus: extractionStatus, // 'not-required' for typed, 'success'/'failed' for handwritten
-      extractionError: extractionError,
+      extractedText: null, // Filled in by the extraction job
+      extractionStatus: 'pending', // Until the job finishes
+      extractionError: null,
       storage: {
         provider: uploadResult.provider,
         publicId: uploadResult.publicId,
+        access: uploadResult.access
       },
+      versions: [{
+        version: 1,
+        fileName: uploadedFile.originalname,
+        fileUrl: uploadResult.fileUrl,
+        fileType: uploadedFile.mimetype,
+        fileSize: uploadedFile.size,
+        contentHash,
+        storage: { provider: uploadResult.provider, publicId: uploadResult.publicId, access: uploadResult.access },
+        uploadedBy: req.user.uid
+      }],
       category: {
         type: category,
         branch: course,
@@ -294,18 +451,14 @@ export const uploadMaterial = async (req, res) => {
         professorName: professorName ? professorName.trim() : null,
         year: parseInt(year),
         course: course.trim(),
-        originalSize: req.file.size,
+        originalSize: uploadedFile.size,
+        sourceImages: images.length || undefined,
         uploadFolder: categoryFolder,
-        documentType: documentType || 'typed' // NEW: Store document type for AI model selection
+        documentType: documentType || 'typed', // NEW: Store document type for AI model selection
+        ocrLanguages: resolvedLanguages
       },
       // Enhanced tags for better searchability
-      tags: [
-        category,
-        course.toLowerCase(),
-        subject.toLowerCase(),
-        `sem-${semester}`,
-        collegeName.toLowerCase()
-      ],
+      tags: buildTags({ category, course, subject, semester, collegeName }),
       // Auto-approve for now, can be changed for moderation
       moderation: {
         approved: true,
@@ -314,6 +467,10 @@ export const uploadMaterial = async (req, res) => {
       // NEW: Initialize verification status as pending
       verification: {
         status: 'pending' // Will be changed to 'verified' or 'rejected' by admin
+      },
+      // Small head start so fresh uploads can show up under "trending"
+      stats: {
+        trendingScore: trendingContribution(ACTIVITY_WEIGHTS.upload)
       }
     });
 
@@ -326,6 +483,19 @@ export const uploadMaterial = async (req, res) => {
 
     console.log('✅ File record saved to database');
 
+    // Queue text extraction for the background worker
+    try {
+      await enqueueExtraction(newFile);
+      console.log(`📖 ${documentType === 'handwritten' ? 'OCR' : 'Text'} extraction queued`);
+    } catch (queueError) {
+      console.error('❌ Failed to queue text extraction:', queueError.message);
+      newFile.extractionStatus = 'failed';
+      await File.findByIdAndUpdate(newFile._id, {
+        extractionStatus: 'failed',
+        extractionError: 'Failed to queue text extraction'
+      });
+    }
+
     // Return success response with comprehensive data
     res.status(201).json({
       success: true,
@@ -335,21 +505,25 @@ export const uploadMaterial = async (req, res) => {
           id: newFile._id,
           title: newFile.title,
           category: newFile.category,
-          fileUrl: newFile.fileUrl,
           fileSize: newFile.fileSize,
           uploadedAt: newFile.createdAt,
           uploader: req.user.displayName,
           folder: categoryFolder,
-          metadata: newFile.metadata
-        }
+          metadata: newFile.metadata,
+          extractionStatus: newFile.extractionStatus
+        },
+        // Near duplicates (similar text) are detected after extraction, see GET /:fileId/extraction
+        warnings: exactDuplicates.map(file => ({
+          type: 'duplicate',
+          message: `This looks like "${file.title}"`,
+          file: { id: file._id, title: file.title }
+        }))
       }
     });
 
   } catch (error) {
-    if (error.response?.status !== 400 || !error.response?.data?.message?.includes('Upload limit')) {
-      console.error("❌ Upload error:", error);
-      console.error("❌ Error details:", error.response?.data);
-    }
+    console.error("❌ Upload error:", error);
+    console.error("❌ Error details:", error.response?.data);
     
     res.status(500).json({
       success: false,
@@ -357,15 +531,221 @@ export const uploadMaterial = async (req, res) => {
       error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
     });
   } finally {
-    // ✅ NEW: Critical cleanup of temporary file
-    if (tempFilePath && fs.existsSync(tempFilePath)) {
-      try {
-        fs.unlinkSync(tempFilePath);
-        console.log('🧹 Cleaned up temp file:', tempFilePath);
-      } catch (cleanupError) {
-        console.warn('⚠️ Failed to cleanup temp file:', cleanupError);
+    cleanupTempFiles(tempFilePaths);
+    releaseQuota(quotaReservation);
+  }
+};
+
+// Upload a corrected/extended file for an existing material (owner only).
+// Stars, bookmarks and stats stay; the text is extracted again and the history keeps every version.
+export const uploadNewVersion = async (req, res) => {
+  const uploads = [...(req.files?.file || []), ...(req.files?.images || [])];
+  const tempFilePaths = uploads.map(file => file.path);
+  let quotaReservation = null;
+
+  try {
+    const { fileId } = req.params;
+    const changelog = typeof req.body.changelog === 'string' ? req.body.changelog.trim() : '';
+
+    if (changelog.length > MAX_CHANGELOG_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        message: `Changelog must be at most ${MAX_CHANGELOG_LENGTH} characters`
+      });
+    }
+
+    const file = await File.findById(fileId).select('+versions');
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found'
+      });
+    }
+
+    if (file.uploadedBy !== req.user.uid) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only upload new versions of your own files'
+      });
+    }
+
+    // A running extraction would overwrite the new version's text with the old one
+    const runningExtraction = await Job.exists({ file: file._id, type: EXTRACT_TEXT_JOB, status: 'running' });
+    if (runningExtraction) {
+      return res.status(409).json({
+        success: false,
+        message: 'Text extraction of the current version is still running. Please try again in a moment.'
+      });
+    }
+
+    const documentType = file.metadata?.documentType || 'typed';
+    const { uploadedFile, images, error: uploadError } = await prepareUploadedFile(uploads, { title: file.title, documentType }, tempFilePaths);
+    if (uploadError) {
+      return res.status(400).json({
+        success: false,
+        message: uploadError
+      });
+    }
+
+    const contentHash = await hashUpload(uploadedFile);
+    if (contentHash === file.contentHash) {
+      return res.status(409).json({
+        success: false,
+        message: 'This file is identical to the current version'
+      });
+    }
+
+    // A rejected material is always reviewed again; a verified one only when configured
+    const previousStatus = file.verification?.status;
+    const wasRejected = previousStatus === 'rejected';
+    const backToReview = wasRejected || (previousStatus === 'verified' && REVERIFY_NEW_VERSIONS);
+
+    // Rejected materials don't count against the quota until they go back to review
+    const quotaCheck = await reserveQuota(req.user, {
+      files: wasRejected ? 1 : 0,
+      pendingFiles: backToReview ? 1 : 0,
+      storageBytes: uploadedFile.size + (wasRejected ? storedBytes(file) : 0),
+      uploadsToday: 1
+    });
+    if (!quotaCheck.allowed) {
+      return quotaExceeded(res, quotaCheck);
+    }
+    quotaReservation = quotaCheck;
+
+    const exactDuplicates = await findExactDuplicates(contentHash, file._id);
+
+    const categoryFolder = getCategoryFolder(file.category.type);
+    const uploadResult = await uploadFile(uploadedFile, categoryFolder, { access: 'private' });
+    console.log('✅ New version uploaded:', uploadResult.fileUrl);
+
+    // Files uploaded before versioning start their history with the current file
+    if (!file.versions?.length) {
+      file.versions = [snapshotVersion(file)];
+    }
+
+    const version = (file.version || 1) + 1;
+    file.versions.push({
+      version,
+      fileName: uploadedFile.originalname,
+      fileUrl: uploadResult.fileUrl,
+      fileType: uploadedFile.mimetype,
+      fileSize: uploadedFile.size,
+      contentHash,
+      storage: { provider: uploadResult.provider, publicId: uploadResult.publicId, access: uploadResult.access },
+      uploadedBy: req.user.uid,
+      changelog: changelog || null
+    });
+
+    // Top-level fields always describe the latest version, so downloads serve it
+    file.version = version;
+    file.fileName = uploadedFile.originalname;
+    file.fileUrl = uploadResult.fileUrl;
+    file.fileType = uploadedFile.mimetype;
+    file.fileSize = uploadedFile.size;
+    file.contentHash = contentHash;
+    file.storage = { provider: uploadResult.provider, publicId: uploadResult.publicId, access: uploadResult.access, purgedAt: null };
+    file.metadata.sourceImages = images.length || undefined;
+    file.duplicates = exactDuplicates.map(duplicate => ({ file: duplicate._id, kind: 'exact', similarity: 1 }));
+    file.extractedText = null;
+    file.extractionStatus = 'pending';
+    file.extractionError = null;
+
+    if (backToReview) {
+      file.verification = { status: 'pending' };
+      file.purgeAfter = null;
+    }
+
+    await file.save();
+
+    // Pages and chunks of the previous version are rebuilt by the extraction job
+    await ExtractionPage.deleteMany({ file: file._id });
+    await DocumentChunk.deleteMany({ file: file._id });
+
+    try {
+      await enqueueExtraction(file);
+    } catch (queueError) {
+      console.error('❌ Failed to queue text extraction:', queueError.message);
+      await File.findByIdAndUpdate(file._id, {
+        extractionStatus: 'failed',
+        extractionError: 'Failed to queue text extraction'
+      });
+    }
+
+    console.log(`📝 "${file.title}" updated to version ${version} by ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: `Version ${version} uploaded successfully`,
+      data: {
+        file: {
+          id: file._id,
+          title: file.title,
+          version: file.version,
+          fileSize: file.fileSize,
+          extractionStatus: file.extractionStatus,
+          verificationStatus: file.verification.status
+        },
+        version: toPublicVersion(file.versions[file.versions.length - 1]),
+        warnings: exactDuplicates.map(duplicate => ({
+          type: 'duplicate',
+          message: `This looks like "${duplicate.title}"`,
+          file: { id: duplicate._id, title: duplicate.title }
+        }))
       }
+    });
+  } catch (error) {
+    console.error('❌ New version upload error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to upload new version',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  } finally {
+    cleanupTempFiles(tempFilePaths);
+    releaseQuota(quotaReservation);
+  }
+};
+
+// Version history of a material, newest first. Storage details are shown to the owner and admins only.
+export const getFileVersions = async (req, res) => {
+  try {
+    const { fileId } = req.params;
+
+    const file = await File.findById(fileId).select('+versions');
+
+    // Same visibility as the download: unverified materials only for their uploader and admins
+    if (!file || !canAccessFile(file, req.user)) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found'
+      });
     }
+
+    const canSeeStorage = isOwnerOrAdmin(file, req.user);
+    const history = file.versions?.length ? file.versions.map(version => version.toObject()) : [snapshotVersion(file)];
+
+    const versions = history
+      .sort((a, b) => b.version - a.version)
+      .map(({ fileUrl, storage, contentHash, uploadedBy, ...version }) => ({
+        ...version,
+        current: version.version === (file.version || 1),
+        ...(canSeeStorage && { storage, contentHash })
+      }));
+
+    res.json({
+      success: true,
+      data: {
+        fileId: file._id,
+        currentVersion: file.version || 1,
+        versions
+      }
+    });
+  } catch (error) {
+    console.error('❌ Get file versions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch file versions'
+    });
   }
 };
 
@@ -373,36 +753,60 @@ export const uploadMaterial = async (req, res) => {
 export const getFilesByCategory = async (req, res) => {
   try {
     const { category } = req.params;
-    const { page = 1, limit = 20 } = req.query;
+    const { page = 1, limit = 20, sort, facets: includeFacets = 'true' } = req.query;
 
-    const filter = {
-      'moderation.approved': true,
-      'category.type': category
-    };
+    const sortMode = resolveSortMode(sort, false);
+    if (!sortMode) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid sort. Use one of: ${VALID_SORT_MODES.join(', ')}`
+      });
+    }
+
+    // The path category wins over a `category` query param
+    const { baseFilter, facetFilters } = buildFileFilter(
+      { ...req.query, category },
+      { 'moderation.approved': true, 'verification.status': 'verified' }
+    );
+    const filter = combineFilters(baseFilter, facetFilters);
+
+    const facets = includeFacets !== 'false'
+      ? await getFileFacets(baseFilter, facetFilters)
+      : undefined;
+
+    // Cursor mode: stable infinite scroll, no count query
+    const cursorQuery = parseCursorQuery(req.query);
+    if (cursorQuery.enabled) {
+      const result = await findFilesByCursor(filter, { ...cursorQuery, sort: sortMode });
+      if (!result) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid cursor'
+        });
+      }
+
+      return res.json({
+        success: true,
+        data: {
+          category: getCategoryFolder(category),
+          files: (await attachUploaders(result.items)).map(toPublicFile),
+          facets,
+          pagination: result.pagination
+        }
+      });
+    }
 
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
     // Get files first
     const files = await File.find(filter)
-      .sort({ createdAt: -1 })
+      .sort(getSortSpec(sortMode))
       .skip(skip)
       .limit(parseInt(limit))
       .lean();
 
     // Get uploader information using robust UID lookup
-    const uploaderUIDs = [...new Set(files.map(file => file.uploadedBy))];
-    const uploaders = await User.find({ uid: { $in: uploaderUIDs } }).lean();
-    
-    const uploaderMap = uploaders.reduce((acc, user) => {
-      acc[user.uid] = user;
-      return acc;
-    }, {});
-
-    // Add uploader info to each file
-    const filesWithUploaders = files.map(file => ({
-      ...file,
-      uploader: uploaderMap[file.uploadedBy] || null
-    }));
+    const filesWithUploaders = (await attachUploaders(files)).map(toPublicFile);
 
     const total = await File.countDocuments(filter);
 
@@ -411,6 +815,7 @@ export const getFilesByCategory = async (req, res) => {
       data: {
         category: getCategoryFolder(category),
         files: filesWithUploaders,
+        facets,
         pagination: {
           current: parseInt(page),
           total: Math.ceil(total / parseInt(limit)),
@@ -435,60 +840,65 @@ export const getFiles = async (req, res) => {
   console.log('📥 Files API called');
   try {
     const {
-      category,
-      course,
-      semester,
-      subject,
       search,
+      sort,
       page = 1,
-      limit = 20
+      limit = 20,
+      facets: includeFacets = 'true'
     } = req.query;
 
+    const sortMode = resolveSortMode(sort, Boolean(search));
+    if (!sortMode) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid sort. Use one of: ${VALID_SORT_MODES.join(', ')}`
+      });
+    }
+
     // Build filter
-    const filter = { 
+    const { baseFilter, facetFilters } = buildFileFilter(req.query, {
       'moderation.approved': true,
       'verification.status': 'verified' // NEW: Only show verified materials
-    };
-    if (category) filter['category.type'] = category;
-    if (course) filter['category.branch'] = new RegExp(course, 'i');
-    if (semester) filter['category.semester'] = semester;
-    if (subject) filter['category.subject'] = new RegExp(subject, 'i');
+    });
+    const filter = combineFilters(baseFilter, facetFilters);
+
+    // Per-value counts for the sidebar filters ("Semester 3 (42)")
+    const facets = includeFacets !== 'false'
+      ? await getFileFacets(baseFilter, facetFilters)
+      : undefined;
+
+    // Cursor mode: stable infinite scroll, no count query
+    const cursorQuery = parseCursorQuery(req.query);
+    if (cursorQuery.enabled) {
+      const result = await findFilesByCursor(filter, { ...cursorQuery, sort: sortMode });
+      if (!result) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid cursor'
+        });
+      }
 
-    if (search) {
-      filter.$or = [
-        { title: new RegExp(search, 'i') },
-        { 'category.subject': new RegExp(search, 'i') },
-        { 'metadata.course': new RegExp(search, 'i') },
-        { tags: { $in: [new RegExp(search, 'i')] } }
-      ];
+      return res.json({
+        success: true,
+        data: {
+          files: (await attachUploaders(result.items)).map(toPublicFile),
+          facets,
+          pagination: result.pagination
+        }
+      });
     }
 
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
-    // Get the files first
-    const files = await File.find(filter)
-      .sort({ createdAt: -1 })
+    // Get the files first (best matches first when searching, unless another sort is chosen)
+    const files = await File.find(filter, search ? { score: { $meta: 'textScore' } } : {})
+      .sort(getSortSpec(sortMode))
       .skip(skip)
       .limit(parseInt(limit))
       .lean();
 
-    // Get unique uploader UIDs
-    const uploaderUIDs = [...new Set(files.map(file => file.uploadedBy))];
-    
-    // Fetch all uploaders in one query
-    const uploaders = await User.find({ uid: { $in: uploaderUIDs } }).lean();
-    
-    // Create a lookup map
-    const uploaderMap = uploaders.reduce((acc, user) => {
-      acc[user.uid] = user;
-      return acc;
-    }, {});
-
-    // Add uploader info to each file
-    const filesWithUploaders = files.map(file => ({
-      ...file,
-      uploader: uploaderMap[file.uploadedBy] || null
-    }));
+    // Get uploader information using robust UID lookup
+    const filesWithUploaders = (await attachUploaders(files)).map(toPublicFile);
 
     const total = await File.countDocuments(filter);
 
@@ -498,6 +908,7 @@ export const getFiles = async (req, res) => {
       success: true,
       data: {
         files: filesWithUploaders,
+        facets,
         pagination: {
           current: parseInt(page),
           total: Math.ceil(total / parseInt(limit)),
@@ -518,39 +929,166 @@ export const getFiles = async (req, res) => {
   }
 };
 
+// Full-text search across title, subject, tags and extracted document text
+export const searchFiles = async (req, res) => {
+  try {
+    const {
+      q,
+      search,
+      sort,
+      page = 1,
+      limit = 20,
+      facets: includeFacets = 'true'
+    } = req.query;
+
+    const query = (q || search || '').trim();
+    if (!query) {
+      return res.status(400).json({
+        success: false,
+        message: 'Search query is required'
+      });
+    }
+
+    const sortMode = resolveSortMode(sort, true);
+    if (!sortMode) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid sort. Use one of: ${VALID_SORT_MODES.join(', ')}`
+      });
+    }
+
+    console.log('🔎 Searching files for:', query);
+
+    const { baseFilter, facetFilters } = buildFileFilter({ ...req.query, search: query }, {
+      'moderation.approved': true,
+      'verification.status': 'verified'
+    });
+    const filter = combineFilters(baseFilter, facetFilters);
+
+    const facets = includeFacets !== 'false'
+      ? await getFileFacets(baseFilter, facetFilters)
+      : undefined;
+
+    // Build snippets from the full text, then drop it from the payload
+    const terms = parseSearchTerms(query);
+    const toResults = async (files) => (await attachUploaders(files))
+      .map(file => ({
+        ...toPublicFile(file),
+        snippets: buildSnippets(file, terms)
+      }));
+
+    // Cursor mode pages by relevance score (or the chosen sort key)
+    const cursorQuery = parseCursorQuery(req.query);
+    if (cursorQuery.enabled) {
+      const result = await findFilesByCursor(filter, { ...cursorQuery, sort: sortMode });
+      if (!result) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid cursor'
+        });
+      }
+
+      return res.json({
+        success: true,
+        data: {
+          query,
+          files: await toResults(result.items),
+          facets,
+          pagination: result.pagination
+        }
+      });
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const files = await File.find(filter, { score: { $meta: 'textScore' } })
+      .sort(getSortSpec(sortMode))
+      .skip(skip)
+      .limit(parseInt(limit))
+      .lean();
+
+    const results = await toResults(files);
+    const total = await File.countDocuments(filter);
+
+    console.log('✅ Search results:', results.length);
+
+    res.json({
+      success: true,
+      data: {
+        query,
+        files: results,
+        facets,
+        pagination: {
+          current: parseInt(page),
+          total: Math.ceil(total / parseInt(limit)),
+          hasNext: skip + results.length < total,
+          count: results.length,
+          totalItems: total
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Search files error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Search failed'
+    });
+  }
+};
+
+// Increment stats (downloads also feed the trending score and analytics) and the user's download count if logged in
+const countDownload = async (file, user) => {
+  await recordFileActivity(file._id, 'download', { owner: file.uploadedBy, user: user?.uid });
+  if (user) {
+    await User.findByIdAndUpdate(user._id, {
+      $inc: { downloadCount: 1 }
+    });
+  }
+};
+
+// attachment/inline with the original file name (ASCII fallback + RFC 5987 UTF-8 name)
+const contentDisposition = (type, fileName) => {
+  const fallback = fileName.replace(/[^\x20-\x7e]|["\\]/g, '_');
+  const encoded = encodeURIComponent(fileName).replace(/['()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+  return `${type}; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+};
+
 export const getFileDownload = async (req, res) => {
   try {
     const { fileId } = req.params;
 
     const file = await File.findById(fileId);
 
-    if (!file) {
+    // Deleted materials are not found; unverified ones are hidden from everyone but their uploader and admins
+    if (!file || !canAccessFile(file, req.user)) {
       return res.status(404).json({
         success: false,
         message: 'File not found'
       });
     }
 
-    // Increment stats
-    await File.findByIdAndUpdate(fileId, {
-      $inc: {
-        'stats.downloadCount': 1,
-        'stats.views': 1
-      }
-    });
-
-    // Update user download count if logged in
-    if (req.user) {
-      await User.findByIdAndUpdate(req.user._id, {
-        $inc: { downloadCount: 1 }
+    if (file.storage.purgedAt) {
+      return res.status(410).json({
+        success: false,
+        message: 'This file has been removed from storage'
       });
     }
 
+    const { url, expiresAt } = await getSignedDownloadUrl(file);
+
+    if (DOWNLOAD_COUNTING === 'link') {
+      await countDownload(file, req.user);
+    }
+
     res.json({
       success: true,
       data: {
-        downloadUrl: file.fileUrl,
+        downloadUrl: url,
+        expiresAt,
+        streamUrl: `/api/files/${file._id}/stream`,
         fileName: file.fileName,
+        version: file.version || 1,
         fileSize: file.fileSize,
         title: file.title
       }
@@ -565,6 +1103,317 @@ export const getFileDownload = async (req, res) => {
   }
 };
 
+// Download proxy: pipes the stored file through the API with Range support (resumable downloads,
+// PDF viewers). Query: inline=true to display instead of download (never counted).
+export const streamFile = async (req, res) => {
+  try {
+    const { fileId } = req.params;
+
+    const file = await File.findById(fileId);
+    if (!file || !canAccessFile(file, req.user)) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found'
+      });
+    }
+
+    if (file.storage.purgedAt) {
+      return res.status(410).json({
+        success: false,
+        message: 'This file has been removed from storage'
+      });
+    }
+
+    const inline = req.query.inline === 'true' || req.query.inline === '1';
+    // Multiple ranges are not supported; such requests get the whole file (allowed by RFC 9110)
+    const rangeHeader = req.get('range');
+    const range = rangeHeader && SINGLE_BYTE_RANGE.test(rangeHeader) ? rangeHeader : null;
+
+    const upstream = await openFileStream(file, { range });
+
+    res.set({
+      'Accept-Ranges': 'bytes',
+      'Content-Type': file.fileType || 'application/octet-stream',
+      'Content-Disposition': contentDisposition(inline ? 'inline' : 'attachment', file.fileName),
+      // no-transform keeps the compression middleware from re-encoding the bytes (breaks ranges)
+      'Cache-Control': 'private, no-transform',
+      'X-Content-Type-Options': 'nosniff'
+    });
+
+    if (upstream.status === 416) {
+      res.set('Content-Range', upstream.contentRange || `bytes */${file.fileSize}`);
+      return res.status(416).end();
+    }
+
+    if (upstream.contentLength) res.set('Content-Length', String(upstream.contentLength));
+    if (upstream.contentRange) res.set('Content-Range', upstream.contentRange);
+    res.status(upstream.status);
+
+    // Count once enough bytes went out in this response (see downloadCountThreshold), so prefetches,
+    // viewer range fetches and aborted downloads don't count
+    const threshold = downloadCountThreshold(upstream.contentRange, file.fileSize, {
+      minRatio: DOWNLOAD_COUNT_MIN_RATIO,
+      resumeMinRatio: DOWNLOAD_RESUME_MIN_RATIO
+    });
+    let sent = 0;
+    let counted = inline || DOWNLOAD_COUNTING !== 'stream' || threshold === null;
+    upstream.stream.on('data', chunk => {
+      sent += chunk.length;
+      if (!counted && sent >= threshold) {
+        counted = true;
+        countDownload(file, req.user).catch(error => {
+          console.error('❌ Failed to count download:', error.message);
+        });
+      }
+    });
+
+    upstream.stream.on('error', error => {
+      console.error('❌ Download stream error:', error.message);
+      res.destroy(error);
+    });
+    // Client went away: stop pulling from storage
+    res.on('close', () => upstream.stream.destroy());
+
+    upstream.stream.pipe(res);
+  } catch (error) {
+    console.error('❌ Stream download error:', error);
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Download failed'
+    });
+  }
+};
+
+// { title, category, course, subject, semester, professorName, year, tags } of a metadata edit
+const parseMaterialUpdate = (body = {}) => {
+  const updates = {};
+  const text = (value) => (typeof value === 'string' || typeof value === 'number' ? String(value).trim() : null);
+
+  for (const field of ['title', 'course', 'subject', 'semester']) {
+    if (body[field] === undefined) continue;
+    const value = text(body[field]);
+    if (!value) return { error: `${field} cannot be empty` };
+    updates[field] = value;
+  }
+  if (updates.title?.length > MAX_TITLE_LENGTH) {
+    return { error: `title must be at most ${MAX_TITLE_LENGTH} characters` };
+  }
+
+  if (body.category !== undefined) {
+    const categories = File.schema.path('category.type').enumValues;
+    if (!categories.includes(body.category)) {
+      return { error: `category must be one of: ${categories.join(', ')}` };
+    }
+    updates.category = body.category;
+  }
+
+  if (body.professorName !== undefined) {
+    updates.professorName = text(body.professorName) || null;
+  }
+
+  if (body.year !== undefined) {
+    const year = Number(body.year);
+    if (!Number.isInteger(year) || year < 1950 || year > new Date().getFullYear() + 1) {
+      return { error: 'year must be a valid year' };
+    }
+    updates.year = year;
+  }
+
+  if (body.tags !== undefined) {
+    const tags = Array.isArray(body.tags) ? body.tags : String(body.tags).split(',');
+    const cleaned = tags.map(tag => String(tag).trim()).filter(Boolean);
+    if (cleaned.length > MAX_TAGS || cleaned.some(tag => tag.length > MAX_TAG_LENGTH)) {
+      return { error: `Up to ${MAX_TAGS} tags of at most ${MAX_TAG_LENGTH} characters are allowed` };
+    }
+    updates.tags = cleaned;
+  }
+
+  if (Object.keys(updates).length === 0) {
+    return { error: 'Nothing to update. Editable fields: title, category, course, subject, semester, professorName, year, tags' };
+  }
+  return { updates };
+};
+
+// Fields a metadata edit can change, for the audit log
+const editableSnapshot = (file) => ({
+  title: file.title,
+  category: {
+    type: file.category.type,
+    branch: file.category.branch,
+    semester: file.category.semester,
+    subject: file.category.subject
+  },
+  metadata: {
+    course: file.metadata.course,
+    professorName: file.metadata.professorName,
+    year: file.metadata.year
+  },
+  tags: [...file.tags]
+});
+
+const formatEditedMaterial = (file) => ({
+  id: file._id,
+  title: file.title,
+  category: file.category,
+  metadata: file.metadata,
+  tags: file.tags
+});
+
+// Edit the metadata of a material (owner or admin). Derived tags are rebuilt,
+// the stored file moves folder when the category changes and the edit is audited.
+export const updateMaterial = async (req, res) => {
+  try {
+    const { fileId } = req.params;
+
+    const { updates, error } = parseMaterialUpdate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const file = await File.findById(fileId).select('+versions');
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found'
+      });
+    }
+
+    const isAdmin = req.user.role === 'admin' || isAdminUser(req.user);
+    if (file.uploadedBy !== req.user.uid && !isAdmin) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only edit your own files'
+      });
+    }
+
+    const before = editableSnapshot(file);
+    const previousCategory = file.category.type;
+
+    // Tags the uploader added themselves survive unless new ones are given
+    const derivedTags = new Set(buildTags(tagFields(file)));
+    const extraTags = updates.tags ?? file.tags.filter(tag => !derivedTags.has(tag));
+
+    if (updates.title) file.title = updates.title;
+    if (updates.category) file.category.type = updates.category;
+    if (updates.course) {
+      file.category.branch = updates.course;
+      file.metadata.course = updates.course;
+    }
+    if (updates.subject) file.category.subject = updates.subject;
+    if (updates.semester) file.category.semester = updates.semester;
+    if (updates.professorName !== undefined) file.metadata.professorName = updates.professorName;
+    if (updates.year) file.metadata.year = updates.year;
+    file.tags = buildTags(tagFields(file), extraTags);
+
+    const changes = diffChanges(before, editableSnapshot(file));
+    if (changes.length === 0) {
+      return res.json({
+        success: true,
+        message: 'No changes',
+        data: { file: formatEditedMaterial(file), changes }
+      });
+    }
+
+    await file.validate();
+
+    // The category decides the storage folder (getCategoryFolder), so the file follows it
+    let movedTo = null;
+    let moved = null;
+    if (file.isModified('category.type') && !file.storage.purgedAt) {
+      // A running extraction reads the file from its current location
+      const runningExtraction = await Job.exists({ file: file._id, type: EXTRACT_TEXT_JOB, status: 'running' });
+      if (runningExtraction) {
+        return res.status(409).json({
+          success: false,
+          message: 'Text extraction of this material is still running. Please try again in a moment.'
+        });
+      }
+
+      const folder = getCategoryFolder(file.category.type);
+      try {
+        moved = await moveFile(file.storage.publicId, file.storage.provider, folder, { access: file.storage.access });
+      } catch (moveError) {
+        console.error('❌ Failed to move file to new category folder:', moveError.message);
+        return res.status(502).json({
+          success: false,
+          message: 'Failed to move the file to the new category folder. Please try again.'
+        });
+      }
+
+      if (moved) {
+        movedTo = folder;
+        file.fileUrl = moved.fileUrl;
+        file.storage.publicId = moved.publicId;
+        const current = file.versions?.find(entry => entry.version === (file.version || 1));
+        if (current) {
+          current.fileUrl = moved.fileUrl;
+          current.storage.publicId = moved.publicId;
+        }
+      }
+    }
+
+    try {
+      await file.save();
+    } catch (saveError) {
+      // The record still points at the old location: put the file back there
+      if (moved) {
+        await moveFile(moved.publicId, file.storage.provider, getCategoryFolder(previousCategory), { access: file.storage.access })
+          .catch(moveError => console.error('❌ Failed to move file back after a failed update:', moveError.message));
+      }
+      throw saveError;
+    }
+
+    // Retrieval chunks copy the category and metadata for filtering
+    const classificationChanged = changes.some(change => change.field.startsWith('category.') || change.field.startsWith('metadata.'));
+    if (classificationChanged && file.extractionStatus === 'success') {
+      try {
+        await enqueueChunkIndexing(file);
+      } catch (queueError) {
+        console.error('❌ Failed to queue chunk re-indexing:', queueError.message);
+      }
+    }
+
+    await recordAudit(req, {
+      action: 'material.update',
+      targetType: 'material',
+      targetId: file._id,
+      targetLabel: file.title,
+      before,
+      after: editableSnapshot(file),
+      metadata: movedTo ? { movedTo } : null
+    });
+
+    console.log(`✏️ "${file.title}" updated by ${req.user.email}:`, changes.map(change => change.field).join(', '));
+
+    res.json({
+      success: true,
+      message: 'File updated successfully',
+      data: {
+        file: formatEditedMaterial(file),
+        changes
+      }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+    console.error('❌ Update file error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update file'
+    });
+  }
+};
+
 // Add bookmark functionality
 export const addBookmark = async (req, res) => {
   try {
@@ -636,6 +1485,39 @@ export const getUserBookmarks = async (req, res) => {
     const userId = req.user._id;
     const { page = 1, limit = 20 } = req.query;
 
+    // Cursor mode: page bookmarked files by createdAt/_id
+    const cursorQuery = parseCursorQuery(req.query);
+    if (cursorQuery.enabled) {
+      const cursor = cursorQuery.token ? decodeCursor(cursorQuery.token, 'createdAt') : null;
+      if (cursorQuery.token && !cursor) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid cursor'
+        });
+      }
+
+      const filter = {
+        _id: { $in: req.user.bookmarks },
+        'moderation.approved': true,
+        ...(cursor ? buildCursorFilter(cursor) : {})
+      };
+
+      const rows = await File.find(filter)
+        .sort({ createdAt: -1, _id: -1 })
+        .limit(cursorQuery.limit + 1)
+        .lean();
+
+      const { items, pagination } = buildCursorPage(rows, cursorQuery.limit, 'createdAt');
+
+      return res.json({
+        success: true,
+        data: {
+          files: items.map(toPublicFile),
+          pagination
+        }
+      });
+    }
+
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
     const user = await User.findById(userId)
@@ -649,7 +1531,7 @@ export const getUserBookmarks = async (req, res) => {
         }
       });
 
-    const bookmarks = user.bookmarks.filter(bookmark => bookmark !== null);
+    const bookmarks = user.bookmarks.filter(bookmark => bookmark !== null).map(toPublicFile);
     const total = await User.findById(userId).then(u => u.bookmarks.length);
 
     res.json({
@@ -705,9 +1587,7 @@ export const addStar = async (req, res) => {
       $addToSet: { stars: fileId }
     });
 
-    await File.findByIdAndUpdate(fileId, {
-      $inc: { 'stats.starCount': 1 }
-    });
+    await recordFileActivity(fileId, 'star');
 
     res.json({
       success: true,
@@ -728,14 +1608,15 @@ export const removeStar = async (req, res) => {
     const { fileId } = req.params;
     const userId = req.user._id;
 
-    // Remove star from user and decrement file star count
-    await User.findByIdAndUpdate(userId, {
-      $pull: { stars: fileId }
-    });
+    // Remove star from user and decrement file star count (only if it was starred)
+    const result = await User.updateOne(
+      { _id: userId, stars: fileId },
+      { $pull: { stars: fileId } }
+    );
 
-    await File.findByIdAndUpdate(fileId, {
-      $inc: { 'stats.starCount': -1 }
-    });
+    if (result.modifiedCount > 0) {
+      await recordFileActivity(fileId, 'unstar');
+    }
 
     res.json({
       success: true,
@@ -769,7 +1650,7 @@ export const getUserStars = async (req, res) => {
         }
       });
 
-    const stars = user.stars.filter(star => star !== null);
+    const stars = user.stars.filter(star => star !== null).map(toPublicFile);
     const total = await User.findById(userId).then(u => u.stars.length);
 
     res.json({
@@ -817,40 +1698,20 @@ export const deleteMaterial = async (req, res) => {
       });
     }
 
-    console.log('🗑️ Deleting file:', {
-      title: file.title,
-      publicId: file.storage.publicId,
-      provider: file.storage.provider
-    });
-
-    // Delete from Cloudinary
-    try {
-      await deleteFile(file.storage.publicId, file.storage.provider);
-      console.log('✅ File deleted from Cloudinary:', file.storage.publicId);
-    } catch (cloudinaryError) {
-      console.error('❌ Cloudinary deletion failed:', cloudinaryError);
-      // Continue with database deletion even if Cloudinary fails
-    }
-
-    // Delete from database
-    await File.findByIdAndDelete(fileId);
+    // Move to the trash; storage, text and bookmarks are removed by the purge job
+    await file.softDelete(req.user.uid);
 
     // Update user's upload count
     await User.findByIdAndUpdate(userId, {
       $inc: { uploadCount: -1 }
     });
 
-    // Remove from all users' bookmarks
-    await User.updateMany(
-      { bookmarks: fileId },
-      { $pull: { bookmarks: fileId } }
-    );
-
-    console.log('✅ File deleted successfully:', file.title);
+    console.log('🗑️ File moved to trash:', file.title);
 
     res.json({
       success: true,
-      message: 'File deleted successfully'
+      message: `File moved to trash. It can be restored until ${file.purgeAfter.toISOString()}`,
+      data: { purgeAfter: file.purgeAfter }
     });
 
   } catch (error) {
@@ -0,0 +1,138 @@
+import File from '../models/File.js';
+import { isAdminUser } from '../middleware/adminAuth.js';
+import { formatInsights } from '../services/insightsService.js';
+import { findAccessibleFile } from '../services/fileQueryService.js';
+import { enqueueInsights, isInsightsGenerationAvailable } from '../jobs/insightsJob.js';
+import { recordAudit } from '../services/auditService.js';
+
+// Insights need extracted text and a configured provider; returns the error response to send, if any
+const insightsUnavailable = (res, file) => {
+  if (file.extractionStatus !== 'success') {
+    return res.status(409).json({
+      success: false,
+      message: 'Insights need extracted text; text extraction has not succeeded for this material'
+    });
+  }
+  if (!isInsightsGenerationAvailable()) {
+    return res.status(503).json({
+      success: false,
+      message: 'No text generation provider is configured'
+    });
+  }
+  return null;
+};
+
+// Summary, key topics and flashcards of a material
+export const getFileInsights = async (req, res) => {
+  try {
+    const file = await findAccessibleFile(req.params.fileId, req.user, 'title extractionStatus insights');
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        fileId: file._id,
+        title: file.title,
+        extractionStatus: file.extractionStatus,
+        insights: formatInsights(file.insights)
+      }
+    });
+  } catch (error) {
+    console.error('❌ Get insights error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch insights'
+    });
+  }
+};
+
+// Generate insights before verification (the uploader or an admin); verified materials get them automatically
+export const requestInsights = async (req, res) => {
+  try {
+    const file = await findAccessibleFile(req.params.fileId, req.user, 'title extractionStatus insights');
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found'
+      });
+    }
+
+    const isOwner = file.uploadedBy === req.user.uid;
+    const isAdmin = req.user.role === 'admin' || isAdminUser(req.user);
+    if (!isOwner && !isAdmin) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the uploader or an admin can request insights'
+      });
+    }
+
+    if (insightsUnavailable(res, file)) return;
+
+    const job = await enqueueInsights(file);
+
+    res.status(202).json({
+      success: true,
+      message: 'Insights generation queued',
+      data: {
+        fileId: file._id,
+        jobId: job._id
+      }
+    });
+  } catch (error) {
+    console.error('❌ Request insights error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to queue insights generation'
+    });
+  }
+};
+
+// ✅ ADMIN ONLY: Generate the insights of a material again
+export const regenerateInsights = async (req, res) => {
+  try {
+    const file = await File.findById(req.params.materialId).select('title extractionStatus insights');
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        message: 'Material not found'
+      });
+    }
+
+    if (insightsUnavailable(res, file)) return;
+
+    const job = await enqueueInsights(file, { force: true });
+
+    await recordAudit(req, {
+      action: 'material.regenerate-insights',
+      targetType: 'material',
+      targetId: file._id,
+      targetLabel: file.title,
+      metadata: { jobId: job._id }
+    });
+
+    console.log('💡 Insights regeneration queued:', {
+      fileId: file._id,
+      requestedBy: req.user.email
+    });
+
+    res.status(202).json({
+      success: true,
+      message: 'Insights generation queued',
+      data: {
+        fileId: file._id,
+        jobId: job._id
+      }
+    });
+  } catch (error) {
+    console.error('❌ Regenerate insights error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to queue insights generation'
+    });
+  }
+};
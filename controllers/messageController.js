@@ -1,4 +1,7 @@
 import Message from '../models/Message.js';
+import { isAdminUser } from '../middleware/adminAuth.js';
+import { recordAudit } from '../services/auditService.js';
+import { parseCursorQuery, decodeCursor, buildCursorFilter, buildCursorPage } from '../utils/cursor.js';
 
 // Create new message (for users)
 export const createMessage = async (req, res) => {
@@ -111,13 +114,38 @@ export const getAllMessages = async (req, res) => {
     if (category && category !== 'all') filter.category = category;
     if (priority && priority !== 'all') filter.priority = priority;
 
-    const messages = await Message.find(filter)
-      .sort({ createdAt: -1 })
-      .limit(limit * 1)
-      .skip((page - 1) * limit)
-      .select('-__v');
+    // Cursor mode: keyset on createdAt/_id instead of skip + count
+    const cursorQuery = parseCursorQuery(req.query);
+    let cursorPagination = null;
+    let messages;
+    let total = null;
+
+    if (cursorQuery.enabled) {
+      const cursor = cursorQuery.token ? decodeCursor(cursorQuery.token, 'createdAt') : null;
+      if (cursorQuery.token && !cursor) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid cursor'
+        });
+      }
 
-    const total = await Message.countDocuments(filter);
+      const rows = await Message.find(cursor ? { ...filter, ...buildCursorFilter(cursor) } : filter)
+        .sort({ createdAt: -1, _id: -1 })
+        .limit(cursorQuery.limit + 1)
+        .select('-__v');
+
+      const page = buildCursorPage(rows, cursorQuery.limit, 'createdAt');
+      messages = page.items;
+      cursorPagination = page.pagination;
+    } else {
+      messages = await Message.find(filter)
+        .sort({ createdAt: -1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit)
+        .select('-__v');
+
+      total = await Message.countDocuments(filter);
+    }
 
     // Get statistics
     const stats = await Message.aggregate([
@@ -144,7 +172,7 @@ export const getAllMessages = async (req, res) => {
       success: true,
       messages,
       stats: statusStats,
-      pagination: {
+      pagination: cursorPagination || {
         page: parseInt(page),
         limit: parseInt(limit),
         total,
@@ -175,6 +203,8 @@ export const updateMessageStatus = async (req, res) => {
       });
     }
 
+    const before = message.toObject();
+
     // Update fields
     if (status) message.status = status;
     if (priority) message.priority = priority;
@@ -187,6 +217,15 @@ export const updateMessageStatus = async (req, res) => {
     message.updatedAt = new Date();
     await message.save();
 
+    await recordAudit(req, {
+      action: adminResponse ? 'message.respond' : 'message.update',
+      targetType: 'message',
+      targetId: message._id,
+      targetLabel: message.subject,
+      before,
+      after: message
+    });
+
     console.log('📝 Message status updated:', {
       id: messageId,
       newStatus: status,
@@ -236,7 +275,7 @@ export const deleteMessage = async (req, res) => {
   try {
     const { messageId } = req.params;
     const userEmail = req.user.email;
-    const isAdmin = req.user.role === 'admin';
+    const isAdmin = req.user.role === 'admin' || isAdminUser(req.user);
 
     const message = await Message.findById(messageId);
     if (!message) {
@@ -254,9 +293,20 @@ export const deleteMessage = async (req, res) => {
       });
     }
 
-    await Message.findByIdAndDelete(messageId);
+    // Move to the trash; the purge job removes it after the retention period
+    await message.softDelete(req.user.uid);
+
+    if (isAdmin && message.userEmail !== userEmail) {
+      await recordAudit(req, {
+        action: 'message.delete',
+        targetType: 'message',
+        targetId: message._id,
+        targetLabel: message.subject,
+        before: message
+      });
+    }
 
-    console.log('🗑️ Message deleted:', {
+    console.log('🗑️ Message moved to trash:', {
       id: messageId,
       subject: message.subject.substring(0, 50),
       deletedBy: userEmail,
@@ -265,7 +315,8 @@ export const deleteMessage = async (req, res) => {
 
     res.json({
       success: true,
-      message: 'Message deleted successfully'
+      message: `Message moved to trash. It can be restored until ${message.purgeAfter.toISOString()}`,
+      data: { purgeAfter: message.purgeAfter }
     });
   } catch (error) {
     console.error('Error deleting message:', error);
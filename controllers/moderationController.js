@@ -0,0 +1,549 @@
+import mongoose from 'mongoose';
+import File from '../models/File.js';
+import { buildFileFilter, combineFilters, attachUploaders } from '../services/fileQueryService.js';
+import { recordAudit } from '../services/auditService.js';
+import { getPurgeDate } from '../utils/softDelete.js';
+import { enqueueInsightsAfterVerification } from '../jobs/insightsJob.js';
+
+// Predefined rejection reasons shown to uploaders (code → message)
+export const REJECTION_REASONS = {
+  duplicate: 'Duplicate of an existing material',
+  'wrong-category': 'Wrong category, subject or semester',
+  'poor-quality': 'Unreadable or poor quality scan',
+  incomplete: 'Incomplete material',
+  copyright: 'Copyrighted content that cannot be shared',
+  irrelevant: 'Not study material',
+  other: 'Other'
+};
+
+const CLAIM_DURATION_MS = Number(process.env.REVIEW_CLAIM_MINUTES || 15) * 60 * 1000;
+const MAX_BULK_ITEMS = 100;
+const MAX_NOTE_LENGTH = 2000;
+const QUEUE_STATUSES = ['pending', 'verified', 'rejected'];
+
+// Materials nobody else is reviewing right now (no claim, an expired claim, or the admin's own)
+const claimFreeFilter = (uid, now = new Date()) => ({
+  $or: [
+    { 'review.claimedBy': null },
+    { 'review.claimExpiresAt': { $lte: now } },
+    { 'review.claimedBy': uid }
+  ]
+});
+
+const CLEAR_CLAIM = {
+  'review.claimedBy': null,
+  'review.claimedByEmail': null,
+  'review.claimExpiresAt': null
+};
+
+const formatReview = (review, uid, now = new Date()) => {
+  const claimed = review?.claimedBy && review.claimExpiresAt > now;
+  return {
+    claim: claimed
+      ? {
+        by: review.claimedBy,
+        email: review.claimedByEmail,
+        expiresAt: review.claimExpiresAt,
+        mine: review.claimedBy === uid
+      }
+      : null,
+    notes: review?.notes || []
+  };
+};
+
+// Explain why a material could not be claimed or decided on
+const conflictResponse = async (res, materialId, uid) => {
+  const material = await File.findById(materialId).select('verification.status storage.purgedAt +review').lean();
+  if (!material) {
+    return res.status(404).json({
+      success: false,
+      message: 'Material not found'
+    });
+  }
+  if (material.storage?.purgedAt) {
+    return res.status(410).json({
+      success: false,
+      message: 'The rejected file has already been removed from storage'
+    });
+  }
+
+  const { claim } = formatReview(material.review, uid);
+  if (claim && !claim.mine) {
+    return res.status(409).json({
+      success: false,
+      message: `Material is being reviewed by ${claim.email}`,
+      data: { claim }
+    });
+  }
+
+  return res.status(409).json({
+    success: false,
+    message: `Material is already ${material.verification?.status}`
+  });
+};
+
+// { reasonCode, reason } → verification fields; legacy clients send only `reason`
+const parseRejection = (body = {}) => {
+  const reason = typeof body.reason === 'string' ? body.reason.trim() : '';
+  const code = body.reasonCode || 'other';
+
+  if (!Object.hasOwn(REJECTION_REASONS, code)) {
+    return { error: `reasonCode must be one of: ${Object.keys(REJECTION_REASONS).join(', ')}` };
+  }
+  if (code === 'other' && !reason && body.reasonCode) {
+    return { error: 'A reason is required when reasonCode is "other"' };
+  }
+
+  return {
+    update: {
+      'verification.rejectionCode': code,
+      'verification.rejectionReason': reason || (code === 'other' ? 'No reason provided' : REJECTION_REASONS[code])
+    }
+  };
+};
+
+// Rejected files stay in storage for the retention period (a wrong rejection can be
+// reversed by verifying), then the purge job removes them
+const decisionUpdate = (status, uid, extra = {}) => ({
+  'verification.status': status,
+  'verification.verifiedBy': uid,
+  'verification.verifiedAt': new Date(),
+  purgeAfter: status === 'rejected' ? getPurgeDate() : null,
+  ...extra,
+  ...CLEAR_CLAIM
+});
+
+// ✅ ADMIN ONLY: Predefined rejection reasons
+export const getRejectionReasons = (req, res) => {
+  res.json({
+    success: true,
+    data: Object.entries(REJECTION_REASONS).map(([code, label]) => ({ code, label }))
+  });
+};
+
+// ✅ ADMIN ONLY: Moderation queue (oldest first) with uploader info, claims and reviewer notes
+// Query: status, claimed=mine|unclaimed|others, sort=oldest|newest, page, limit,
+// plus the listing filters of GET /api/files (category, branch, semester, subject, college, search...)
+export const getModerationQueue = async (req, res) => {
+  try {
+    const { status = 'pending', claimed, sort = 'oldest', page = 1, limit = 20 } = req.query;
+
+    if (!QUEUE_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `status must be one of: ${QUEUE_STATUSES.join(', ')}`
+      });
+    }
+
+    const now = new Date();
+    const { baseFilter, facetFilters } = buildFileFilter(req.query, { 'verification.status': status });
+    const filter = combineFilters(baseFilter, facetFilters);
+    const claimConditions = {
+      mine: { 'review.claimedBy': req.user.uid, 'review.claimExpiresAt': { $gt: now } },
+      unclaimed: { $or: [{ 'review.claimedBy': null }, { 'review.claimExpiresAt': { $lte: now } }] },
+      others: { 'review.claimedBy': { $nin: [null, req.user.uid] }, 'review.claimExpiresAt': { $gt: now } }
+    };
+    if (claimed && claimConditions[claimed]) {
+      filter.$and = [...(filter.$and || []), claimConditions[claimed]];
+    }
+
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+    const [materials, total] = await Promise.all([
+      File.find(filter)
+        .select('-extractedText +review')
+        .sort({ createdAt: sort === 'newest' ? -1 : 1, _id: 1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize)
+        .lean(),
+      File.countDocuments(filter)
+    ]);
+
+    const data = (await attachUploaders(materials)).map(({ review, uploader, ...material }) => ({
+      ...material,
+      uploader: uploader
+        ? { uid: uploader.uid, displayName: uploader.displayName, email: uploader.email, college: uploader.college, uploadCount: uploader.uploadCount }
+        : null,
+      review: formatReview(review, req.user.uid, now)
+    }));
+
+    res.json({
+      success: true,
+      data,
+      count: data.length,
+      pagination: {
+        current: pageNumber,
+        total: Math.ceil(total / pageSize),
+        hasNext: (pageNumber - 1) * pageSize + data.length < total,
+        totalItems: total
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching moderation queue:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch pending materials'
+    });
+  }
+};
+
+// ✅ ADMIN ONLY: Claim a pending material for review (renews the admin's own claim)
+export const claimMaterial = async (req, res) => {
+  try {
+    const { materialId } = req.params;
+    const now = new Date();
+
+    const material = await File.findOneAndUpdate(
+      { _id: materialId, 'verification.status': 'pending', ...claimFreeFilter(req.user.uid, now) },
+      {
+        $set: {
+          'review.claimedBy': req.user.uid,
+          'review.claimedByEmail': req.user.email,
+          'review.claimExpiresAt': new Date(now.getTime() + CLAIM_DURATION_MS)
+        }
+      },
+      { new: true, projection: { title: 1, review: 1 } }
+    ).lean();
+
+    if (!material) {
+      return conflictResponse(res, materialId, req.user.uid);
+    }
+
+    await recordAudit(req, {
+      action: 'material.claim',
+      targetType: 'material',
+      targetId: material._id,
+      targetLabel: material.title,
+      metadata: { expiresAt: material.review.claimExpiresAt }
+    });
+
+    res.json({
+      success: true,
+      message: 'Material claimed for review',
+      data: {
+        materialId: material._id,
+        title: material.title,
+        review: formatReview(material.review, req.user.uid, now)
+      }
+    });
+  } catch (error) {
+    console.error('Error claiming material:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to claim material'
+    });
+  }
+};
+
+// ✅ ADMIN ONLY: Give up the claim on a material
+export const releaseMaterialClaim = async (req, res) => {
+  try {
+    const result = await File.updateOne(
+      { _id: req.params.materialId, 'review.claimedBy': req.user.uid },
+      { $set: CLEAR_CLAIM }
+    );
+
+    if (result.modifiedCount) {
+      await recordAudit(req, {
+        action: 'material.release-claim',
+        targetType: 'material',
+        targetId: req.params.materialId
+      });
+    }
+
+    res.json({
+      success: true,
+      message: result.modifiedCount ? 'Claim released' : 'Material was not claimed by you'
+    });
+  } catch (error) {
+    console.error('Error releasing claim:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to release claim'
+    });
+  }
+};
+
+// ✅ ADMIN ONLY: Add an internal reviewer note (never shown to the uploader)
+export const addReviewNote = async (req, res) => {
+  try {
+    const text = typeof req.body?.note === 'string' ? req.body.note.trim() : '';
+
+    if (!text || text.length > MAX_NOTE_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        message: `Note is required and must be at most ${MAX_NOTE_LENGTH} characters`
+      });
+    }
+
+    const material = await File.findByIdAndUpdate(
+      req.params.materialId,
+      { $push: { 'review.notes': { text, author: req.user.uid, authorEmail: req.user.email } } },
+      { new: true, projection: { title: 1, review: 1 } }
+    ).lean();
+
+    if (!material) {
+      return res.status(404).json({
+        success: false,
+        message: 'Material not found'
+      });
+    }
+
+    await recordAudit(req, {
+      action: 'material.add-note',
+      targetType: 'material',
+      targetId: material._id,
+      targetLabel: material.title,
+      after: { note: text }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Note added',
+      data: { notes: material.review.notes }
+    });
+  } catch (error) {
+    console.error('Error adding review note:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add note'
+    });
+  }
+};
+
+export const verifyMaterial = async (req, res) => {
+  try {
+    const { materialId } = req.params;
+    const before = await File.findById(materialId).select('verification').lean();
+
+    const material = await File.findOneAndUpdate(
+      { _id: materialId, 'storage.purgedAt': null, ...claimFreeFilter(req.user.uid) },
+      { $set: decisionUpdate('verified', req.user.uid) },
+      { new: true }
+    );
+
+    if (!material) {
+      return conflictResponse(res, materialId, req.user.uid);
+    }
+
+    await recordAudit(req, {
+      action: 'material.verify',
+      targetType: 'material',
+      targetId: material._id,
+      targetLabel: material.title,
+      before: { verification: before?.verification },
+      after: { verification: material.verification }
+    });
+
+    await enqueueInsightsAfterVerification(material);
+
+    res.json({
+      success: true,
+      message: 'Material verified successfully',
+      data: material
+    });
+  } catch (error) {
+    console.error('Error verifying material:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to verify material'
+    });
+  }
+};
+
+export const rejectMaterial = async (req, res) => {
+  try {
+    const { materialId } = req.params;
+
+    const rejection = parseRejection(req.body);
+    if (rejection.error) {
+      return res.status(400).json({
+        success: false,
+        message: rejection.error
+      });
+    }
+
+    const before = await File.findById(materialId).select('verification').lean();
+
+    const material = await File.findOneAndUpdate(
+      { _id: materialId, ...claimFreeFilter(req.user.uid) },
+      { $set: decisionUpdate('rejected', req.user.uid, rejection.update) },
+      { new: true }
+    );
+
+    if (!material) {
+      return conflictResponse(res, materialId, req.user.uid);
+    }
+
+    await recordAudit(req, {
+      action: 'material.reject',
+      targetType: 'material',
+      targetId: material._id,
+      targetLabel: material.title,
+      before: { verification: before?.verification },
+      after: { verification: material.verification }
+    });
+
+    res.json({
+      success: true,
+      message: `Material rejected. Its file is removed from storage after ${material.purgeAfter.toISOString()}`,
+      data: material
+    });
+  } catch (error) {
+    console.error('Error rejecting material:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reject material'
+    });
+  }
+};
+
+// Validate { materialIds: [...] } of a bulk request
+const parseMaterialIds = (body = {}) => {
+  const ids = Array.isArray(body.materialIds) ? [...new Set(body.materialIds.map(String))] : [];
+
+  if (ids.length === 0 || ids.length > MAX_BULK_ITEMS) {
+    return { error: `materialIds must be a list of 1-${MAX_BULK_ITEMS} ids` };
+  }
+  const invalid = ids.filter(id => !mongoose.Types.ObjectId.isValid(id));
+  if (invalid.length) {
+    return { error: `Invalid material ids: ${invalid.join(', ')}` };
+  }
+  return { ids };
+};
+
+/**
+ * Apply a decision to every pending, unclaimed (or own) material of a bulk request.
+ * Every decided material gets its own audit entry.
+ * @returns {Promise<{ updated: Array, skipped: Array<{ id, reason }> }>}
+ */
+const applyBulkDecision = async (req, ids, status, extra = {}) => {
+  const { uid } = req.user;
+  const now = new Date();
+  const eligibleFilter = { 'verification.status': 'pending', ...claimFreeFilter(uid, now) };
+
+  // One conditional update per material: only those still pending and unclaimed when the
+  // update runs are changed, so a concurrent decision is never overwritten or audited twice
+  const update = decisionUpdate(status, uid, extra);
+  const eligible = [];
+  for (const id of ids) {
+    const material = await File.findOneAndUpdate(
+      { ...eligibleFilter, _id: id },
+      { $set: update },
+      { new: false, projection: 'title storage verification extractionStatus insights.status', lean: true }
+    );
+    if (material) eligible.push(material);
+  }
+  const eligibleIds = eligible.map(material => material._id);
+
+  await recordAudit(req, eligible.map(material => ({
+    action: status === 'verified' ? 'material.verify' : 'material.reject',
+    targetType: 'material',
+    targetId: material._id,
+    targetLabel: material.title,
+    before: { verification: material.verification },
+    after: {
+      verification: {
+        ...material.verification,
+        status,
+        verifiedBy: uid,
+        verifiedAt: update['verification.verifiedAt'],
+        ...(extra['verification.rejectionCode'] && {
+          rejectionCode: extra['verification.rejectionCode'],
+          rejectionReason: extra['verification.rejectionReason']
+        })
+      }
+    },
+    metadata: { bulk: true }
+  })));
+
+  if (status === 'verified') {
+    for (const material of eligible) {
+      await enqueueInsightsAfterVerification(material);
+    }
+  }
+
+  const updatedIds = new Set(eligibleIds.map(String));
+  const others = await File.find({ _id: { $in: ids.filter(id => !updatedIds.has(id)) } })
+    .select('verification.status +review')
+    .lean();
+  const othersById = new Map(others.map(material => [String(material._id), material]));
+
+  const skipped = ids
+    .filter(id => !updatedIds.has(id))
+    .map(id => {
+      const material = othersById.get(id);
+      if (!material) return { id, reason: 'Material not found' };
+      const { claim } = formatReview(material.review, uid, now);
+      if (claim && !claim.mine) return { id, reason: `Being reviewed by ${claim.email}` };
+      return { id, reason: `Already ${material.verification?.status}` };
+    });
+
+  return { updated: eligible, skipped };
+};
+
+// ✅ ADMIN ONLY: Verify several pending materials at once
+export const bulkVerifyMaterials = async (req, res) => {
+  try {
+    const { ids, error } = parseMaterialIds(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const { updated, skipped } = await applyBulkDecision(req, ids, 'verified');
+
+    console.log(`✅ Bulk verify by ${req.user.email}: ${updated.length} verified, ${skipped.length} skipped`);
+
+    res.json({
+      success: true,
+      message: `${updated.length} material(s) verified`,
+      data: {
+        verified: updated.map(material => ({ id: material._id, title: material.title })),
+        skipped
+      }
+    });
+  } catch (error) {
+    console.error('Error bulk verifying materials:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to verify materials'
+    });
+  }
+};
+
+// ✅ ADMIN ONLY: Reject several pending materials with one reason
+export const bulkRejectMaterials = async (req, res) => {
+  try {
+    const { ids, error } = parseMaterialIds(req.body);
+    const rejection = parseRejection(req.body);
+    if (error || rejection.error) {
+      return res.status(400).json({
+        success: false,
+        message: error || rejection.error
+      });
+    }
+
+    const { updated, skipped } = await applyBulkDecision(req, ids, 'rejected', rejection.update);
+
+    console.log(`❌ Bulk reject by ${req.user.email}: ${updated.length} rejected, ${skipped.length} skipped`);
+
+    res.json({
+      success: true,
+      message: `${updated.length} material(s) rejected`,
+      data: {
+        rejected: updated.map(material => ({ id: material._id, title: material.title })),
+        skipped
+      }
+    });
+  } catch (error) {
+    console.error('Error bulk rejecting materials:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reject materials'
+    });
+  }
+};
@@ -0,0 +1,132 @@
+import QuotaPolicy from '../models/QuotaPolicy.js';
+import { recordAudit } from '../services/auditService.js';
+import {
+  QUOTA_ROLES,
+  DEFAULT_QUOTAS,
+  getQuotaLimits,
+  parseQuotaLimits
+} from '../services/quotaService.js';
+
+const unknownRole = (res) => res.status(400).json({
+  success: false,
+  message: `role must be one of: ${QUOTA_ROLES.join(', ')}`
+});
+
+// ✅ ADMIN ONLY: Upload limits of every role (null = unlimited)
+export const getQuotaPolicies = async (req, res) => {
+  try {
+    const policies = await QuotaPolicy.find().lean();
+    const byRole = new Map(policies.map(policy => [policy.role, policy]));
+
+    const quotas = await Promise.all(QUOTA_ROLES.map(async role => ({
+      role,
+      limits: await getQuotaLimits(role),
+      customized: byRole.has(role),
+      updatedBy: byRole.get(role)?.updatedBy || null,
+      updatedAt: byRole.get(role)?.updatedAt || null
+    })));
+
+    res.json({
+      success: true,
+      data: {
+        quotas,
+        defaults: DEFAULT_QUOTAS
+      }
+    });
+  } catch (error) {
+    console.error('❌ Get quota policies error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch upload quotas'
+    });
+  }
+};
+
+// ✅ ADMIN ONLY: Change some limits of a role; the others keep their current value
+export const updateQuotaPolicy = async (req, res) => {
+  try {
+    const { role } = req.params;
+    if (!QUOTA_ROLES.includes(role)) {
+      return unknownRole(res);
+    }
+
+    const { limits, error } = parseQuotaLimits(req.body || {});
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const before = await getQuotaLimits(role);
+    const policy = await QuotaPolicy.findOneAndUpdate(
+      { role },
+      { $set: { ...before, ...limits, updatedBy: req.user.email } },
+      { upsert: true, new: true, runValidators: true }
+    );
+
+    await recordAudit(req, {
+      action: 'quota.update',
+      targetType: 'quota',
+      targetId: policy._id,
+      targetLabel: role,
+      before,
+      after: { ...before, ...limits }
+    });
+
+    console.log(`✅ Upload quota of ${role} updated by ${req.user.email}:`, limits);
+
+    res.json({
+      success: true,
+      message: 'Upload quota saved',
+      data: policy
+    });
+  } catch (error) {
+    console.error('❌ Update quota policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save upload quota'
+    });
+  }
+};
+
+// ✅ ADMIN ONLY: Go back to the default limits of a role
+export const resetQuotaPolicy = async (req, res) => {
+  try {
+    const { role } = req.params;
+    if (!QUOTA_ROLES.includes(role)) {
+      return unknownRole(res);
+    }
+
+    const policy = await QuotaPolicy.findOneAndDelete({ role });
+    if (!policy) {
+      return res.status(404).json({
+        success: false,
+        message: 'This role already uses the default quota'
+      });
+    }
+
+    await recordAudit(req, {
+      action: 'quota.reset',
+      targetType: 'quota',
+      targetId: policy._id,
+      targetLabel: role,
+      before: policy,
+      after: DEFAULT_QUOTAS[role]
+    });
+
+    console.log(`✅ Upload quota of ${role} reset by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Upload quota reset to defaults',
+      data: { role, limits: DEFAULT_QUOTAS[role] }
+    });
+  } catch (error) {
+    console.error('❌ Reset quota policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reset upload quota'
+    });
+  }
+};
@@ -0,0 +1,77 @@
+import File from '../models/File.js';
+import { searchChunks, RETRIEVAL_METHODS, MAX_RESULTS } from '../services/retrievalService.js';
+import { enqueueChunkIndexing } from '../jobs/chunkIndexJob.js';
+import { recordAudit } from '../services/auditService.js';
+
+// Top matching chunks across materials, filtered like GET /api/files
+// (category, branch, semester, subject, college, professor, year, documentType, course)
+export const searchDocumentChunks = async (req, res) => {
+  try {
+    const { q, limit = 10, method = 'bm25', ...filters } = req.query;
+    const query = typeof q === 'string' ? q.trim() : '';
+
+    if (!query) {
+      return res.status(400).json({
+        success: false,
+        message: 'Query parameter "q" is required'
+      });
+    }
+
+    if (!RETRIEVAL_METHODS[method]) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid method. Use one of: ${Object.keys(RETRIEVAL_METHODS).join(', ')}`
+      });
+    }
+
+    const resultLimit = Math.min(Math.max(parseInt(limit) || 10, 1), MAX_RESULTS);
+    const chunks = await searchChunks(query, filters, { limit: resultLimit, method });
+
+    res.json({
+      success: true,
+      data: {
+        query,
+        method,
+        chunks,
+        count: chunks.length
+      }
+    });
+  } catch (error) {
+    console.error('❌ Chunk search error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to search documents'
+    });
+  }
+};
+
+// ✅ ADMIN ONLY: Rebuild the retrieval index for every extracted material
+export const reindexDocumentChunks = async (req, res) => {
+  try {
+    const files = await File.find({ extractionStatus: 'success' }).select('_id').lean();
+
+    for (const file of files) {
+      await enqueueChunkIndexing(file);
+    }
+
+    await recordAudit(req, {
+      action: 'retrieval-index.rebuild',
+      targetType: 'retrieval-index',
+      metadata: { queued: files.length }
+    });
+
+    console.log(`🧩 Chunk reindex queued for ${files.length} files by ${req.user.email}`);
+
+    res.status(202).json({
+      success: true,
+      message: `Chunk indexing queued for ${files.length} materials`,
+      data: { queued: files.length }
+    });
+  } catch (error) {
+    console.error('❌ Reindex chunks error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to queue chunk indexing'
+    });
+  }
+};
@@ -0,0 +1,260 @@
+import mongoose from 'mongoose';
+import File from '../models/File.js';
+import Message from '../models/Message.js';
+import User from '../models/User.js';
+import { isAdminUser } from '../middleware/adminAuth.js';
+import { TRASH_TYPES } from '../services/trashService.js';
+import { recordAudit } from '../services/auditService.js';
+import { reserveQuota, storedBytes } from '../services/quotaService.js';
+
+const IN_TRASH = { deletedAt: { $ne: null } };
+
+const parsePage = (query) => ({
+  page: Math.max(parseInt(query.page) || 1, 1),
+  limit: Math.min(Math.max(parseInt(query.limit) || 20, 1), 100)
+});
+
+// Newest deletions first, with the same pagination shape as the other listings
+const listTrash = async (res, type, filter, query) => {
+  const { model, select } = TRASH_TYPES[type];
+  const { page, limit } = parsePage(query);
+  const trashFilter = { ...filter, ...IN_TRASH };
+
+  const [items, total] = await Promise.all([
+    model.find(trashFilter)
+      .select(select)
+      .sort({ deletedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    model.countDocuments(trashFilter)
+  ]);
+
+  res.json({
+    success: true,
+    data: items.map(item => ({ ...item, type })),
+    pagination: {
+      current: page,
+      total: Math.ceil(total / limit),
+      count: items.length,
+      totalItems: total
+    }
+  });
+};
+
+// Take an item out of the trash; materials count towards their uploader's uploads again
+const restoreItem = async (type, item) => {
+  await item.restore();
+  if (type === 'material') {
+    await User.updateOne({ uid: item.uploadedBy }, { $inc: { uploadCount: 1 } });
+  }
+};
+
+const notInTrash = (res, label) => res.status(404).json({
+  success: false,
+  message: `${label} not found in trash`
+});
+
+// ✅ ADMIN ONLY: Trash listing. Query: type=material|event|message, page, limit
+export const getTrash = async (req, res) => {
+  try {
+    const { type = 'material' } = req.query;
+    if (!TRASH_TYPES[type]) {
+      return res.status(400).json({
+        success: false,
+        message: `type must be one of: ${Object.keys(TRASH_TYPES).join(', ')}`
+      });
+    }
+
+    await listTrash(res, type, {}, req.query);
+  } catch (error) {
+    console.error('Error fetching trash:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch trash'
+    });
+  }
+};
+
+// ✅ ADMIN ONLY: Restore any material, event or message from the trash
+export const restoreTrashItem = async (req, res) => {
+  try {
+    const { type, id } = req.params;
+    const trashType = TRASH_TYPES[type];
+    if (!trashType) {
+      return res.status(400).json({
+        success: false,
+        message: `type must be one of: ${Object.keys(TRASH_TYPES).join(', ')}`
+      });
+    }
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return notInTrash(res, 'Item');
+    }
+
+    const item = await trashType.model.findOne({ _id: id, ...IN_TRASH });
+    if (!item) {
+      return notInTrash(res, 'Item');
+    }
+
+    const before = { deletedAt: item.deletedAt, deletedBy: item.deletedBy };
+    await restoreItem(type, item);
+
+    await recordAudit(req, {
+      action: `${type}.restore`,
+      targetType: type,
+      targetId: item._id,
+      targetLabel: trashType.label(item),
+      before,
+      after: { deletedAt: null, deletedBy: null }
+    });
+
+    console.log(`♻️ ${type} restored from trash by ${req.user.email}:`, item._id);
+
+    res.json({
+      success: true,
+      message: `${type.charAt(0).toUpperCase()}${type.slice(1)} restored`,
+      data: item
+    });
+  } catch (error) {
+    console.error('Error restoring from trash:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to restore item'
+    });
+  }
+};
+
+// Materials the current user deleted, restorable until purgeAfter
+export const getMyTrashedMaterials = async (req, res) => {
+  try {
+    await listTrash(res, 'material', { uploadedBy: req.user.uid }, req.query);
+  } catch (error) {
+    console.error('Error fetching trashed materials:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch trash'
+    });
+  }
+};
+
+// Restore a material from the trash (its uploader or an admin)
+export const restoreMaterial = async (req, res) => {
+  let quotaReservation = null;
+
+  try {
+    const { fileId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(fileId)) {
+      return notInTrash(res, 'File');
+    }
+
+    const file = await File.findOne({ _id: fileId, ...IN_TRASH }).select('+versions');
+    if (!file) {
+      return notInTrash(res, 'File');
+    }
+
+    const isOwner = file.uploadedBy === req.user.uid;
+    const isAdmin = req.user.role === 'admin' || isAdminUser(req.user);
+    if (!isOwner && !isAdmin) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only restore your own files'
+      });
+    }
+
+    // A restored material counts against its uploader's quota again (admins can restore past it)
+    const status = file.verification?.status;
+    if (!isAdmin && status !== 'rejected') {
+      const quotaCheck = await reserveQuota(req.user, {
+        files: 1,
+        pendingFiles: status === 'pending' ? 1 : 0,
+        storageBytes: storedBytes(file)
+      });
+      if (!quotaCheck.allowed) {
+        return res.status(400).json({
+          success: false,
+          message: quotaCheck.message,
+          data: { exceeded: quotaCheck.exceeded, quota: quotaCheck.quota }
+        });
+      }
+      quotaReservation = quotaCheck;
+    }
+
+    const before = { deletedAt: file.deletedAt, deletedBy: file.deletedBy };
+    await restoreItem('material', file);
+
+    if (!isOwner) {
+      await recordAudit(req, {
+        action: 'material.restore',
+        targetType: 'material',
+        targetId: file._id,
+        targetLabel: file.title,
+        before,
+        after: { deletedAt: null, deletedBy: null }
+      });
+    }
+
+    console.log('♻️ File restored from trash:', file.title);
+
+    res.json({
+      success: true,
+      message: 'File restored',
+      data: file
+    });
+  } catch (error) {
+    console.error('Error restoring file:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to restore file'
+    });
+  } finally {
+    quotaReservation?.release().catch(error => {
+      console.error('Error releasing quota reservation:', error.message);
+    });
+  }
+};
+
+// Messages the current user deleted themselves (admin deletions are restored by admins)
+export const getMyTrashedMessages = async (req, res) => {
+  try {
+    await listTrash(res, 'message', { userEmail: req.user.email, deletedBy: req.user.uid }, req.query);
+  } catch (error) {
+    console.error('Error fetching trashed messages:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch trash'
+    });
+  }
+};
+
+export const restoreMyMessage = async (req, res) => {
+  try {
+    const { messageId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(messageId)) {
+      return notInTrash(res, 'Message');
+    }
+
+    const message = await Message.findOne({
+      _id: messageId,
+      userEmail: req.user.email,
+      deletedBy: req.user.uid,
+      ...IN_TRASH
+    });
+    if (!message) {
+      return notInTrash(res, 'Message');
+    }
+
+    await restoreItem('message', message);
+
+    res.json({
+      success: true,
+      message: 'Message restored',
+      data: message
+    });
+  } catch (error) {
+    console.error('Error restoring message:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to restore message'
+    });
+  }
+};
@@ -0,0 +1,229 @@
+import mongoose from 'mongoose';
+import UploadSession from '../models/UploadSession.js';
+import { checkQuota } from '../services/quotaService.js';
+import {
+  createUploadSession,
+  writeUploadPart,
+  completeUploadSession,
+  toUploadedFile,
+  removeUploadSession,
+  getMissingParts
+} from '../services/uploadSessionService.js';
+
+// Sessions are private to their uploader and gone once expired
+const findOwnSession = async (req) => {
+  const { uploadId } = req.params.uploadId ? req.params : req.body;
+  if (!mongoose.Types.ObjectId.isValid(uploadId)) return null;
+  return UploadSession.findOne({ _id: uploadId, user: req.user.uid, expiresAt: { $gt: new Date() } });
+};
+
+const uploadNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Upload not found or expired'
+});
+
+const formatSession = (session) => ({
+  uploadId: session._id,
+  fileName: session.fileName,
+  mimeType: session.mimeType,
+  size: session.size,
+  status: session.status,
+  chunkSize: session.chunkSize,
+  totalParts: session.totalParts,
+  receivedParts: [...session.receivedParts].sort((a, b) => a - b),
+  missingParts: getMissingParts(session),
+  expiresAt: session.expiresAt
+});
+
+// Start a resumable upload. Body: { fileName, mimeType, size, sha256 }
+export const createUpload = async (req, res) => {
+  try {
+    // Refuse early rather than after the whole file was sent. Nothing is reserved yet:
+    // the upload that uses the session reserves its quota (see uploadMaterial)
+    const quotaCheck = await checkQuota(req.user, { storageBytes: Number(req.body?.size) || 0, uploadsToday: 1 });
+    if (!quotaCheck.allowed) {
+      return res.status(400).json({
+        success: false,
+        message: quotaCheck.message,
+        data: { exceeded: quotaCheck.exceeded, quota: quotaCheck.quota }
+      });
+    }
+
+    const { session, error } = await createUploadSession(req.user.uid, req.body || {});
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    console.log(`📦 Resumable upload started by ${req.user.email}: ${session.fileName} (${session.totalParts} parts)`);
+
+    res.status(201).json({
+      success: true,
+      data: formatSession(session)
+    });
+  } catch (error) {
+    console.error('❌ Create upload session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start upload'
+    });
+  }
+};
+
+// Which parts arrived, so an interrupted client knows what to resend
+export const getUploadStatus = async (req, res) => {
+  try {
+    const session = await findOwnSession(req);
+    if (!session) {
+      return uploadNotFound(res);
+    }
+
+    res.json({
+      success: true,
+      data: formatSession(session)
+    });
+  } catch (error) {
+    console.error('❌ Get upload session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch upload'
+    });
+  }
+};
+
+// Raw bytes of one part (application/octet-stream)
+export const uploadPart = async (req, res) => {
+  try {
+    const session = await findOwnSession(req);
+    if (!session) {
+      return uploadNotFound(res);
+    }
+
+    const partNumber = Number(req.params.partNumber);
+    const { session: updated, error, status } = await writeUploadPart(session, partNumber, req.body);
+    if (error) {
+      return res.status(status).json({
+        success: false,
+        message: error
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        partNumber,
+        receivedParts: updated.receivedParts.length,
+        totalParts: updated.totalParts,
+        expiresAt: updated.expiresAt
+      }
+    });
+  } catch (error) {
+    console.error('❌ Upload part error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to store part'
+    });
+  }
+};
+
+// Assemble the parts and verify the checksum; the uploadId can then be sent to POST /upload
+export const completeUpload = async (req, res) => {
+  try {
+    const session = await findOwnSession(req);
+    if (!session) {
+      return uploadNotFound(res);
+    }
+
+    const { session: completed, error, status, missingParts } = await completeUploadSession(session);
+    if (error) {
+      return res.status(status).json({
+        success: false,
+        message: error,
+        data: { missingParts }
+      });
+    }
+
+    console.log(`✅ Resumable upload assembled: ${completed.fileName}`);
+
+    res.json({
+      success: true,
+      message: 'Upload complete. Send the uploadId with the material details to finish.',
+      data: formatSession(completed)
+    });
+  } catch (error) {
+    console.error('❌ Complete upload error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to complete upload'
+    });
+  }
+};
+
+export const abortUpload = async (req, res) => {
+  try {
+    const session = await findOwnSession(req);
+    if (!session) {
+      return uploadNotFound(res);
+    }
+
+    await removeUploadSession(session);
+
+    res.json({
+      success: true,
+      message: 'Upload aborted'
+    });
+  } catch (error) {
+    console.error('❌ Abort upload error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to abort upload'
+    });
+  }
+};
+
+/**
+ * Middleware for POST /upload and /:fileId/versions: a JSON body with the uploadId of
+ * a completed session stands in for the multipart file. The session is removed only
+ * once the request succeeded.
+ */
+export const useUploadSession = async (req, res, next) => {
+  try {
+    if (req.files?.file?.length || req.files?.images?.length || !req.body?.uploadId) {
+      return next();
+    }
+
+    const session = await findOwnSession(req);
+    if (!session) {
+      return uploadNotFound(res);
+    }
+    if (session.status !== 'completed') {
+      return res.status(409).json({
+        success: false,
+        message: 'Complete the upload before using it',
+        data: { missingParts: getMissingParts(session) }
+      });
+    }
+
+    const uploadedFile = await toUploadedFile(session);
+    if (!uploadedFile) {
+      return res.status(409).json({
+        success: false,
+        message: 'The assembled upload is missing or incomplete. Start the upload again.'
+      });
+    }
+
+    req.files = { file: [uploadedFile] };
+    res.on('finish', () => {
+      if (res.statusCode < 300) {
+        removeUploadSession(session).catch(error => {
+          console.error('❌ Failed to remove used upload session:', error.message);
+        });
+      }
+    });
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
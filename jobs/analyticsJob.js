@@ -0,0 +1,28 @@
+import { enqueueJob } from '../services/jobQueue.js';
+import { rollupDailyStats, toDay } from '../services/analyticsService.js';
+
+export const ROLLUP_DAILY_STATS_JOB = 'rollup-daily-stats';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Queue a rollup of material views/downloads into daily stats (no-op if already queued/running).
+ * worker.js queues one on start and then every STATS_ROLLUP_INTERVAL_MINUTES.
+ * @param {Object} [payload] - { from, to } days ('YYYY-MM-DD') to rebuild instead of yesterday and today
+ */
+export const enqueueStatsRollup = (payload = {}) => enqueueJob(
+  ROLLUP_DAILY_STATS_JOB,
+  payload,
+  { dedupeKey: ROLLUP_DAILY_STATS_JOB, maxAttempts: 1 }
+);
+
+/**
+ * Job handler: rebuild the rollups of the requested days. Yesterday is included by
+ * default so events logged just before midnight are never left out.
+ */
+export const runStatsRollupJob = async (job) => {
+  const today = toDay(Date.now());
+  const from = job.payload?.from || toDay(Date.now() - DAY_MS);
+  const to = job.payload?.to || today;
+  return rollupDailyStats(from, to);
+};
@@ -0,0 +1,32 @@
+import File from '../models/File.js';
+import { enqueueJob, PermanentJobError } from '../services/jobQueue.js';
+import { indexFileChunks } from '../services/retrievalService.js';
+import logger from '../utils/logger.js';
+
+export const INDEX_CHUNKS_JOB = 'index-chunks';
+
+/**
+ * Queue (re)indexing of a file's chunks for retrieval (no-op if already queued/running).
+ * @param {Object} file - File document
+ */
+export const enqueueChunkIndexing = (file) => enqueueJob(
+  INDEX_CHUNKS_JOB,
+  { fileId: String(file._id) },
+  { file: file._id, dedupeKey: `${INDEX_CHUNKS_JOB}:${file._id}` }
+);
+
+/**
+ * Job handler: split the file's extracted text into chunks and store them with
+ * their BM25 statistics and the file's category fields.
+ */
+export const runChunkIndexJob = async (job) => {
+  const file = await File.findById(job.payload.fileId)
+    .select('title category metadata extractedText');
+  if (!file) {
+    throw new PermanentJobError(`File ${job.payload.fileId} not found`);
+  }
+
+  const chunks = await indexFileChunks(file);
+  logger.info(`🧩 Indexed ${chunks} chunks for "${file.title}"`);
+  return { chunks };
+};
@@ -0,0 +1,31 @@
+import File from '../models/File.js';
+import { enqueueJob, PermanentJobError } from '../services/jobQueue.js';
+import { detectNearDuplicates } from '../services/duplicateService.js';
+
+export const DETECT_DUPLICATES_JOB = 'detect-duplicates';
+
+/**
+ * Queue near-duplicate detection for a file (no-op if already queued/running).
+ * @param {Object} file - File document
+ */
+export const enqueueDuplicateDetection = (file) => enqueueJob(
+  DETECT_DUPLICATES_JOB,
+  { fileId: String(file._id) },
+  { file: file._id, dedupeKey: `${DETECT_DUPLICATES_JOB}:${file._id}` }
+);
+
+/**
+ * Job handler: compare the file's extracted text with earlier materials (MinHash/LSH).
+ */
+export const runDuplicateDetectionJob = async (job) => {
+  const file = await File.findById(job.payload.fileId)
+    .select('title createdAt extractedText duplicates');
+  if (!file) {
+    throw new PermanentJobError(`File ${job.payload.fileId} not found`);
+  }
+
+  const matches = await detectNearDuplicates(file);
+  return {
+    nearDuplicates: matches.map(match => ({ file: String(match.file), similarity: match.similarity }))
+  };
+};
@@ -0,0 +1,113 @@
+import File from '../models/File.js';
+import ExtractionPage from '../models/ExtractionPage.js';
+import { TextExtractionService } from '../services/textExtraction.js';
+import { downloadFileBuffer } from '../services/storageService.js';
+import { enqueueJob, PermanentJobError } from '../services/jobQueue.js';
+import { resolveOcrLanguages } from '../services/collegeSettingsService.js';
+import { enqueueChunkIndexing } from './chunkIndexJob.js';
+import { enqueueInsights, isInsightsGenerationAvailable } from './insightsJob.js';
+import { enqueueDuplicateDetection } from './duplicateJob.js';
+import { pagesToText, packPageText } from '../utils/extractionPages.js';
+import logger from '../utils/logger.js';
+
+export const EXTRACT_TEXT_JOB = 'extract-text';
+
+// File.extractedText only feeds the search index and chatbot context; full text lives in ExtractionPage
+const MAX_STORED_TEXT_LENGTH = 100000;
+
+/**
+ * Queue text extraction for a file (no-op if one is already queued/running).
+ * @param {Object} file - File document
+ */
+export const enqueueExtraction = (file) => enqueueJob(
+  EXTRACT_TEXT_JOB,
+  { fileId: String(file._id) },
+  { file: file._id, dedupeKey: `${EXTRACT_TEXT_JOB}:${file._id}` }
+);
+
+// Replace the stored page results of a file with a fresh run
+const savePages = async (fileId, pages) => {
+  await ExtractionPage.deleteMany({ file: fileId });
+  await ExtractionPage.insertMany(pages.map(page => ({
+    file: fileId,
+    page: page.page,
+    unit: page.unit || 'page',
+    title: page.title || null,
+    ...packPageText(page.text || ''),
+    source: page.source || null,
+    confidence: page.confidence ?? null,
+    error: page.error || null
+  })));
+};
+
+/**
+ * Failure hook: the job failed for good without its handler recording it
+ * (the worker died during the last attempt).
+ */
+export const markExtractionFailed = (job, error) => File.updateOne(
+  { _id: job.payload.fileId },
+  { $set: { extractionStatus: 'failed', extractionError: error.message } }
+);
+
+/**
+ * Job handler: download the stored file, extract it page by page, store the pages
+ * and keep the flattened text on the File for search and the chatbot.
+ * OCR of chunked PDFs reports page progress through the job.
+ */
+export const runExtractionJob = async (job, { reportProgress, isFinalAttempt }) => {
+  const file = await File.findById(job.payload.fileId);
+  if (!file) {
+    throw new PermanentJobError(`File ${job.payload.fileId} not found`);
+  }
+
+  const documentType = file.metadata?.documentType || 'typed';
+  const languages = await resolveOcrLanguages(file);
+  logger.info(`📖 Extracting text for "${file.title}" (${documentType}, ${languages.join('+')})`);
+
+  try {
+    const buffer = await downloadFileBuffer(file);
+
+    const pages = await TextExtractionService.extractPagesFromBuffer(
+      buffer,
+      file.fileName,
+      file.fileType,
+      documentType,
+      { languages, onProgress: reportProgress, throwOnError: true }
+    );
+
+    const failedPages = pages.filter(page => page.error).map(page => page.page);
+    if (pages.length === 0 || failedPages.length === pages.length) {
+      const message = pages[0]?.error || 'No pages could be extracted';
+      // Parsing the same typed file again gives the same result; OCR may do better on a retry
+      throw documentType === 'typed' ? new PermanentJobError(message) : new Error(message);
+    }
+
+    await savePages(file._id, pages);
+
+    const extractedText = pagesToText(pages);
+    await File.findByIdAndUpdate(file._id, {
+      extractedText: extractedText.slice(0, MAX_STORED_TEXT_LENGTH),
+      extractionStatus: 'success',
+      extractionError: failedPages.length ? `Pages failed: ${failedPages.join(', ')}` : null
+    });
+
+    // Refresh the retrieval index and duplicate check with the new text; study aids
+    // only for verified materials (others get them once verified)
+    await enqueueChunkIndexing(file);
+    await enqueueDuplicateDetection(file);
+    if (file.verification?.status === 'verified' && isInsightsGenerationAvailable()) {
+      await enqueueInsights(file);
+    }
+
+    logger.info(`✅ Extraction finished for "${file.title}": ${pages.length} pages, ${extractedText.length} chars`);
+    return { pages: pages.length, failedPages, length: extractedText.length };
+  } catch (error) {
+    // Keep the file 'pending' while retries remain; mark it failed on the last attempt
+    const finalFailure = isFinalAttempt || error instanceof PermanentJobError;
+    await File.findByIdAndUpdate(file._id, {
+      extractionStatus: finalFailure ? 'failed' : 'pending',
+      extractionError: error.message
+    });
+    throw error;
+  }
+};
@@ -0,0 +1,21 @@
+// Register every background job handler (used by worker.js)
+import { registerJobHandler } from '../services/jobQueue.js';
+import { EXTRACT_TEXT_JOB, runExtractionJob, markExtractionFailed } from './extractionJob.js';
+import { INDEX_CHUNKS_JOB, runChunkIndexJob } from './chunkIndexJob.js';
+import { GENERATE_INSIGHTS_JOB, runInsightsJob, markInsightsFailed } from './insightsJob.js';
+import { DETECT_DUPLICATES_JOB, runDuplicateDetectionJob } from './duplicateJob.js';
+import { PURGE_DELETED_JOB, runPurgeJob } from './purgeJob.js';
+import { ROLLUP_DAILY_STATS_JOB, runStatsRollupJob } from './analyticsJob.js';
+import { CLEANUP_UPLOADS_JOB, runUploadCleanupJob } from './uploadCleanupJob.js';
+
+export const registerJobHandlers = () => {
+  registerJobHandler(EXTRACT_TEXT_JOB, runExtractionJob, { onFailure: markExtractionFailed });
+  registerJobHandler(INDEX_CHUNKS_JOB, runChunkIndexJob);
+  registerJobHandler(GENERATE_INSIGHTS_JOB, runInsightsJob, { onFailure: markInsightsFailed });
+  registerJobHandler(DETECT_DUPLICATES_JOB, runDuplicateDetectionJob);
+  registerJobHandler(PURGE_DELETED_JOB, runPurgeJob);
+  registerJobHandler(ROLLUP_DAILY_STATS_JOB, runStatsRollupJob);
+  registerJobHandler(CLEANUP_UPLOADS_JOB, runUploadCleanupJob);
+};
+
+export default registerJobHandlers;
@@ -0,0 +1,100 @@
+import File from '../models/File.js';
+import { enqueueJob, PermanentJobError } from '../services/jobQueue.js';
+import { generateFileInsights } from '../services/insightsService.js';
+import { getTextGenerationProvider } from '../services/textGenerationProviders.js';
+import logger from '../utils/logger.js';
+
+export const GENERATE_INSIGHTS_JOB = 'generate-insights';
+
+/**
+ * Whether insights can be generated at all (a text generation provider is configured).
+ */
+export const isInsightsGenerationAvailable = () => {
+  try {
+    return getTextGenerationProvider().isAvailable();
+  } catch (error) {
+    logger.warn(`⚠️ Insights disabled: ${error.message}`);
+    return false;
+  }
+};
+
+/**
+ * Queue summary/topic/flashcard generation for a file (no-op if already queued/running).
+ * @param {Object} file - File document
+ * @param {Object} options - { force } regenerate even if the text did not change
+ */
+export const enqueueInsights = async (file, { force = false } = {}) => {
+  const job = await enqueueJob(
+    GENERATE_INSIGHTS_JOB,
+    { fileId: String(file._id), force },
+    { file: file._id, dedupeKey: `${GENERATE_INSIGHTS_JOB}:${file._id}` }
+  );
+  await File.updateOne({ _id: file._id }, { $set: { 'insights.status': 'pending', 'insights.error': null } });
+  return job;
+};
+
+/**
+ * Queue insights for a material that was just verified, unless it has them already.
+ * Unverified materials don't get any: generation is an LLM call, so it waits for a
+ * moderator (or an explicit request by the uploader or an admin).
+ * Never throws: a verification must not fail because the queue is unavailable.
+ * @param {Object} file - File with extractionStatus and insights.status
+ */
+export const enqueueInsightsAfterVerification = async (file) => {
+  if (file.extractionStatus !== 'success' || file.insights?.status === 'success' || !isInsightsGenerationAvailable()) {
+    return null;
+  }
+  try {
+    return await enqueueInsights(file);
+  } catch (error) {
+    logger.error(`❌ Failed to queue insights for file ${file._id}:`, error.message);
+    return null;
+  }
+};
+
+/**
+ * Failure hook: the job failed for good without its handler recording it
+ * (the worker died during the last attempt).
+ */
+export const markInsightsFailed = (job, error) => File.updateOne(
+  { _id: job.payload.fileId },
+  { $set: { 'insights.status': 'failed', 'insights.error': error.message } }
+);
+
+/**
+ * Job handler: generate the insights of a file with the text generation provider.
+ * Rate limits and provider errors are retried; the last failure is kept on the file.
+ */
+export const runInsightsJob = async (job, { isFinalAttempt }) => {
+  const file = await File.findById(job.payload.fileId)
+    .select('title category extractedText insights');
+  if (!file) {
+    throw new PermanentJobError(`File ${job.payload.fileId} not found`);
+  }
+
+  try {
+    if (!isInsightsGenerationAvailable()) {
+      throw new PermanentJobError('No text generation provider is configured');
+    }
+    if (!file.extractedText) {
+      throw new PermanentJobError('File has no extracted text');
+    }
+
+    const insights = await generateFileInsights(file, { force: Boolean(job.payload.force) });
+    if (!insights) {
+      // Text unchanged since the last run: keep the cached insights
+      await File.updateOne({ _id: file._id }, { $set: { 'insights.status': 'success' } });
+      logger.info(`💡 Insights for "${file.title}" are up to date`);
+      return { skipped: true };
+    }
+
+    return { keyTopics: insights.keyTopics.length, flashcards: insights.flashcards.length };
+  } catch (error) {
+    // Keep 'pending' while retries remain
+    const finalFailure = isFinalAttempt || error instanceof PermanentJobError;
+    await File.updateOne({ _id: file._id }, {
+      $set: { 'insights.status': finalFailure ? 'failed' : 'pending', 'insights.error': error.message }
+    });
+    throw error;
+  }
+};
@@ -0,0 +1,19 @@
+import { enqueueJob } from '../services/jobQueue.js';
+import { purgeExpired } from '../services/trashService.js';
+
+export const PURGE_DELETED_JOB = 'purge-deleted';
+
+/**
+ * Queue a purge of trash whose retention period ended (no-op if already queued/running).
+ * worker.js queues one on start and then every PURGE_INTERVAL_MINUTES.
+ */
+export const enqueuePurge = () => enqueueJob(
+  PURGE_DELETED_JOB,
+  {},
+  { dedupeKey: PURGE_DELETED_JOB, maxAttempts: 1 }
+);
+
+/**
+ * Job handler: remove expired materials, events and messages and their storage assets.
+ */
+export const runPurgeJob = async () => purgeExpired();
@@ -0,0 +1,19 @@
+import { enqueueJob } from '../services/jobQueue.js';
+import { cleanupUploadSessions } from '../services/uploadSessionService.js';
+
+export const CLEANUP_UPLOADS_JOB = 'cleanup-upload-sessions';
+
+/**
+ * Queue a cleanup of abandoned resumable uploads (no-op if already queued/running).
+ * worker.js queues one on start and then every UPLOAD_CLEANUP_INTERVAL_MINUTES.
+ */
+export const enqueueUploadCleanup = () => enqueueJob(
+  CLEANUP_UPLOADS_JOB,
+  {},
+  { dedupeKey: CLEANUP_UPLOADS_JOB, maxAttempts: 1 }
+);
+
+/**
+ * Job handler: remove expired upload sessions and their parts from temp-uploads.
+ */
+export const runUploadCleanupJob = async () => cleanupUploadSessions();
@@ -0,0 +1,53 @@
+// Make materials uploaded before access control private
+// Their public URLs stop working; downloads then only go through signed URLs.
+// Run once after deploying: `npm run make-files-private` (add --dry-run to only count them)
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import File from './models/File.js';
+import { makeFilePrivate } from './services/storageService.js';
+
+dotenv.config();
+
+const dryRun = process.argv.includes('--dry-run');
+
+async function makeFilesPrivate() {
+  try {
+    console.log('🔍 Connecting to MongoDB...');
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected!\n');
+
+    // Trashed and rejected materials too: their storage object still exists until purged
+    const files = await File.find({ 'storage.access': { $ne: 'private' }, 'storage.purgedAt': null })
+      .select('title storage +versions')
+      .setOptions({ withDeleted: true });
+    console.log(`📁 ${files.length} public material(s) found`);
+
+    let converted = 0;
+    for (const file of files) {
+      if (dryRun) continue;
+      try {
+        const publicObjects = [file.storage, ...(file.versions || []).map(version => version.storage)]
+          .filter(storage => storage?.publicId && storage.access !== 'private');
+        for (const storage of new Map(publicObjects.map(storage => [storage.publicId, storage])).values()) {
+          await makeFilePrivate(storage.publicId, storage.provider);
+        }
+
+        const update = { 'storage.access': 'private' };
+        if (file.versions?.length) update['versions.$[].storage.access'] = 'private';
+        await File.updateOne({ _id: file._id }, { $set: update }, { withDeleted: true });
+        converted++;
+        console.log(`🔒 ${file.title}`);
+      } catch (error) {
+        console.error(`❌ Failed to make "${file.title}" private:`, error.message);
+      }
+    }
+
+    await mongoose.disconnect();
+    console.log(`\n✅ Done! ${dryRun ? 'Dry run, nothing changed' : `${converted}/${files.length} made private`}`);
+  } catch (error) {
+    console.error('❌ Error:', error);
+    process.exit(1);
+  }
+}
+
+makeFilesPrivate();
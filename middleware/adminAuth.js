@@ -7,6 +7,12 @@ const ADMIN_EMAILS = (process.env.ADMIN_EMAILS || '')
   .map(e => e.trim().toLowerCase())
   .filter(Boolean);
 
+// Check a user against the admin list (for owner-or-admin permission checks)
+export const isAdminUser = (user) => {
+  if (!user?.email) return false;
+  return ADMIN_EMAILS.includes(user.email.toLowerCase());
+};
+
 // Middleware to check if user is admin
 export const requireAdmin = async (req, res, next) => {
   try {
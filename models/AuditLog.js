@@ -0,0 +1,70 @@
+import mongoose from 'mongoose';
+
+// Append-only record of admin actions (written through services/auditService.js)
+const auditLogSchema = new mongoose.Schema({
+  actor: {
+    uid: { type: String, required: true },
+    email: { type: String, lowercase: true, trim: true }
+  },
+  // "<target type>.<verb>", e.g. material.verify, event.delete
+  action: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  targetType: {
+    type: String,
+    enum: ['material', 'event', 'donation', 'message', 'college-settings', 'retrieval-index', 'quota'],
+    required: true
+  },
+  targetId: {
+    type: String,
+    default: null
+  },
+  // Human-readable name of the target at the time of the action (title, donor...)
+  targetLabel: {
+    type: String,
+    default: null
+  },
+  // Changed fields (dot paths); before is null for creations, after is null for deletions
+  changes: [{
+    _id: false,
+    field: String,
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  }],
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  ip: {
+    type: String,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ 'actor.email': 1, createdAt: -1 });
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+
+// Entries are never edited or removed
+const rejectChange = function (next) {
+  next(new Error('AuditLog is append-only'));
+};
+[
+  'updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+  'deleteOne', 'deleteMany', 'findOneAndDelete'
+].forEach(operation => auditLogSchema.pre(operation, rejectChange));
+auditLogSchema.pre('save', function (next) {
+  if (!this.isNew) return next(new Error('AuditLog is append-only'));
+  next();
+});
+
+export default mongoose.model('AuditLog', auditLogSchema);
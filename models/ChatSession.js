@@ -0,0 +1,50 @@
+import mongoose from 'mongoose';
+
+// Short per-user conversation about one material (see services/chatService.js)
+const chatMessageSchema = new mongoose.Schema({
+  role: {
+    type: String,
+    enum: ['user', 'assistant'],
+    required: true
+  },
+  content: {
+    type: String,
+    required: true
+  },
+  // Pages/slides/sections an assistant answer cites
+  citations: [{
+    _id: false,
+    page: Number,
+    unit: String
+  }],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const chatSessionSchema = new mongoose.Schema({
+  file: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'File',
+    required: true
+  },
+  user: {
+    type: String, // Firebase UID
+    required: true
+  },
+  // Only the last few messages are kept (see MAX_HISTORY_MESSAGES)
+  messages: [chatMessageSchema],
+  // Idle conversations expire; every message pushes this forward
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+chatSessionSchema.index({ file: 1, user: 1 }, { unique: true });
+chatSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('ChatSession', chatSessionSchema);
@@ -0,0 +1,28 @@
+import mongoose from 'mongoose';
+
+// Admin-managed defaults per college (matched on the upload's collegeName)
+const collegeSettingsSchema = new mongoose.Schema({
+  collegeName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Lowercased collegeName, so "ABC College" and "abc college " share settings
+  collegeKey: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Default OCR languages for uploads that don't pick their own (see utils/ocrLanguages.js)
+  ocrLanguages: [{
+    type: String,
+    trim: true
+  }],
+  updatedBy: {
+    type: String // Admin email
+  }
+}, {
+  timestamps: true
+});
+
+export default mongoose.model('CollegeSettings', collegeSettingsSchema);
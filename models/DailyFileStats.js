@@ -0,0 +1,34 @@
+import mongoose from 'mongoose';
+
+// Per-material daily totals, rebuilt from FileActivity by the rollup job (jobs/analyticsJob.js)
+const dailyFileStatsSchema = new mongoose.Schema({
+  file: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'File',
+    required: true
+  },
+  owner: {
+    type: String, // Firebase UID of the uploader
+    required: true
+  },
+  // UTC day, 'YYYY-MM-DD'
+  date: {
+    type: String,
+    required: true
+  },
+  views: { type: Number, default: 0 },
+  downloads: { type: Number, default: 0 },
+  // Distinct signed-in users (anonymous visitors are only in the totals)
+  uniqueViewers: { type: Number, default: 0 },
+  uniqueDownloaders: { type: Number, default: 0 },
+  rolledUpAt: { type: Date }
+}, {
+  versionKey: false
+});
+
+// The rollup upserts on (file, date)
+dailyFileStatsSchema.index({ file: 1, date: 1 }, { unique: true });
+dailyFileStatsSchema.index({ owner: 1, date: 1 });
+dailyFileStatsSchema.index({ date: 1 });
+
+export default mongoose.model('DailyFileStats', dailyFileStatsSchema);
@@ -0,0 +1,70 @@
+import mongoose from 'mongoose';
+
+// Retrieval index: chunks of a material's extracted text (written by jobs/chunkIndexJob.js).
+// category/metadata mirror the File fields, so searches apply the listing filters to the chunks
+// and only check the visibility of the top hits' materials (services/retrievalService.js).
+const documentChunkSchema = new mongoose.Schema({
+  file: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'File',
+    required: true
+  },
+  // Position of the chunk in the document
+  index: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Page, slide or section the chunk comes from (chunks never span pages)
+  page: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  unit: {
+    type: String,
+    enum: ['page', 'slide', 'section'],
+    default: 'page'
+  },
+  title: {
+    type: String,
+    default: null
+  },
+  text: {
+    type: String,
+    required: true
+  },
+
+  // BM25 statistics: unique terms (indexed), term → count, and token count
+  terms: [String],
+  termFreqs: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  length: {
+    type: Number,
+    default: 0
+  },
+
+  category: {
+    type: { type: String },
+    branch: { type: String },
+    semester: { type: String },
+    subject: { type: String }
+  },
+  metadata: {
+    collegeName: { type: String },
+    professorName: { type: String },
+    year: { type: Number },
+    documentType: { type: String }
+  }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+documentChunkSchema.index({ file: 1, index: 1 }, { unique: true });
+documentChunkSchema.index({ terms: 1 });
+documentChunkSchema.index({ 'category.branch': 1, 'category.semester': 1, terms: 1 });
+
+export default mongoose.model('DocumentChunk', documentChunkSchema);
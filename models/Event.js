@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { softDeletePlugin } from '../utils/softDelete.js';
 
 const eventSchema = new mongoose.Schema({
   description: {
@@ -40,6 +41,9 @@ const eventSchema = new mongoose.Schema({
   }
 });
 
+// Deleted events stay restorable until the purge job removes them and their image
+eventSchema.plugin(softDeletePlugin);
+
 const Event = mongoose.model('Event', eventSchema);
 
 export default Event;
\ No newline at end of file
@@ -0,0 +1,63 @@
+import mongoose from 'mongoose';
+
+// Per-page text extraction results (written by jobs/extractionJob.js)
+const extractionPageSchema = new mongoose.Schema({
+  file: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'File',
+    required: true
+  },
+  // 1-based position in the original document (page, slide or section number)
+  page: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // PDFs have pages, presentations slides, and Word/text documents heading sections
+  unit: {
+    type: String,
+    enum: ['page', 'slide', 'section'],
+    default: 'page'
+  },
+  // Slide title or section heading
+  title: {
+    type: String,
+    default: null
+  },
+  // Short texts are stored as is; long ones gzipped in textCompressed (see utils/extractionPages.js)
+  text: {
+    type: String,
+    default: ''
+  },
+  textCompressed: {
+    type: Buffer,
+    default: null
+  },
+  textLength: {
+    type: Number,
+    default: 0
+  },
+  // Where the text came from: the PDF text layer, an OCR provider, or an office document parser
+  source: {
+    type: String,
+    enum: ['pdf-text', 'ocrspace', 'tesseract', 'docx', 'pptx', 'doc', 'ppt', 'text', null],
+    default: null
+  },
+  // 0-1, only reported by engines that score their output (Tesseract)
+  confidence: {
+    type: Number,
+    min: 0,
+    max: 1,
+    default: null
+  },
+  error: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+extractionPageSchema.index({ file: 1, page: 1 }, { unique: true });
+
+export default mongoose.model('ExtractionPage', extractionPageSchema);
@@ -1,4 +1,37 @@
 import mongoose from 'mongoose';
+import { softDeletePlugin, getPurgeDate } from '../utils/softDelete.js';
+
+// Internal moderation state (see controllers/moderationController.js); never sent to students
+const reviewSchema = new mongoose.Schema({
+  // An admin claims a material while reviewing it so two admins don't review the same file
+  claimedBy: { type: String, default: null }, // Admin UID
+  claimedByEmail: { type: String, default: null },
+  claimExpiresAt: { type: Date, default: null },
+  notes: [{
+    text: { type: String, required: true, trim: true },
+    author: { type: String, required: true }, // Admin UID
+    authorEmail: { type: String },
+    createdAt: { type: Date, default: Date.now }
+  }]
+}, { _id: false });
+
+// One uploaded revision of a material; the File's top-level fields always describe the latest one
+const versionSchema = new mongoose.Schema({
+  version: { type: Number, required: true, min: 1 },
+  fileName: { type: String, required: true },
+  fileUrl: { type: String, required: true },
+  fileType: { type: String, required: true },
+  fileSize: { type: Number, required: true },
+  contentHash: { type: String },
+  storage: {
+    provider: { type: String, enum: ['cloudinary', 'r2'] },
+    publicId: { type: String },
+    access: { type: String, enum: ['public', 'private'], default: 'public' }
+  },
+  uploadedBy: { type: String }, // Firebase UID
+  changelog: { type: String, trim: true, default: null },
+  uploadedAt: { type: Date, default: Date.now }
+}, { _id: false });
 
 const fileSchema = new mongoose.Schema({
   title: { type: String, required: true, trim: true },
@@ -6,6 +39,7 @@ const fileSchema = new mongoose.Schema({
   fileUrl: { type: String, required: true },
   fileType: { type: String, required: true },
   fileSize: { type: Number, required: true },
+  contentHash: { type: String }, // sha256 of the uploaded bytes (exact duplicate detection)
   
   // ✅ NEW: Store extracted text for chatbot (cached for performance)
   extractedText: { type: String, default: null },
@@ -20,7 +54,15 @@ const fileSchema = new mongoose.Schema({
   storage: {
     provider: { type: String, enum: ['cloudinary', 'r2'], default: 'cloudinary' },
     publicId: { type: String, required: true }, // Cloudinary public_id or R2 key
+    // private: only reachable through signed URLs (GET /api/files/download/:fileId); older uploads are public
+    access: { type: String, enum: ['public', 'private'], default: 'public' },
+    purgedAt: { type: Date, default: null } // Asset removed from storage (rejected materials, see jobs/purgeJob.js)
   },
+
+  // Replace-file history (POST /api/files/:fileId/versions); files uploaded before
+  // versioning have no entries until their first replacement
+  version: { type: Number, default: 1, min: 1 },
+  versions: { type: [versionSchema], default: undefined, select: false },
   
   category: {
     type: { type: String, enum: ['notes', 'assignments', 'practical', 'prevquestionpaper', 'researchpaper'], required: true },
@@ -36,14 +78,18 @@ const fileSchema = new mongoose.Schema({
     professorName: { type: String, trim: true },
     year: { type: Number, required: true },
     course: { type: String, required: true, trim: true },
-    documentType: { type: String, enum: ['typed', 'handwritten'], default: 'typed' } // NEW: Document type for AI selection
+    documentType: { type: String, enum: ['typed', 'handwritten'], default: 'typed' }, // NEW: Document type for AI selection
+    ocrLanguages: { type: [String], default: undefined }, // OCR language codes, e.g. ['hin', 'eng'] (see utils/ocrLanguages.js)
+    sourceImages: { type: Number } // Photos merged into this PDF (photo uploads of handwritten pages)
   },
   
   stats: {
     downloadCount: { type: Number, default: 0, min: 0 },
     likes: { type: Number, default: 0, min: 0 },
     views: { type: Number, default: 0, min: 0 },
-    starCount: { type: Number, default: 0, min: 0 }
+    starCount: { type: Number, default: 0, min: 0 },
+    // Time-decayed activity score (log space, see services/fileStatsService.js)
+    trendingScore: { type: Number, default: 0 }
   },
   
   moderation: {
@@ -62,10 +108,43 @@ const fileSchema = new mongoose.Schema({
     },
     verifiedBy: { type: String }, // Admin UID who verified/rejected
     verifiedAt: { type: Date },
+    rejectionCode: { type: String }, // Predefined reason (REJECTION_REASONS in moderationController)
     rejectionReason: { type: String, trim: true } // Reason for rejection
   },
+  review: { type: reviewSchema, select: false },
   
   tags: [{ type: String, trim: true }],
+
+  // Near-duplicate detection over the extracted text (see services/duplicateService.js)
+  similarity: {
+    minhash: { type: [Number], default: undefined, select: false },
+    bands: { type: [String], default: undefined, select: false }
+  },
+  // Materials this one duplicates (exact: same bytes, near: similar text)
+  duplicates: [{
+    _id: false,
+    file: { type: mongoose.Schema.Types.ObjectId, ref: 'File' },
+    kind: { type: String, enum: ['exact', 'near'] },
+    similarity: { type: Number, min: 0, max: 1 },
+    detectedAt: { type: Date, default: Date.now }
+  }],
+
+  // Generated study aids (see services/insightsService.js), cached until the text changes
+  insights: {
+    status: { type: String, enum: ['pending', 'success', 'failed'] },
+    summary: { type: String },
+    keyTopics: [{ type: String, trim: true }],
+    flashcards: [{
+      _id: false,
+      question: { type: String, required: true },
+      answer: { type: String, required: true },
+      page: { type: Number } // Page/slide/section the card is based on
+    }],
+    provider: { type: String },
+    sourceHash: { type: String }, // sha256 of the text the insights were generated from
+    generatedAt: { type: Date },
+    error: { type: String }
+  },
   
 }, { 
   timestamps: true,
@@ -74,10 +153,41 @@ const fileSchema = new mongoose.Schema({
 
 // Indexes for performance
 fileSchema.index({ 'category.type': 1, 'category.branch': 1, 'category.semester': 1 });
-fileSchema.index({ 'category.subject': 'text', title: 'text' });
+// Full-text search index (MongoDB allows only one text index per collection).
+// Title and subject matches outrank hits buried in the document body.
+fileSchema.index(
+  { title: 'text', 'category.subject': 'text', tags: 'text', extractedText: 'text' },
+  {
+    name: 'file_text_search',
+    weights: { title: 10, 'category.subject': 6, tags: 3, extractedText: 1 },
+    default_language: 'english'
+  }
+);
 fileSchema.index({ uploadedBy: 1, createdAt: -1 });
-fileSchema.index({ 'moderation.approved': 1, createdAt: -1 });
-fileSchema.index({ 'verification.status': 1, createdAt: -1 }); // NEW: Index for verification status
+fileSchema.index({ 'moderation.approved': 1, createdAt: -1, _id: -1 });
+fileSchema.index({ 'verification.status': 1, createdAt: -1, _id: -1 }); // Verification status + cursor pagination
+fileSchema.index({ 'verification.status': 1, 'review.claimedBy': 1 }); // Moderation queue
 fileSchema.index({ tags: 1 });
 
+// Duplicate detection
+fileSchema.index({ contentHash: 1 });
+fileSchema.index({ 'similarity.bands': 1 });
+fileSchema.index({ 'duplicates.file': 1 });
+
+// Deleted materials stay restorable until the purge job removes them and their storage object;
+// rejected materials keep their record but lose the stored file after the same period
+// (a rejected material restored from the trash gets its rejection purge date back)
+fileSchema.plugin(softDeletePlugin, {
+  purgeAfterRestore: (file) => (file.verification?.status === 'rejected' && !file.storage?.purgedAt
+    ? getPurgeDate(file.verification.verifiedAt || new Date())
+    : null)
+});
+fileSchema.index({ 'verification.status': 1, purgeAfter: 1 });
+
+// Sort modes for the materials listing (see SORT_MODES in fileQueryService)
+fileSchema.index({ 'verification.status': 1, 'stats.downloadCount': -1, _id: -1 });
+fileSchema.index({ 'verification.status': 1, 'stats.starCount': -1, _id: -1 });
+fileSchema.index({ 'verification.status': 1, 'stats.views': -1, _id: -1 });
+fileSchema.index({ 'verification.status': 1, 'stats.trendingScore': -1, _id: -1 });
+
 export default mongoose.model('File', fileSchema);
@@ -0,0 +1,40 @@
+import mongoose from 'mongoose';
+
+// Raw view/download events of materials (see services/analyticsService.js).
+// Rolled up into DailyFileStats by the worker and kept only for FILE_ACTIVITY_RETENTION_DAYS.
+const RETENTION_DAYS = Number(process.env.FILE_ACTIVITY_RETENTION_DAYS || 90);
+
+const fileActivitySchema = new mongoose.Schema({
+  file: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'File',
+    required: true
+  },
+  // Uploader of the material, so an owner's activity can be read without a join
+  owner: {
+    type: String, // Firebase UID
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['view', 'download'],
+    required: true
+  },
+  // Viewer/downloader; null for anonymous visitors
+  user: {
+    type: String, // Firebase UID
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  versionKey: false
+});
+
+// Rollup: one day of events at a time
+fileActivitySchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+fileActivitySchema.index({ file: 1, createdAt: 1 });
+
+export default mongoose.model('FileActivity', fileActivitySchema);
@@ -0,0 +1,109 @@
+import mongoose from 'mongoose';
+
+// Background job queue (see services/jobQueue.js and worker.js)
+const jobSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // File the job works on (lets status endpoints find a file's jobs)
+  file: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'File',
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'succeeded', 'failed'],
+    default: 'queued'
+  },
+  priority: {
+    type: Number,
+    default: 0
+  },
+
+  // Retry handling
+  attempts: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5,
+    min: 1
+  },
+  runAt: {
+    type: Date,
+    default: Date.now
+  },
+  failures: [{
+    attempt: Number,
+    message: String,
+    at: { type: Date, default: Date.now }
+  }],
+  lastError: {
+    type: String,
+    default: null
+  },
+
+  // Lease held by the worker running the job. An expired lease means the
+  // worker died (crash, deploy, restart) and the job can be claimed again.
+  lockedBy: {
+    type: String,
+    default: null
+  },
+  lockExpiresAt: {
+    type: Date,
+    default: null
+  },
+
+  // Same key = same logical job; enqueueing it again while queued/running is a no-op
+  dedupeKey: {
+    type: String,
+    default: null
+  },
+
+  progress: {
+    current: { type: Number, default: 0 },
+    total: { type: Number, default: 0 },
+    message: { type: String, default: null },
+    details: { type: mongoose.Schema.Types.Mixed, default: null },
+    updatedAt: { type: Date }
+  },
+  result: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  startedAt: {
+    type: Date
+  },
+  finishedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true }
+});
+
+// Claiming: next runnable job in priority order
+jobSchema.index({ status: 1, runAt: 1, priority: -1 });
+jobSchema.index({ status: 1, lockExpiresAt: 1 });
+// At most one queued/running job per dedupe key, even when two requests enqueue at once
+jobSchema.index(
+  { dedupeKey: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { dedupeKey: { $type: 'string' }, status: { $in: ['queued', 'running'] } }
+  }
+);
+jobSchema.index({ file: 1, type: 1, createdAt: -1 });
+// Finished jobs are kept for 30 days for debugging, then removed
+jobSchema.index({ finishedAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+export default mongoose.model('Job', jobSchema);
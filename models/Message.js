@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { softDeletePlugin } from '../utils/softDelete.js';
 
 const messageSchema = new mongoose.Schema({
   // User Information
@@ -96,6 +97,10 @@ messageSchema.pre('save', function(next) {
 messageSchema.index({ userEmail: 1, createdAt: -1 });
 messageSchema.index({ status: 1, createdAt: -1 });
 messageSchema.index({ category: 1, status: 1 });
+messageSchema.index({ createdAt: -1, _id: -1 }); // Cursor pagination for the admin inbox
+
+// Deleted messages stay restorable until the purge job removes them
+messageSchema.plugin(softDeletePlugin);
 
 const Message = mongoose.model('Message', messageSchema);
 
@@ -0,0 +1,29 @@
+import mongoose from 'mongoose';
+
+// Admin-edited upload limits of a role (see services/quotaService.js for the defaults).
+// null means unlimited.
+const limit = { type: Number, min: 0, default: null };
+
+const quotaPolicySchema = new mongoose.Schema({
+  role: {
+    type: String,
+    enum: ['student', 'moderator', 'admin'],
+    required: true,
+    unique: true
+  },
+  // Materials that count against the quota: pending + verified (rejected and trashed ones don't)
+  maxFiles: limit,
+  // Materials waiting for review
+  maxPendingFiles: limit,
+  // Bytes of every stored version of those materials
+  maxStorageBytes: limit,
+  // New materials and new versions per UTC day (deleted ones still count)
+  maxUploadsPerDay: limit,
+  updatedBy: {
+    type: String // Admin email
+  }
+}, {
+  timestamps: true
+});
+
+export default mongoose.model('QuotaPolicy', quotaPolicySchema);
@@ -0,0 +1,28 @@
+import mongoose from 'mongoose';
+
+// Usage held by an upload or restore between its quota check and the write that makes
+// the usage real (see reserveQuota in services/quotaService.js). Removed by the request
+// once it is done; a crashed request's reservation expires on its own.
+const amount = { type: Number, min: 0, default: 0 };
+
+const quotaReservationSchema = new mongoose.Schema({
+  user: {
+    type: String, // Firebase UID
+    required: true
+  },
+  files: amount,
+  pendingFiles: amount,
+  storageBytes: amount,
+  uploadsToday: amount,
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+quotaReservationSchema.index({ user: 1, expiresAt: 1 });
+quotaReservationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('QuotaReservation', quotaReservationSchema);
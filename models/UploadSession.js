@@ -0,0 +1,68 @@
+import mongoose from 'mongoose';
+
+// Resumable upload of one large document (see services/uploadSessionService.js).
+// Parts are written to temp-uploads/sessions/<id>/ on the API server; expired
+// sessions are removed together with their files by the cleanup job, not by a TTL index.
+const uploadSessionSchema = new mongoose.Schema({
+  user: {
+    type: String, // Firebase UID
+    required: true
+  },
+  fileName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  mimeType: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // Hex SHA-256 of the whole file, checked once it is assembled
+  sha256: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+  chunkSize: {
+    type: Number,
+    required: true
+  },
+  totalParts: {
+    type: Number,
+    required: true
+  },
+  // 1-based numbers of the parts stored so far
+  receivedParts: {
+    type: [Number],
+    default: []
+  },
+  // 'assembling' while one complete request joins the parts; no parts are accepted then
+  status: {
+    type: String,
+    enum: ['uploading', 'assembling', 'completed'],
+    default: 'uploading'
+  },
+  // Assembled file, set once the session is completed
+  assembledPath: {
+    type: String,
+    default: null
+  },
+  // Pushed back on every part, so only abandoned sessions expire
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+uploadSessionSchema.index({ user: 1, createdAt: -1 });
+// Cleanup job
+uploadSessionSchema.index({ expiresAt: 1 });
+
+export default mongoose.model('UploadSession', uploadSessionSchema);
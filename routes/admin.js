@@ -3,7 +3,6 @@ import multer from 'multer';
 import path from 'path';
 import fs from 'fs';
 import { requireAdmin, checkAdminStatus } from '../middleware/adminAuth.js';
-import { deleteFile } from '../services/storageService.js'; // NEW: For Cloudinary deletion
 import {
   getAllDonationsAdmin,
   addDonation,
@@ -18,6 +17,29 @@ import {
   deleteEvent,
   toggleEventStatus
 } from '../controllers/eventController.js';
+import {
+  getAllCollegeSettings,
+  updateCollegeSettings,
+  deleteCollegeSettings
+} from '../controllers/collegeSettingsController.js';
+import { reindexDocumentChunks } from '../controllers/retrievalController.js';
+import { regenerateInsights } from '../controllers/insightsController.js';
+import { getDuplicatesReport } from '../controllers/duplicateController.js';
+import {
+  getModerationQueue,
+  getRejectionReasons,
+  claimMaterial,
+  releaseMaterialClaim,
+  addReviewNote,
+  verifyMaterial,
+  rejectMaterial,
+  bulkVerifyMaterials,
+  bulkRejectMaterials
+} from '../controllers/moderationController.js';
+import { getAuditLog, exportAuditLog } from '../controllers/auditController.js';
+import { getTrash, restoreTrashItem } from '../controllers/trashController.js';
+import { getTopMaterials } from '../controllers/analyticsController.js';
+import { getQuotaPolicies, updateQuotaPolicy, resetQuotaPolicy } from '../controllers/quotaController.js';
 
 const router = express.Router();
 
@@ -87,113 +109,46 @@ router.put('/events/:eventId', requireAdmin, upload.single('eventImage'), update
 router.delete('/events/:eventId', requireAdmin, deleteEvent);
 router.patch('/events/:eventId/toggle', requireAdmin, toggleEventStatus);
 
-// ✅ NEW: MATERIAL VERIFICATION ROUTES
-router.get('/materials/pending', requireAdmin, async (req, res) => {
-  try {
-    const File = (await import('../models/File.js')).default;
-    const pendingMaterials = await File.find({ 'verification.status': 'pending' })
-      .sort({ createdAt: -1 })
-      .populate('uploadedBy', 'name email')
-      .lean();
-
-    res.json({
-      success: true,
-      data: pendingMaterials,
-      count: pendingMaterials.length
-    });
-  } catch (error) {
-    console.error('Error fetching pending materials:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to fetch pending materials'
-    });
-  }
-});
+// ✅ ADMIN DASHBOARD ROUTES - COLLEGE SETTINGS (default OCR languages)
+router.get('/college-settings', requireAdmin, getAllCollegeSettings);
+router.put('/college-settings/:collegeName', requireAdmin, updateCollegeSettings);
+router.delete('/college-settings/:collegeName', requireAdmin, deleteCollegeSettings);
 
-router.post('/materials/:materialId/verify', requireAdmin, async (req, res) => {
-  try {
-    const File = (await import('../models/File.js')).default;
-    const { materialId } = req.params;
-    
-    const material = await File.findByIdAndUpdate(
-      materialId,
-      {
-        'verification.status': 'verified',
-        'verification.verifiedBy': req.user.uid,
-        'verification.verifiedAt': new Date()
-      },
-      { new: true }
-    );
-
-    if (!material) {
-      return res.status(404).json({
-        success: false,
-        message: 'Material not found'
-      });
-    }
+// ✅ ADMIN DASHBOARD ROUTES - UPLOAD QUOTAS (per role: student, moderator, admin)
+router.get('/quotas', requireAdmin, getQuotaPolicies);
+router.put('/quotas/:role', requireAdmin, updateQuotaPolicy);
+router.delete('/quotas/:role', requireAdmin, resetQuotaPolicy);
 
-    res.json({
-      success: true,
-      message: 'Material verified successfully',
-      data: material
-    });
-  } catch (error) {
-    console.error('Error verifying material:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to verify material'
-    });
-  }
-});
+// ✅ ADMIN DASHBOARD ROUTES - AUDIT LOG (filters: actor, targetType, targetId, action, from, to)
+router.get('/audit-log', requireAdmin, getAuditLog);
+router.get('/audit-log/export', requireAdmin, exportAuditLog);
 
-router.post('/materials/:materialId/reject', requireAdmin, async (req, res) => {
-  try {
-    const File = (await import('../models/File.js')).default;
-    const { materialId } = req.params;
-    const { reason } = req.body;
-    
-    const material = await File.findByIdAndUpdate(
-      materialId,
-      {
-        'verification.status': 'rejected',
-        'verification.verifiedBy': req.user.uid,
-        'verification.verifiedAt': new Date(),
-        'verification.rejectionReason': reason || 'No reason provided'
-      },
-      { new: true }
-    );
-
-    if (!material) {
-      return res.status(404).json({
-        success: false,
-        message: 'Material not found'
-      });
-    }
+// ✅ ADMIN DASHBOARD ROUTES - TRASH (deleted materials, events and messages until purged)
+router.get('/trash', requireAdmin, getTrash);
+router.post('/trash/:type/:id/restore', requireAdmin, restoreTrashItem);
 
-    // NEW: Delete from Cloudinary when material is rejected
-    try {
-      if (material.storage?.publicId && material.storage?.provider) {
-        console.log(`🗑️ Deleting rejected material from ${material.storage.provider}: ${material.storage.publicId}`);
-        await deleteFile(material.storage.publicId, material.storage.provider);
-        console.log('✅ File deleted from cloud storage successfully');
-      }
-    } catch (deleteError) {
-      console.error('❌ Error deleting file from cloud storage:', deleteError);
-      // Continue with rejection even if cloud deletion fails
-    }
+// ✅ ADMIN DASHBOARD ROUTES - ANALYTICS (metric=downloads|views, from, to, limit)
+router.get('/analytics/top-materials', requireAdmin, getTopMaterials);
 
-    res.json({
-      success: true,
-      message: 'Material rejected and removed from storage',
-      data: material
-    });
-  } catch (error) {
-    console.error('Error rejecting material:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to reject material'
-    });
-  }
-});
+// ✅ ADMIN DASHBOARD ROUTES - RETRIEVAL INDEX
+router.post('/retrieval/reindex', requireAdmin, reindexDocumentChunks);
+
+// ✅ MATERIAL MODERATION ROUTES
+router.get('/materials/pending', requireAdmin, getModerationQueue);
+router.get('/materials/rejection-reasons', requireAdmin, getRejectionReasons);
+router.post('/materials/bulk-verify', requireAdmin, bulkVerifyMaterials);
+router.post('/materials/bulk-reject', requireAdmin, bulkRejectMaterials);
+
+// Materials uploaded more than once (same file or near-identical text)
+router.get('/materials/duplicates', requireAdmin, getDuplicatesReport);
+
+router.post('/materials/:materialId/claim', requireAdmin, claimMaterial);
+router.delete('/materials/:materialId/claim', requireAdmin, releaseMaterialClaim);
+router.post('/materials/:materialId/notes', requireAdmin, addReviewNote);
+router.post('/materials/:materialId/verify', requireAdmin, verifyMaterial);
+router.post('/materials/:materialId/reject', requireAdmin, rejectMaterial);
+
+// Generated summary/topics/flashcards
+router.post('/materials/:materialId/insights/regenerate', requireAdmin, regenerateInsights);
 
 export default router;
@@ -4,6 +4,7 @@ import asyncHandler from '../utils/asyncHandler.js';
 import { 
   uploadMaterial, 
   getFiles, 
+  searchFiles,
   getFileDownload,
   getFilesByCategory,
   uploadMiddleware,
@@ -14,9 +15,37 @@ import {
   removeStar,           // ✅ NEW: Star functionality  
   getUserStars,         // ✅ NEW: Star functionality
   getFileWithText,
-  deleteMaterial
+  deleteMaterial,
+  uploadNewVersion,
+  getFileVersions,
+  updateMaterial,
+  streamFile
 } from '../controllers/fileController.js';
+import {
+  getExtractionStatus,
+  retryExtraction,
+  getExtractionPages,
+  getExtractionPage
+} from '../controllers/extractionController.js';
+import {
+  chatWithFile,
+  getFileChatHistory,
+  clearFileChatHistory
+} from '../controllers/chatController.js';
+import { getFileInsights, requestInsights } from '../controllers/insightsController.js';
+import { getMyTrashedMaterials, restoreMaterial } from '../controllers/trashController.js';
+import { getMyAnalytics, getFileAnalytics } from '../controllers/analyticsController.js';
+import {
+  createUpload,
+  getUploadStatus,
+  uploadPart,
+  completeUpload,
+  abortUpload,
+  useUploadSession
+} from '../controllers/uploadSessionController.js';
+import { UPLOAD_CHUNK_SIZE } from '../services/uploadSessionService.js';
 import File from '../models/File.js';
+import { findAccessibleFile, isOwnerOrAdmin, toPublicFile } from '../services/fileQueryService.js';
 
 const router = express.Router();
 
@@ -26,20 +55,65 @@ router.get('/', asyncHandler(getFiles));
 // 🎯 NEW: Get files by category
 router.get('/category/:category', optionalAuth, asyncHandler(getFilesByCategory));
 
-// Search files
-router.get('/search', optionalAuth, asyncHandler(getFiles));
+// Search files (ranked full-text search with highlighted snippets)
+router.get('/search', optionalAuth, asyncHandler(searchFiles));
 
-// Upload file
-router.post('/upload', authenticateUser, uploadMiddleware, asyncHandler(uploadMaterial));
+// Upload file (multipart, or JSON with the uploadId of a completed resumable upload)
+router.post('/upload', authenticateUser, uploadMiddleware, useUploadSession, asyncHandler(uploadMaterial));
+
+// Resumable uploads for large documents: init → PUT parts → complete → POST /upload with uploadId
+router.post('/uploads', authenticateUser, asyncHandler(createUpload));
+router.get('/uploads/:uploadId', authenticateUser, asyncHandler(getUploadStatus));
+router.put(
+  '/uploads/:uploadId/parts/:partNumber',
+  authenticateUser,
+  express.raw({ type: () => true, limit: UPLOAD_CHUNK_SIZE }),
+  asyncHandler(uploadPart)
+);
+router.post('/uploads/:uploadId/complete', authenticateUser, asyncHandler(completeUpload));
+router.delete('/uploads/:uploadId', authenticateUser, asyncHandler(abortUpload));
 
 // Download file
 router.get('/download/:fileId', optionalAuth, asyncHandler(getFileDownload));
 
+// Download proxy with Range support (?inline=true to display)
+router.get('/:fileId/stream', optionalAuth, asyncHandler(streamFile));
+
 // NEW: Route to get file with extracted text
 router.get('/view/:fileId', optionalAuth, asyncHandler(getFileWithText));
 
-// Delete material (only owner can delete)
+// Text extraction status + re-run (owner or admin)
+router.get('/:fileId/extraction', authenticateUser, asyncHandler(getExtractionStatus));
+router.post('/:fileId/extraction/retry', authenticateUser, asyncHandler(retryExtraction));
+
+// Per-page extraction results
+router.get('/:fileId/pages', optionalAuth, asyncHandler(getExtractionPages));
+router.get('/:fileId/pages/:page', optionalAuth, asyncHandler(getExtractionPage));
+
+// Daily views/downloads: all of my materials, or one material (owner or admin)
+router.get('/analytics', authenticateUser, asyncHandler(getMyAnalytics));
+router.get('/:fileId/analytics', authenticateUser, asyncHandler(getFileAnalytics));
+
+// Generated summary, key topics and flashcards
+router.get('/:fileId/insights', optionalAuth, asyncHandler(getFileInsights));
+router.post('/:fileId/insights', authenticateUser, asyncHandler(requestInsights));
+
+// Replace the file of a material (owner only) and list its version history
+router.post('/:fileId/versions', authenticateUser, uploadMiddleware, useUploadSession, asyncHandler(uploadNewVersion));
+router.get('/:fileId/versions', optionalAuth, asyncHandler(getFileVersions));
+
+// Document Q&A (answers cite pages; short per-user history)
+router.post('/:fileId/chat', authenticateUser, asyncHandler(chatWithFile));
+router.get('/:fileId/chat', authenticateUser, asyncHandler(getFileChatHistory));
+router.delete('/:fileId/chat', authenticateUser, asyncHandler(clearFileChatHistory));
+
+// Edit title, classification, professor, year and tags (owner or admin)
+router.patch('/:fileId', authenticateUser, asyncHandler(updateMaterial));
+
+// Delete material (only owner can delete); it stays in the trash until purged
 router.delete('/:fileId', authenticateUser, asyncHandler(deleteMaterial));
+router.get('/trash', authenticateUser, asyncHandler(getMyTrashedMaterials));
+router.post('/:fileId/restore', authenticateUser, asyncHandler(restoreMaterial));
 
 // Add these routes before export default router;
 // Bookmark routes
@@ -92,7 +166,7 @@ router.get('/my-uploads', authenticateUser, asyncHandler(async (req, res) => {
 router.get('/:fileId', optionalAuth, asyncHandler(async (req, res) => {
   try {
     const { fileId } = req.params;
-    const file = await File.findById(fileId);
+    const file = await findAccessibleFile(fileId, req.user);
     
     if (!file) {
       return res.status(404).json({
@@ -101,9 +175,10 @@ router.get('/:fileId', optionalAuth, asyncHandler(async (req, res) => {
       });
     }
 
+    // Text and storage details only for the uploader and admins; others use /view and /download
     res.json({
       success: true,
-      file: file
+      file: isOwnerOrAdmin(file, req.user) ? file : toPublicFile(file)
     });
   } catch (error) {
     // Will be handled by error middleware
@@ -9,6 +9,7 @@ import {
   markAsRead,
   deleteMessage
 } from '../controllers/messageController.js';
+import { getMyTrashedMessages, restoreMyMessage } from '../controllers/trashController.js';
 
 const router = express.Router();
 
@@ -17,6 +18,8 @@ router.post('/', authenticateUser, createMessage);
 router.get('/my-messages', authenticateUser, getUserMessages);
 router.patch('/:messageId/read', authenticateUser, markAsRead);
 router.delete('/:messageId', authenticateUser, deleteMessage); // User can delete their own messages
+router.get('/trash', authenticateUser, getMyTrashedMessages);
+router.post('/:messageId/restore', authenticateUser, restoreMyMessage);
 
 // Admin routes (require admin authentication)
 router.get('/admin/all', requireAdmin, getAllMessages);
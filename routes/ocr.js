@@ -1,6 +1,7 @@
 import express from 'express';
 import { authenticateUser } from '../middleware/auth.js';
 import ocrService from '../services/ocrService.js';
+import { OCR_LANGUAGES, MAX_OCR_LANGUAGES, DEFAULT_OCR_LANGUAGES } from '../utils/ocrLanguages.js';
 
 const router = express.Router();
 
@@ -23,4 +24,19 @@ router.get('/status', authenticateUser, (req, res) => {
   }
 });
 
+/**
+ * GET /api/ocr/languages
+ * Languages uploaders can choose for handwritten notes
+ */
+router.get('/languages', (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      languages: Object.entries(OCR_LANGUAGES).map(([code, { name }]) => ({ code, name })),
+      maxPerFile: MAX_OCR_LANGUAGES,
+      defaults: DEFAULT_OCR_LANGUAGES
+    }
+  });
+});
+
 export default router;
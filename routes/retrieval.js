@@ -0,0 +1,13 @@
+import express from 'express';
+import asyncHandler from '../utils/asyncHandler.js';
+import { searchDocumentChunks } from '../controllers/retrievalController.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/retrieval/chunks?q=...&semester=4&subject=DBMS
+ * Top document chunks across verified materials (BM25)
+ */
+router.get('/chunks', asyncHandler(searchDocumentChunks));
+
+export default router;
@@ -17,6 +17,7 @@ import ocrRoutes from './routes/ocr.js'; // NEW: OCR status route
 import authRoutes from './routes/auth.js';
 import fileRoutes from './routes/files.js';
 import userRoutes from './routes/users.js';
+import retrievalRoutes from './routes/retrieval.js';
 import { notFoundHandler, errorHandler } from './middleware/errorHandler.js';
 import logger from './utils/logger.js';
 
@@ -119,6 +120,7 @@ app.use('/api/donations', donationRoutes);
 app.use('/api/events', eventRoutes); 
 app.use('/api/messages', messageRoutes);
 app.use('/api/ocr', ocrRoutes); // NEW: OCR status endpoint 
+app.use('/api/retrieval', retrievalRoutes);
 
 // Health check
 app.get('/api/health', (req, res) => {
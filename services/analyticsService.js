@@ -0,0 +1,221 @@
+import File from '../models/File.js';
+import FileActivity from '../models/FileActivity.js';
+import DailyFileStats from '../models/DailyFileStats.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Material analytics
+ * - Every view/download is logged as a FileActivity event
+ * - The worker rolls events up into DailyFileStats (one row per material and UTC day)
+ * - Reports only read the rollups, so they stay cheap however busy a material is
+ */
+const DAY_MS = 24 * 60 * 60 * 1000;
+export const MAX_RANGE_DAYS = 366;
+export const ANALYTICS_METRICS = ['downloads', 'views'];
+
+// 'YYYY-MM-DD' of a date (UTC)
+export const toDay = (date) => new Date(date).toISOString().slice(0, 10);
+
+const dayStart = (day) => new Date(`${day}T00:00:00.000Z`);
+
+/**
+ * Log a view or download (never throws: analytics must not break the request).
+ * @param {Object} entry - { file, owner, type: 'view'|'download', user }
+ */
+export const logFileActivity = async ({ file, owner, type, user = null }) => {
+  try {
+    await FileActivity.create({ file, owner, type, user });
+  } catch (error) {
+    logger.error(`❌ Failed to log ${type} of file ${file}:`, error.message);
+  }
+};
+
+/**
+ * Parse ?from=YYYY-MM-DD&to=YYYY-MM-DD (UTC days, both included). Defaults to the last `defaultDays` days.
+ * @returns {{ from: string, to: string, error: string|null }}
+ */
+export const parseDayRange = (query = {}, defaultDays = 30) => {
+  const isDay = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(dayStart(value).getTime());
+
+  const to = query.to || toDay(Date.now());
+  const from = query.from || toDay(dayStart(to).getTime() - (defaultDays - 1) * DAY_MS);
+
+  if (!isDay(from) || !isDay(to)) {
+    return { from, to, error: 'from and to must be dates like 2025-01-31' };
+  }
+  if (from > to) {
+    return { from, to, error: 'from must not be after to' };
+  }
+  if ((dayStart(to) - dayStart(from)) / DAY_MS >= MAX_RANGE_DAYS) {
+    return { from, to, error: `The range can cover at most ${MAX_RANGE_DAYS} days` };
+  }
+  return { from, to, error: null };
+};
+
+// Every day of a range, oldest first
+const daysBetween = (from, to) => {
+  const days = [];
+  for (let time = dayStart(from).getTime(); time <= dayStart(to).getTime(); time += DAY_MS) {
+    days.push(toDay(time));
+  }
+  return days;
+};
+
+/**
+ * Rebuild the daily rollups of the given days from the event log.
+ * Idempotent: each (material, day) row is replaced, so today's partial day is simply recomputed.
+ * @param {string} from - First day, 'YYYY-MM-DD'
+ * @param {string} to - Last day, 'YYYY-MM-DD'
+ * @returns {Promise<{ from, to, rows: number }>}
+ */
+export const rollupDailyStats = async (from, to) => {
+  const start = dayStart(from);
+  const end = new Date(dayStart(to).getTime() + DAY_MS);
+  const distinctUsers = (type) => ({
+    $size: {
+      $setDifference: [
+        { $map: { input: { $filter: { input: '$events', cond: { $eq: ['$$this.type', type] } } }, in: '$$this.user' } },
+        [null]
+      ]
+    }
+  });
+
+  await FileActivity.aggregate([
+    { $match: { createdAt: { $gte: start, $lt: end } } },
+    {
+      $group: {
+        _id: { file: '$file', date: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } } },
+        owner: { $first: '$owner' },
+        views: { $sum: { $cond: [{ $eq: ['$type', 'view'] }, 1, 0] } },
+        downloads: { $sum: { $cond: [{ $eq: ['$type', 'download'] }, 1, 0] } },
+        events: { $addToSet: { type: '$type', user: '$user' } }
+      }
+    },
+    {
+      $project: {
+        _id: 0,
+        file: '$_id.file',
+        date: '$_id.date',
+        owner: 1,
+        views: 1,
+        downloads: 1,
+        uniqueViewers: distinctUsers('view'),
+        uniqueDownloaders: distinctUsers('download'),
+        rolledUpAt: '$$NOW'
+      }
+    },
+    {
+      $merge: {
+        into: DailyFileStats.collection.name,
+        on: ['file', 'date'],
+        whenMatched: 'replace',
+        whenNotMatched: 'insert'
+      }
+    }
+  ]);
+
+  const rows = await DailyFileStats.countDocuments({ date: { $gte: from, $lte: to } });
+  logger.info(`📈 Daily stats rolled up for ${from}..${to}: ${rows} row(s)`);
+  return { from, to, rows };
+};
+
+/**
+ * Daily views/downloads of materials, one zero-filled series per material.
+ * @param {Object} filter - DailyFileStats filter (owner or file)
+ * @param {string} from
+ * @param {string} to
+ * @returns {Promise<Map<string, { totals, series }>>} keyed by file id
+ */
+export const getDailySeries = async (filter, from, to) => {
+  const rows = await DailyFileStats.find({ ...filter, date: { $gte: from, $lte: to } })
+    .select('file date views downloads uniqueViewers uniqueDownloaders')
+    .lean();
+
+  const days = daysBetween(from, to);
+  const byFile = new Map();
+  rows.forEach(row => {
+    const id = String(row.file);
+    if (!byFile.has(id)) byFile.set(id, new Map());
+    byFile.get(id).set(row.date, row);
+  });
+
+  const result = new Map();
+  byFile.forEach((rowsByDay, id) => {
+    const series = days.map(date => {
+      const row = rowsByDay.get(date);
+      return {
+        date,
+        views: row?.views || 0,
+        downloads: row?.downloads || 0,
+        uniqueViewers: row?.uniqueViewers || 0,
+        uniqueDownloaders: row?.uniqueDownloaders || 0
+      };
+    });
+    result.set(id, {
+      totals: {
+        views: series.reduce((sum, day) => sum + day.views, 0),
+        downloads: series.reduce((sum, day) => sum + day.downloads, 0)
+      },
+      series
+    });
+  });
+  return result;
+};
+
+// Zero series for materials without activity in the range
+export const emptySeries = (from, to) => ({
+  totals: { views: 0, downloads: 0 },
+  series: daysBetween(from, to).map(date => ({ date, views: 0, downloads: 0, uniqueViewers: 0, uniqueDownloaders: 0 }))
+});
+
+/**
+ * Most viewed/downloaded materials of the platform in a range, with platform totals per day.
+ * @param {Object} options - { from, to, metric: 'downloads'|'views', limit }
+ */
+export const getTopMaterials = async ({ from, to, metric = 'downloads', limit = 20 }) => {
+  const dateFilter = { date: { $gte: from, $lte: to } };
+
+  const [top, daily] = await Promise.all([
+    DailyFileStats.aggregate([
+      { $match: dateFilter },
+      { $group: { _id: '$file', views: { $sum: '$views' }, downloads: { $sum: '$downloads' } } },
+      { $match: { [metric]: { $gt: 0 } } },
+      { $sort: { [metric]: -1, _id: 1 } },
+      // Extra rows make up for materials deleted since
+      { $limit: limit * 2 }
+    ]),
+    DailyFileStats.aggregate([
+      { $match: dateFilter },
+      { $group: { _id: '$date', views: { $sum: '$views' }, downloads: { $sum: '$downloads' } } }
+    ])
+  ]);
+
+  const files = await File.find({ _id: { $in: top.map(row => row._id) } })
+    .select('title category uploadedBy verification.status stats.downloadCount stats.views')
+    .lean();
+  const filesById = new Map(files.map(file => [String(file._id), file]));
+
+  const dailyByDate = new Map(daily.map(row => [row._id, row]));
+  const series = daysBetween(from, to).map(date => ({
+    date,
+    views: dailyByDate.get(date)?.views || 0,
+    downloads: dailyByDate.get(date)?.downloads || 0
+  }));
+
+  return {
+    materials: top
+      .filter(row => filesById.has(String(row._id)))
+      .slice(0, limit)
+      .map((row, index) => ({
+        rank: index + 1,
+        file: filesById.get(String(row._id)),
+        views: row.views,
+        downloads: row.downloads
+      })),
+    totals: {
+      views: series.reduce((sum, day) => sum + day.views, 0),
+      downloads: series.reduce((sum, day) => sum + day.downloads, 0)
+    },
+    series
+  };
+};
@@ -0,0 +1,109 @@
+import AuditLog from '../models/AuditLog.js';
+import logger from '../utils/logger.js';
+
+// Bookkeeping fields that are not part of a change
+const IGNORED_FIELDS = new Set(['_id', '__v', 'createdAt', 'updatedAt']);
+const MAX_VALUE_LENGTH = 1000;
+
+// Plain JSON-safe value: documents → objects, ObjectIds → strings, dates → ISO strings
+const toPlain = (value) => {
+  if (value === undefined || value === null) return null;
+  if (typeof value.toObject === 'function') return toPlain(value.toObject());
+  if (value instanceof Date) return value.toISOString();
+  if (value._bsontype === 'ObjectId' || value._bsontype === 'ObjectID') return String(value);
+  if (Array.isArray(value)) return value.map(toPlain);
+  if (typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, toPlain(item)]));
+  }
+  if (typeof value === 'string' && value.length > MAX_VALUE_LENGTH) {
+    return `${value.slice(0, MAX_VALUE_LENGTH)}…`;
+  }
+  return value;
+};
+
+// { a: { b: 1 } } → { 'a.b': 1 } (arrays are compared as a whole)
+const flatten = (value, prefix = '', out = {}) => {
+  Object.entries(value || {}).forEach(([key, item]) => {
+    if (!prefix && IGNORED_FIELDS.has(key)) return;
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (item && typeof item === 'object' && !Array.isArray(item)) {
+      flatten(item, path, out);
+    } else {
+      out[path] = item;
+    }
+  });
+  return out;
+};
+
+/**
+ * Field-level differences between two versions of a record.
+ * @param {Object|null} before - null for creations
+ * @param {Object|null} after - null for deletions
+ * @returns {Array<{ field, before, after }>}
+ */
+export const diffChanges = (before, after) => {
+  const previous = flatten(toPlain(before));
+  const next = flatten(toPlain(after));
+
+  return [...new Set([...Object.keys(previous), ...Object.keys(next)])]
+    .filter(field => JSON.stringify(previous[field] ?? null) !== JSON.stringify(next[field] ?? null))
+    .map(field => ({ field, before: previous[field] ?? null, after: next[field] ?? null }));
+};
+
+/**
+ * Record one or more admin actions. Never throws: a failed audit write is logged
+ * but does not undo or fail the action itself.
+ * @param {Object} req - Express request of the admin (actor, IP, user agent)
+ * @param {Object|Object[]} entries - { action, targetType, targetId, targetLabel, before, after, metadata }
+ */
+export const recordAudit = async (req, entries) => {
+  const list = Array.isArray(entries) ? entries : [entries];
+  if (list.length === 0) return;
+
+  try {
+    await AuditLog.insertMany(list.map(({ action, targetType, targetId, targetLabel, before, after, metadata }) => ({
+      actor: { uid: req.user.uid, email: req.user.email },
+      action,
+      targetType,
+      targetId: targetId ? String(targetId) : null,
+      targetLabel: targetLabel || null,
+      changes: diffChanges(before ?? null, after ?? null),
+      metadata: metadata ? toPlain(metadata) : null,
+      ip: req.ip || null,
+      userAgent: req.get?.('user-agent') || null
+    })));
+  } catch (error) {
+    logger.error(`❌ Failed to write audit log (${list.map(entry => entry.action).join(', ')}):`, error.message);
+  }
+};
+
+// Quote a CSV field; leading =+-@ are escaped so spreadsheets don't run them as formulas
+const csvField = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const CSV_COLUMNS = [
+  ['timestamp', entry => entry.createdAt?.toISOString()],
+  ['actorEmail', entry => entry.actor?.email],
+  ['actorUid', entry => entry.actor?.uid],
+  ['action', entry => entry.action],
+  ['targetType', entry => entry.targetType],
+  ['targetId', entry => entry.targetId],
+  ['targetLabel', entry => entry.targetLabel],
+  ['changes', entry => (entry.changes || []).map(change => `${change.field}: ${JSON.stringify(change.before)} → ${JSON.stringify(change.after)}`).join('; ')],
+  ['metadata', entry => entry.metadata],
+  ['ip', entry => entry.ip]
+];
+
+// Header line of the audit log CSV export
+export const AUDIT_CSV_HEADER = CSV_COLUMNS.map(([name]) => name).join(',');
+
+/**
+ * One audit log entry as a CSV line (without the line break).
+ * @param {Object} entry - Lean AuditLog document
+ * @returns {string}
+ */
+export const formatAuditCsvRow = (entry) => CSV_COLUMNS.map(([, get]) => csvField(get(entry))).join(',');
@@ -0,0 +1,157 @@
+import ChatSession from '../models/ChatSession.js';
+import { getDocumentPages } from './documentTextService.js';
+import { getTextGenerationProvider } from './textGenerationProviders.js';
+import { chunkPages, citationLabel } from '../utils/chunker.js';
+import { tokenize } from '../utils/search.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Document Q&A: answers questions about one material, grounded in its extracted text.
+ * Long documents are chunked; only the chunks most relevant to the question go to the model.
+ */
+export const MAX_HISTORY_MESSAGES = 10; // 5 question/answer pairs
+const CONTEXT_CHUNKS = 5;
+const SESSION_TTL_HOURS = Number(process.env.CHAT_SESSION_TTL_HOURS || 24);
+
+/**
+ * Pick the chunks that share the most (rare) terms with the query, in document order.
+ * When nothing matches, the start of the document is used.
+ * @param {Array} chunks - From chunkPages
+ * @param {string} query
+ * @param {number} limit
+ */
+export const selectRelevantChunks = (chunks, query, limit = CONTEXT_CHUNKS) => {
+  const queryTerms = [...new Set(tokenize(query))];
+  const chunkTokens = chunks.map(chunk => tokenize(chunk.text));
+
+  // Inverse document frequency: terms found in few chunks weigh more
+  const idf = Object.fromEntries(queryTerms.map(term => {
+    const containing = chunkTokens.filter(tokens => tokens.includes(term)).length;
+    return [term, Math.log(1 + chunks.length / (1 + containing))];
+  }));
+
+  const scored = chunks
+    .map((chunk, i) => ({
+      chunk,
+      score: queryTerms.reduce((score, term) => {
+        const tf = chunkTokens[i].filter(token => token === term).length;
+        return score + (tf ? (1 + Math.log(tf)) * idf[term] : 0);
+      }, 0)
+    }))
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(({ chunk }) => chunk);
+
+  const selected = scored.length ? scored : chunks.slice(0, limit);
+  return selected.sort((a, b) => a.index - b.index);
+};
+
+const buildSystemPrompt = (file, chunks) => [
+  `You are a study assistant answering questions about the document "${file.title}" (${file.category?.subject || 'unknown subject'}).`,
+  'Answer only from the excerpts below. Cite the excerpts you used with their labels, e.g. [p. 3] or [slide 2].',
+  'If the excerpts do not contain the answer, say that the document does not cover it.',
+  '',
+  'Excerpts:',
+  '',
+  chunks.map(chunk => `[${citationLabel(chunk)}]\n${chunk.text}`).join('\n\n')
+].join('\n');
+
+/**
+ * Citations found in an answer, limited to excerpts that were actually provided.
+ * @returns {Array<{ page, unit, title, excerpt }>}
+ */
+export const extractCitations = (answer, chunks) => {
+  const cited = new Set(
+    [...answer.matchAll(/\[(p\.|page|slide|section)\s*(\d+)\]/gi)]
+      .map(([, label, page]) => `${label.toLowerCase() === 'slide' || label.toLowerCase() === 'section' ? label.toLowerCase() : 'page'}:${page}`)
+  );
+
+  const citations = [];
+  const seen = new Set();
+  for (const chunk of chunks) {
+    const key = `${chunk.unit}:${chunk.page}`;
+    if (!cited.has(key) || seen.has(key)) continue;
+    seen.add(key);
+    citations.push({
+      page: chunk.page,
+      unit: chunk.unit,
+      title: chunk.title,
+      excerpt: chunk.text.slice(0, 200)
+    });
+  }
+  return citations;
+};
+
+/**
+ * Recent conversation of a user about a file.
+ */
+export const getChatHistory = async (fileId, userId) => {
+  const session = await ChatSession.findOne({ file: fileId, user: userId }).lean();
+  return session?.messages || [];
+};
+
+export const clearChatHistory = (fileId, userId) => ChatSession.deleteOne({ file: fileId, user: userId });
+
+/**
+ * Answer a question about a file and remember the exchange.
+ * @param {Object} file - File document (with extractedText)
+ * @param {string} userId - Firebase UID
+ * @param {string} question
+ * @returns {Promise<{ answer, citations, pagesSearched } | null>} null when the file has no extracted text
+ */
+export const answerQuestion = async (file, userId, question) => {
+  const pages = await getDocumentPages(file);
+  if (pages.length === 0) return null;
+
+  const chunks = chunkPages(pages);
+  const history = (await getChatHistory(file._id, userId)).slice(-MAX_HISTORY_MESSAGES);
+
+  // Follow-ups ("and the second one?") are matched together with the previous question
+  const previousQuestion = [...history].reverse().find(message => message.role === 'user')?.content || '';
+  const context = selectRelevantChunks(chunks, `${question} ${previousQuestion}`);
+
+  const llm = getTextGenerationProvider();
+  const answer = await llm.generate({
+    system: buildSystemPrompt(file, context),
+    messages: [
+      ...history.map(({ role, content }) => ({ role, content })),
+      { role: 'user', content: question }
+    ]
+  });
+
+  const citations = extractCitations(answer, context);
+  logger.info(`💬 Chat answer for file ${file._id} (${llm.name}): ${context.length} chunks, ${citations.length} citations`);
+
+  const now = new Date();
+  const saveExchange = () => ChatSession.updateOne(
+    { file: file._id, user: userId },
+    {
+      $push: {
+        messages: {
+          $each: [
+            { role: 'user', content: question, createdAt: now },
+            { role: 'assistant', content: answer, citations: citations.map(({ page, unit }) => ({ page, unit })), createdAt: now }
+          ],
+          $slice: -MAX_HISTORY_MESSAGES
+        }
+      },
+      $set: { expiresAt: new Date(now.getTime() + SESSION_TTL_HOURS * 60 * 60 * 1000) }
+    },
+    { upsert: true }
+  );
+
+  try {
+    await saveExchange();
+  } catch (error) {
+    // Two first questions at once both try to create the session; the loser updates it instead
+    if (error.code !== 11000) throw error;
+    await saveExchange();
+  }
+
+  return {
+    answer,
+    citations,
+    pagesSearched: pages.length
+  };
+};
@@ -0,0 +1,28 @@
+import CollegeSettings from '../models/CollegeSettings.js';
+import { DEFAULT_OCR_LANGUAGES } from '../utils/ocrLanguages.js';
+
+export const toCollegeKey = (collegeName) => String(collegeName || '').trim().toLowerCase();
+
+/**
+ * Default OCR languages for a college (falls back to OCR_DEFAULT_LANGUAGES).
+ * @param {string} collegeName
+ * @returns {Promise<string[]>}
+ */
+export const getCollegeOcrLanguages = async (collegeName) => {
+  const key = toCollegeKey(collegeName);
+  if (key) {
+    const settings = await CollegeSettings.findOne({ collegeKey: key }).select('ocrLanguages').lean();
+    if (settings?.ocrLanguages?.length) return settings.ocrLanguages;
+  }
+  return DEFAULT_OCR_LANGUAGES;
+};
+
+/**
+ * OCR languages for a file: the uploader's choice, else the college default.
+ * @param {Object} file - File document
+ * @returns {Promise<string[]>}
+ */
+export const resolveOcrLanguages = async (file) => {
+  if (file.metadata?.ocrLanguages?.length) return file.metadata.ocrLanguages;
+  return getCollegeOcrLanguages(file.metadata?.collegeName);
+};
@@ -0,0 +1,22 @@
+import ExtractionPage from '../models/ExtractionPage.js';
+import { unpackPageText, parseFlattenedText } from '../utils/extractionPages.js';
+
+/**
+ * Text of a file page by page (pages without text are skipped).
+ * Uses the stored ExtractionPage rows; files extracted before per-page storage
+ * fall back to their flattened extractedText.
+ * @param {Object} file - File document (extractedText selected)
+ * @returns {Promise<Array<{ page, unit, title, text }>>}
+ */
+export const getDocumentPages = async (file) => {
+  const rows = await ExtractionPage.find({ file: file._id })
+    .select('page unit title text textCompressed')
+    .sort({ page: 1 })
+    .lean();
+
+  const pages = rows.length
+    ? rows.map(row => ({ page: row.page, unit: row.unit || 'page', title: row.title || null, text: unpackPageText(row) }))
+    : parseFlattenedText(file.extractedText);
+
+  return pages.filter(page => page.text && page.text.trim());
+};
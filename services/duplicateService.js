@@ -0,0 +1,116 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import File from '../models/File.js';
+import { getDocumentPages } from './documentTextService.js';
+import { computeMinHash, lshBands, estimateSimilarity } from '../utils/minhash.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Duplicate material detection
+ * - Exact: sha256 of the uploaded bytes, checked during upload
+ * - Near: MinHash over the extracted text (same notes re-scanned, re-exported or retitled),
+ *   checked by a background job after extraction
+ */
+export const NEAR_DUPLICATE_THRESHOLD = Number(process.env.NEAR_DUPLICATE_THRESHOLD || 0.8);
+const MAX_CANDIDATES = 50;
+const MAX_MATCHES = 5;
+
+// Rejected materials do not count as originals
+const ACTIVE_FILTER = { 'verification.status': { $ne: 'rejected' } };
+
+/**
+ * sha256 of an upload (merged photo PDFs are in memory, other uploads on disk).
+ * @param {Object} upload - Multer-style file ({ buffer } or { path })
+ * @returns {Promise<string>} hex digest
+ */
+export const hashUpload = (upload) => {
+  if (upload.buffer) {
+    return Promise.resolve(crypto.createHash('sha256').update(upload.buffer).digest('hex'));
+  }
+
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(upload.path)
+      .on('data', chunk => hash.update(chunk))
+      .on('error', reject)
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+};
+
+/**
+ * Materials with exactly the same bytes.
+ * @param {string} contentHash
+ * @param {string} [excludeId] - File to leave out (the one being checked)
+ */
+export const findExactDuplicates = (contentHash, excludeId = null) => File.find({
+  ...ACTIVE_FILTER,
+  contentHash,
+  ...(excludeId && { _id: { $ne: excludeId } })
+})
+  .select('title createdAt verification.status')
+  .sort({ createdAt: 1 })
+  .limit(MAX_MATCHES)
+  .lean();
+
+/**
+ * Compute the MinHash signature of a file's text, store it, and record the
+ * earlier materials whose text is at least NEAR_DUPLICATE_THRESHOLD similar.
+ * @param {Object} file - File document (with extractedText and duplicates)
+ * @returns {Promise<Array<{ file, title, similarity }>>} Near duplicates, most similar first
+ */
+export const detectNearDuplicates = async (file) => {
+  const pages = await getDocumentPages(file);
+  const signature = computeMinHash(pages.map(page => page.text).join('\n'));
+
+  if (!signature) {
+    await File.updateOne({ _id: file._id }, { $unset: { similarity: 1 } });
+    return [];
+  }
+
+  const bands = lshBands(signature);
+  // The older upload is the original; it is not flagged as a copy of a newer one.
+  // Oldest first, so the cap never drops the originals in favour of later copies
+  const candidates = await File.find({
+    ...ACTIVE_FILTER,
+    _id: { $ne: file._id },
+    createdAt: { $lte: file.createdAt },
+    'similarity.bands': { $in: bands }
+  })
+    .select('title createdAt +similarity.minhash')
+    .sort({ createdAt: 1, _id: 1 })
+    .limit(MAX_CANDIDATES)
+    .lean();
+
+  const exactIds = new Set((file.duplicates || [])
+    .filter(duplicate => duplicate.kind === 'exact')
+    .map(duplicate => String(duplicate.file)));
+
+  const matches = candidates
+    .map(candidate => ({
+      file: candidate._id,
+      title: candidate.title,
+      createdAt: candidate.createdAt,
+      similarity: Math.round(estimateSimilarity(signature, candidate.similarity?.minhash) * 100) / 100
+    }))
+    .filter(match => match.similarity >= NEAR_DUPLICATE_THRESHOLD)
+    .filter(match => !exactIds.has(String(match.file)))
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, MAX_MATCHES);
+
+  const detectedAt = new Date();
+  await File.updateOne({ _id: file._id }, {
+    $set: {
+      'similarity.minhash': signature,
+      'similarity.bands': bands,
+      duplicates: [
+        ...(file.duplicates || []).filter(duplicate => duplicate.kind === 'exact'),
+        ...matches.map(match => ({ file: match.file, kind: 'near', similarity: match.similarity, detectedAt }))
+      ]
+    }
+  });
+
+  if (matches.length) {
+    logger.info(`👯 "${file.title}" looks like: ${matches.map(match => `"${match.title}" (${match.similarity})`).join(', ')}`);
+  }
+  return matches;
+};
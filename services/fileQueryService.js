@@ -0,0 +1,258 @@
+import mongoose from 'mongoose';
+import File from '../models/File.js';
+import User from '../models/User.js';
+import { isAdminUser } from '../middleware/adminAuth.js';
+import { escapeRegex } from '../utils/search.js';
+import { decodeCursor, buildCursorFilter, buildCursorPage } from '../utils/cursor.js';
+
+export const isOwnerOrAdmin = (file, user) => Boolean(user)
+  && (file.uploadedBy === user.uid || user.role === 'admin' || isAdminUser(user));
+
+const toPlainObject = (value) => (typeof value.toJSON === 'function' ? value.toJSON() : value);
+
+// A version entry without its storage location (see toPublicFile)
+export const toPublicVersion = (version) => {
+  const { fileUrl, storage, ...fields } = toPlainObject(version);
+  return fields;
+};
+
+/**
+ * A material as listings and API responses send it: where it is stored (fileUrl and storage,
+ * also of each version; downloads go through signed URLs) and its full extracted text
+ * (served by /view and the page endpoints) are left out.
+ * @param {Object} file - File document or lean object
+ * @returns {Object}
+ */
+export const toPublicFile = (file) => {
+  const { fileUrl, storage, extractedText, ...fields } = toPlainObject(file);
+  if (Array.isArray(fields.versions)) {
+    fields.versions = fields.versions.map(toPublicVersion);
+  }
+  return fields;
+};
+
+// Verified materials are open to everyone; pending and rejected ones only to their uploader and admins
+export const canAccessFile = (file, user) => file.verification?.status === 'verified' || isOwnerOrAdmin(file, user);
+
+/**
+ * Load a material the user may see (trashed ones are left out by the soft-delete filter).
+ * @param {string} fileId
+ * @param {Object} [user] - req.user, if logged in
+ * @param {string} [select] - Fields to load (uploadedBy and verification are always added),
+ *   or fields to leave out ('-extractedText')
+ * @returns {Promise<Object|null>} null for malformed ids, missing and inaccessible materials alike
+ */
+export const findAccessibleFile = async (fileId, user, select) => {
+  if (!mongoose.Types.ObjectId.isValid(fileId)) return null;
+
+  const query = File.findById(fileId);
+  if (select) query.select(select.startsWith('-') ? select : `${select} uploadedBy verification`);
+  const file = await query;
+
+  return file && canAccessFile(file, user) ? file : null;
+};
+
+// Sidebar facets: query param → File field
+export const FACET_FIELDS = {
+  category: 'category.type',
+  branch: 'category.branch',
+  semester: 'category.semester',
+  college: 'metadata.collegeName',
+  professor: 'metadata.professorName',
+  year: 'metadata.year',
+  documentType: 'metadata.documentType'
+};
+
+// Sort modes for listings: ?sort=<mode> → File field (always descending)
+export const SORT_MODES = {
+  newest: 'createdAt',
+  downloads: 'stats.downloadCount',
+  stars: 'stats.starCount',
+  views: 'stats.views',
+  trending: 'stats.trendingScore'
+};
+
+const NUMERIC_FACETS = new Set(['year']);
+const MAX_FACET_VALUES = 50;
+
+// "3,4" → ['3', '4'] so the sidebar can select several values of one facet
+const parseFacetValues = (key, raw) => {
+  const values = (Array.isArray(raw) ? raw : String(raw).split(','))
+    .map(value => String(value).trim())
+    .filter(Boolean);
+
+  return NUMERIC_FACETS.has(key)
+    ? values.map(value => parseInt(value)).filter(value => !Number.isNaN(value))
+    : values;
+};
+
+/**
+ * Build the MongoDB filter for a materials listing from query params.
+ * Facet filters are kept apart from the base filter so facet counts can
+ * ignore their own selection (selecting "Semester 3" must not hide the
+ * counts for the other semesters).
+ * @param {Object} query - req.query
+ * @param {Object} baseFilter - Fixed conditions (moderation, verification...)
+ * @returns {{ baseFilter: Object, facetFilters: Object }}
+ */
+export const buildFileFilter = (query, baseFilter = {}) => {
+  const { course, subject, search } = query;
+  const base = { ...baseFilter };
+  const facetFilters = {};
+
+  Object.keys(FACET_FIELDS).forEach((key) => {
+    if (query[key] === undefined || query[key] === '') return;
+
+    const values = parseFacetValues(key, query[key]);
+    if (values.length === 0) return;
+
+    facetFilters[key] = [{ [FACET_FIELDS[key]]: values.length === 1 ? values[0] : { $in: values } }];
+  });
+
+  // Legacy free-text branch filter (`course`) narrows the branch facet
+  if (course) {
+    facetFilters.branch = [
+      ...(facetFilters.branch || []),
+      { 'category.branch': new RegExp(escapeRegex(course), 'i') }
+    ];
+  }
+
+  if (subject) base['category.subject'] = new RegExp(escapeRegex(subject), 'i');
+
+  // Use the text index instead of scanning the collection with RegExps
+  if (search) base.$text = { $search: search };
+
+  return { baseFilter: base, facetFilters };
+};
+
+/**
+ * Merge base and facet filters into a single query.
+ * @param {Object} baseFilter
+ * @param {Object} facetFilters
+ * @param {string} [excludeFacet] - Facet whose own selection is ignored
+ */
+export const combineFilters = (baseFilter, facetFilters, excludeFacet = null) => {
+  const conditions = Object.entries(facetFilters)
+    .filter(([key]) => key !== excludeFacet)
+    .flatMap(([, facetConditions]) => facetConditions);
+
+  return conditions.length > 0 ? { ...baseFilter, $and: conditions } : { ...baseFilter };
+};
+
+/**
+ * Count verified files for every value of each facet in one aggregation.
+ * Each facet's counts respect all other active filters, but not its own.
+ * @param {Object} baseFilter - From buildFileFilter (may contain $text)
+ * @param {Object} facetFilters - From buildFileFilter
+ * @returns {Promise<Object>} { semester: [{ value: '3', count: 42 }], ... }
+ */
+export const getFileFacets = async (baseFilter, facetFilters) => {
+  const facetStages = Object.entries(FACET_FIELDS).reduce((acc, [key, field]) => {
+    const otherFilters = combineFilters({}, facetFilters, key);
+
+    acc[key] = [
+      { $match: otherFilters },
+      { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+      { $match: { _id: { $nin: [null, ''] } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $limit: MAX_FACET_VALUES }
+    ];
+    return acc;
+  }, {});
+
+  // $text must live in the first $match of the pipeline
+  const [result] = await File.aggregate([
+    { $match: { ...baseFilter, 'verification.status': 'verified' } },
+    { $facet: facetStages }
+  ]);
+
+  return Object.fromEntries(
+    Object.keys(FACET_FIELDS).map(key => [
+      key,
+      (result?.[key] || []).map(({ _id, count }) => ({ value: _id, count }))
+    ])
+  );
+};
+
+/**
+ * Resolve the ?sort= param. Searches default to relevance, listings to newest.
+ * @param {string} [sort] - Requested mode
+ * @param {boolean} hasSearch - Whether the filter uses $text
+ * @returns {string|null} Sort mode, or null when the mode is unknown
+ */
+export const resolveSortMode = (sort, hasSearch = false) => {
+  if (!sort) return hasSearch ? 'relevance' : 'newest';
+  if (sort === 'relevance') return hasSearch ? 'relevance' : null;
+  return Object.hasOwn(SORT_MODES, sort) ? sort : null;
+};
+
+export const VALID_SORT_MODES = ['relevance', ...Object.keys(SORT_MODES)];
+
+/**
+ * Mongoose sort spec for a mode (_id breaks ties so paging is deterministic).
+ * @param {string} mode - From resolveSortMode
+ */
+export const getSortSpec = (mode) => (mode === 'relevance'
+  ? { score: { $meta: 'textScore' }, _id: -1 }
+  : { [SORT_MODES[mode]]: -1, _id: -1 });
+
+/**
+ * Fetch one page of files using cursor (keyset) pagination.
+ * The cursor is keyed on the active sort field (or the text score).
+ * @param {Object} filter - Combined filter (from combineFilters)
+ * @param {Object} options - { token, limit } from parseCursorQuery, plus sort mode
+ * @returns {Promise<{ items: Array, pagination: Object } | null>} null when the cursor is invalid
+ */
+export const findFilesByCursor = async (filter, { token, limit, sort = 'newest' }) => {
+  const relevance = sort === 'relevance';
+  const field = relevance ? 'score' : SORT_MODES[sort];
+
+  let cursor = null;
+  if (token) {
+    cursor = decodeCursor(token, field);
+    if (!cursor) return null;
+  }
+
+  let rows;
+  if (relevance) {
+    // textScore can't be filtered in find(), so page through an aggregation
+    rows = await File.aggregate([
+      { $match: filter },
+      { $addFields: { score: { $meta: 'textScore' } } },
+      ...(cursor ? [{ $match: buildCursorFilter(cursor) }] : []),
+      { $sort: { score: -1, _id: -1 } },
+      { $limit: limit + 1 }
+    ]);
+  } else {
+    const query = cursor
+      ? { ...filter, $and: [...(filter.$and || []), buildCursorFilter(cursor)] }
+      : filter;
+
+    rows = await File.find(query)
+      .sort(getSortSpec(sort))
+      .limit(limit + 1)
+      .lean();
+  }
+
+  return buildCursorPage(rows, limit, field);
+};
+
+/**
+ * Add uploader info to each file using one UID lookup
+ * (File.uploadedBy is a Firebase UID, so populate() can't resolve it).
+ * @param {Array} files - Lean file documents
+ */
+export const attachUploaders = async (files) => {
+  const uploaderUIDs = [...new Set(files.map(file => file.uploadedBy))];
+  const uploaders = await User.find({ uid: { $in: uploaderUIDs } }).lean();
+
+  const uploaderMap = uploaders.reduce((acc, user) => {
+    acc[user.uid] = user;
+    return acc;
+  }, {});
+
+  return files.map(file => ({
+    ...file,
+    uploader: uploaderMap[file.uploadedBy] || null
+  }));
+};
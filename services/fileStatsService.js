@@ -0,0 +1,125 @@
+import File from '../models/File.js';
+import { logFileActivity } from './analyticsService.js';
+import logger from '../utils/logger.js';
+
+/**
+ * File activity counters + time-decayed "trending" score.
+ *
+ * The trending score is an exponentially decayed sum of activity weights,
+ * stored in log space relative to a fixed epoch:
+ *
+ *   trendingScore = ln( Σ weight_i · e^(λ · (t_i − epoch)) )
+ *
+ * Decaying every score "to now" multiplies all of them by the same factor,
+ * so the stored value orders files exactly like the decayed score would.
+ * It never has to be recomputed and can be indexed and sorted directly.
+ */
+const HALF_LIFE_HOURS = Number(process.env.TRENDING_HALF_LIFE_HOURS || 72);
+const DECAY_RATE = Math.LN2 / HALF_LIFE_HOURS; // λ per hour
+const TRENDING_EPOCH = Date.UTC(2025, 0, 1);
+
+// How much each kind of activity counts towards trending
+export const ACTIVITY_WEIGHTS = {
+  upload: 1,
+  view: 1,
+  download: 3,
+  star: 5
+};
+
+// Counter incremented for each activity
+const ACTIVITY_COUNTERS = {
+  view: { 'stats.views': 1 },
+  download: { 'stats.downloadCount': 1, 'stats.views': 1 },
+  star: { 'stats.starCount': 1 },
+  unstar: { 'stats.starCount': -1 }
+};
+
+/**
+ * Log-space contribution of one activity at a given time.
+ * @param {number} weight - Activity weight
+ * @param {Date|number} at - When the activity happened
+ */
+export const trendingContribution = (weight, at = Date.now()) => {
+  const hours = (new Date(at).getTime() - TRENDING_EPOCH) / (1000 * 60 * 60);
+  return Math.log(weight) + DECAY_RATE * hours;
+};
+
+// Aggregation expression for ln(e^a + e^b) without overflowing
+const logAddExp = (field, b) => ({
+  $let: {
+    vars: { a: { $ifNull: [field, null] } },
+    in: {
+      $cond: [
+        { $eq: ['$$a', null] },
+        b,
+        {
+          $add: [
+            { $max: ['$$a', b] },
+            { $ln: { $add: [1, { $exp: { $multiply: [-1, { $abs: { $subtract: ['$$a', b] } }] } }] } }
+          ]
+        }
+      ]
+    }
+  }
+});
+
+/**
+ * Record an activity on a file: bump its counters and its trending score.
+ * Runs as a single atomic pipeline update. Views and downloads are also
+ * logged for analytics when the uploader is given.
+ * @param {string} fileId
+ * @param {'view'|'download'|'star'|'unstar'} type
+ * @param {Object} [context] - { owner: uploader UID, user: acting user UID }
+ */
+export const recordFileActivity = async (fileId, type, context = {}) => {
+  const counters = ACTIVITY_COUNTERS[type];
+  if (!counters) {
+    throw new Error(`Unknown file activity: ${type}`);
+  }
+
+  const set = {};
+  Object.entries(counters).forEach(([path, amount]) => {
+    // Counters never go below zero (e.g. un-starring twice)
+    set[path] = { $max: [0, { $add: [{ $ifNull: [`$${path}`, 0] }, amount] }] };
+  });
+
+  const weight = ACTIVITY_WEIGHTS[type];
+  if (weight) {
+    set['stats.trendingScore'] = logAddExp('$stats.trendingScore', trendingContribution(weight));
+  }
+
+  try {
+    await File.updateOne({ _id: fileId }, [{ $set: set }]);
+  } catch (error) {
+    logger.error(`❌ Failed to record ${type} for file ${fileId}:`, error.message);
+    throw error;
+  }
+
+  if (context.owner && (type === 'view' || type === 'download')) {
+    await logFileActivity({ file: fileId, owner: context.owner, type, user: context.user });
+  }
+};
+
+/**
+ * Bytes a streamed response must send before it counts as a download, or null when it never counts.
+ * - The whole file (no range, or bytes 0-(N-1)): `minRatio` of it, so aborted downloads don't count
+ * - The rest of a resumed download (bytes S-(N-1)): all of it, and only if it is at least
+ *   `resumeMinRatio` of the file, so a viewer's tail fetch (bytes=-1) doesn't count
+ * - Any other range (prefetches, parallel chunks): never
+ * @param {string|null} contentRange - Content-Range of the response ('bytes S-E/N')
+ * @param {number} fileSize
+ * @param {Object} options - { minRatio, resumeMinRatio }
+ * @returns {number|null}
+ */
+export const downloadCountThreshold = (contentRange, fileSize, { minRatio = 0.9, resumeMinRatio = 0.1 } = {}) => {
+  if (!contentRange) return Math.ceil(fileSize * minRatio);
+
+  const match = /^bytes (\d+)-(\d+)\/(\d+)$/.exec(contentRange);
+  if (!match) return null;
+  const [start, end, size] = match.slice(1).map(Number);
+  if (end !== size - 1) return null;
+
+  if (start === 0) return Math.ceil(size * minRatio);
+  const length = end - start + 1;
+  return length >= size * resumeMinRatio ? length : null;
+};
@@ -0,0 +1,90 @@
+import fs from 'fs';
+import sharp from 'sharp';
+import { PDFDocument, PDFName, PDFDict, PDFRawStream } from 'pdf-lib';
+
+/**
+ * Photos of handwritten pages → one PDF material (one page per photo)
+ * Pages hold the JPEG as is, so OCR can read each page's image straight back out.
+ */
+export const IMAGE_MIME_TYPES = ['image/jpeg', 'image/png', 'image/heic', 'image/heif'];
+export const MAX_IMAGES_PER_UPLOAD = 20;
+
+const MAX_IMAGE_DIMENSION = 2400; // px on the long side - plenty for OCR, keeps the PDF small
+const PAGE_WIDTH = 595.28; // A4 width in points
+
+export const isImageMimeType = (mimeType) => IMAGE_MIME_TYPES.includes(mimeType);
+
+const isHeic = (mimeType) => mimeType === 'image/heic' || mimeType === 'image/heif';
+
+/**
+ * Decode an uploaded photo into an upright, resized JPEG.
+ * HEIC (iPhone) is decoded with heic-convert since sharp's prebuilt binaries can't read it.
+ * @returns {Promise<{ data: Buffer, info: { width: number, height: number } }>}
+ */
+export const normalizeImage = async (buffer, mimeType) => {
+  let input = buffer;
+  if (isHeic(mimeType)) {
+    const convert = (await import('heic-convert')).default;
+    input = Buffer.from(await convert({ buffer, format: 'JPEG', quality: 0.92 }));
+  }
+
+  return sharp(input)
+    .rotate() // Apply EXIF orientation from the phone camera
+    .resize(MAX_IMAGE_DIMENSION, MAX_IMAGE_DIMENSION, { fit: 'inside', withoutEnlargement: true })
+    .jpeg({ quality: 82, chromaSubsampling: '4:4:4' })
+    .toBuffer({ resolveWithObject: true });
+};
+
+/**
+ * Merge uploaded photos into a single PDF, in upload order.
+ * @param {Array} images - Multer files ({ path, mimetype, originalname })
+ * @returns {Promise<Buffer>}
+ */
+export const imagesToPDF = async (images) => {
+  const pdfDoc = await PDFDocument.create();
+
+  for (const image of images) {
+    const buffer = await fs.promises.readFile(image.path);
+
+    let normalized;
+    try {
+      normalized = await normalizeImage(buffer, image.mimetype);
+    } catch (error) {
+      throw new Error(`Could not read image "${image.originalname}": ${error.message}`);
+    }
+
+    const { data, info } = normalized;
+    const embedded = await pdfDoc.embedJpg(data);
+    const pageHeight = info.height * (PAGE_WIDTH / info.width);
+
+    const page = pdfDoc.addPage([PAGE_WIDTH, pageHeight]);
+    page.drawImage(embedded, { x: 0, y: 0, width: PAGE_WIDTH, height: pageHeight });
+  }
+
+  return Buffer.from(await pdfDoc.save());
+};
+
+/**
+ * Pull the page images back out of a PDF made of one JPEG per page (e.g. by imagesToPDF).
+ * @returns {Promise<Buffer[]|null>} One JPEG per page, or null if the PDF isn't shaped like that
+ */
+export const extractPageJpegs = async (pdfBuffer) => {
+  const pdfDoc = await PDFDocument.load(pdfBuffer);
+  const jpegs = [];
+
+  for (const page of pdfDoc.getPages()) {
+    const xObjects = page.node.Resources()?.lookupMaybe(PDFName.of('XObject'), PDFDict);
+    const entries = xObjects ? xObjects.entries() : [];
+    if (entries.length !== 1) return null;
+
+    const stream = pdfDoc.context.lookup(entries[0][1]);
+    const isJpeg = stream instanceof PDFRawStream
+      && stream.dict.get(PDFName.of('Subtype')) === PDFName.of('Image')
+      && stream.dict.get(PDFName.of('Filter')) === PDFName.of('DCTDecode');
+    if (!isJpeg) return null;
+
+    jpegs.push(Buffer.from(stream.contents));
+  }
+
+  return jpegs;
+};
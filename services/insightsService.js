@@ -0,0 +1,136 @@
+import crypto from 'crypto';
+import File from '../models/File.js';
+import { getDocumentPages } from './documentTextService.js';
+import { getTextGenerationProvider } from './textGenerationProviders.js';
+import { chunkPages, citationLabel } from '../utils/chunker.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Study aids for a material: summary, key topics and flashcards, generated from
+ * its extracted text and cached on File.insights until the text changes.
+ */
+const MAX_CONTEXT_CHARS = 24000; // Text sent to the model per material
+const EXCERPT_SIZE = 1500;
+const MAX_KEY_TOPICS = 10;
+const MAX_FLASHCARDS = 15;
+
+// Even sample of the document, so long notes are not summarized from their first pages only
+const selectExcerpts = (pages) => {
+  const excerpts = chunkPages(pages, { size: EXCERPT_SIZE, overlap: 0 });
+  const budget = Math.max(1, Math.floor(MAX_CONTEXT_CHARS / EXCERPT_SIZE));
+  if (excerpts.length <= budget) return excerpts;
+
+  const step = excerpts.length / budget;
+  return Array.from({ length: budget }, (_, i) => excerpts[Math.floor(i * step)]);
+};
+
+const buildSystemPrompt = (file, excerpts) => [
+  `You create study material for students from the document "${file.title}" (${file.category?.subject || 'unknown subject'}).`,
+  'Use only the excerpts below. Reply with one JSON object:',
+  `{"summary": "5-8 sentence overview", "keyTopics": ["up to ${MAX_KEY_TOPICS} short topic names"], "flashcards": [{"question": "...", "answer": "...", "page": 3}]}`,
+  `Write up to ${MAX_FLASHCARDS} flashcards; "page" is the number from the excerpt label the card is based on.`,
+  '',
+  'Excerpts:',
+  '',
+  excerpts.map(excerpt => `[${citationLabel(excerpt)}]\n${excerpt.text}`).join('\n\n')
+].join('\n');
+
+const cleanString = (value, maxLength) => (typeof value === 'string' ? value.trim().slice(0, maxLength) : '');
+
+/**
+ * Parse and validate the model's JSON reply.
+ * @param {string} reply
+ * @returns {{ summary: string, keyTopics: string[], flashcards: Array<{ question, answer, page }> }}
+ */
+export const parseInsights = (reply) => {
+  // Models sometimes wrap JSON in a ```json fence despite being asked not to
+  const json = String(reply).replace(/^\s*```(?:json)?\s*/i, '').replace(/\s*```\s*$/, '');
+
+  let data;
+  try {
+    data = JSON.parse(json);
+  } catch (error) {
+    throw new Error('Model reply is not valid JSON');
+  }
+
+  const summary = cleanString(data?.summary, 4000);
+  if (!summary) {
+    throw new Error('Model reply has no summary');
+  }
+
+  const keyTopics = [...new Set((Array.isArray(data.keyTopics) ? data.keyTopics : [])
+    .map(topic => cleanString(topic, 100))
+    .filter(Boolean))]
+    .slice(0, MAX_KEY_TOPICS);
+
+  const flashcards = (Array.isArray(data.flashcards) ? data.flashcards : [])
+    .map(card => ({
+      question: cleanString(card?.question, 500),
+      answer: cleanString(card?.answer, 1000),
+      page: Number.isInteger(card?.page) && card.page > 0 ? card.page : undefined
+    }))
+    .filter(card => card.question && card.answer)
+    .slice(0, MAX_FLASHCARDS);
+
+  return { summary, keyTopics, flashcards };
+};
+
+const hashText = (text) => crypto.createHash('sha256').update(text || '').digest('hex');
+
+/**
+ * Generate and store the insights of a file.
+ * @param {Object} file - File document (with extractedText)
+ * @param {Object} options - { force } regenerate even if the text did not change
+ * @returns {Promise<Object|null>} The insights, or null when skipped because they are up to date
+ */
+export const generateFileInsights = async (file, { force = false } = {}) => {
+  const sourceHash = hashText(file.extractedText);
+  if (!force && file.insights?.status === 'success' && file.insights.sourceHash === sourceHash) {
+    return null;
+  }
+
+  const pages = await getDocumentPages(file);
+  if (pages.length === 0) {
+    throw new Error('File has no extracted text');
+  }
+
+  const excerpts = selectExcerpts(pages);
+  const provider = getTextGenerationProvider();
+  const reply = await provider.generate({
+    system: buildSystemPrompt(file, excerpts),
+    messages: [{ role: 'user', content: 'Create the summary, key topics and flashcards.' }],
+    json: true,
+    maxTokens: 4096
+  });
+
+  const insights = {
+    status: 'success',
+    ...parseInsights(reply),
+    provider: provider.name,
+    sourceHash,
+    generatedAt: new Date(),
+    error: null
+  };
+
+  await File.updateOne({ _id: file._id }, { $set: { insights } });
+  logger.info(`💡 Insights generated for "${file.title}" (${provider.name}): ${insights.keyTopics.length} topics, ${insights.flashcards.length} flashcards`);
+  return insights;
+};
+
+/**
+ * Shape File.insights for the API (null when never generated).
+ * @param {Object} insights - File.insights
+ */
+export const formatInsights = (insights) => {
+  if (!insights?.status) return null;
+
+  return {
+    status: insights.status,
+    summary: insights.summary || null,
+    keyTopics: insights.keyTopics || [],
+    flashcards: insights.flashcards || [],
+    provider: insights.provider || null,
+    generatedAt: insights.generatedAt || null,
+    error: insights.status === 'failed' ? insights.error : null
+  };
+};
@@ -0,0 +1,345 @@
+import os from 'os';
+import Job from '../models/Job.js';
+import logger from '../utils/logger.js';
+
+/**
+ * MongoDB-backed job queue
+ * - Jobs are documents, so they survive restarts and deploys
+ * - Workers claim jobs atomically and hold a lease that they renew while working
+ * - A job whose lease expired is claimed again, unless that was its last attempt
+ * - Failed jobs are retried with exponential backoff until maxAttempts
+ */
+const LOCK_DURATION_MS = Number(process.env.JOB_LOCK_DURATION_MS || 5 * 60 * 1000);
+const DEFAULT_MAX_ATTEMPTS = Number(process.env.JOB_MAX_ATTEMPTS || 5);
+const BACKOFF_BASE_MS = Number(process.env.JOB_BACKOFF_BASE_MS || 30 * 1000);
+const BACKOFF_MAX_MS = 60 * 60 * 1000; // 1 hour
+const LEASE_RENEW_INTERVAL_MS = LOCK_DURATION_MS / 3;
+const ACTIVE_STATUSES = ['queued', 'running'];
+
+const handlers = new Map();
+const failureHooks = new Map();
+
+/**
+ * Error that should not be retried (bad input, missing file...).
+ */
+export class PermanentJobError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PermanentJobError';
+  }
+}
+
+/**
+ * Register the function that runs jobs of a given type.
+ * @param {string} type - Job type
+ * @param {Function} handler - async (job, { reportProgress }) => result
+ * @param {Object} [options]
+ * @param {Function} [options.onFailure] - async (job, error): records a final failure the
+ *   handler could not (its worker died during the last attempt)
+ */
+export const registerJobHandler = (type, handler, { onFailure } = {}) => {
+  handlers.set(type, handler);
+  if (onFailure) failureHooks.set(type, onFailure);
+};
+
+export const getRegisteredJobTypes = () => [...handlers.keys()];
+
+/**
+ * Add a job to the queue.
+ * @param {string} type - Job type
+ * @param {Object} payload - Data the handler needs
+ * @param {Object} options - { file, dedupeKey, runAt, priority, maxAttempts }
+ * @returns {Promise<Object>} The queued (or already active) job
+ */
+export const enqueueJob = async (type, payload = {}, options = {}) => {
+  const {
+    file = null,
+    dedupeKey = null,
+    runAt = new Date(),
+    priority = 0,
+    maxAttempts = DEFAULT_MAX_ATTEMPTS
+  } = options;
+
+  const fields = {
+    type,
+    payload,
+    file,
+    dedupeKey,
+    runAt,
+    priority,
+    maxAttempts,
+    status: 'queued'
+  };
+
+  if (!dedupeKey) {
+    const job = await Job.create(fields);
+    logger.debug(`📥 Job queued: ${type} (${job._id})`);
+    return job;
+  }
+
+  // Reuse the active job with the same key instead of queueing a duplicate.
+  // Two concurrent upserts can both miss; the unique index rejects the second
+  // insert, and the job the other request queued is returned instead.
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const job = await Job.findOneAndUpdate(
+        { dedupeKey, status: { $in: ACTIVE_STATUSES } },
+        { $setOnInsert: fields },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+      );
+      logger.debug(`📥 Job queued: ${type} (${job._id}, key ${dedupeKey})`);
+      return job;
+    } catch (error) {
+      if (error.code !== 11000 || attempt >= 3) throw error;
+
+      const active = await Job.findOne({ dedupeKey, status: { $in: ACTIVE_STATUSES } });
+      if (active) {
+        logger.debug(`📥 Job already queued: ${type} (${active._id}, key ${dedupeKey})`);
+        return active;
+      }
+      // The other job finished in between: try again
+    }
+  }
+};
+
+/**
+ * Atomically claim the next runnable job.
+ * Also picks up "running" jobs whose lease expired (crashed worker) if they have
+ * attempts left; the others are marked failed, so a job that keeps crashing its
+ * worker is not run forever.
+ * @param {string} workerId
+ * @param {string[]} types - Job types this worker can run
+ */
+export const claimNextJob = async (workerId, types = getRegisteredJobTypes()) => {
+  const now = new Date();
+  await failExpiredLastAttempts(types, now);
+
+  return Job.findOneAndUpdate(
+    {
+      type: { $in: types },
+      $or: [
+        { status: 'queued', runAt: { $lte: now } },
+        { status: 'running', lockExpiresAt: { $lte: now }, $expr: { $lt: ['$attempts', '$maxAttempts'] } }
+      ]
+    },
+    {
+      $set: {
+        status: 'running',
+        lockedBy: workerId,
+        lockExpiresAt: new Date(now.getTime() + LOCK_DURATION_MS),
+        startedAt: now
+      },
+      $inc: { attempts: 1 }
+    },
+    { sort: { priority: -1, runAt: 1 }, new: true }
+  );
+};
+
+/**
+ * Fail the jobs whose lease expired during their last attempt and run their type's
+ * failure hook, since their handler never got to record the failure.
+ * @param {string[]} types - Job types this worker can run
+ * @param {Date} now
+ */
+export const failExpiredLastAttempts = async (types, now = new Date()) => {
+  const leaseExpired = { type: { $in: types }, status: 'running', lockExpiresAt: { $lte: now } };
+  const expired = await Job.find({ ...leaseExpired, $expr: { $gte: ['$attempts', '$maxAttempts'] } })
+    .select('_id')
+    .lean();
+
+  const error = new Error('Lease expired during the last attempt (worker crashed or stalled)');
+  let failed = 0;
+
+  for (const { _id } of expired) {
+    // Another worker may have failed it already
+    const job = await Job.findOneAndUpdate(
+      { _id, ...leaseExpired },
+      {
+        $set: {
+          status: 'failed',
+          lastError: error.message,
+          lockedBy: null,
+          lockExpiresAt: null,
+          finishedAt: now
+        }
+      },
+      { new: true }
+    );
+    if (!job) continue;
+    failed++;
+
+    const onFailure = failureHooks.get(job.type);
+    if (onFailure) {
+      await onFailure(job, error).catch(hookError => {
+        logger.error(`❌ Failure hook of job ${job.type} (${job._id}) failed:`, hookError.message);
+      });
+    }
+  }
+
+  if (failed > 0) {
+    logger.warn(`⚠️ ${failed} job(s) failed: lease expired during their last attempt`);
+  }
+  return failed;
+};
+
+/**
+ * Delay before the next attempt: base · 2^(attempt − 1), ±20% jitter, capped.
+ * @param {number} attempt - Attempt that just failed (1-based)
+ */
+export const getBackoffDelay = (attempt) => {
+  const delay = Math.min(BACKOFF_BASE_MS * 2 ** (attempt - 1), BACKOFF_MAX_MS);
+  const jitter = delay * 0.2 * (Math.random() * 2 - 1);
+  return Math.round(delay + jitter);
+};
+
+// Push back the lease of a running job (still held by this worker)
+const renewJobLease = async (job) => {
+  await Job.updateOne(
+    { _id: job._id, lockedBy: job.lockedBy },
+    { $set: { lockExpiresAt: new Date(Date.now() + LOCK_DURATION_MS) } }
+  );
+};
+
+/**
+ * Save progress and renew the lease of a running job.
+ * @param {Object} job - Claimed job
+ * @param {Object} progress - { current, total, message, details }
+ */
+export const updateJobProgress = async (job, progress) => {
+  const now = new Date();
+  await Job.updateOne(
+    { _id: job._id, lockedBy: job.lockedBy },
+    {
+      $set: {
+        progress: { ...progress, updatedAt: now },
+        lockExpiresAt: new Date(now.getTime() + LOCK_DURATION_MS)
+      }
+    }
+  );
+};
+
+const completeJob = async (job, result) => {
+  await Job.updateOne(
+    { _id: job._id, lockedBy: job.lockedBy },
+    {
+      $set: {
+        status: 'succeeded',
+        result: result ?? null,
+        lastError: null,
+        lockedBy: null,
+        lockExpiresAt: null,
+        finishedAt: new Date()
+      }
+    }
+  );
+};
+
+const failJob = async (job, error) => {
+  const permanent = error instanceof PermanentJobError;
+  const exhausted = job.attempts >= job.maxAttempts;
+  const willRetry = !permanent && !exhausted;
+
+  const update = {
+    $set: {
+      lastError: error.message,
+      lockedBy: null,
+      lockExpiresAt: null
+    },
+    $push: {
+      failures: { $each: [{ attempt: job.attempts, message: error.message }], $slice: -10 }
+    }
+  };
+
+  if (willRetry) {
+    update.$set.status = 'queued';
+    update.$set.runAt = new Date(Date.now() + getBackoffDelay(job.attempts));
+  } else {
+    update.$set.status = 'failed';
+    update.$set.finishedAt = new Date();
+  }
+
+  await Job.updateOne({ _id: job._id, lockedBy: job.lockedBy }, update);
+  return willRetry;
+};
+
+/**
+ * Run one claimed job through its handler and record the outcome.
+ * Handlers receive `context.isFinalAttempt` so they can tell a retry from a final failure.
+ * The lease is renewed on a timer while the handler runs, so a long step that
+ * reports no progress (one big OCR page, a slow provider) doesn't lose it.
+ * @param {Object} job - Claimed job
+ */
+export const runJob = async (job) => {
+  const handler = handlers.get(job.type);
+  const startedAt = Date.now();
+  const heartbeat = setInterval(() => {
+    renewJobLease(job).catch(error => logger.error(`❌ Failed to renew lease of job ${job._id}:`, error.message));
+  }, LEASE_RENEW_INTERVAL_MS);
+
+  try {
+    if (!handler) {
+      throw new PermanentJobError(`No handler registered for job type "${job.type}"`);
+    }
+
+    logger.info(`⚙️ Running job ${job.type} (${job._id}), attempt ${job.attempts}/${job.maxAttempts}`);
+
+    const result = await handler(job, {
+      reportProgress: (progress) => updateJobProgress(job, progress),
+      isFinalAttempt: job.attempts >= job.maxAttempts
+    });
+
+    await completeJob(job, result);
+    logger.info(`✅ Job ${job.type} (${job._id}) succeeded in ${Date.now() - startedAt}ms`);
+  } catch (error) {
+    const willRetry = await failJob(job, error);
+    logger.error(`❌ Job ${job.type} (${job._id}) failed: ${error.message}${willRetry ? ' - will retry' : ''}`);
+  } finally {
+    clearInterval(heartbeat);
+  }
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Poll the queue and run jobs until stop() is called.
+ * @param {Object} options - { workerId, pollIntervalMs, types }
+ * @returns {{ stop: Function, done: Promise }}
+ */
+export const startWorker = (options = {}) => {
+  const {
+    workerId = `${os.hostname()}:${process.pid}`,
+    pollIntervalMs = Number(process.env.JOB_POLL_INTERVAL_MS || 5000),
+    types = getRegisteredJobTypes()
+  } = options;
+
+  let running = true;
+
+  const loop = async () => {
+    logger.info(`👷 Worker ${workerId} started for jobs: ${types.join(', ')}`);
+
+    while (running) {
+      try {
+        const job = await claimNextJob(workerId, types);
+        if (job) {
+          await runJob(job);
+          continue;
+        }
+      } catch (error) {
+        logger.error('❌ Worker loop error:', error.message);
+      }
+      await sleep(pollIntervalMs);
+    }
+
+    logger.info(`👋 Worker ${workerId} stopped`);
+  };
+
+  const done = loop();
+
+  return {
+    stop: () => {
+      running = false;
+      return done;
+    },
+    done
+  };
+};
@@ -0,0 +1,297 @@
+import axios from 'axios';
+import FormData from 'form-data';
+import { createRequire } from 'module';
+import { OCR_LANGUAGES } from '../utils/ocrLanguages.js';
+import { extractPageJpegs } from './imagePdfService.js';
+
+const require = createRequire(import.meta.url);
+
+/**
+ * Thrown when a provider refuses work because of its quota/rate limit.
+ * The OCR service stops using that provider for the rest of the document.
+ */
+export class OCRRateLimitError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'OCRRateLimitError';
+  }
+}
+
+// OCR provider abstraction for easy provider switching (like utils/storage.js)
+export class OCRProvider {
+  constructor(name) {
+    this.name = name;
+    this.maxFileSize = Infinity; // Largest buffer the provider accepts
+    this.maxPdfPages = Infinity; // Most PDF pages per request
+  }
+
+  isAvailable() {
+    throw new Error('isAvailable must be implemented');
+  }
+
+  /**
+   * Recognize text in an image or PDF.
+   * @param {Object} options - { languages } Tesseract-style codes, e.g. ['hin', 'eng']
+   * @returns {Promise<Array<{ page: number, text: string, confidence: number|null, error: string|null }>>}
+   *   One entry per page (1-based, relative to the buffer); confidence is 0-1 when the engine reports it
+   */
+  async recognize(buffer, fileName, mimeType, options = {}) {
+    throw new Error('recognize must be implemented');
+  }
+
+  getStatus() {
+    return {
+      name: this.name,
+      available: this.isAvailable()
+    };
+  }
+}
+
+/**
+ * OCR.space HTTP API
+ * Uses OCR.space Engine2 which is optimized for handwritten text
+ * Free Tier: 25,000 requests/month, 500/day per IP, 1MB file limit, 3 pages per PDF
+ */
+export class OCRSpaceProvider extends OCRProvider {
+  constructor() {
+    super('ocrspace');
+    this.apiKey = process.env.OCRSPACE_API_KEY || null;
+    this.apiUrl = process.env.OCRSPACE_API_URL || 'https://api.ocr.space/parse/image';
+    this.engine = parseInt(process.env.OCRSPACE_ENGINE) || 2; // Engine 2 for handwritten
+    this.language = process.env.OCRSPACE_LANGUAGE || 'eng';
+    this.multilingualEngine = parseInt(process.env.OCRSPACE_MULTILINGUAL_ENGINE) || 3; // Reads non-Latin scripts
+    this.maxFileSize = 1 * 1024 * 1024; // 1MB limit for free tier
+    this.maxPdfPages = 3; // Free tier page limit per PDF
+  }
+
+  isAvailable() {
+    return Boolean(this.apiKey);
+  }
+
+  /**
+   * OCR.space takes a single language per request: one Latin-script language is sent as is,
+   * anything else uses auto-detection (on the multilingual engine for non-Latin scripts)
+   */
+  getRequestOptions(languages = []) {
+    if (languages.length === 0) {
+      return { language: this.language, engine: this.engine };
+    }
+    if (languages.length === 1 && OCR_LANGUAGES[languages[0]]?.latin) {
+      return { language: languages[0], engine: this.engine };
+    }
+    const latinOnly = languages.every(code => OCR_LANGUAGES[code]?.latin);
+    return { language: 'auto', engine: latinOnly ? this.engine : this.multilingualEngine };
+  }
+
+  async recognize(buffer, fileName, mimeType, options = {}) {
+    if (!this.apiKey) {
+      throw new Error('OCRSPACE_API_KEY is not configured');
+    }
+
+    const { language, engine } = this.getRequestOptions(options.languages);
+
+    try {
+      console.log('🔍 [OCR] Sending to OCR.space API...');
+
+      // ⚠️ The public test key only works when configured explicitly
+      if (this.apiKey === 'helloworld') {
+        console.warn('⚠️ [OCR] Using the shared OCR.space test key "helloworld" - results and limits are poor. Get a free key: https://ocr.space/ocrapi/freekey');
+      }
+
+      // Create form data
+      const formData = new FormData();
+
+      // Add file as buffer
+      formData.append('file', buffer, {
+        filename: fileName,
+        contentType: mimeType
+      });
+
+      // OCR.space parameters
+      formData.append('apikey', this.apiKey);
+      formData.append('OCREngine', engine.toString()); // Engine 2 for handwritten
+      formData.append('language', language);
+      formData.append('isOverlayRequired', 'false'); // We just need text, not coordinates
+      formData.append('detectOrientation', 'true'); // Auto-rotate if needed
+      formData.append('scale', 'true'); // Upscale for better recognition
+      formData.append('isTable', 'false'); // Not table data
+
+      console.log('📤 [OCR] Request parameters:', {
+        engine,
+        language,
+        fileSize: `${(buffer.length / 1024).toFixed(2)} KB`,
+        fileName
+      });
+
+      // Make API request
+      const response = await axios.post(this.apiUrl, formData, {
+        headers: {
+          ...formData.getHeaders()
+        },
+        timeout: 30000 // 30 second timeout
+      });
+
+      console.log('📊 [OCR] Response status:', {
+        OCRExitCode: response.data.OCRExitCode,
+        IsErroredOnProcessing: response.data.IsErroredOnProcessing,
+        ProcessingTimeInMilliseconds: response.data.ProcessingTimeInMilliseconds,
+        parsedResultsCount: response.data.ParsedResults?.length || 0
+      });
+
+      // Parse response
+      return this.parseOCRResponse(response.data);
+    } catch (error) {
+      if (error instanceof OCRRateLimitError) throw error;
+
+      console.error('❌ [OCR] OCR.space request failed:', error.response?.data || error.message);
+
+      if (error.response?.status === 429) {
+        throw new OCRRateLimitError('OCR.space rate limit reached. Please try again later.');
+      }
+
+      throw new Error(`OCR.space API error: ${error.message}`);
+    }
+  }
+
+  /**
+   * Parse OCR.space API response
+   */
+  parseOCRResponse(data) {
+    // Check for API-level errors
+    if (data.IsErroredOnProcessing) {
+      const message = [].concat(data.ErrorMessage || 'OCR processing failed').join(' ');
+      console.error('❌ [OCR] API Error:', message);
+      if (/rate limit|too many requests|maximum number/i.test(message)) {
+        throw new OCRRateLimitError(`OCR.space rate limit reached: ${message}`);
+      }
+      throw new Error(message);
+    }
+
+    // Check OCR exit code
+    if (data.OCRExitCode !== 1 && data.OCRExitCode !== 2) {
+      throw new Error(`OCR failed with exit code: ${data.OCRExitCode}`);
+    }
+
+    // One parsed result per page; OCR.space reports no confidence score
+    return (data.ParsedResults || []).map((result, i) => {
+      if (result.FileParseExitCode === 1) {
+        return { page: i + 1, text: (result.ParsedText || '').trim(), confidence: null, error: null };
+      }
+
+      console.warn(`⚠️ [OCR] Page ${i + 1} parsing failed:`, result.ErrorMessage);
+      return { page: i + 1, text: '', confidence: null, error: result.ErrorMessage || 'Page parsing failed' };
+    });
+  }
+
+  getStatus() {
+    return {
+      ...super.getStatus(),
+      engine: this.engine,
+      language: this.language,
+      maxFileSize: `${(this.maxFileSize / 1024 / 1024).toFixed(2)} MB`,
+      maxPdfPages: this.maxPdfPages,
+      apiUrl: this.apiUrl
+    };
+  }
+}
+
+/**
+ * Local Tesseract (tesseract.js) - no network or API key needed
+ * PDFs made from photos are read page by page from their embedded JPEGs; other PDFs are
+ * rasterized with pdf2pic, which needs GraphicsMagick and Ghostscript installed.
+ * Set TESSERACT_LANG_PATH to a folder with *.traineddata files to run fully offline.
+ */
+export class TesseractProvider extends OCRProvider {
+  constructor() {
+    super('tesseract');
+    this.language = process.env.TESSERACT_LANG || 'eng';
+    this.langPath = process.env.TESSERACT_LANG_PATH || null;
+    this.density = parseInt(process.env.TESSERACT_PDF_DENSITY) || 200; // DPI used to rasterize PDF pages
+  }
+
+  isAvailable() {
+    try {
+      require.resolve('tesseract.js');
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async recognize(buffer, fileName, mimeType, options = {}) {
+    const { createWorker } = (await import('tesseract.js')).default;
+    // Tesseract reads several languages at once: "hin+eng"
+    const language = options.languages?.length ? options.languages.join('+') : this.language;
+
+    const images = mimeType === 'application/pdf'
+      ? await this.rasterizePDF(buffer)
+      : [buffer];
+
+    console.log(`🔍 [OCR] Running Tesseract (${language}) on ${images.length} page(s) of ${fileName}`);
+
+    const workerOptions = this.langPath ? { langPath: this.langPath, cachePath: this.langPath } : {};
+    const worker = await createWorker(language, undefined, workerOptions);
+
+    try {
+      const pages = [];
+      for (let i = 0; i < images.length; i++) {
+        const { data } = await worker.recognize(images[i]);
+        pages.push({
+          page: i + 1,
+          text: (data.text || '').trim(),
+          confidence: typeof data.confidence === 'number' ? Math.round(data.confidence) / 100 : null,
+          error: null
+        });
+      }
+      return pages;
+    } finally {
+      await worker.terminate();
+    }
+  }
+
+  async rasterizePDF(buffer) {
+    const jpegs = await extractPageJpegs(buffer);
+    if (jpegs) return jpegs;
+
+    const { fromBuffer } = await import('pdf2pic');
+
+    const convert = fromBuffer(buffer, {
+      density: this.density,
+      format: 'png',
+      preserveAspectRatio: true,
+      width: 1700
+    });
+
+    const pages = await convert.bulk(-1, { responseType: 'buffer' });
+    return pages.map(page => page.buffer);
+  }
+
+  getStatus() {
+    return {
+      ...super.getStatus(),
+      language: this.language,
+      offline: Boolean(this.langPath)
+    };
+  }
+}
+
+const PROVIDERS = {
+  ocrspace: OCRSpaceProvider,
+  tesseract: TesseractProvider
+};
+
+/**
+ * Build the provider chain from OCR_PROVIDERS (comma separated, in fallback order).
+ * Defaults to OCR.space first, local Tesseract as fallback.
+ */
+export const createOCRProviders = (config = process.env.OCR_PROVIDERS || 'ocrspace,tesseract') => {
+  const names = [...new Set(config.split(',').map(name => name.trim().toLowerCase()).filter(Boolean))];
+
+  return names
+    .filter(name => {
+      if (Object.hasOwn(PROVIDERS, name)) return true;
+      console.warn(`⚠️ [OCR] Unknown OCR provider "${name}" ignored. Valid providers: ${Object.keys(PROVIDERS).join(', ')}`);
+      return false;
+    })
+    .map(name => new PROVIDERS[name]());
+};
@@ -1,78 +1,136 @@
-import axios from 'axios';
-import FormData from 'form-data';
-import fs from 'fs';
-import path from 'path';
 import sharp from 'sharp';
 import { PDFDocument } from 'pdf-lib';
+import { createOCRProviders, OCRRateLimitError } from './ocrProviders.js';
+import { pagesToText, hasReadableText } from '../utils/extractionPages.js';
+
+// OCR.space free tier has a 3-page limit per PDF; small chunks also give finer progress
+const MAX_PAGES_PER_CHUNK = 3;
 
 /**
- * OCR.space Service for Handwritten Text Extraction
- * Uses OCR.space Engine2 which is optimized for handwritten text
- * Free Tier: 25,000 requests/month, 500/day per IP, 1MB file limit
+ * OCR Service for Handwritten Text Extraction
+ * Runs a chain of OCR providers (OCR_PROVIDERS, e.g. "ocrspace,tesseract").
+ * When a provider fails or hits its rate limit, the next one takes over.
  */
 export class OCRService {
-  constructor() {
-    this.apiKey = process.env.OCRSPACE_API_KEY || 'helloworld';
-    this.apiUrl = process.env.OCRSPACE_API_URL || 'https://api.ocr.space/parse/image';
-    this.engine = parseInt(process.env.OCRSPACE_ENGINE) || 2; // Engine 2 for handwritten
-    this.maxFileSize = 1 * 1024 * 1024; // 1MB limit for free tier
+  constructor(providers = createOCRProviders()) {
+    this.providers = providers;
   }
 
   /**
-   * Main extraction method - determines document type and processes accordingly
+   * Providers that are configured and usable, in fallback order
    */
-  async extractTextFromHandwritten(buffer, fileName, mimeType) {
-    try {
-      console.log('🖊️ [OCR] Starting handwritten text extraction:', {
-        fileName,
-        mimeType,
-        originalSize: `${(buffer.length / 1024 / 1024).toFixed(2)} MB`
-      });
+  getAvailableProviders() {
+    return this.providers.filter(provider => provider.isAvailable());
+  }
 
-      // ✅ CRITICAL FIX: Check file size BEFORE sending to OCR
-      const fileSizeMB = buffer.length / 1024 / 1024;
-      const fileSizeKB = buffer.length / 1024;
-      
-      console.log('📊 [OCR] File size:', {
-        MB: fileSizeMB.toFixed(2),
-        KB: fileSizeKB.toFixed(2),
-        maxAllowed: `${this.maxFileSize / 1024} KB (1 MB)`
-      });
+  /**
+   * Smallest file size accepted by an available provider
+   */
+  getMaxFileSize() {
+    return Math.min(...this.getAvailableProviders().map(provider => provider.maxFileSize));
+  }
 
-      // ✅ NEW: For files > 1MB, we MUST split/compress before sending
-      let extractedText;
-      if (buffer.length > this.maxFileSize) {
-        console.log('⚠️ [OCR] File exceeds 1MB limit! OCR.space will reject it.');
-        
-        if (mimeType === 'application/pdf') {
-          console.log('🔧 [OCR] Splitting PDF into smaller chunks...');
-          // Process PDF in chunks - this returns text directly
-          const splitResult = await this.splitAndProcessPDF(buffer, fileName);
-          extractedText = splitResult.toString('utf-8');
-          console.log('✅ [OCR] Split processing complete:', `${extractedText.length} chars`);
-          return extractedText; // Return directly, already processed
-        } else if (this.isImageType(mimeType)) {
-          console.log('🔧 [OCR] Compressing image...');
-          buffer = await this.compressForOCR(buffer, mimeType);
-          console.log('✅ [OCR] Reduced size:', `${(buffer.length / 1024).toFixed(2)} KB`);
-        }
-      }
+  /**
+   * Main extraction method - returns the text of all pages as one string
+   * @param {Object} options - See extractPages
+   */
+  async extractTextFromHandwritten(buffer, fileName, mimeType, options = {}) {
+    try {
+      const pages = await this.extractPages(buffer, fileName, mimeType, options);
 
-      // Extract text using OCR.space (for normal-sized files)
-      extractedText = await this.performOCR(buffer, fileName, mimeType);
-      
-      console.log('✅ [OCR] Text extraction completed:', {
-        textLength: extractedText.length,
-        preview: extractedText.substring(0, 100) + '...'
-      });
+      if (!hasReadableText(pages)) {
+        return 'No readable text found in the handwritten document. The image may be too blurry, low quality, or the handwriting may be unclear.';
+      }
 
-      return extractedText;
+      return pagesToText(pages);
     } catch (error) {
       console.error('❌ [OCR] Extraction failed:', error.message);
+      if (options.throwOnError) throw error;
       return `Unable to extract handwritten text from "${fileName}". This may be due to image quality or OCR limitations. Error: ${error.message}`;
     }
   }
 
+  /**
+   * OCR a document into per-page results
+   * @param {Object} options - { languages, onProgress, throwOnError, maxPages }
+   *   languages: OCR language codes, e.g. ['hin', 'eng'] (provider defaults when empty)
+   *   onProgress: called with { current, total, message, details } as PDF chunks finish
+   *   throwOnError: fail when every chunk failed or a provider was rate limited (background jobs retry them)
+   *   maxPages: only OCR the first N pages of a PDF
+   * @returns {Promise<Array<{ page, text, source, confidence, error }>>} source is the provider name
+   */
+  async extractPages(buffer, fileName, mimeType, options = {}) {
+    console.log('🖊️ [OCR] Starting handwritten text extraction:', {
+      fileName,
+      mimeType,
+      originalSize: `${(buffer.length / 1024 / 1024).toFixed(2)} MB`,
+      providers: this.getAvailableProviders().map(provider => provider.name),
+      languages: options.languages || 'default'
+    });
+
+    if (this.getAvailableProviders().length === 0) {
+      throw new Error('No OCR provider is available. Set OCRSPACE_API_KEY or install tesseract.js, and check OCR_PROVIDERS.');
+    }
+
+    let pages;
+    if (mimeType === 'application/pdf') {
+      // Chunking keeps every request within provider limits and reports progress per chunk
+      pages = await this.splitAndProcessPDF(buffer, fileName, options);
+    } else {
+      if (this.isImageType(mimeType) && buffer.length > this.getMaxFileSize()) {
+        console.log('🔧 [OCR] Compressing image...');
+        buffer = await this.compressForOCR(buffer, mimeType);
+        console.log('✅ [OCR] Reduced size:', `${(buffer.length / 1024).toFixed(2)} KB`);
+      }
+      const result = await this.recognize(buffer, fileName, mimeType, { languages: options.languages });
+      pages = result.pages.map(page => ({ ...page, source: result.provider }));
+    }
+
+    console.log('✅ [OCR] Text extraction completed:', {
+      pages: pages.length,
+      failedPages: pages.filter(page => page.error).length
+    });
+
+    return pages;
+  }
+
+  /**
+   * Run OCR on one buffer, falling back through the provider chain.
+   * @param {Object} options - { languages, exhausted }
+   *   exhausted: providers that hit their rate limit earlier in this document
+   * @returns {Promise<{ pages: Array, provider: string }>}
+   */
+  async recognize(buffer, fileName, mimeType, { languages, exhausted = new Set() } = {}) {
+    const errors = [];
+    let rateLimited = false;
+
+    for (const provider of this.getAvailableProviders()) {
+      if (exhausted.has(provider.name)) {
+        rateLimited = true;
+        continue;
+      }
+      if (buffer.length > provider.maxFileSize) {
+        errors.push(`${provider.name}: file too large`);
+        continue;
+      }
+
+      try {
+        const pages = await provider.recognize(buffer, fileName, mimeType, { languages });
+        return { pages, provider: provider.name };
+      } catch (error) {
+        console.warn(`⚠️ [OCR] ${provider.name} failed for ${fileName}: ${error.message}`);
+        errors.push(`${provider.name}: ${error.message}`);
+        if (error instanceof OCRRateLimitError) {
+          rateLimited = true;
+          exhausted.add(provider.name);
+        }
+      }
+    }
+
+    const message = `All OCR providers failed (${errors.join('; ') || 'rate limit reached'})`;
+    throw rateLimited ? new OCRRateLimitError(message) : new Error(message);
+  }
+
   /**
    * Compress document to image < 1MB for OCR processing
    * Uses ADAPTIVE compression - tries high quality first, then reduces if needed
@@ -124,244 +182,120 @@ export class OCRService {
   }
 
   /**
-   * ✅ NEW: Split large PDF and process in chunks
-   * Each chunk will be < 1MB and processed separately
+   * Split a PDF into chunks and OCR them one by one
+   * Chunks respect the page and size limits of the providers
+   * @returns {Promise<Array>} Per-page results, failed pages carry an error
    */
-  async splitAndProcessPDF(pdfBuffer, fileName) {
-    try {
-      const { PDFDocument } = await import('pdf-lib');
-      console.log('📄 [OCR] Loading PDF document...');
-      
-      const pdfDoc = await PDFDocument.load(pdfBuffer);
-      const totalPages = pdfDoc.getPageCount();
-      const originalSizeKB = pdfBuffer.length / 1024;
-      
-      console.log('📊 [OCR] PDF info:', {
-        totalPages,
-        originalSize: `${originalSizeKB.toFixed(2)} KB`,
-        avgPerPage: `${(originalSizeKB / totalPages).toFixed(2)} KB/page`
-      });
+  async splitAndProcessPDF(pdfBuffer, fileName, options = {}) {
+    const { languages, onProgress, throwOnError = false, maxPages } = options;
 
-      // ✅ CRITICAL FIX: OCR.space free tier has 3-page limit per PDF!
-      // We MUST limit chunks to MAX 3 pages each, regardless of file size
-      const MAX_PAGES_PER_CHUNK = 3; // OCR.space free tier limit
-      const avgSizePerPage = originalSizeKB / totalPages;
-      
-      // Calculate pages per chunk (minimum of: size limit OR API page limit)
-      const pagesBySize = Math.floor(900 / avgSizePerPage); // Based on 900KB limit
-      const maxPagesPerChunk = Math.min(MAX_PAGES_PER_CHUNK, Math.max(1, pagesBySize));
-      
-      console.log(`🔧 [OCR] Chunking strategy:`, {
-        maxBySize: pagesBySize,
-        maxByAPI: MAX_PAGES_PER_CHUNK,
-        actualLimit: maxPagesPerChunk,
-        expectedChunks: Math.ceil(totalPages / maxPagesPerChunk)
-      });
-      
-      // Process ALL pages, but send in chunks to OCR.space
-      const allPageTexts = [];
-
-      for (let startPage = 0; startPage < totalPages; startPage += maxPagesPerChunk) {
-        const endPage = Math.min(startPage + maxPagesPerChunk, totalPages);
-        const chunkNum = Math.floor(startPage / maxPagesPerChunk) + 1;
-        
-        console.log(`\n📄 [OCR] Processing chunk ${chunkNum}: pages ${startPage + 1}-${endPage}`);
-        
-        // Create new PDF with just these pages
-        const chunkDoc = await PDFDocument.create();
-        const pages = await chunkDoc.copyPages(pdfDoc, Array.from({ length: endPage - startPage }, (_, i) => startPage + i));
-        pages.forEach(page => chunkDoc.addPage(page));
-        
-        const chunkBytes = await chunkDoc.save();
-        const chunkSizeKB = chunkBytes.length / 1024;
-        
-        console.log(`📦 [OCR] Chunk size: ${chunkSizeKB.toFixed(2)} KB`);
-        
-        if (chunkSizeKB > this.maxFileSize / 1024) {
-          console.warn(`⚠️ [OCR] Chunk still too large! Skipping pages ${startPage + 1}-${endPage}`);
-          allPageTexts.push(`[Pages ${startPage + 1}-${endPage}: Too large to process]`);
-          continue;
-        }
-        
-        // Send chunk to OCR
-        try {
-          const chunkText = await this.performOCR(Buffer.from(chunkBytes), `${fileName}_chunk${chunkNum}.pdf`, 'application/pdf');
-          allPageTexts.push(`\n=== Pages ${startPage + 1}-${endPage} ===\n${chunkText}`);
-          console.log(`✅ [OCR] Chunk ${chunkNum} extracted: ${chunkText.length} chars`);
-        } catch (error) {
-          console.error(`❌ [OCR] Chunk ${chunkNum} failed:`, error.message);
-          allPageTexts.push(`[Pages ${startPage + 1}-${endPage}: Extraction failed - ${error.message}]`);
-        }
-      }
-
-      const combinedText = allPageTexts.join('\n\n');
-      console.log(`\n✅ [OCR] All chunks processed. Total text: ${combinedText.length} chars`);
-      
-      // Return combined text as a fake "buffer" (we'll return text directly from extractTextFromHandwritten)
-      return Buffer.from(combinedText, 'utf-8');
-      
+    let pdfDoc;
+    try {
+      pdfDoc = await PDFDocument.load(pdfBuffer);
     } catch (error) {
-      console.error('❌ [OCR] PDF splitting failed:', error.message);
-      throw new Error(`Failed to split PDF: ${error.message}`);
+      throw new Error(`Failed to load PDF: ${error.message}`);
     }
-  }
 
-  /**
-   * Convert PDF first page to image
-   */
-  async pdfToImage(pdfBuffer) {
-    try {
-      // For now, we'll use a simple approach with pdf-lib
-      // In production, you might want to use pdf-poppler or similar
-      console.log('📄 [OCR] Converting PDF to image...');
-      
-      // Note: This is a placeholder. You'll need to install pdf-to-img or similar
-      // For now, we'll just return the buffer and let OCR.space handle PDF directly
-      return pdfBuffer;
-    } catch (error) {
-      console.error('❌ [OCR] PDF conversion failed:', error);
-      throw error;
+    const pageCount = pdfDoc.getPageCount();
+    const totalPages = maxPages ? Math.min(pageCount, maxPages) : pageCount;
+    const originalSizeKB = pdfBuffer.length / 1024;
+    const maxFileSize = this.getMaxFileSize();
+
+    // Calculate pages per chunk (minimum of: size limit OR page limit)
+    const providerPageLimit = Math.min(...this.getAvailableProviders().map(provider => provider.maxPdfPages));
+    const avgSizePerPage = originalSizeKB / pageCount;
+    const pagesBySize = Math.floor((maxFileSize * 0.9 / 1024) / avgSizePerPage); // 10% headroom
+    const maxPagesPerChunk = Math.max(1, Math.min(MAX_PAGES_PER_CHUNK, providerPageLimit, pagesBySize));
+
+    console.log('🔧 [OCR] Chunking strategy:', {
+      totalPages,
+      originalSize: `${originalSizeKB.toFixed(2)} KB`,
+      pagesPerChunk: maxPagesPerChunk,
+      expectedChunks: Math.ceil(totalPages / maxPagesPerChunk)
+    });
+
+    // A single chunk covering the whole document is sent as is
+    if (totalPages <= maxPagesPerChunk && pdfBuffer.length <= maxFileSize && totalPages === pageCount) {
+      const { pages, provider } = await this.recognize(pdfBuffer, fileName, 'application/pdf', { languages });
+      return pages.map(page => ({ ...page, source: provider }));
     }
-  }
 
-  /**
-   * Perform OCR using OCR.space API
-   */
-  async performOCR(buffer, fileName, mimeType) {
-    try {
-      console.log('🔍 [OCR] Sending to OCR.space API...');
-      console.log('🔑 [OCR] Using API Key:', this.apiKey === 'helloworld' ? 'helloworld (TEST KEY - GET REAL KEY!)' : 'Custom API Key');
-
-      // ⚠️ CRITICAL WARNING for test key
-      if (this.apiKey === 'helloworld') {
-        console.warn('═══════════════════════════════════════════════════════════');
-        console.warn('⚠️  WARNING: Using TEST API key "helloworld"!');
-        console.warn('⚠️  This may produce poor results for handwritten text!');
-        console.warn('⚠️  GET YOUR FREE KEY: https://ocr.space/ocrapi/freekey');
-        console.warn('⚠️  Add to .env: OCRSPACE_API_KEY=your_real_key');
-        console.warn('═══════════════════════════════════════════════════════════');
+    const allPages = [];
+    // Every page of a chunk that could not be processed gets the chunk's error
+    const failChunk = (fromPage, toPage, error) => {
+      for (let page = fromPage; page <= toPage; page++) {
+        allPages.push({ page, text: '', source: null, confidence: null, error });
       }
-
-      // Create form data
-      const formData = new FormData();
-      
-      // Add file as buffer
-      formData.append('file', buffer, {
-        filename: fileName,
-        contentType: mimeType
-      });
-
-      // OCR.space parameters
-      formData.append('apikey', this.apiKey);
-      formData.append('OCREngine', this.engine.toString()); // Engine 2 for handwritten
-      formData.append('language', 'eng'); // English (can be made configurable)
-      formData.append('isOverlayRequired', 'false'); // We just need text, not coordinates
-      formData.append('detectOrientation', 'true'); // Auto-rotate if needed
-      formData.append('scale', 'true'); // Upscale for better recognition
-      formData.append('isTable', 'false'); // Not table data
-
-      console.log('📤 [OCR] Request parameters:', {
-        apiKey: this.apiKey === 'helloworld' ? 'TEST KEY' : 'CUSTOM KEY',
-        engine: this.engine,
-        fileSize: `${(buffer.length / 1024).toFixed(2)} KB`,
-        fileName
-      });
-
-      // Make API request
-      const response = await axios.post(this.apiUrl, formData, {
-        headers: {
-          ...formData.getHeaders()
-        },
-        timeout: 30000 // 30 second timeout
-      });
-
-      console.log('📥 [OCR] API Response received');
-      console.log('📊 [OCR] Response status:', {
-        OCRExitCode: response.data.OCRExitCode,
-        IsErroredOnProcessing: response.data.IsErroredOnProcessing,
-        ProcessingTimeInMilliseconds: response.data.ProcessingTimeInMilliseconds,
-        parsedResultsCount: response.data.ParsedResults?.length || 0
+    };
+    const chunkResults = []; // Per-chunk status for progress reporting
+    const exhausted = new Set(); // Rate-limited providers are skipped for the rest of the document
+
+    const reportProgress = async (pagesDone) => {
+      if (!onProgress) return;
+      await onProgress({
+        current: pagesDone,
+        total: totalPages,
+        message: `OCR processed ${pagesDone}/${totalPages} pages`,
+        details: { chunks: chunkResults }
       });
-
-      // Parse response
-      return this.parseOCRResponse(response.data);
-    } catch (error) {
-      console.error('❌ [OCR] API request failed:', error.response?.data || error.message);
-      
-      if (error.response?.status === 429) {
-        throw new Error('OCR API rate limit reached. Please try again later.');
-      }
-      
-      throw new Error(`OCR API error: ${error.message}`);
-    }
-  }
-
-  /**
-   * Parse OCR.space API response
-   */
-  parseOCRResponse(data) {
-    try {
-      console.log('🔍 [OCR] Parsing response...');
-      
-      // Check for API-level errors
-      if (data.IsErroredOnProcessing) {
-        console.error('❌ [OCR] API Error:', data.ErrorMessage);
-        throw new Error(data.ErrorMessage || 'OCR processing failed');
+    };
+    await reportProgress(0);
+
+    for (let startPage = 0; startPage < totalPages; startPage += maxPagesPerChunk) {
+      const endPage = Math.min(startPage + maxPagesPerChunk, totalPages);
+      const chunkNum = Math.floor(startPage / maxPagesPerChunk) + 1;
+
+      console.log(`\n📄 [OCR] Processing chunk ${chunkNum}: pages ${startPage + 1}-${endPage}`);
+
+      // Create new PDF with just these pages
+      const chunkDoc = await PDFDocument.create();
+      const pages = await chunkDoc.copyPages(pdfDoc, Array.from({ length: endPage - startPage }, (_, i) => startPage + i));
+      pages.forEach(page => chunkDoc.addPage(page));
+      const chunkBytes = Buffer.from(await chunkDoc.save());
+
+      const chunkInfo = { fromPage: startPage + 1, toPage: endPage, status: 'done', provider: null, error: null };
+      chunkResults.push(chunkInfo);
+
+      // Providers that can't take a chunk this big are skipped; if none can, so is the chunk
+      if (!this.getAvailableProviders().some(provider => chunkBytes.length <= provider.maxFileSize)) {
+        console.warn(`⚠️ [OCR] Chunk still too large! Skipping pages ${startPage + 1}-${endPage}`);
+        failChunk(startPage + 1, endPage, 'Too large to process');
+        chunkInfo.status = 'skipped';
+        chunkInfo.error = 'Too large to process';
+        await reportProgress(endPage);
+        continue;
       }
 
-      // Check OCR exit code
-      if (data.OCRExitCode !== 1 && data.OCRExitCode !== 2) {
-        console.error('❌ [OCR] Invalid exit code:', data.OCRExitCode);
-        throw new Error(`OCR failed with exit code: ${data.OCRExitCode}`);
+      try {
+        const { pages, provider } = await this.recognize(chunkBytes, `${fileName}_chunk${chunkNum}.pdf`, 'application/pdf', { languages, exhausted });
+        // Provider page numbers are relative to the chunk
+        pages.forEach(page => allPages.push({ ...page, page: startPage + page.page, source: provider }));
+        chunkInfo.provider = provider;
+        console.log(`✅ [OCR] Chunk ${chunkNum} extracted with ${provider}: ${pages.length} page(s)`);
+      } catch (error) {
+        console.error(`❌ [OCR] Chunk ${chunkNum} failed:`, error.message);
+        failChunk(startPage + 1, endPage, error.message);
+        chunkInfo.status = 'failed';
+        chunkInfo.error = error.message;
+        chunkInfo.rateLimited = error instanceof OCRRateLimitError;
       }
+      await reportProgress(endPage);
+    }
 
-      // Extract text from parsed results
-      let extractedText = '';
-      
-      if (data.ParsedResults && data.ParsedResults.length > 0) {
-        console.log(`📄 [OCR] Processing ${data.ParsedResults.length} page(s)...`);
-        
-        // Process each page/result
-        for (let i = 0; i < data.ParsedResults.length; i++) {
-          const result = data.ParsedResults[i];
-          console.log(`📖 [OCR] Page ${i + 1}:`, {
-            exitCode: result.FileParseExitCode,
-            textLength: result.ParsedText?.length || 0,
-            hasError: !!result.ErrorMessage
-          });
-          
-          if (result.FileParseExitCode === 1) {
-            // Success
-            const pageText = result.ParsedText || '';
-            extractedText += `--- Page ${i + 1} ---\n${pageText}\n\n`;
-            
-            // Log preview of extracted text
-            console.log(`✅ [OCR] Page ${i + 1} preview:`, pageText.substring(0, 150) + '...');
-          } else {
-            console.warn(`⚠️ [OCR] Page ${i + 1} parsing failed:`, result.ErrorMessage);
-          }
-        }
-      } else {
-        console.warn('⚠️ [OCR] No ParsedResults found in response');
+    // In strict mode a fully failed (or rate-limited) run is an error, so the job can retry later
+    if (throwOnError) {
+      const failed = chunkResults.filter(chunk => chunk.status === 'failed');
+      if (failed.length === chunkResults.length) {
+        throw new Error(`All ${failed.length} chunks failed: ${failed[0]?.error || 'unknown error'}`);
       }
-
-      // Clean up the extracted text
-      extractedText = extractedText.trim();
-
-      console.log('📊 [OCR] Final result:', {
-        totalLength: extractedText.length,
-        preview: extractedText.substring(0, 200) + '...'
-      });
-
-      if (!extractedText || extractedText.length < 10) {
-        return 'No readable text found in the handwritten document. The image may be too blurry, low quality, or the handwriting may be unclear.';
+      const rateLimited = failed.find(chunk => chunk.rateLimited);
+      if (rateLimited) {
+        throw new OCRRateLimitError(rateLimited.error);
       }
-
-      return extractedText;
-    } catch (error) {
-      console.error('❌ [OCR] Response parsing failed:', error);
-      throw error;
     }
+
+    console.log(`\n✅ [OCR] All chunks processed: ${allPages.length} pages`);
+    return allPages;
   }
 
   /**
@@ -375,7 +309,7 @@ export class OCRService {
    * Check if OCR service is available
    */
   isAvailable() {
-    return this.apiKey && this.apiKey !== 'helloworld';
+    return this.getAvailableProviders().length > 0;
   }
 
   /**
@@ -384,9 +318,7 @@ export class OCRService {
   getStatus() {
     return {
       available: this.isAvailable(),
-      engine: this.engine,
-      maxFileSize: `${(this.maxFileSize / 1024 / 1024).toFixed(2)} MB`,
-      apiUrl: this.apiUrl
+      providers: this.providers.map(provider => provider.getStatus())
     };
   }
 }
@@ -0,0 +1,224 @@
+import File from '../models/File.js';
+import QuotaPolicy from '../models/QuotaPolicy.js';
+import QuotaReservation from '../models/QuotaReservation.js';
+import { isAdminUser } from '../middleware/adminAuth.js';
+
+/**
+ * Upload quotas per role. Admins can override the defaults at runtime
+ * (QuotaPolicy); usage is always counted from the materials themselves,
+ * plus what uploads in progress reserved (QuotaReservation).
+ */
+export const QUOTA_ROLES = ['student', 'moderator', 'admin'];
+export const QUOTA_LIMITS = ['maxFiles', 'maxPendingFiles', 'maxStorageBytes', 'maxUploadsPerDay'];
+
+const MB = 1024 * 1024;
+const RESERVATION_TTL_MS = 15 * 60 * 1000; // longer than any upload to storage
+
+export const DEFAULT_QUOTAS = {
+  student: { maxFiles: 5, maxPendingFiles: 5, maxStorageBytes: 250 * MB, maxUploadsPerDay: 5 },
+  moderator: { maxFiles: 50, maxPendingFiles: 20, maxStorageBytes: 2048 * MB, maxUploadsPerDay: 20 },
+  admin: { maxFiles: null, maxPendingFiles: null, maxStorageBytes: null, maxUploadsPerDay: null }
+};
+
+// Usage field each limit applies to
+const USAGE_FIELDS = {
+  maxFiles: 'files',
+  maxPendingFiles: 'pendingFiles',
+  maxStorageBytes: 'storageBytes',
+  maxUploadsPerDay: 'uploadsToday'
+};
+
+const QUOTA_MESSAGES = {
+  maxFiles: (max) => `Upload limit reached (${max} materials). Please delete some files to upload new ones.`,
+  maxPendingFiles: (max) => `You already have ${max} material(s) waiting for review. Please wait until they are reviewed.`,
+  maxStorageBytes: (max) => `Storage limit reached (${(max / MB).toFixed(0)} MB). Please delete some files to upload new ones.`,
+  maxUploadsPerDay: (max) => `Daily upload limit reached (${max} per day). Please try again tomorrow.`
+};
+
+// Admins listed in ADMIN_EMAILS get the admin quota whatever their stored role
+export const getQuotaRole = (user) => {
+  if (user.role === 'admin' || isAdminUser(user)) return 'admin';
+  return QUOTA_ROLES.includes(user.role) ? user.role : 'student';
+};
+
+const pickLimits = (source) => Object.fromEntries(QUOTA_LIMITS.map(key => [key, source[key] ?? null]));
+
+/**
+ * Limits of a role: the admin's policy, else the defaults.
+ * @param {string} role
+ * @returns {Promise<Object>} { maxFiles, maxPendingFiles, maxStorageBytes, maxUploadsPerDay }
+ */
+export const getQuotaLimits = async (role) => {
+  const policy = await QuotaPolicy.findOne({ role }).lean();
+  return pickLimits(policy || DEFAULT_QUOTAS[role]);
+};
+
+/**
+ * Validate admin input: every limit given must be null (unlimited) or a whole number >= 0.
+ * @returns {{ limits: Object, error: string|null }} Only the limits present in the input
+ */
+export const parseQuotaLimits = (body = {}) => {
+  const limits = {};
+  for (const key of QUOTA_LIMITS) {
+    if (!(key in body)) continue;
+    const value = body[key];
+    if (value === null || value === '') {
+      limits[key] = null;
+    } else if (Number.isInteger(Number(value)) && Number(value) >= 0) {
+      limits[key] = Number(value);
+    } else {
+      return { limits, error: `${key} must be a whole number of 0 or more, or null for unlimited` };
+    }
+  }
+  if (Object.keys(limits).length === 0) {
+    return { limits, error: `Provide at least one of: ${QUOTA_LIMITS.join(', ')}` };
+  }
+  return { limits, error: null };
+};
+
+const startOfUtcDay = (date = new Date()) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+
+/**
+ * What a user's materials currently use.
+ * @param {string} uid
+ * @returns {Promise<{ files, pendingFiles, storageBytes, uploadsToday }>}
+ */
+export const getQuotaUsage = async (uid) => {
+  const since = startOfUtcDay();
+
+  const [[totals], touchedToday] = await Promise.all([
+    // Trashed materials are left out by the soft-delete filter
+    File.aggregate([
+      { $match: { uploadedBy: uid, 'verification.status': { $ne: 'rejected' } } },
+      {
+        $group: {
+          _id: null,
+          files: { $sum: 1 },
+          pendingFiles: { $sum: { $cond: [{ $eq: ['$verification.status', 'pending'] }, 1, 0] } },
+          // Every stored version counts; materials from before versioning only have their file
+          storageBytes: {
+            $sum: {
+              $cond: [
+                { $gt: [{ $size: { $ifNull: ['$versions', []] } }, 0] },
+                { $sum: '$versions.fileSize' },
+                { $ifNull: ['$fileSize', 0] }
+              ]
+            }
+          }
+        }
+      }
+    ]),
+    // Deleting a material doesn't give its upload back
+    File.find({ uploadedBy: uid, 'versions.uploadedAt': { $gte: since } })
+      .select('+versions')
+      .setOptions({ withDeleted: true })
+      .lean()
+  ]);
+
+  const uploadsToday = touchedToday.reduce(
+    (count, file) => count + file.versions.filter(version => version.uploadedBy === uid && version.uploadedAt >= since).length,
+    0
+  );
+
+  return {
+    files: totals?.files || 0,
+    pendingFiles: totals?.pendingFiles || 0,
+    storageBytes: totals?.storageBytes || 0,
+    uploadsToday
+  };
+};
+
+/**
+ * Limits, usage and what's left for a user (shown in the profile).
+ * @param {Object} user - User document
+ */
+export const getQuotaStatus = async (user) => {
+  const role = getQuotaRole(user);
+  const [limits, usage] = await Promise.all([getQuotaLimits(role), getQuotaUsage(user.uid)]);
+
+  const remaining = Object.fromEntries(QUOTA_LIMITS.map(key => [
+    USAGE_FIELDS[key],
+    limits[key] === null ? null : Math.max(limits[key] - usage[USAGE_FIELDS[key]], 0)
+  ]));
+
+  const tomorrow = startOfUtcDay();
+  tomorrow.setUTCDate(tomorrow.getUTCDate() + 1);
+
+  return { role, limits, usage, remaining, dailyResetAt: tomorrow };
+};
+
+// Usage held by the user's other open reservations
+const getReservedUsage = async (uid, exceptId = null) => {
+  const [reserved] = await QuotaReservation.aggregate([
+    { $match: { user: uid, expiresAt: { $gt: new Date() }, ...(exceptId && { _id: { $ne: exceptId } }) } },
+    {
+      $group: {
+        _id: null,
+        ...Object.fromEntries(Object.values(USAGE_FIELDS).map(field => [field, { $sum: `$${field}` }]))
+      }
+    }
+  ]);
+  return reserved || {};
+};
+
+/**
+ * Check whether adding to a user's usage stays within their quota.
+ * Usage reserved by the user's uploads in progress counts too.
+ * @param {Object} user - User document
+ * @param {Object} added - { files, pendingFiles, storageBytes, uploadsToday } to add (missing = 0)
+ * @param {Object} [options] - { reservationId } of the caller's own reservation, left out of the count
+ * @returns {Promise<{ allowed: boolean, exceeded: string|null, message: string|null, quota: Object }>}
+ */
+export const checkQuota = async (user, added, { reservationId = null } = {}) => {
+  const [quota, reserved] = await Promise.all([getQuotaStatus(user), getReservedUsage(user.uid, reservationId)]);
+
+  const exceeded = QUOTA_LIMITS.find(key => {
+    const field = USAGE_FIELDS[key];
+    const amount = added[field] || 0;
+    return amount > 0 && quota.limits[key] !== null && quota.usage[field] + (reserved[field] || 0) + amount > quota.limits[key];
+  }) || null;
+
+  return {
+    allowed: !exceeded,
+    exceeded,
+    message: exceeded ? QUOTA_MESSAGES[exceeded](quota.limits[exceeded]) : null,
+    quota
+  };
+};
+
+/**
+ * Check the quota and hold the added usage until the caller's write is done, so parallel
+ * uploads can't all pass the same check. The reservation is stored before the check,
+ * so of two racing requests at least one sees the other's.
+ * @param {Object} user - User document
+ * @param {Object} added - As for checkQuota
+ * @returns {Promise<Object>} checkQuota's result plus release(), to call once the material
+ *   is saved or the request failed (already released when not allowed)
+ */
+export const reserveQuota = async (user, added) => {
+  const reservation = await QuotaReservation.create({
+    user: user.uid,
+    ...Object.fromEntries(Object.values(USAGE_FIELDS).map(field => [field, added[field] || 0])),
+    expiresAt: new Date(Date.now() + RESERVATION_TTL_MS)
+  });
+  const release = async () => {
+    await QuotaReservation.deleteOne({ _id: reservation._id });
+  };
+
+  try {
+    const check = await checkQuota(user, added, { reservationId: reservation._id });
+    if (!check.allowed) await release();
+    return { ...check, release };
+  } catch (error) {
+    await release();
+    throw error;
+  }
+};
+
+/**
+ * Bytes a material takes in storage (all versions), as counted by the quota.
+ * @param {Object} file - File with +versions
+ */
+export const storedBytes = (file) => (file.versions?.length
+  ? file.versions.reduce((sum, version) => sum + (version.fileSize || 0), 0)
+  : file.fileSize || 0);
@@ -0,0 +1,192 @@
+import File from '../models/File.js';
+import DocumentChunk from '../models/DocumentChunk.js';
+import { getDocumentPages } from './documentTextService.js';
+import { buildFileFilter, combineFilters } from './fileQueryService.js';
+import { chunkPages } from '../utils/chunker.js';
+import { tokenize } from '../utils/search.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Cross-material retrieval over DocumentChunk.
+ * Chunks are ranked with BM25; retrieval methods are looked up by name so an
+ * embedding-based method can be added next to it later.
+ */
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+export const MAX_RESULTS = 50;
+// Top hits fetched per visible result wanted; more are fetched while hidden materials crowd them out
+const CANDIDATE_FACTOR = 3;
+const MAX_CANDIDATES = 1000;
+
+// Only chunks of listed materials are returned (trashed ones are left out by the soft-delete filter)
+const VISIBLE_FILE_FILTER = {
+  'moderation.approved': true,
+  'verification.status': 'verified'
+};
+
+/**
+ * Term → count of a chunk's tokens. Built with Object.fromEntries so every term,
+ * including "constructor" or "__proto__", is an own property and never read from Object.prototype.
+ * @param {string[]} tokens
+ * @returns {Object}
+ */
+export const countTerms = (tokens) => {
+  const counts = new Map();
+  tokens.forEach(token => counts.set(token, (counts.get(token) || 0) + 1));
+  return Object.fromEntries(counts);
+};
+
+// BM25 idf of a term found in docFreq of count chunks
+export const inverseDocumentFrequency = (count, docFreq) => Math.log(1 + (count - docFreq + 0.5) / (docFreq + 0.5));
+
+/**
+ * Rebuild the chunks of one file from its extracted text.
+ * @param {Object} file - File document (with extractedText)
+ * @returns {Promise<number>} Number of chunks stored
+ */
+export const indexFileChunks = async (file) => {
+  const pages = await getDocumentPages(file);
+  const chunks = chunkPages(pages);
+
+  await DocumentChunk.deleteMany({ file: file._id });
+  if (chunks.length === 0) return 0;
+
+  await DocumentChunk.insertMany(chunks.map((chunk) => {
+    const tokens = tokenize(chunk.text);
+    const termFreqs = countTerms(tokens);
+
+    return {
+      file: file._id,
+      index: chunk.index,
+      page: chunk.page,
+      unit: chunk.unit,
+      title: chunk.title,
+      text: chunk.text,
+      terms: Object.keys(termFreqs),
+      termFreqs,
+      length: tokens.length,
+      category: {
+        type: file.category?.type,
+        branch: file.category?.branch,
+        semester: file.category?.semester,
+        subject: file.category?.subject
+      },
+      metadata: {
+        collegeName: file.metadata?.collegeName,
+        professorName: file.metadata?.professorName,
+        year: file.metadata?.year,
+        documentType: file.metadata?.documentType
+      }
+    };
+  }));
+
+  return chunks.length;
+};
+
+/**
+ * Okapi BM25 over the chunks matching the filter.
+ * Corpus statistics (chunk count, average length, document frequencies) are
+ * taken from the filtered chunks, so scores are relative to what is searched.
+ * Every matching chunk is scored by the database and only the top `limit` come back.
+ */
+const retrieveBM25 = async (terms, filter, limit) => {
+  const [corpus] = await DocumentChunk.aggregate([
+    { $match: filter },
+    { $group: { _id: null, count: { $sum: 1 }, avgLength: { $avg: '$length' } } }
+  ]);
+  if (!corpus) return [];
+
+  const docFreqs = await Promise.all(
+    terms.map(term => DocumentChunk.countDocuments({ ...filter, terms: term }))
+  );
+  const avgLength = corpus.avgLength || 1;
+
+  // Terms are letters and digits only (see tokenize), so they are safe as field names.
+  // Counts that aren't numbers (chunks indexed before countTerms) count as 0.
+  const norm = { $multiply: [BM25_K1, { $add: [1 - BM25_B, { $multiply: [BM25_B, { $divide: ['$length', avgLength] }] }] }] };
+  const termScores = terms.map((term, i) => {
+    const tf = { $cond: [{ $isNumber: `$termFreqs.${term}` }, `$termFreqs.${term}`, 0] };
+    return {
+      $multiply: [
+        inverseDocumentFrequency(corpus.count, docFreqs[i]),
+        { $divide: [{ $multiply: [tf, BM25_K1 + 1] }, { $add: [tf, norm] }] }
+      ]
+    };
+  });
+
+  return DocumentChunk.aggregate([
+    { $match: { ...filter, terms: { $in: terms } } },
+    { $project: { file: 1, index: 1, page: 1, unit: 1, title: 1, text: 1, score: { $add: termScores } } },
+    { $sort: { score: -1, _id: 1 } },
+    { $limit: limit }
+  ]);
+};
+
+export const RETRIEVAL_METHODS = {
+  bm25: retrieveBM25
+};
+
+/**
+ * Top chunks for a query across materials.
+ * @param {string} query - Free-text question or keywords
+ * @param {Object} filters - Listing filters (category, branch, semester, subject, college, ...) as in GET /api/files
+ * @param {Object} options - { limit, method }
+ * @returns {Promise<Array<{ file, page, unit, title, text, score }>>}
+ */
+export const searchChunks = async (query, filters = {}, { limit = 10, method = 'bm25' } = {}) => {
+  const retrieve = RETRIEVAL_METHODS[method];
+  if (!retrieve) {
+    throw new Error(`Unknown retrieval method "${method}"`);
+  }
+
+  const terms = [...new Set(tokenize(query))];
+  if (terms.length === 0) return [];
+
+  // Chunks copy the category and metadata of their material, so the listing filters apply
+  // to them directly. Visibility (pending, rejected, trashed) is checked for the top hits only;
+  // corpus statistics include every chunk matching the filters.
+  const { search, ...listingFilters } = filters;
+  const { baseFilter, facetFilters } = buildFileFilter(listingFilters);
+  const chunkFilter = combineFilters(baseFilter, facetFilters);
+
+  let ranked = [];
+  const filesById = new Map();
+  for (let candidates = limit * CANDIDATE_FACTOR; ; candidates = Math.min(candidates * 4, MAX_CANDIDATES)) {
+    ranked = await retrieve(terms, chunkFilter, candidates);
+
+    const unchecked = [...new Set(ranked.map(chunk => String(chunk.file)))].filter(id => !filesById.has(id));
+    const files = await File.find({ ...VISIBLE_FILE_FILTER, _id: { $in: unchecked } })
+      .select('title category metadata.collegeName metadata.documentType')
+      .lean();
+    unchecked.forEach(id => filesById.set(id, null));
+    files.forEach(file => filesById.set(String(file._id), file));
+
+    const visible = ranked.filter(chunk => filesById.get(String(chunk.file)));
+    if (visible.length >= limit || ranked.length < candidates || candidates >= MAX_CANDIDATES) {
+      ranked = visible.slice(0, limit);
+      break;
+    }
+  }
+
+  const results = ranked
+    .map(chunk => {
+      const file = filesById.get(String(chunk.file));
+      return {
+        file: {
+          id: file._id,
+          title: file.title,
+          category: file.category,
+          collegeName: file.metadata?.collegeName,
+          documentType: file.metadata?.documentType
+        },
+        page: chunk.page,
+        unit: chunk.unit,
+        title: chunk.title,
+        text: chunk.text,
+        score: Math.round(chunk.score * 1000) / 1000
+      };
+    });
+
+  logger.debug(`🔎 Chunk search "${query}" (${method}): ${results.length} results`);
+  return results;
+};
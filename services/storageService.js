@@ -1,7 +1,9 @@
 import { v2 as cloudinary } from 'cloudinary';
-import { S3Client, PutObjectCommand, DeleteObjectCommand } from '@aws-sdk/client-s3';
+import { S3Client, PutObjectCommand, GetObjectCommand, CopyObjectCommand, DeleteObjectCommand } from '@aws-sdk/client-s3';
+import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
 import { v4 as uuidv4 } from 'uuid';
 import fs from 'fs';
+import axios from 'axios';
 import logger from '../utils/logger.js';
 
 // Initialize storage providers
@@ -34,21 +36,29 @@ const configureR2 = () => {
   }
 };
 
+// How long signed download links stay valid
+export const DOWNLOAD_URL_TTL_SECONDS = Number(process.env.DOWNLOAD_URL_TTL_SECONDS || 300);
+
+// Cloudinary delivery type of a stored file: 'private' files are only reachable through signed URLs.
+// Files stored before access control (and event images) are 'public'.
+const cloudinaryType = (access) => (access === 'private' ? 'private' : 'upload');
+
 // Abstracted upload function
-export const uploadFile = async (file, folder = 'uploads') => {
+// options.access: 'private' for study materials (served through signed URLs), 'public' for images shown on the site
+export const uploadFile = async (file, folder = 'uploads', { access = 'public' } = {}) => {
   const provider = process.env.STORAGE_PROVIDER || 'cloudinary';
   switch (provider) {
     case 'cloudinary':
-      return await uploadToCloudinary(file, folder);
+      return await uploadToCloudinary(file, folder, access);
     case 'r2':
-      return await uploadToR2(file, folder);
+      return await uploadToR2(file, folder, access);
     default:
       throw new Error('Invalid storage provider');
   }
 };
 
 // ✅ FIXED: Cloudinary upload with proper extension handling
-const uploadToCloudinary = async (file, folder) => {
+const uploadToCloudinary = async (file, folder, access) => {
   try {
     configureCloudinary();
 
@@ -76,9 +86,8 @@ const uploadToCloudinary = async (file, folder) => {
         public_id: publicIdWithExtension, // ✅ CRITICAL: Include extension
         use_filename: false, // ✅ We're setting public_id explicitly
         unique_filename: false, // ✅ We're handling uniqueness ourselves
-        // ✅ CRITICAL: Make files publicly accessible
-        type: 'upload',
-        access_mode: 'public',
+        // Private files have no public URL; downloads go through getSignedDownloadUrl
+        type: cloudinaryType(access),
         // ✅ OPTIMIZED: Use chunked upload with larger chunk size for speed
         chunk_size: 10000000 // 10MB chunks for faster upload
       };
@@ -108,6 +117,8 @@ const uploadToCloudinary = async (file, folder) => {
           // Generate thumbnail URL (for preview/listing pages) - significantly reduces bandwidth
           const thumbnailUrl = cloudinary.url(publicId, {
             resource_type: 'raw',
+            type: cloudinaryType(access),
+            sign_url: access === 'private',
             format: 'jpg', // Convert first page to JPG
             page: 1, // Only first page for preview
             quality: 'auto:low', // Automatic quality optimization
@@ -118,7 +129,8 @@ const uploadToCloudinary = async (file, folder) => {
             fileUrl: baseUrl, // Original file URL (for download)
             thumbnailUrl: thumbnailUrl, // Optimized preview URL
             publicId: result.public_id,
-            provider: 'cloudinary'
+            provider: 'cloudinary',
+            access
           });
         }
       });
@@ -131,8 +143,15 @@ const uploadToCloudinary = async (file, folder) => {
 
 
 
+// Public r2.dev URL only for public objects; private ones get a locator that opens nothing,
+// so a stored or leaked fileUrl never bypasses the presigned downloads
+const r2ObjectUrl = (key, access = 'private') => (access === 'public'
+  ? `https://pub-${process.env.R2_ACCOUNT_ID}.r2.dev/${key}`
+  : `r2://${process.env.R2_BUCKET_NAME}/${key}`);
+
 // R2 upload implementation (Future)
-const uploadToR2 = async (file, folder) => {
+// R2 has no per-object ACL: keep the bucket private so only presigned URLs can read materials
+const uploadToR2 = async (file, folder, access) => {
   try {
     configureR2();
     const fileExtension = file.originalname.split('.').pop();
@@ -141,7 +160,7 @@ const uploadToR2 = async (file, folder) => {
     const command = new PutObjectCommand({
       Bucket: process.env.R2_BUCKET_NAME,
       Key: fileName,
-      Body: file.buffer,
+      Body: file.buffer || await fs.promises.readFile(file.path), // Disk uploads have no buffer
       ContentType: file.mimetype,
       Metadata: {
         originalName: file.originalname,
@@ -151,25 +170,133 @@ const uploadToR2 = async (file, folder) => {
 
     await s3Client.send(command);
 
-    // R2 public URL format
-    const fileUrl = `https://pub-${process.env.R2_ACCOUNT_ID}.r2.dev/${fileName}`;
-    
     return {
-      fileUrl,
+      fileUrl: r2ObjectUrl(fileName, access),
       publicId: fileName,
-      provider: 'r2'
+      provider: 'r2',
+      access
     };
   } catch (error) {
     throw new Error('R2 upload failed: ' + error.message);
   }
 };
 
-// Abstracted delete function
-export const deleteFile = async (publicId, provider = null) => {
+/**
+ * Short-lived URL for a stored material (Cloudinary signed download API, R2 presigned GET).
+ * Callers check the user's permissions first.
+ * @param {Object} file - File document (storage, fileName, fileUrl)
+ * @param {Object} options - { expiresIn (seconds), attachment: false to display inline }
+ * @returns {Promise<{ url: string, expiresAt: Date }>}
+ */
+export const getSignedDownloadUrl = async (file, { expiresIn = DOWNLOAD_URL_TTL_SECONDS, attachment = true } = {}) => {
+  const { provider, publicId, access } = file.storage;
+  const expiresAt = new Date(Date.now() + expiresIn * 1000);
+
+  switch (provider) {
+    case 'cloudinary': {
+      configureCloudinary();
+      const url = cloudinary.utils.private_download_url(publicId, '', {
+        resource_type: 'raw',
+        type: cloudinaryType(access),
+        expires_at: Math.floor(expiresAt.getTime() / 1000),
+        attachment
+      });
+      return { url, expiresAt };
+    }
+    case 'r2': {
+      configureR2();
+      const fileName = (file.fileName || publicId.split('/').pop()).replace(/["\\\r\n]/g, '');
+      const url = await getSignedUrl(s3Client, new GetObjectCommand({
+        Bucket: process.env.R2_BUCKET_NAME,
+        Key: publicId,
+        ResponseContentDisposition: `${attachment ? 'attachment' : 'inline'}; filename="${fileName}"`
+      }), { expiresIn });
+      return { url, expiresAt };
+    }
+    default:
+      throw new Error('Invalid storage provider for download');
+  }
+};
+
+/**
+ * Open a stored file as a stream, optionally for a byte range (used by the download proxy).
+ * @param {Object} file - File document (storage, fileName)
+ * @param {Object} options - { range: 'bytes=start-end' }
+ * @returns {Promise<{ status: 200|206|416, stream: Readable|null, contentLength: number|null, contentRange: string|null }>}
+ */
+export const openFileStream = async (file, { range = null } = {}) => {
+  const { provider, publicId } = file.storage;
+
+  switch (provider) {
+    case 'cloudinary': {
+      const { url } = await getSignedDownloadUrl(file, { attachment: false });
+      const response = await axios.get(url, {
+        responseType: 'stream',
+        timeout: 60000,
+        headers: range ? { Range: range } : {},
+        validateStatus: (status) => status === 200 || status === 206 || status === 416
+      });
+
+      if (response.status === 416) {
+        response.data.destroy();
+        return { status: 416, stream: null, contentLength: null, contentRange: response.headers['content-range'] || null };
+      }
+      return {
+        status: response.status,
+        stream: response.data,
+        contentLength: Number(response.headers['content-length']) || null,
+        contentRange: response.headers['content-range'] || null
+      };
+    }
+    case 'r2': {
+      configureR2();
+      try {
+        const result = await s3Client.send(new GetObjectCommand({
+          Bucket: process.env.R2_BUCKET_NAME,
+          Key: publicId,
+          ...(range && { Range: range })
+        }));
+        return {
+          status: result.ContentRange ? 206 : 200,
+          stream: result.Body,
+          contentLength: result.ContentLength ?? null,
+          contentRange: result.ContentRange || null
+        };
+      } catch (error) {
+        if (error.$metadata?.httpStatusCode === 416) {
+          return { status: 416, stream: null, contentLength: null, contentRange: null };
+        }
+        throw error;
+      }
+    }
+    default:
+      throw new Error('Invalid storage provider for download');
+  }
+};
+
+// Download a stored file into memory (used by background jobs that process it later)
+export const downloadFileBuffer = async (file) => {
+  try {
+    const { url } = await getSignedDownloadUrl(file, { attachment: false });
+    const response = await axios.get(url, {
+      responseType: 'arraybuffer',
+      timeout: 60000,
+      headers: {
+        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
+      }
+    });
+    return Buffer.from(response.data);
+  } catch (error) {
+    throw new Error('File download failed: ' + error.message);
+  }
+};
+
+// Abstracted delete function (options.access: how the file was stored, see uploadFile)
+export const deleteFile = async (publicId, provider = null, { access = 'public' } = {}) => {
   const storageProvider = provider || process.env.STORAGE_PROVIDER || 'cloudinary';
   switch (storageProvider) {
     case 'cloudinary':
-      return await deleteFromCloudinary(publicId);
+      return await deleteFromCloudinary(publicId, access);
     case 'r2':
       return await deleteFromR2(publicId);
     default:
@@ -178,7 +305,7 @@ export const deleteFile = async (publicId, provider = null) => {
 };
 
 // ✅ FIXED: Cloudinary delete with correct resource_type
-const deleteFromCloudinary = async (publicId) => {
+const deleteFromCloudinary = async (publicId, access) => {
   try {
     configureCloudinary();
     
@@ -187,6 +314,7 @@ const deleteFromCloudinary = async (publicId) => {
     // ✅ CRITICAL: Add resource_type: 'raw' for non-image files
     const result = await cloudinary.uploader.destroy(publicId, { 
       resource_type: 'raw',
+      type: cloudinaryType(access),
       invalidate: true  // Clear CDN cache
     });
     
@@ -222,3 +350,84 @@ const deleteFromR2 = async (fileName) => {
     throw new Error('R2 delete failed: ' + error.message);
   }
 };
+
+
+// Abstracted move function: put a stored file under another folder (e.g. after a category change)
+// Returns the new { fileUrl, publicId }
+export const moveFile = async (publicId, provider = null, folder, { access = 'public' } = {}) => {
+  const storageProvider = provider || process.env.STORAGE_PROVIDER || 'cloudinary';
+  switch (storageProvider) {
+    case 'cloudinary':
+      return await moveInCloudinary(publicId, folder, access);
+    case 'r2':
+      return await moveInR2(publicId, folder, access);
+    default:
+      throw new Error('Invalid storage provider for move');
+  }
+};
+
+// Cloudinary public_id format: noto/<folder>/<timestamp_uuid.ext>
+const moveInCloudinary = async (publicId, folder, access) => {
+  try {
+    configureCloudinary();
+    const targetId = `noto/${folder}/${publicId.split('/').pop()}`;
+    if (targetId === publicId) {
+      return null;
+    }
+
+    const result = await cloudinary.uploader.rename(publicId, targetId, {
+      resource_type: 'raw',
+      type: cloudinaryType(access),
+      to_type: cloudinaryType(access),
+      overwrite: false,
+      invalidate: true
+    });
+
+    logger.info('📦 Cloudinary file moved:', { from: publicId, to: result.public_id });
+    return { fileUrl: result.secure_url, publicId: result.public_id };
+  } catch (error) {
+    logger.error('❌ Cloudinary move error:', error);
+    throw new Error('Cloudinary move failed: ' + (error.message || error.error?.message));
+  }
+};
+
+// R2 has no rename: copy to the new key, then delete the old one
+const moveInR2 = async (key, folder, access) => {
+  try {
+    configureR2();
+    const targetKey = `${folder}/${key.split('/').pop()}`;
+    if (targetKey === key) {
+      return null;
+    }
+
+    await s3Client.send(new CopyObjectCommand({
+      Bucket: process.env.R2_BUCKET_NAME,
+      CopySource: `${process.env.R2_BUCKET_NAME}/${encodeURIComponent(key)}`,
+      Key: targetKey
+    }));
+    await deleteFromR2(key);
+
+    return {
+      fileUrl: r2ObjectUrl(targetKey, access),
+      publicId: targetKey
+    };
+  } catch (error) {
+    throw new Error('R2 move failed: ' + error.message);
+  }
+};
+
+
+// Turn a file stored before access control into a private one (see make-files-private.js).
+// R2 access is set on the bucket, so there is nothing to change per object.
+export const makeFilePrivate = async (publicId, provider = null) => {
+  const storageProvider = provider || process.env.STORAGE_PROVIDER || 'cloudinary';
+  if (storageProvider === 'r2') return;
+
+  configureCloudinary();
+  await cloudinary.uploader.rename(publicId, publicId, {
+    resource_type: 'raw',
+    type: 'upload',
+    to_type: 'private',
+    invalidate: true
+  });
+};
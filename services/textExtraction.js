@@ -1,5 +1,159 @@
 import axios from 'axios';
 import ocrService from './ocrService.js';
+import { hasReadableText, pagesToText } from '../utils/extractionPages.js';
+
+const DOCX_MIME = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+const PPTX_MIME = 'application/vnd.openxmlformats-officedocument.presentationml.presentation';
+
+// Long sections are split further so a single section stays quick to fetch and read
+const SECTION_MAX_LENGTH = 8000;
+
+const decodeEntities = (text) => text
+  .replace(/&nbsp;/g, ' ')
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&#39;|&apos;/g, "'")
+  .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(Number(code)))
+  .replace(/&amp;/g, '&');
+
+// mammoth HTML → plain text that keeps headings (#), list items (-) and table rows (|)
+const htmlToStructuredText = (html) => decodeEntities(html
+  .replace(/<img[^>]*>/gi, '')
+  .replace(/<h([1-6])[^>]*>/gi, (_, level) => `\n\n${'#'.repeat(Number(level))} `)
+  .replace(/<\/h[1-6]>/gi, '\n\n')
+  .replace(/<li[^>]*>/gi, '\n- ')
+  .replace(/<tr[^>]*>/gi, '\n| ')
+  .replace(/<\/t[dh]>/gi, ' | ')
+  .replace(/<br\s*\/?>/gi, '\n')
+  .replace(/<\/(p|ul|ol|table)>/gi, '\n\n')
+  .replace(/<[^>]+>/g, ''))
+  .split('\n')
+  .map(line => line.replace(/[ \t]+/g, ' ').trim())
+  .join('\n')
+  .replace(/\n{3,}/g, '\n\n')
+  .trim();
+
+// Cut text into pieces of at most SECTION_MAX_LENGTH, preferring paragraph boundaries
+const splitLongText = (text) => {
+  const pieces = [];
+  let current = '';
+  for (const paragraph of text.split(/\n{2,}/)) {
+    if (current && current.length + paragraph.length + 2 > SECTION_MAX_LENGTH) {
+      pieces.push(current);
+      current = '';
+    }
+    // A single oversized paragraph is hard-cut
+    for (let i = 0; i < paragraph.length; i += SECTION_MAX_LENGTH) {
+      const slice = paragraph.slice(i, i + SECTION_MAX_LENGTH);
+      if (current && current.length + slice.length + 2 > SECTION_MAX_LENGTH) {
+        pieces.push(current);
+        current = '';
+      }
+      current = current ? `${current}\n\n${slice}` : slice;
+    }
+  }
+  if (current) pieces.push(current);
+  return pieces;
+};
+
+// Split structured text into sections at "# " / "## " headings
+const splitIntoSections = (text) => {
+  const sections = [];
+  let current = { title: null, lines: [] };
+
+  for (const line of text.split('\n')) {
+    const heading = line.match(/^#{1,2} (.+)/);
+    if (heading && current.lines.some(existing => existing.trim())) {
+      sections.push(current);
+      current = { title: null, lines: [] };
+    }
+    if (heading && !current.title) current.title = heading[1].trim();
+    current.lines.push(line);
+  }
+  sections.push(current);
+
+  return sections.flatMap(({ title, lines }) => {
+    const body = lines.join('\n').trim();
+    if (!body) return [];
+    return splitLongText(body).map((piece, index) => ({
+      title: title && index > 0 ? `${title} (cont.)` : title,
+      text: piece
+    }));
+  });
+};
+
+const toSectionPages = (sections, source) => sections.map((section, index) => ({
+  page: index + 1,
+  unit: 'section',
+  title: section.title,
+  text: section.text,
+  source,
+  confidence: null,
+  error: null
+}));
+
+// Slide XML paths in presentation order (falls back to file name order)
+const getPresentationSlidePaths = (readEntry) => {
+  const presentation = readEntry('ppt/presentation.xml') || '';
+  const rels = readEntry('ppt/_rels/presentation.xml.rels') || '';
+
+  const targets = {};
+  for (const [, attributes] of rels.matchAll(/<Relationship\b([^>]*)\/?>/g)) {
+    const id = attributes.match(/Id="([^"]+)"/)?.[1];
+    const target = attributes.match(/Target="([^"]+)"/)?.[1];
+    if (id && target) targets[id] = `ppt/${target.replace(/^\/?ppt\//, '').replace(/^\.\//, '')}`;
+  }
+
+  const ordered = [...presentation.matchAll(/<p:sldId\b[^>]*r:id="([^"]+)"/g)]
+    .map(([, id]) => targets[id])
+    .filter(Boolean);
+  if (ordered.length) return ordered;
+
+  return Object.values(targets)
+    .filter(target => /slides\/slide\d+\.xml$/.test(target))
+    .sort((a, b) => Number(a.match(/(\d+)\.xml$/)[1]) - Number(b.match(/(\d+)\.xml$/)[1]));
+};
+
+// Slide (or notes) XML → title + text lines, one per paragraph
+const parseSlideXml = (xml, { notes = false } = {}) => {
+  let title = null;
+  const lines = [];
+
+  for (const [shape] of xml.matchAll(/<p:sp\b[\s\S]*?<\/p:sp>/g)) {
+    const placeholder = shape.match(/<p:ph\b[^>]*type="(\w+)"/)?.[1];
+    // Notes pages repeat the slide image and number; only their body holds the notes
+    if (notes && placeholder !== 'body') continue;
+    if (['sldNum', 'dt', 'ftr'].includes(placeholder)) continue;
+
+    const paragraphs = [...shape.matchAll(/<a:p\b[\s\S]*?<\/a:p>/g)]
+      .map(([paragraph]) => {
+        const text = [...paragraph.matchAll(/<a:t>([\s\S]*?)<\/a:t>/g)].map(([, run]) => decodeEntities(run)).join('').trim();
+        const level = Number(paragraph.match(/<a:pPr\b[^>]*lvl="(\d+)"/)?.[1] || 0);
+        return text ? `${'  '.repeat(level)}${text}` : '';
+      })
+      .filter(Boolean);
+
+    if (!notes && !title && (placeholder === 'title' || placeholder === 'ctrTitle')) {
+      title = paragraphs.join(' ').trim() || null;
+      continue;
+    }
+    lines.push(...paragraphs);
+  }
+
+  // Tables live in graphic frames, not shapes
+  if (!notes) {
+    for (const [table] of xml.matchAll(/<a:tbl>[\s\S]*?<\/a:tbl>/g)) {
+      for (const [row] of table.matchAll(/<a:tr\b[\s\S]*?<\/a:tr>/g)) {
+        const cells = [...row.matchAll(/<a:tc\b[\s\S]*?<\/a:tc>/g)]
+          .map(([cell]) => [...cell.matchAll(/<a:t>([\s\S]*?)<\/a:t>/g)].map(([, run]) => decodeEntities(run)).join(' ').trim());
+        lines.push(`| ${cells.join(' | ')} |`);
+      }
+    }
+  }
+
+  return { title, lines };
+};
 
 export class TextExtractionService {
   /**
@@ -8,16 +162,17 @@ export class TextExtractionService {
    * @param {String} fileName - Original file name
    * @param {String} mimeType - MIME type
    * @param {String} documentType - "typed" or "handwritten"
+   * @param {Object} options - { languages, onProgress, throwOnError } passed to OCR (used by background jobs)
    */
-  static async extractTextFromBuffer(buffer, fileName, mimeType, documentType = 'typed') {
+  static async extractTextFromBuffer(buffer, fileName, mimeType, documentType = 'typed', options = {}) {
     try {
       console.log('📖 Extracting text from buffer:', fileName, 'Type:', mimeType, 'Document Type:', documentType);
       console.log('📦 Buffer size:', buffer.length, 'bytes');
       
-      // 🖊️ NEW: Route handwritten documents to OCR.space
+      // 🖊️ NEW: Route handwritten documents to OCR
       if (documentType === 'handwritten') {
-        console.log('🖊️ Handwritten document detected, using OCR.space...');
-        return await ocrService.extractTextFromHandwritten(buffer, fileName, mimeType);
+        console.log('🖊️ Handwritten document detected, using OCR...');
+        return await ocrService.extractTextFromHandwritten(buffer, fileName, mimeType, options);
       }
 
       // ⌨️ Continue with existing extraction for typed documents
@@ -28,16 +183,12 @@ export class TextExtractionService {
           return await this.extractFromPDF(buffer, fileName);
           
         case 'application/msword':
-        case 'application/vnd.openxmlformats-officedocument.wordprocessingml.document':
-          return await this.extractFromWord(buffer, fileName);
-          
-        case 'application/vnd.ms-powerpoint':
-        case 'application/vnd.openxmlformats-officedocument.presentationml.presentation':
-          return await this.extractFromPowerPoint(buffer, fileName);
+        case DOCX_MIME:
+          return await this.extractFromWord(buffer, fileName, mimeType);
           
         case 'application/vnd.ms-powerpoint':
-        case 'application/vnd.openxmlformats-officedocument.presentationml.presentation':
-          return await this.extractFromPowerPoint(buffer, fileName);
+        case PPTX_MIME:
+          return await this.extractFromPowerPoint(buffer, fileName, mimeType);
           
         case 'text/plain':
           const textContent = buffer.toString('utf-8');
@@ -52,10 +203,58 @@ export class TextExtractionService {
       }
     } catch (error) {
       console.error('❌ Text extraction from buffer failed:', error);
+      if (options.throwOnError) throw error;
       return `Unable to extract text from "${fileName}". Error: ${error.message}`;
     }
   }
 
+  /**
+   * Per-page extraction (used by the background extraction job)
+   * @returns {Promise<Array<{ page, text, source, confidence, error }>>}
+   */
+  static async extractPagesFromBuffer(buffer, fileName, mimeType, documentType = 'typed', options = {}) {
+    if (documentType === 'handwritten') {
+      return await ocrService.extractPages(buffer, fileName, mimeType, options);
+    }
+
+    if (mimeType === 'application/pdf') {
+      return await this.extractPDFPages(buffer, fileName, options);
+    }
+
+    // Word/text documents have no reliable page boundaries - they are split at headings instead
+    return await this.extractDocumentSections(buffer, fileName, mimeType);
+  }
+
+  /**
+   * Read the text layer of every PDF page; scanned PDFs (almost no text) go through OCR instead
+   */
+  static async extractPDFPages(buffer, fileName, options = {}) {
+    const { PDFExtract } = await import('pdf.js-extract');
+    const data = await new PDFExtract().extractBuffer(buffer, { verbosity: -1 });
+
+    const pages = (data.pages || []).map((page, index) => ({
+      page: index + 1,
+      text: (page.content || [])
+        .map(item => item.str)
+        .filter(str => str && str.trim())
+        .join(' ')
+        .replace(/\s+/g, ' ')
+        .trim(),
+      source: 'pdf-text',
+      confidence: null,
+      error: null
+    }));
+
+    console.log(`📄 PDF text layer: ${pages.length} pages from ${fileName}`);
+
+    if (!hasReadableText(pages, 100) && ocrService.isAvailable()) {
+      console.log('🔍 Low text content detected, running OCR...');
+      return await ocrService.extractPages(buffer, fileName, 'application/pdf', options);
+    }
+
+    return pages;
+  }
+
   static async extractTextFromFile(fileUrl, fileName, mimeType) {
     try {
       console.log('📖 Extracting text from:', fileName);
@@ -156,7 +355,7 @@ export class TextExtractionService {
         if (extractedText.length < 100) {
           console.log('🔍 Low text content detected, attempting OCR...');
           try {
-            const ocrText = await this.tryOCRExtraction(tempPath, fileName, Math.min(pageCount, 3));
+            const ocrText = await this.tryOCRExtraction(buffer, fileName, Math.min(pageCount, 3));
             if (ocrText && ocrText.length > extractedText.length) {
               console.log('✅ OCR provided better results');
               return this.formatOCRResult(ocrText, fileName, pageCount);
@@ -215,64 +414,16 @@ ${extractedText.substring(0, 200) || '[No text content found]'}`;
     }
   }
 
-  static async tryOCRExtraction(pdfPath, fileName, maxPages = 3) {
-    try {
-      console.log(`🔍 Starting OCR for first ${maxPages} pages of ${fileName}`);
-      
-      // Import OCR dependencies
-      const pdf2pic = await import('pdf2pic');
-      const Tesseract = await import('tesseract.js');
-      const fs = await import('fs');
-      const path = await import('path');
-      const os = await import('os');
-      
-      // Convert PDF pages to images
-      const convert = pdf2pic.fromPath(pdfPath, {
-        density: 100,
-        saveFilename: "page",
-        savePath: os.tmpdir(),
-        format: "png",
-        width: 600,
-        height: 800
-      });
-      
-      let allText = '';
-      
-      for (let pageNum = 1; pageNum <= maxPages; pageNum++) {
-        try {
-          console.log(`📄 Processing page ${pageNum} with OCR...`);
-          
-          // Convert page to image
-          const pageResult = await convert(pageNum, { responseType: "image" });
-          const imagePath = pageResult.path;
-          
-          // Perform OCR on the image
-          const { data: { text } } = await Tesseract.default.recognize(imagePath, 'eng', {
-            logger: (m) => {
-              if (m.status === 'recognizing text') {
-                console.log(`OCR Progress: ${Math.round(m.progress * 100)}%`);
-              }
-            }
-          });
-          
-          if (text && text.trim()) {
-            allText += `--- Page ${pageNum} ---\n${text.trim()}\n\n`;
-          }
-          
-          // Clean up image file
-          await fs.promises.unlink(imagePath).catch(() => {});
-          
-        } catch (pageError) {
-          console.log(`⚠️ OCR failed for page ${pageNum}:`, pageError.message);
-        }
-      }
-      
-      return allText.trim();
-      
-    } catch (error) {
-      console.error('❌ OCR extraction failed:', error);
-      throw error;
-    }
+  /**
+   * OCR the first pages of a scanned PDF through the OCR provider chain
+   */
+  static async tryOCRExtraction(buffer, fileName, maxPages = 3) {
+    console.log(`🔍 Starting OCR for first ${maxPages} pages of ${fileName}`);
+    const text = await ocrService.extractTextFromHandwritten(buffer, fileName, 'application/pdf', {
+      maxPages,
+      throwOnError: true
+    });
+    return text.trim();
   }
 
   static formatOCRResult(ocrText, fileName, pageCount) {
@@ -290,104 +441,118 @@ ${extractedText.substring(0, 200) || '[No text content found]'}`;
 ${ocrText}`;
   }
 
-  static async extractFromPowerPoint(buffer, fileName) {
+  static async extractFromPowerPoint(buffer, fileName, mimeType = PPTX_MIME) {
     try {
-      const officeParser = await import('officeparser');
-      
       console.log('📊 Processing PowerPoint:', fileName);
-      
-      // Create a temporary file for officeparser to read
-      const fs = await import('fs');
-      const path = await import('path');
-      const os = await import('os');
-      
-      const tempPath = path.join(os.tmpdir(), `temp-${Date.now()}-${fileName}`);
-      await fs.promises.writeFile(tempPath, buffer);
-      
-      try {
-        const data = await new Promise((resolve, reject) => {
-          officeParser.parseOffice(tempPath, (data, err) => {
-            if (err) reject(err);
-            else resolve(data);
-          });
-        });
-        
-        // Clean up temp file
-        await fs.promises.unlink(tempPath).catch(() => {});
-        
-        if (!data || typeof data !== 'string' || data.length < 10) {
-          return `PowerPoint presentation "${fileName}" was processed but contains very little readable text.
-
-📊 Document Information:
-• File: ${fileName}
-• Type: PowerPoint Presentation
-• Content Length: ${data?.length || 0} characters
-
-🔍 This might be due to:
-• Slides with mainly images or graphics
-• Complex formatting or embedded objects
-• Handwritten or drawn content
-
-💡 Suggestions:
-• Download the file to view it manually
-• Switch to Global Mode for general AI assistance
+      const slides = await this.extractDocumentSections(buffer, fileName, mimeType);
+      const text = pagesToText(slides);
+      console.log('✅ PowerPoint text extracted, length:', text.length);
 
-📋 Content Preview:
-${data?.substring(0, 200) || '[No text content found]'}`;
-        }
-        
-        // Clean and normalize the text
-        const cleanText = data
-          .replace(/\r\n/g, '\n')
-          .replace(/\n{3,}/g, '\n\n')
-          .replace(/\s+/g, ' ')
-          .trim();
-        
-        console.log('✅ PowerPoint text extracted, length:', cleanText.length);
-        console.log('✅ PowerPoint text cleaned and processed');
-        
-        return cleanText;
-        
-      } catch (extractError) {
-        // Clean up temp file on error
-        await fs.promises.unlink(tempPath).catch(() => {});
-        throw extractError;
+      if (text.length < 50) {
+        return `PowerPoint presentation "${fileName}" was processed but contains very little readable text.`;
       }
-      
+      return text;
     } catch (error) {
       console.error('❌ PowerPoint extraction error:', error);
       return `PowerPoint presentation "${fileName}" could not be processed for text extraction. Error: ${error.message}`;
     }
   }
 
-  static async extractFromWord(buffer, fileName) {
+  static async extractFromWord(buffer, fileName, mimeType = DOCX_MIME) {
     try {
-      const mammoth = await import('mammoth');
-      
       console.log('📝 Processing Word document:', fileName);
-      
-      const result = await mammoth.extractRawText({ 
-        buffer: buffer,
-        convertImage: mammoth.images.ignoreAll
-      });
-      
-      const text = result.value || '';
+      const sections = await this.extractDocumentSections(buffer, fileName, mimeType);
+      const text = pagesToText(sections);
       console.log('✅ Word text extracted, length:', text.length);
-      
+
       if (text.length < 50) {
         return `Word document "${fileName}" was processed but contains very little readable text.`;
       }
-      
-      const cleanText = text
-        .replace(/\r\n/g, '\n')
-        .replace(/\n{3,}/g, '\n\n')
-        .trim();
-      
-      console.log('✅ Word document successfully processed');
-      return cleanText;
+      return text;
     } catch (error) {
       console.error('❌ Word extraction error:', error);
       return `Word document "${fileName}" could not be processed. Error: ${error.message}`;
     }
   }
-}
\ No newline at end of file
+
+  /**
+   * Structured extraction for office and text documents
+   * Word/text documents are split at headings into sections, presentations into slides.
+   * @returns {Promise<Array<{ page, unit, title, text, source, confidence, error }>>}
+   */
+  static async extractDocumentSections(buffer, fileName, mimeType) {
+    switch (mimeType) {
+      case DOCX_MIME:
+        return await this.extractWordSections(buffer);
+
+      case PPTX_MIME:
+        return await this.extractPowerPointSlides(buffer);
+
+      case 'application/msword':
+        return toSectionPages(splitIntoSections(await this.extractLegacyOfficeText(buffer, mimeType)), 'doc');
+
+      case 'application/vnd.ms-powerpoint':
+        return toSectionPages(splitIntoSections(await this.extractLegacyOfficeText(buffer, mimeType)), 'ppt');
+
+      case 'text/plain':
+        return toSectionPages(splitIntoSections(buffer.toString('utf-8').replace(/^\uFEFF/, '')), 'text');
+
+      default:
+        throw new Error(`Text extraction is not supported for ${mimeType} ("${fileName}")`);
+    }
+  }
+
+  /**
+   * DOCX → sections split at level 1-2 headings, keeping headings, lists and tables
+   */
+  static async extractWordSections(buffer) {
+    const mammoth = (await import('mammoth')).default;
+    const { value: html } = await mammoth.convertToHtml(
+      { buffer },
+      { convertImage: mammoth.images.imgElement(() => ({ src: '' })) }
+    );
+    return toSectionPages(splitIntoSections(htmlToStructuredText(html)), 'docx');
+  }
+
+  /**
+   * PPTX → one entry per slide (in presentation order) with its title, text and speaker notes
+   */
+  static async extractPowerPointSlides(buffer) {
+    const AdmZip = (await import('adm-zip')).default;
+    const zip = new AdmZip(buffer);
+    const readEntry = (name) => zip.getEntry(name)?.getData().toString('utf-8') || null;
+
+    const slidePaths = getPresentationSlidePaths(readEntry);
+
+    return slidePaths.map((slidePath, index) => {
+      const { title, lines } = parseSlideXml(readEntry(slidePath) || '');
+
+      // Speaker notes are linked from the slide's relationships
+      const slideName = slidePath.split('/').pop();
+      const rels = readEntry(`ppt/slides/_rels/${slideName}.rels`) || '';
+      const notesTarget = rels.match(/Target="([^"]*notesSlide\d+\.xml)"/)?.[1];
+      const notes = notesTarget
+        ? parseSlideXml(readEntry(`ppt/notesSlides/${notesTarget.split('/').pop()}`) || '', { notes: true }).lines
+        : [];
+
+      const text = [lines.join('\n'), notes.length ? `Notes: ${notes.join('\n')}` : '']
+        .filter(Boolean)
+        .join('\n\n');
+
+      return { page: index + 1, unit: 'slide', title, text, source: 'pptx', confidence: null, error: null };
+    });
+  }
+
+  /**
+   * Old binary DOC/PPT files via textract (needs antiword / catppt installed)
+   */
+  static async extractLegacyOfficeText(buffer, mimeType) {
+    const textract = (await import('textract')).default;
+    return new Promise((resolve, reject) => {
+      textract.fromBufferWithMime(mimeType, buffer, { preserveLineBreaks: true }, (error, text) => {
+        if (error) reject(new Error(`Legacy Office extraction failed: ${error.message}`));
+        else resolve(text || '');
+      });
+    });
+  }
+}
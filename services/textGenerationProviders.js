@@ -0,0 +1,171 @@
+import { GoogleGenerativeAI } from '@google/generative-ai';
+
+/**
+ * Thrown when the model provider refuses work because of its quota/rate limit.
+ */
+export class TextGenerationRateLimitError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TextGenerationRateLimitError';
+  }
+}
+
+// Text generation (LLM) abstraction, so a local stub can replace the real model in tests
+export class TextGenerationProvider {
+  constructor(name) {
+    this.name = name;
+  }
+
+  isAvailable() {
+    throw new Error('isAvailable must be implemented');
+  }
+
+  /**
+   * Generate a reply.
+   * @param {Object} request - { system, messages: [{ role: 'user'|'assistant', content }], json, maxTokens }
+   *   json: true asks for a single JSON object as the reply
+   * @returns {Promise<string>}
+   */
+  async generate(request) {
+    throw new Error('generate must be implemented');
+  }
+
+  getStatus() {
+    return {
+      name: this.name,
+      available: this.isAvailable()
+    };
+  }
+}
+
+/**
+ * Google Gemini (@google/generative-ai)
+ */
+export class GeminiProvider extends TextGenerationProvider {
+  constructor() {
+    super('gemini');
+    this.apiKey = process.env.GEMINI_API_KEY || null;
+    this.model = process.env.GEMINI_MODEL || 'gemini-1.5-flash';
+    this.client = this.apiKey ? new GoogleGenerativeAI(this.apiKey) : null;
+  }
+
+  isAvailable() {
+    return Boolean(this.client);
+  }
+
+  async generate({ system, messages, json = false, maxTokens = 1024 }) {
+    if (!this.client) {
+      throw new Error('GEMINI_API_KEY is not configured');
+    }
+
+    const model = this.client.getGenerativeModel({
+      model: this.model,
+      systemInstruction: system
+    });
+
+    try {
+      const result = await model.generateContent({
+        contents: messages.map(message => ({
+          role: message.role === 'assistant' ? 'model' : 'user',
+          parts: [{ text: message.content }]
+        })),
+        generationConfig: {
+          temperature: 0.2, // Stay close to the document
+          maxOutputTokens: maxTokens,
+          ...(json && { responseMimeType: 'application/json' })
+        }
+      });
+
+      return result.response.text().trim();
+    } catch (error) {
+      if (error.status === 429) {
+        throw new TextGenerationRateLimitError('Gemini rate limit reached. Please try again later.');
+      }
+      throw new Error(`Gemini API error: ${error.message}`);
+    }
+  }
+
+  getStatus() {
+    return {
+      ...super.getStatus(),
+      model: this.model
+    };
+  }
+}
+
+/**
+ * Offline stand-in: answers with the first excerpt of the prompt and cites it
+ * (or, for JSON requests, builds study insights from the excerpts).
+ * Deterministic, no network - for tests and local development (LLM_PROVIDER=stub).
+ */
+export class StubProvider extends TextGenerationProvider {
+  constructor() {
+    super('stub');
+  }
+
+  isAvailable() {
+    return true;
+  }
+
+  async generate({ system, json = false }) {
+    const excerpts = [...system.matchAll(/\[((?:p\.|slide|section) (\d+))\]\n([\s\S]*?)(?=\n\n\[|$)/g)]
+      .map(([, label, page, text]) => ({ label, page: Number(page), text: text.trim() }));
+
+    if (json) {
+      return JSON.stringify(this.buildInsights(excerpts));
+    }
+    if (excerpts.length === 0) {
+      return 'I could not find this in the document.';
+    }
+    return `According to the document: ${excerpts[0].text.slice(0, 200)} [${excerpts[0].label}]`;
+  }
+
+  buildInsights(excerpts) {
+    const firstSentence = (text) => text.split(/(?<=[.!?])\s/)[0].slice(0, 200);
+
+    const counts = {};
+    excerpts.forEach(({ text }) => {
+      (text.toLowerCase().match(/\p{L}{5,}/gu) || []).forEach(word => { counts[word] = (counts[word] || 0) + 1; });
+    });
+
+    return {
+      summary: excerpts.slice(0, 3).map(({ text }) => firstSentence(text)).join(' '),
+      keyTopics: Object.entries(counts).sort((a, b) => b[1] - a[1]).slice(0, 5).map(([word]) => word),
+      flashcards: excerpts.slice(0, 3).map(({ label, page, text }) => ({
+        question: `What is covered on ${label}?`,
+        answer: firstSentence(text),
+        page
+      }))
+    };
+  }
+}
+
+const PROVIDERS = {
+  gemini: GeminiProvider,
+  stub: StubProvider
+};
+
+/**
+ * Provider selected by LLM_PROVIDER (default: gemini).
+ */
+export const createTextGenerationProvider = (name = process.env.LLM_PROVIDER || 'gemini') => {
+  const key = name.trim().toLowerCase();
+  const Provider = Object.hasOwn(PROVIDERS, key) ? PROVIDERS[key] : null;
+  if (!Provider) {
+    throw new Error(`Unknown LLM provider "${name}". Valid providers: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  return new Provider();
+};
+
+let sharedProvider = null;
+
+// Provider used by the chat and insights services, created on first use
+export const getTextGenerationProvider = () => {
+  if (!sharedProvider) sharedProvider = createTextGenerationProvider();
+  return sharedProvider;
+};
+
+// Swap the model client (e.g. a StubProvider in tests)
+export const setTextGenerationProvider = (provider) => {
+  sharedProvider = provider;
+};
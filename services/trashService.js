@@ -0,0 +1,175 @@
+import File from '../models/File.js';
+import Event from '../models/Event.js';
+import Message from '../models/Message.js';
+import User from '../models/User.js';
+import ExtractionPage from '../models/ExtractionPage.js';
+import DocumentChunk from '../models/DocumentChunk.js';
+import ChatSession from '../models/ChatSession.js';
+import FileActivity from '../models/FileActivity.js';
+import DailyFileStats from '../models/DailyFileStats.js';
+import { deleteFile as deleteStorage } from './storageService.js';
+import { deleteFile as deleteImageBB } from './imageBBService.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Trash: soft-deleted materials, events and messages (see utils/softDelete.js).
+ * Records stay restorable until purgeAfter; the purge job then removes them
+ * together with their storage assets.
+ */
+const PURGE_BATCH_SIZE = 100;
+
+// Trash listing per type: model, fields shown and label used in audit entries
+export const TRASH_TYPES = {
+  material: {
+    model: File,
+    select: 'title category metadata.collegeName fileType fileSize uploadedBy verification.status deletedAt deletedBy purgeAfter',
+    label: (doc) => doc.title
+  },
+  event: {
+    model: Event,
+    select: 'description sectionTitle imageUrl isActive deletedAt deletedBy purgeAfter',
+    label: (doc) => doc.sectionTitle
+  },
+  message: {
+    model: Message,
+    select: 'userEmail userName subject category status deletedAt deletedBy purgeAfter',
+    label: (doc) => doc.subject
+  }
+};
+
+// Event images live on ImageBB (delete URL) or in storage (public_id)
+export const deleteEventImage = async (imagePublicId) => {
+  if (!imagePublicId) return;
+  if (imagePublicId.startsWith('https://')) {
+    await deleteImageBB(imagePublicId);
+  } else {
+    await deleteStorage(imagePublicId);
+  }
+};
+
+/**
+ * Storage objects of a material: the current file plus every earlier version.
+ * @param {Object} file - File selected with storage and +versions
+ * @returns {Array<{ publicId, provider, access }>}
+ */
+export const getStoredObjects = (file) => {
+  const objects = new Map();
+  [file.storage, ...(file.versions || []).map(version => version.storage)]
+    .filter(storage => storage?.publicId)
+    .forEach(storage => objects.set(storage.publicId, { publicId: storage.publicId, provider: storage.provider, access: storage.access }));
+  return [...objects.values()];
+};
+
+// Missing objects count as deleted, so a purge interrupted halfway can simply run again
+const deleteStoredObjects = async (file) => {
+  for (const { publicId, provider, access } of getStoredObjects(file)) {
+    await deleteStorage(publicId, provider, { access });
+  }
+};
+
+/**
+ * Remove a material for good: storage objects (all versions), extracted text, chunks,
+ * chats, bookmarks/stars, analytics and the record itself.
+ * @param {Object} file - File document (deleted or not) with storage and +versions
+ */
+export const purgeMaterial = async (file) => {
+  if (!file.storage?.purgedAt) {
+    await deleteStoredObjects(file);
+  }
+
+  await Promise.all([
+    ExtractionPage.deleteMany({ file: file._id }),
+    DocumentChunk.deleteMany({ file: file._id }),
+    ChatSession.deleteMany({ file: file._id }),
+    FileActivity.deleteMany({ file: file._id }),
+    DailyFileStats.deleteMany({ file: file._id }),
+    User.updateMany(
+      { $or: [{ bookmarks: file._id }, { stars: file._id }] },
+      { $pull: { bookmarks: file._id, stars: file._id } }
+    )
+  ]);
+  await File.deleteOne({ _id: file._id });
+};
+
+export const purgeEvent = async (event) => {
+  await deleteEventImage(event.imagePublicId);
+  await Event.deleteOne({ _id: event._id });
+};
+
+export const purgeMessage = async (message) => {
+  await Message.deleteOne({ _id: message._id });
+};
+
+/**
+ * Rejected materials keep their record (so the uploader sees why) but their
+ * stored file is removed once the retention period ends.
+ * The material is claimed first, so a file re-verified (or restored by an admin)
+ * since it was listed keeps its storage. Returns false when it was not purged.
+ */
+export const purgeRejectedStorage = async (file, now = new Date()) => {
+  const claimed = await File.findOneAndUpdate(
+    {
+      _id: file._id,
+      deletedAt: null,
+      'verification.status': 'rejected',
+      'storage.purgedAt': null,
+      purgeAfter: { $lte: now }
+    },
+    { $set: { 'storage.purgedAt': now, purgeAfter: null } },
+    { new: false }
+  ).select('storage +versions purgeAfter');
+  if (!claimed) return false;
+
+  try {
+    await deleteStoredObjects(claimed);
+  } catch (error) {
+    // Hand it back to the next run
+    await File.updateOne(
+      { _id: file._id, 'storage.purgedAt': now },
+      { $set: { 'storage.purgedAt': null, purgeAfter: claimed.purgeAfter } }
+    );
+    throw error;
+  }
+  return true;
+};
+
+// Purge a batch; a failed item is logged and retried on the next run
+const purgeEach = async (docs, purge, label) => {
+  let purged = 0;
+  for (const doc of docs) {
+    try {
+      if (await purge(doc) !== false) purged++;
+    } catch (error) {
+      logger.error(`❌ Failed to purge ${label} ${doc._id}:`, error.message);
+    }
+  }
+  return purged;
+};
+
+/**
+ * Purge everything whose retention period has ended.
+ * @param {Date} [now]
+ * @returns {Promise<{ materials, events, messages, rejectedFiles }>} Purged counts
+ */
+export const purgeExpired = async (now = new Date()) => {
+  const expired = { deletedAt: { $ne: null }, purgeAfter: { $lte: now } };
+
+  const [materials, events, messages, rejected] = await Promise.all([
+    File.find(expired).select('storage +versions').limit(PURGE_BATCH_SIZE),
+    Event.find(expired).select('imagePublicId').limit(PURGE_BATCH_SIZE),
+    Message.find(expired).select('_id').limit(PURGE_BATCH_SIZE),
+    File.find({ deletedAt: null, 'verification.status': 'rejected', 'storage.purgedAt': null, purgeAfter: { $lte: now } })
+      .select('storage +versions')
+      .limit(PURGE_BATCH_SIZE)
+  ]);
+
+  const result = {
+    materials: await purgeEach(materials, purgeMaterial, 'material'),
+    events: await purgeEach(events, purgeEvent, 'event'),
+    messages: await purgeEach(messages, purgeMessage, 'message'),
+    rejectedFiles: await purgeEach(rejected, (file) => purgeRejectedStorage(file, now), 'rejected material file')
+  };
+
+  logger.info('🧹 Purge finished:', result);
+  return result;
+};
@@ -0,0 +1,301 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import UploadSession from '../models/UploadSession.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Resumable uploads for documents above the multer limit:
+ * init → PUT each part (any order, retries overwrite) → complete (assemble + SHA-256 check)
+ * → POST /upload or /:fileId/versions with the uploadId instead of a multipart file.
+ */
+const MB = 1024 * 1024;
+export const UPLOAD_CHUNK_SIZE = Number(process.env.UPLOAD_CHUNK_SIZE_MB || 5) * MB;
+export const MAX_RESUMABLE_UPLOAD_BYTES = Number(process.env.MAX_RESUMABLE_UPLOAD_MB || 100) * MB;
+const SESSION_TTL_MS = Number(process.env.UPLOAD_SESSION_TTL_HOURS || 24) * 60 * 60 * 1000;
+const MAX_OPEN_SESSIONS = 5; // per user, so abandoned uploads can't fill the disk
+const ASSEMBLY_TIMEOUT_MS = 10 * 60 * 1000; // an older 'assembling' claim belongs to a crashed request
+const GC_BATCH_SIZE = 100;
+
+const TEMP_DIR = path.join(process.cwd(), 'temp-uploads');
+const SESSIONS_DIR = path.join(TEMP_DIR, 'sessions');
+
+// Documents that can be uploaded (photos of handwritten pages go through the regular upload)
+export const DOCUMENT_MIME_TYPES = [
+  'application/pdf',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.ms-powerpoint',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  'text/plain'
+];
+
+const sessionDir = (session) => path.join(SESSIONS_DIR, String(session._id));
+const partPath = (session, partNumber) => path.join(sessionDir(session), `${partNumber}.part`);
+const nextExpiry = () => new Date(Date.now() + SESSION_TTL_MS);
+const tempSuffix = () => `${crypto.randomBytes(4).toString('hex')}.tmp`;
+
+// Bytes a part must have: full chunks, the last one gets the rest
+export const expectedPartSize = (session, partNumber) => (partNumber < session.totalParts
+  ? session.chunkSize
+  : session.size - session.chunkSize * (session.totalParts - 1));
+
+export const getMissingParts = (session) => {
+  const received = new Set(session.receivedParts);
+  return Array.from({ length: session.totalParts }, (_, index) => index + 1).filter(part => !received.has(part));
+};
+
+/**
+ * Start a resumable upload.
+ * @param {string} uid - Uploader
+ * @param {Object} details - { fileName, mimeType, size, sha256 }
+ * @returns {Promise<{ session?: Object, error?: string }>}
+ */
+export const createUploadSession = async (uid, { fileName, mimeType, size, sha256 } = {}) => {
+  const name = typeof fileName === 'string' ? path.basename(fileName.trim()) : '';
+  const bytes = Number(size);
+
+  if (!name || name.length > 255) {
+    return { error: 'fileName is required (max 255 characters)' };
+  }
+  if (!DOCUMENT_MIME_TYPES.includes(mimeType)) {
+    return { error: 'File type not supported. Only PDF, DOC, DOCX, PPT, PPTX and TXT can be uploaded in parts.' };
+  }
+  if (!Number.isInteger(bytes) || bytes <= 0) {
+    return { error: 'size must be the file size in bytes' };
+  }
+  if (bytes > MAX_RESUMABLE_UPLOAD_BYTES) {
+    return { error: `Files can be at most ${MAX_RESUMABLE_UPLOAD_BYTES / MB} MB` };
+  }
+  if (typeof sha256 !== 'string' || !/^[a-f0-9]{64}$/i.test(sha256)) {
+    return { error: 'sha256 must be the hex SHA-256 of the whole file' };
+  }
+
+  const openSessions = await UploadSession.countDocuments({ user: uid, expiresAt: { $gt: new Date() } });
+  if (openSessions >= MAX_OPEN_SESSIONS) {
+    return { error: `You already have ${MAX_OPEN_SESSIONS} uploads in progress. Complete or abort one first.` };
+  }
+
+  const session = await UploadSession.create({
+    user: uid,
+    fileName: name,
+    mimeType,
+    size: bytes,
+    sha256: sha256.toLowerCase(),
+    chunkSize: UPLOAD_CHUNK_SIZE,
+    totalParts: Math.ceil(bytes / UPLOAD_CHUNK_SIZE),
+    expiresAt: nextExpiry()
+  });
+  await fs.promises.mkdir(sessionDir(session), { recursive: true });
+
+  return { session };
+};
+
+/**
+ * Store one part. Sending a part again replaces it, so a client can simply retry.
+ * @param {Object} session - UploadSession document
+ * @param {number} partNumber - 1-based
+ * @param {Buffer} data
+ * @returns {Promise<{ session?: Object, error?: string, status?: number }>}
+ */
+export const writeUploadPart = async (session, partNumber, data) => {
+  if (session.status !== 'uploading') {
+    return { error: 'This upload is being assembled or is already complete', status: 409 };
+  }
+  if (!Number.isInteger(partNumber) || partNumber < 1 || partNumber > session.totalParts) {
+    return { error: `Part number must be between 1 and ${session.totalParts}`, status: 400 };
+  }
+
+  const expected = expectedPartSize(session, partNumber);
+  if (!Buffer.isBuffer(data) || data.length !== expected) {
+    return { error: `Part ${partNumber} must be ${expected} bytes (got ${data?.length || 0})`, status: 400 };
+  }
+
+  // Write then rename, so an interrupted request never leaves half a part behind
+  await fs.promises.mkdir(sessionDir(session), { recursive: true });
+  const target = partPath(session, partNumber);
+  const partial = `${target}.${tempSuffix()}`;
+  await fs.promises.writeFile(partial, data);
+  await fs.promises.rename(partial, target);
+
+  // The session may have been claimed for assembly while the part was being written
+  const updated = await UploadSession.findOneAndUpdate(
+    { _id: session._id, status: 'uploading' },
+    { $addToSet: { receivedParts: partNumber }, $set: { expiresAt: nextExpiry() } },
+    { new: true }
+  );
+  if (!updated) {
+    return { error: 'This upload is being assembled or is already complete', status: 409 };
+  }
+  return { session: updated };
+};
+
+/**
+ * Assemble the parts and check the SHA-256. On a mismatch the parts are dropped
+ * (there is no telling which one is wrong) and the client uploads them again.
+ * The session is claimed ('uploading' → 'assembling') first, so concurrent completes
+ * and late parts can't interleave with the assembly.
+ * @param {Object} session - UploadSession document
+ * @returns {Promise<{ session?: Object, error?: string, status?: number, missingParts?: number[] }>}
+ */
+export const completeUploadSession = async (session) => {
+  if (session.status === 'completed') {
+    return { session };
+  }
+
+  const missingParts = getMissingParts(session);
+  if (missingParts.length > 0) {
+    return { error: `${missingParts.length} part(s) are still missing`, status: 409, missingParts };
+  }
+
+  const claimed = await UploadSession.findOneAndUpdate(
+    {
+      _id: session._id,
+      $or: [
+        { status: 'uploading' },
+        { status: 'assembling', updatedAt: { $lte: new Date(Date.now() - ASSEMBLY_TIMEOUT_MS) } }
+      ]
+    },
+    { $set: { status: 'assembling', expiresAt: nextExpiry() } },
+    { new: true }
+  );
+  if (!claimed) {
+    const current = await UploadSession.findById(session._id);
+    if (current?.status === 'completed') {
+      return { session: current };
+    }
+    return { error: 'This upload is already being assembled', status: 409, missingParts: [] };
+  }
+
+  // Assemble under a temporary name: the session's file only ever appears complete
+  const assembledPath = path.join(SESSIONS_DIR, `${claimed._id}.upload`);
+  const partialPath = `${assembledPath}.${tempSuffix()}`;
+  const hash = crypto.createHash('sha256');
+  let written = 0;
+
+  try {
+    const output = await fs.promises.open(partialPath, 'w');
+    try {
+      for (let partNumber = 1; partNumber <= claimed.totalParts; partNumber++) {
+        const data = await fs.promises.readFile(partPath(claimed, partNumber));
+        hash.update(data);
+        await output.write(data);
+        written += data.length;
+      }
+    } finally {
+      await output.close();
+    }
+  } catch (error) {
+    await fs.promises.rm(partialPath, { force: true });
+    await UploadSession.updateOne({ _id: claimed._id, status: 'assembling' }, { $set: { status: 'uploading' } });
+    throw error;
+  }
+
+  await fs.promises.rm(sessionDir(claimed), { recursive: true, force: true });
+
+  const digest = hash.digest('hex');
+  if (written !== claimed.size || digest !== claimed.sha256) {
+    await fs.promises.rm(partialPath, { force: true });
+    const reset = await UploadSession.findByIdAndUpdate(
+      claimed._id,
+      { $set: { status: 'uploading', receivedParts: [], expiresAt: nextExpiry() } },
+      { new: true }
+    );
+    logger.warn(`⚠️ Upload ${claimed._id} failed its checksum (${written}/${claimed.size} bytes)`);
+    return {
+      error: 'Checksum mismatch: the assembled file does not match sha256. Upload the parts again.',
+      status: 422,
+      missingParts: getMissingParts(reset)
+    };
+  }
+
+  await fs.promises.rename(partialPath, assembledPath);
+  const completed = await UploadSession.findOneAndUpdate(
+    { _id: claimed._id, status: 'assembling' },
+    { $set: { status: 'completed', assembledPath, expiresAt: nextExpiry() } },
+    { new: true }
+  );
+  if (!completed) {
+    // Aborted while assembling
+    await fs.promises.rm(assembledPath, { force: true });
+    return { error: 'Upload not found or expired', status: 404, missingParts: [] };
+  }
+  return { session: completed };
+};
+
+/**
+ * Hand a completed upload to the regular upload handlers: the file is linked into
+ * temp-uploads like a multer upload, so the handler's temp cleanup leaves the
+ * session intact and a request that fails validation can be retried.
+ * @param {Object} session - Completed UploadSession
+ * @returns {Promise<Object|null>} multer-like file ({ fieldname, originalname, mimetype, size, path }),
+ *   or null when the assembled file is missing or not the announced size
+ */
+export const toUploadedFile = async (session) => {
+  const stats = session.assembledPath ? await fs.promises.stat(session.assembledPath).catch(() => null) : null;
+  if (!stats || stats.size !== session.size) {
+    logger.warn(`⚠️ Assembled file of upload ${session._id} is missing or incomplete`);
+    return null;
+  }
+
+  const tempPath = path.join(TEMP_DIR, `${Date.now()}-${Math.round(Math.random() * 1E9)}-${session.fileName}`);
+  try {
+    await fs.promises.link(session.assembledPath, tempPath);
+  } catch {
+    await fs.promises.copyFile(session.assembledPath, tempPath);
+  }
+
+  return {
+    fieldname: 'file',
+    originalname: session.fileName,
+    mimetype: session.mimeType,
+    size: session.size,
+    path: tempPath
+  };
+};
+
+// Remove a session with its parts and assembled file (after use, on abort or once expired)
+export const removeUploadSession = async (session) => {
+  await fs.promises.rm(sessionDir(session), { recursive: true, force: true });
+  if (session.assembledPath) {
+    await fs.promises.rm(session.assembledPath, { force: true });
+  }
+  await UploadSession.deleteOne({ _id: session._id });
+};
+
+/**
+ * Remove expired sessions and any leftover session files without a session.
+ * Runs in the worker, which shares temp-uploads with the API server.
+ * @param {Date} [now]
+ * @returns {Promise<{ sessions: number, orphans: number }>}
+ */
+export const cleanupUploadSessions = async (now = new Date()) => {
+  const expired = await UploadSession.find({ expiresAt: { $lte: now } }).limit(GC_BATCH_SIZE);
+
+  let sessions = 0;
+  for (const session of expired) {
+    try {
+      await removeUploadSession(session);
+      sessions++;
+    } catch (error) {
+      logger.error(`❌ Failed to remove upload session ${session._id}:`, error.message);
+    }
+  }
+
+  // Files whose session record is gone (e.g. deleted by hand) once they are past the TTL
+  let orphans = 0;
+  const entries = await fs.promises.readdir(SESSIONS_DIR).catch(() => []);
+  for (const entry of entries) {
+    const id = entry.replace(/\.upload$/, '');
+    const entryPath = path.join(SESSIONS_DIR, entry);
+    const stats = await fs.promises.stat(entryPath).catch(() => null);
+    if (!stats || now - stats.mtime < SESSION_TTL_MS) continue;
+    if (/^[a-f0-9]{24}$/.test(id) && await UploadSession.exists({ _id: id })) continue;
+
+    await fs.promises.rm(entryPath, { recursive: true, force: true });
+    orphans++;
+  }
+
+  logger.info('🧹 Upload session cleanup finished:', { sessions, orphans });
+  return { sessions, orphans };
+};
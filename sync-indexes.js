@@ -0,0 +1,45 @@
+// Sync MongoDB indexes with the Mongoose schemas
+// Needed after index changes (e.g. the File text index), since MongoDB allows
+// only one text index per collection and won't replace it automatically.
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import File from './models/File.js';
+import User from './models/User.js';
+import Message from './models/Message.js';
+import Event from './models/Event.js';
+import Donation from './models/Donation.js';
+import Job from './models/Job.js';
+import ExtractionPage from './models/ExtractionPage.js';
+import CollegeSettings from './models/CollegeSettings.js';
+import ChatSession from './models/ChatSession.js';
+import DocumentChunk from './models/DocumentChunk.js';
+import AuditLog from './models/AuditLog.js';
+import FileActivity from './models/FileActivity.js';
+import DailyFileStats from './models/DailyFileStats.js';
+import QuotaPolicy from './models/QuotaPolicy.js';
+import UploadSession from './models/UploadSession.js';
+
+dotenv.config();
+
+const models = [File, User, Message, Event, Donation, Job, ExtractionPage, CollegeSettings, ChatSession, DocumentChunk, AuditLog, FileActivity, DailyFileStats, QuotaPolicy, UploadSession];
+
+async function syncIndexes() {
+  try {
+    console.log('🔍 Connecting to MongoDB...');
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected!\n');
+
+    for (const model of models) {
+      const dropped = await model.syncIndexes();
+      console.log(`📇 ${model.modelName}: indexes synced${dropped.length ? ` (dropped: ${dropped.join(', ')})` : ''}`);
+    }
+
+    await mongoose.disconnect();
+    console.log('\n✅ Done!');
+  } catch (error) {
+    console.error('❌ Error:', error);
+    process.exit(1);
+  }
+}
+
+syncIndexes();
@@ -0,0 +1,45 @@
+import { parseDayRange, toDay, MAX_RANGE_DAYS } from '../services/analyticsService.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('parseDayRange', () => {
+  test('accepts an explicit range, both days included', () => {
+    expect(parseDayRange({ from: '2025-01-01', to: '2025-01-31' })).toEqual({
+      from: '2025-01-01',
+      to: '2025-01-31',
+      error: null
+    });
+  });
+
+  test('accepts a single day', () => {
+    expect(parseDayRange({ from: '2025-02-10', to: '2025-02-10' }).error).toBeNull();
+  });
+
+  test('defaults to the last 30 days up to today', () => {
+    const today = toDay(Date.now());
+    const { from, to, error } = parseDayRange({});
+
+    expect(error).toBeNull();
+    expect(to).toBe(today);
+    expect(from).toBe(toDay(new Date(`${today}T00:00:00.000Z`).getTime() - 29 * DAY_MS));
+  });
+
+  test('counts the default days back from the given end', () => {
+    expect(parseDayRange({ to: '2025-03-10' }, 7)).toEqual({ from: '2025-03-04', to: '2025-03-10', error: null });
+  });
+
+  test('rejects malformed and impossible dates', () => {
+    ['2025-1-01', '01/02/2025', 'yesterday', '2025-13-01', '2025-02-30x'].forEach(from => {
+      expect(parseDayRange({ from, to: '2025-12-31' }).error).toMatch(/dates like/);
+    });
+  });
+
+  test('rejects a range that ends before it starts', () => {
+    expect(parseDayRange({ from: '2025-02-01', to: '2025-01-31' }).error).toBe('from must not be after to');
+  });
+
+  test(`allows at most ${MAX_RANGE_DAYS} days`, () => {
+    expect(parseDayRange({ from: '2024-01-01', to: '2024-12-31' }).error).toBeNull(); // 366 days (leap year)
+    expect(parseDayRange({ from: '2024-01-01', to: '2025-01-01' }).error).toMatch(/at most/);
+  });
+});
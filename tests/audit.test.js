@@ -0,0 +1,95 @@
+import { AUDIT_CSV_HEADER, formatAuditCsvRow, diffChanges } from '../services/auditService.js';
+import { buildAuditFilter } from '../controllers/auditController.js';
+
+const entry = (fields = {}) => ({
+  createdAt: new Date('2025-05-01T12:00:00.000Z'),
+  actor: { uid: 'admin-uid', email: 'admin@example.com' },
+  action: 'material.update',
+  targetType: 'material',
+  targetId: '665f1b2c3d4e5f6a7b8c9d0e',
+  targetLabel: 'Thermodynamics notes',
+  changes: [],
+  metadata: null,
+  ip: '127.0.0.1',
+  ...fields
+});
+
+describe('audit CSV export', () => {
+  test('has one header per column', () => {
+    expect(AUDIT_CSV_HEADER).toBe('timestamp,actorEmail,actorUid,action,targetType,targetId,targetLabel,changes,metadata,ip');
+  });
+
+  test('writes plain fields as they are', () => {
+    expect(formatAuditCsvRow(entry())).toBe(
+      '2025-05-01T12:00:00.000Z,admin@example.com,admin-uid,material.update,material,665f1b2c3d4e5f6a7b8c9d0e,Thermodynamics notes,,,127.0.0.1'
+    );
+  });
+
+  test('quotes fields with commas, quotes and line breaks', () => {
+    const row = formatAuditCsvRow(entry({ targetLabel: 'Notes, "final"\nversion' }));
+    expect(row).toContain(',"Notes, ""final""\nversion",');
+  });
+
+  test('escapes values a spreadsheet would run as formulas', () => {
+    ['=SUM(A1:A2)', '+1', '-1', '@cmd'].forEach(label => {
+      expect(formatAuditCsvRow(entry({ targetLabel: label }))).toContain(`,'${label},`);
+    });
+  });
+
+  test('writes changes and metadata readably', () => {
+    const row = formatAuditCsvRow(entry({
+      changes: [{ field: 'title', before: 'Old', after: 'New' }, { field: 'metadata.year', before: 2023, after: 2024 }],
+      metadata: { movedTo: 'Notes' }
+    }));
+
+    expect(row).toContain('title: ""Old"" → ""New""; metadata.year: 2023 → 2024');
+    expect(row).toContain('"{""movedTo"":""Notes""}"');
+  });
+
+  test('leaves missing values empty', () => {
+    const row = formatAuditCsvRow({ action: 'settings.update' });
+    expect(row).toBe(',,,settings.update,,,,,,');
+  });
+});
+
+describe('buildAuditFilter', () => {
+  test('a date-only `to` includes that whole day', () => {
+    const { filter, error } = buildAuditFilter({ from: '2025-05-01', to: '2025-05-31' });
+
+    expect(error).toBeNull();
+    expect(filter.createdAt).toEqual({
+      $gte: new Date('2025-05-01T00:00:00.000Z'),
+      $lt: new Date('2025-06-01T00:00:00.000Z')
+    });
+  });
+
+  test('a `to` with a time is used as it is', () => {
+    const { filter } = buildAuditFilter({ to: '2025-05-31T12:30:00.000Z' });
+    expect(filter.createdAt).toEqual({ $lte: new Date('2025-05-31T12:30:00.000Z') });
+  });
+
+  test('rejects invalid dates', () => {
+    expect(buildAuditFilter({ from: 'yesterday' }).error).toMatch(/valid dates/);
+    expect(buildAuditFilter({ to: '2025-13-45' }).error).toMatch(/valid dates/);
+  });
+});
+
+describe('diffChanges', () => {
+  test('lists changed, added and removed fields by path', () => {
+    const changes = diffChanges(
+      { title: 'Old', metadata: { year: 2023, course: 'CSE' }, _id: 'a' },
+      { title: 'New', metadata: { year: 2023, professorName: 'Rao' }, _id: 'b' }
+    );
+
+    expect(changes).toEqual([
+      { field: 'title', before: 'Old', after: 'New' },
+      { field: 'metadata.course', before: 'CSE', after: null },
+      { field: 'metadata.professorName', before: null, after: 'Rao' }
+    ]);
+  });
+
+  test('handles creations and deletions', () => {
+    expect(diffChanges(null, { title: 'New' })).toEqual([{ field: 'title', before: null, after: 'New' }]);
+    expect(diffChanges({ title: 'Old' }, null)).toEqual([{ field: 'title', before: 'Old', after: null }]);
+  });
+});
@@ -0,0 +1,147 @@
+import ChatSession from '../models/ChatSession.js';
+import ExtractionPage from '../models/ExtractionPage.js';
+import { answerQuestion, selectRelevantChunks, extractCitations, MAX_HISTORY_MESSAGES } from '../services/chatService.js';
+import { StubProvider, setTextGenerationProvider, createTextGenerationProvider } from '../services/textGenerationProviders.js';
+import { chunkPages } from '../utils/chunker.js';
+
+const pages = [
+  { page: 1, unit: 'page', title: null, text: 'Heat flows from a hot body to a cold body.' },
+  { page: 2, unit: 'page', title: null, text: 'Entropy of an isolated system never decreases.' },
+  { page: 3, unit: 'page', title: null, text: 'The Carnot cycle sets the maximum efficiency of a heat engine.' }
+];
+
+const file = { _id: 'file-1', title: 'Thermodynamics notes', category: { subject: 'Physics' }, extractedText: '' };
+
+describe('selectRelevantChunks', () => {
+  const chunks = chunkPages(pages);
+
+  test('picks the chunks sharing the rarest terms, in document order', () => {
+    expect(selectRelevantChunks(chunks, 'What about entropy?', 1).map(chunk => chunk.page)).toEqual([2]);
+    expect(selectRelevantChunks(chunks, 'carnot heat', 2).map(chunk => chunk.page)).toEqual([1, 3]);
+  });
+
+  test('falls back to the start of the document when nothing matches', () => {
+    expect(selectRelevantChunks(chunks, 'quantum', 2).map(chunk => chunk.page)).toEqual([1, 2]);
+  });
+});
+
+describe('extractCitations', () => {
+  const chunks = chunkPages([...pages, { page: 4, unit: 'slide', title: 'Summary', text: 'Three laws.' }]);
+
+  test('keeps citations of the excerpts that were provided, once each', () => {
+    const citations = extractCitations('See [p. 2], [page 2] and [Slide 4], not [p. 9].', chunks);
+
+    expect(citations).toEqual([
+      { page: 2, unit: 'page', title: null, excerpt: pages[1].text },
+      { page: 4, unit: 'slide', title: 'Summary', excerpt: 'Three laws.' }
+    ]);
+  });
+});
+
+describe('createTextGenerationProvider', () => {
+  test('selects the stub by name', () => {
+    expect(createTextGenerationProvider(' Stub ')).toBeInstanceOf(StubProvider);
+  });
+
+  test('rejects unknown providers', () => {
+    expect(() => createTextGenerationProvider('gpt')).toThrow('Unknown LLM provider "gpt". Valid providers: gemini, stub');
+    expect(() => createTextGenerationProvider('constructor')).toThrow('Unknown LLM provider');
+  });
+});
+
+describe('answerQuestion with the stub provider', () => {
+  const originals = { find: ExtractionPage.find, findOne: ChatSession.findOne, updateOne: ChatSession.updateOne };
+  let storedPages;
+  let history;
+  let saves;
+
+  beforeAll(() => {
+    setTextGenerationProvider(new StubProvider());
+  });
+
+  afterAll(() => {
+    setTextGenerationProvider(null);
+  });
+
+  beforeEach(() => {
+    storedPages = pages;
+    history = [];
+    saves = [];
+    ExtractionPage.find = () => ({
+      select() {
+        return this;
+      },
+      sort() {
+        return this;
+      },
+      lean: async () => storedPages
+    });
+    ChatSession.findOne = () => ({ lean: async () => ({ messages: history }) });
+    ChatSession.updateOne = async (filter, update, options) => {
+      saves.push({ filter, update, options });
+    };
+  });
+
+  afterEach(() => {
+    ExtractionPage.find = originals.find;
+    ChatSession.findOne = originals.findOne;
+    ChatSession.updateOne = originals.updateOne;
+  });
+
+  test('answers from the most relevant page and cites it', async () => {
+    const result = await answerQuestion(file, 'user-1', 'What happens to entropy?');
+
+    expect(result.answer).toBe(`According to the document: ${pages[1].text} [p. 2]`);
+    expect(result.citations).toEqual([{ page: 2, unit: 'page', title: null, excerpt: pages[1].text }]);
+    expect(result.pagesSearched).toBe(3);
+  });
+
+  test('remembers the exchange, keeping the last messages only', async () => {
+    await answerQuestion(file, 'user-1', 'What happens to entropy?');
+
+    const [{ filter, update, options }] = saves;
+    expect(filter).toEqual({ file: 'file-1', user: 'user-1' });
+    expect(options).toEqual({ upsert: true });
+    expect(update.$push.messages.$slice).toBe(-MAX_HISTORY_MESSAGES);
+    expect(update.$push.messages.$each.map(({ role, content }) => [role, content])).toEqual([
+      ['user', 'What happens to entropy?'],
+      ['assistant', `According to the document: ${pages[1].text} [p. 2]`]
+    ]);
+    expect(update.$push.messages.$each[1].citations).toEqual([{ page: 2, unit: 'page' }]);
+  });
+
+  test('matches a follow-up together with the previous question', async () => {
+    history = [
+      { role: 'user', content: 'Explain the Carnot cycle' },
+      { role: 'assistant', content: 'It bounds efficiency [p. 3]' }
+    ];
+
+    const result = await answerQuestion(file, 'user-1', 'And why is that?');
+    expect(result.citations.map(citation => citation.page)).toEqual([3]);
+  });
+
+  test('retries the save when a concurrent first question created the session', async () => {
+    let calls = 0;
+    ChatSession.updateOne = async () => {
+      calls++;
+      if (calls === 1) throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+    };
+
+    await expect(answerQuestion(file, 'user-1', 'Entropy?')).resolves.toMatchObject({ pagesSearched: 3 });
+    expect(calls).toBe(2);
+  });
+
+  test('returns null for a file without text', async () => {
+    storedPages = [];
+    expect(await answerQuestion({ ...file, extractedText: '' }, 'user-1', 'Entropy?')).toBeNull();
+    expect(saves).toHaveLength(0);
+  });
+
+  test('falls back to the flattened text of files extracted before per-page storage', async () => {
+    storedPages = [];
+    const legacy = { ...file, extractedText: '--- Page 1 ---\nOhm law relates voltage and current.' };
+
+    const result = await answerQuestion(legacy, 'user-1', 'What is Ohm law?');
+    expect(result.citations.map(citation => citation.page)).toEqual([1]);
+  });
+});
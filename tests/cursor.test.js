@@ -0,0 +1,109 @@
+import mongoose from 'mongoose';
+import {
+  encodeCursor,
+  decodeCursor,
+  buildCursorFilter,
+  parseCursorQuery,
+  buildCursorPage
+} from '../utils/cursor.js';
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe('encodeCursor / decodeCursor', () => {
+  test('round-trips a date sort key', () => {
+    const doc = { _id: id(), createdAt: new Date('2025-03-01T10:00:00.000Z') };
+    const cursor = decodeCursor(encodeCursor(doc, 'createdAt'), 'createdAt');
+
+    expect(cursor.field).toBe('createdAt');
+    expect(cursor.value).toEqual(doc.createdAt);
+    expect(String(cursor.id)).toBe(String(doc._id));
+  });
+
+  test('round-trips a nested numeric sort key', () => {
+    const doc = { _id: id(), stats: { downloadCount: 42 } };
+    const cursor = decodeCursor(encodeCursor(doc, 'stats.downloadCount'), 'stats.downloadCount');
+
+    expect(cursor.value).toBe(42);
+  });
+
+  test('keeps a missing sort value as null', () => {
+    const doc = { _id: id() };
+    expect(decodeCursor(encodeCursor(doc, 'stats.views'), 'stats.views').value).toBeNull();
+  });
+
+  test('rejects a cursor issued for another sort key', () => {
+    const token = encodeCursor({ _id: id(), createdAt: new Date() }, 'createdAt');
+    expect(decodeCursor(token, 'stats.downloadCount')).toBeNull();
+  });
+
+  test('rejects garbage and tampered ids', () => {
+    expect(decodeCursor('not-a-cursor', 'createdAt')).toBeNull();
+    const tampered = Buffer.from(JSON.stringify({ f: 'createdAt', v: null, d: 0, id: 'nope' })).toString('base64url');
+    expect(decodeCursor(tampered, 'createdAt')).toBeNull();
+  });
+});
+
+describe('buildCursorFilter', () => {
+  const cursor = { field: 'createdAt', value: new Date('2025-03-01T00:00:00.000Z'), id: id() };
+
+  test('descending: smaller values, ties by smaller _id, then missing values', () => {
+    expect(buildCursorFilter(cursor, -1)).toEqual({
+      $or: [
+        { createdAt: { $lt: cursor.value } },
+        { createdAt: cursor.value, _id: { $lt: cursor.id } },
+        { createdAt: null }
+      ]
+    });
+  });
+
+  test('ascending: larger values, ties by larger _id', () => {
+    expect(buildCursorFilter(cursor, 1)).toEqual({
+      $or: [
+        { createdAt: { $gt: cursor.value } },
+        { createdAt: cursor.value, _id: { $gt: cursor.id } }
+      ]
+    });
+  });
+
+  test('descending from a missing value only continues among missing values', () => {
+    const filter = buildCursorFilter({ ...cursor, value: null }, -1);
+    expect(filter.$or).toHaveLength(2);
+  });
+});
+
+describe('parseCursorQuery', () => {
+  test('is off by default', () => {
+    expect(parseCursorQuery({})).toEqual({ enabled: false, token: null, limit: 20 });
+  });
+
+  test('is enabled by pagination=cursor or a cursor', () => {
+    expect(parseCursorQuery({ pagination: 'cursor' }).enabled).toBe(true);
+    expect(parseCursorQuery({ cursor: 'abc' })).toMatchObject({ enabled: true, token: 'abc' });
+  });
+
+  test('clamps the limit', () => {
+    expect(parseCursorQuery({ limit: '0' }).limit).toBe(20);
+    expect(parseCursorQuery({ limit: '-5' }).limit).toBe(1);
+    expect(parseCursorQuery({ limit: '500' }).limit).toBe(100);
+  });
+});
+
+describe('buildCursorPage', () => {
+  const rows = [1, 2, 3].map(n => ({ _id: id(), createdAt: new Date(Date.UTC(2025, 0, n)) }));
+
+  test('trims the lookahead row and points the next cursor at the last item', () => {
+    const { items, pagination } = buildCursorPage(rows, 2, 'createdAt');
+
+    expect(items).toHaveLength(2);
+    expect(pagination).toMatchObject({ mode: 'cursor', limit: 2, count: 2, hasNext: true });
+    expect(String(decodeCursor(pagination.nextCursor, 'createdAt').id)).toBe(String(rows[1]._id));
+  });
+
+  test('has no next cursor on the last page', () => {
+    const { items, pagination } = buildCursorPage(rows, 3, 'createdAt');
+
+    expect(items).toHaveLength(3);
+    expect(pagination.hasNext).toBe(false);
+    expect(pagination.nextCursor).toBeNull();
+  });
+});
@@ -0,0 +1,142 @@
+import { jest } from '@jest/globals';
+import { Readable, Writable } from 'stream';
+import { finished } from 'stream/promises';
+import File from '../models/File.js';
+import FileActivity from '../models/FileActivity.js';
+import { downloadCountThreshold } from '../services/fileStatsService.js';
+
+// Streamed downloads read the stored file; tests serve it from memory
+let upstream;
+jest.unstable_mockModule('../services/storageService.js', () => ({
+  DOWNLOAD_URL_TTL_SECONDS: 300,
+  uploadFile: jest.fn(),
+  getSignedDownloadUrl: jest.fn(),
+  openFileStream: async () => upstream,
+  downloadFileBuffer: jest.fn(),
+  deleteFile: jest.fn(),
+  moveFile: jest.fn(),
+  makeFilePrivate: jest.fn()
+}));
+process.env.DOWNLOAD_COUNTING = 'stream';
+const { streamFile } = await import('../controllers/fileController.js');
+
+const FILE_SIZE = 1000;
+
+describe('downloadCountThreshold', () => {
+  test('the whole file counts once most of it was sent', () => {
+    expect(downloadCountThreshold(null, FILE_SIZE)).toBe(900);
+    expect(downloadCountThreshold('bytes 0-999/1000', FILE_SIZE)).toBe(900);
+    expect(downloadCountThreshold(null, FILE_SIZE, { minRatio: 0.5 })).toBe(500);
+  });
+
+  test('the rest of a resumed download counts once all of it was sent', () => {
+    expect(downloadCountThreshold('bytes 600-999/1000', FILE_SIZE)).toBe(400);
+  });
+
+  test('tail fetches, partial ranges and malformed ranges never count', () => {
+    expect(downloadCountThreshold('bytes 999-999/1000', FILE_SIZE)).toBeNull();
+    expect(downloadCountThreshold('bytes 0-65535/1000000', FILE_SIZE)).toBeNull();
+    expect(downloadCountThreshold('bytes 100-199/1000', FILE_SIZE)).toBeNull();
+    expect(downloadCountThreshold('bytes */1000', FILE_SIZE)).toBeNull();
+  });
+});
+
+describe('streamFile download counting', () => {
+  const originals = { findById: File.findById, updateOne: File.updateOne, create: FileActivity.create };
+  let counted;
+
+  const file = new File({
+    title: 'Heat notes',
+    fileName: 'heat.pdf',
+    fileUrl: 'r2://bucket/Notes/heat.pdf',
+    fileType: 'application/pdf',
+    fileSize: FILE_SIZE,
+    uploadedBy: 'owner-uid',
+    storage: { provider: 'r2', publicId: 'Notes/heat.pdf', access: 'private' },
+    verification: { status: 'verified' }
+  });
+
+  beforeEach(() => {
+    counted = 0;
+    File.findById = async () => file;
+    File.updateOne = async () => {
+      counted++;
+    };
+    FileActivity.create = async () => {};
+  });
+
+  afterEach(() => {
+    File.findById = originals.findById;
+    File.updateOne = originals.updateOne;
+    FileActivity.create = originals.create;
+  });
+
+  // Sends `bytes` bytes in 100-byte chunks
+  const serve = (bytes, contentRange = null) => {
+    const chunks = Array.from({ length: Math.ceil(bytes / 100) }, () => Buffer.alloc(100));
+    upstream = { status: contentRange ? 206 : 200, contentRange, contentLength: bytes, stream: Readable.from(chunks) };
+  };
+
+  const download = async ({ range, inline } = {}) => {
+    const res = new Writable({
+      write(chunk, encoding, callback) {
+        res.received += chunk.length;
+        callback();
+      }
+    });
+    Object.assign(res, { received: 0, statusCode: 200, headers: {} });
+    res.set = (name, value) => Object.assign(res.headers, typeof name === 'string' ? { [name]: value } : name);
+    res.status = (code) => {
+      res.statusCode = code;
+      return res;
+    };
+
+    await streamFile({
+      params: { fileId: String(file._id) },
+      query: inline ? { inline: 'true' } : {},
+      get: (header) => (header === 'range' ? range : undefined)
+    }, res);
+    await finished(res);
+    // Counting is not awaited by the response
+    await new Promise(resolve => setImmediate(resolve));
+    return res;
+  };
+
+  test('a complete download counts once', async () => {
+    serve(FILE_SIZE);
+    const res = await download();
+
+    expect(res.received).toBe(FILE_SIZE);
+    expect(counted).toBe(1);
+  });
+
+  test('an aborted download does not count', async () => {
+    serve(500);
+    await download();
+
+    expect(counted).toBe(0);
+  });
+
+  test('the rest of a resumed download counts', async () => {
+    serve(400, 'bytes 600-999/1000');
+    const res = await download({ range: 'bytes=600-' });
+
+    expect(res.statusCode).toBe(206);
+    expect(res.headers['Content-Range']).toBe('bytes 600-999/1000');
+    expect(counted).toBe(1);
+  });
+
+  test("a viewer's tail fetch does not count", async () => {
+    serve(1, 'bytes 999-999/1000');
+    await download({ range: 'bytes=-1' });
+
+    expect(counted).toBe(0);
+  });
+
+  test('viewing inline never counts', async () => {
+    serve(FILE_SIZE);
+    await download({ inline: true });
+
+    expect(counted).toBe(0);
+  });
+});
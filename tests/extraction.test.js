@@ -0,0 +1,126 @@
+import File from '../models/File.js';
+import Job from '../models/Job.js';
+import { retryExtraction } from '../controllers/extractionController.js';
+
+const FILE_ID = '665f1b2c3d4e5f6a7b8c9d0e';
+const owner = { uid: 'owner-uid', email: 'owner@example.com' };
+const stranger = { uid: 'other-uid', email: 'other@example.com' };
+const admin = { uid: 'admin-uid', email: 'admin@example.com', role: 'admin' };
+
+const mockResponse = () => {
+  const res = { statusCode: 200, body: null };
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (body) => {
+    res.body = body;
+    return res;
+  };
+  return res;
+};
+
+const request = (user, body = {}) => ({ params: { fileId: FILE_ID }, user, body });
+
+describe('retryExtraction', () => {
+  const originals = { findById: File.findById, findOne: Job.findOne, findOneAndUpdate: Job.findOneAndUpdate };
+  let file;
+  let runningJob;
+
+  beforeEach(() => {
+    file = {
+      _id: FILE_ID,
+      uploadedBy: owner.uid,
+      verification: { status: 'verified' },
+      metadata: { documentType: 'typed', ocrLanguages: ['eng'] },
+      extractionStatus: 'failed',
+      extractionError: 'No text found',
+      saved: false,
+      async save() {
+        this.saved = true;
+      }
+    };
+    runningJob = null;
+
+    // findAccessibleFile: File.findById(id).select(...), awaited
+    File.findById = () => ({
+      select() {
+        return this;
+      },
+      then: (resolve) => resolve(file)
+    });
+    Job.findOne = async () => runningJob;
+    Job.findOneAndUpdate = async (filter, update) => ({ _id: 'job-1', ...update.$setOnInsert, attempts: 0 });
+  });
+
+  afterEach(() => {
+    File.findById = originals.findById;
+    Job.findOne = originals.findOne;
+    Job.findOneAndUpdate = originals.findOneAndUpdate;
+  });
+
+  test('re-queues extraction for the uploader, switching to handwritten', async () => {
+    const res = mockResponse();
+    await retryExtraction(request(owner, { documentType: 'handwritten', ocrLanguages: 'eng,hin' }), res);
+
+    expect(res.statusCode).toBe(202);
+    expect(file.saved).toBe(true);
+    expect(file.extractionStatus).toBe('pending');
+    expect(file.extractionError).toBeNull();
+    expect(res.body.data).toMatchObject({
+      documentType: 'handwritten',
+      ocrLanguages: ['eng', 'hin'],
+      job: { id: 'job-1', status: 'queued' }
+    });
+  });
+
+  test('lets an admin re-run it', async () => {
+    const res = mockResponse();
+    await retryExtraction(request(admin), res);
+    expect(res.statusCode).toBe(202);
+  });
+
+  test('refuses other users', async () => {
+    const res = mockResponse();
+    await retryExtraction(request(stranger), res);
+
+    expect(res.statusCode).toBe(403);
+    expect(file.saved).toBe(false);
+  });
+
+  test('hides unverified materials from other users', async () => {
+    file.verification.status = 'pending';
+    const res = mockResponse();
+    await retryExtraction(request(stranger), res);
+
+    expect(res.statusCode).toBe(404);
+  });
+
+  test('answers 404 for a malformed id', async () => {
+    File.findById = () => {
+      throw new Error('Cast to ObjectId failed');
+    };
+    const res = mockResponse();
+    await retryExtraction({ ...request(owner), params: { fileId: 'not-an-id' } }, res);
+
+    expect(res.statusCode).toBe(404);
+  });
+
+  test('does not queue a second run while one is running', async () => {
+    runningJob = { _id: 'job-0', status: 'running', attempts: 1, maxAttempts: 5 };
+    const res = mockResponse();
+    await retryExtraction(request(owner), res);
+
+    expect(res.statusCode).toBe(409);
+    expect(res.body.data.job.id).toBe('job-0');
+    expect(file.saved).toBe(false);
+  });
+
+  test('rejects an unknown document type', async () => {
+    const res = mockResponse();
+    await retryExtraction(request(owner, { documentType: 'scanned' }), res);
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe('documentType must be one of: typed, handwritten');
+  });
+});
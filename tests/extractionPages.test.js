@@ -0,0 +1,80 @@
+import {
+  pagesToText,
+  parseFlattenedText,
+  hasReadableText,
+  packPageText,
+  unpackPageText
+} from '../utils/extractionPages.js';
+
+const pages = [
+  { page: 1, unit: 'slide', title: 'Intro', text: 'Welcome to thermodynamics.' },
+  { page: 2, unit: 'slide', title: null, text: '', error: 'Unreadable' },
+  { page: 3, unit: 'slide', title: null, text: 'Entropy always increases.' }
+];
+
+describe('pagesToText', () => {
+  test('marks each page and leaves failed pages out', () => {
+    expect(pagesToText(pages)).toBe(
+      '--- Slide 1: Intro ---\nWelcome to thermodynamics.\n\n--- Slide 3 ---\nEntropy always increases.'
+    );
+  });
+
+  test('labels pages without a unit as pages', () => {
+    expect(pagesToText([{ page: 4, text: 'Text' }])).toBe('--- Page 4 ---\nText');
+  });
+});
+
+describe('parseFlattenedText', () => {
+  test('splits flattened text back into its pages', () => {
+    expect(parseFlattenedText(pagesToText(pages))).toEqual([
+      { page: 1, unit: 'slide', title: 'Intro', text: 'Welcome to thermodynamics.' },
+      { page: 3, unit: 'slide', title: null, text: 'Entropy always increases.' }
+    ]);
+  });
+
+  test('reads text without markers as one page', () => {
+    expect(parseFlattenedText('  Plain notes\n')).toEqual([{ page: 1, unit: 'page', title: null, text: 'Plain notes' }]);
+  });
+
+  test('returns no pages for empty text', () => {
+    expect(parseFlattenedText('')).toEqual([]);
+    expect(parseFlattenedText(null)).toEqual([]);
+  });
+});
+
+describe('hasReadableText', () => {
+  test('counts the text of every page', () => {
+    expect(hasReadableText([{ text: 'Heat ' }, { text: 'flows up' }])).toBe(true);
+    expect(hasReadableText([{ text: '  ab ' }, { text: null }, {}])).toBe(false);
+  });
+});
+
+describe('packPageText / unpackPageText', () => {
+  test('keeps short texts plain', () => {
+    const packed = packPageText('Short page');
+
+    expect(packed).toEqual({ text: 'Short page', textCompressed: null, textLength: 10 });
+    expect(unpackPageText(packed)).toBe('Short page');
+  });
+
+  test('gzips long texts and reads them back', () => {
+    const text = 'Entropy is a measure of disorder. '.repeat(200);
+    const packed = packPageText(text);
+
+    expect(packed.text).toBe('');
+    expect(packed.textLength).toBe(text.length);
+    expect(packed.textCompressed.length).toBeLessThan(text.length);
+    expect(unpackPageText(packed)).toBe(text);
+  });
+
+  test('reads the BSON Binary of lean queries', () => {
+    const text = 'ä'.repeat(3000);
+    const { textCompressed } = packPageText(text);
+
+    expect(unpackPageText({ text: '', textCompressed: { buffer: new Uint8Array(textCompressed) } })).toBe(text);
+  });
+
+  test('reads pages stored without text', () => {
+    expect(unpackPageText({})).toBe('');
+  });
+});
@@ -0,0 +1,120 @@
+import File from '../models/File.js';
+import { buildFileFilter, combineFilters, getFileFacets, FACET_FIELDS } from '../services/fileQueryService.js';
+
+const VISIBLE = { 'moderation.approved': true, 'verification.status': 'verified' };
+
+describe('buildFileFilter', () => {
+  test('keeps the base filter and adds no facets without params', () => {
+    expect(buildFileFilter({}, VISIBLE)).toEqual({ baseFilter: VISIBLE, facetFilters: {} });
+  });
+
+  test('maps each facet param to its field', () => {
+    const { facetFilters } = buildFileFilter({ category: 'Notes', branch: 'CSE', college: 'MIT', documentType: 'handwritten' });
+
+    expect(facetFilters).toEqual({
+      category: [{ 'category.type': 'Notes' }],
+      branch: [{ 'category.branch': 'CSE' }],
+      college: [{ 'metadata.collegeName': 'MIT' }],
+      documentType: [{ 'metadata.documentType': 'handwritten' }]
+    });
+  });
+
+  test('selects several values of one facet', () => {
+    expect(buildFileFilter({ semester: '3, 4,' }).facetFilters.semester).toEqual([
+      { 'category.semester': { $in: ['3', '4'] } }
+    ]);
+    expect(buildFileFilter({ semester: ['5', '6'] }).facetFilters.semester).toEqual([
+      { 'category.semester': { $in: ['5', '6'] } }
+    ]);
+  });
+
+  test('reads years as numbers and drops the invalid ones', () => {
+    expect(buildFileFilter({ year: '2023,abc,2024' }).facetFilters.year).toEqual([
+      { 'metadata.year': { $in: [2023, 2024] } }
+    ]);
+    expect(buildFileFilter({ year: 'abc' }).facetFilters).toEqual({});
+  });
+
+  test('ignores empty params', () => {
+    expect(buildFileFilter({ branch: '', semester: ',' }).facetFilters).toEqual({});
+  });
+
+  test('the legacy course param narrows the branch facet', () => {
+    const { facetFilters } = buildFileFilter({ branch: 'CSE', course: 'comp.' });
+
+    expect(facetFilters.branch).toEqual([
+      { 'category.branch': 'CSE' },
+      { 'category.branch': /comp\./i }
+    ]);
+  });
+
+  test('subject and search go in the base filter', () => {
+    const { baseFilter } = buildFileFilter({ subject: 'Thermo (II)', search: 'entropy' }, VISIBLE);
+
+    expect(baseFilter).toEqual({
+      ...VISIBLE,
+      'category.subject': /Thermo \(II\)/i,
+      $text: { $search: 'entropy' }
+    });
+  });
+});
+
+describe('combineFilters', () => {
+  const { baseFilter, facetFilters } = buildFileFilter({ branch: 'CSE', semester: '3' }, VISIBLE);
+
+  test('adds every facet condition to the base filter', () => {
+    expect(combineFilters(baseFilter, facetFilters)).toEqual({
+      ...VISIBLE,
+      $and: [{ 'category.branch': 'CSE' }, { 'category.semester': '3' }]
+    });
+  });
+
+  test('can leave out one facet', () => {
+    expect(combineFilters(baseFilter, facetFilters, 'semester')).toEqual({
+      ...VISIBLE,
+      $and: [{ 'category.branch': 'CSE' }]
+    });
+  });
+
+  test('adds no $and without facets', () => {
+    expect(combineFilters(baseFilter, {})).toEqual(VISIBLE);
+  });
+});
+
+describe('getFileFacets', () => {
+  const aggregate = File.aggregate;
+  let pipeline;
+
+  beforeEach(() => {
+    File.aggregate = async (stages) => {
+      pipeline = stages;
+      return [{ semester: [{ _id: '3', count: 42 }, { _id: '4', count: 7 }], branch: [{ _id: 'CSE', count: 49 }] }];
+    };
+  });
+
+  afterEach(() => {
+    File.aggregate = aggregate;
+  });
+
+  test('counts each facet with the other facets applied, but not its own', async () => {
+    const { baseFilter, facetFilters } = buildFileFilter({ branch: 'CSE', semester: '3', search: 'heat' }, VISIBLE);
+    await getFileFacets(baseFilter, facetFilters);
+
+    // $text stays in the first stage
+    expect(pipeline[0].$match).toEqual({ ...baseFilter, 'verification.status': 'verified' });
+
+    const facets = pipeline[1].$facet;
+    expect(Object.keys(facets)).toEqual(Object.keys(FACET_FIELDS));
+    expect(facets.semester[0].$match).toEqual({ $and: [{ 'category.branch': 'CSE' }] });
+    expect(facets.branch[0].$match).toEqual({ $and: [{ 'category.semester': '3' }] });
+    expect(facets.year[0].$match).toEqual({ $and: [{ 'category.branch': 'CSE' }, { 'category.semester': '3' }] });
+  });
+
+  test('returns value/count pairs for every facet', async () => {
+    const facets = await getFileFacets(VISIBLE, {});
+
+    expect(facets.semester).toEqual([{ value: '3', count: 42 }, { value: '4', count: 7 }]);
+    expect(facets.branch).toEqual([{ value: 'CSE', count: 49 }]);
+    expect(facets.college).toEqual([]);
+  });
+});
@@ -0,0 +1,115 @@
+import mongoose from 'mongoose';
+import File from '../models/File.js';
+import { toPublicFile, toPublicVersion, canAccessFile, isOwnerOrAdmin, findAccessibleFile } from '../services/fileQueryService.js';
+
+const owner = { uid: 'owner-uid', email: 'owner@example.com' };
+const student = { uid: 'student-uid', email: 'student@example.com' };
+const admin = { uid: 'admin-uid', email: 'admin@example.com', role: 'admin' };
+
+const material = (fields = {}) => new File({
+  title: 'Heat notes',
+  fileName: 'heat-v2.pdf',
+  fileUrl: 'r2://bucket/Notes/heat-v2.pdf',
+  fileType: 'application/pdf',
+  fileSize: 2000,
+  uploadedBy: owner.uid,
+  category: { type: 'notes', branch: 'BTech', semester: '3', subject: 'Physics' },
+  metadata: { collegeName: 'City College', year: 2024, course: 'BTech' },
+  storage: { provider: 'r2', publicId: 'Notes/heat-v2.pdf', access: 'private' },
+  extractedText: 'Heat flows from hot to cold.',
+  verification: { status: 'verified' },
+  versions: [{
+    version: 1,
+    fileName: 'heat-v1.pdf',
+    fileUrl: 'r2://bucket/Notes/heat-v1.pdf',
+    fileType: 'application/pdf',
+    fileSize: 1000,
+    storage: { provider: 'r2', publicId: 'Notes/heat-v1.pdf', access: 'private' }
+  }],
+  ...fields
+});
+
+describe('toPublicFile', () => {
+  test('leaves out where a material and its versions are stored, and its full text', () => {
+    const shown = toPublicFile(material());
+
+    expect(shown).toMatchObject({ title: 'Heat notes', fileName: 'heat-v2.pdf', fileSize: 2000 });
+    ['fileUrl', 'storage', 'extractedText'].forEach(field => expect(shown).not.toHaveProperty(field));
+    expect(shown.versions).toEqual([expect.objectContaining({ version: 1, fileName: 'heat-v1.pdf' })]);
+    expect(shown.versions[0]).not.toHaveProperty('fileUrl');
+    expect(shown.versions[0]).not.toHaveProperty('storage');
+  });
+
+  test('accepts lean objects', () => {
+    const shown = toPublicFile({ title: 'Lean', fileUrl: 'https://pub.r2.dev/x.pdf', storage: { publicId: 'x.pdf' } });
+    expect(shown).toEqual({ title: 'Lean' });
+  });
+
+  test('strips single version entries', () => {
+    expect(toPublicVersion({ version: 3, fileUrl: 'r2://bucket/x.pdf', storage: {}, fileSize: 10 })).toEqual({ version: 3, fileSize: 10 });
+  });
+});
+
+describe('material access', () => {
+  test('verified materials are open to everyone', () => {
+    expect(canAccessFile(material(), undefined)).toBe(true);
+    expect(canAccessFile(material(), student)).toBe(true);
+  });
+
+  test('pending and rejected materials only to their uploader and admins', () => {
+    for (const status of ['pending', 'rejected']) {
+      const file = material({ verification: { status } });
+      expect([undefined, student, owner, admin].map(user => canAccessFile(file, user))).toEqual([false, false, true, true]);
+    }
+  });
+
+  test('owner-or-admin needs a logged-in user', () => {
+    expect(isOwnerOrAdmin(material(), undefined)).toBe(false);
+    expect(isOwnerOrAdmin(material(), owner)).toBe(true);
+    expect(isOwnerOrAdmin(material(), student)).toBe(false);
+  });
+});
+
+describe('findAccessibleFile', () => {
+  const findById = File.findById;
+  let file;
+  let lookups;
+
+  beforeEach(() => {
+    file = material();
+    lookups = [];
+    File.findById = (id) => ({
+      select(fields) {
+        lookups.push({ id, fields });
+        return this;
+      },
+      then: (resolve) => resolve(file)
+    });
+  });
+
+  afterEach(() => {
+    File.findById = findById;
+  });
+
+  test('returns null for malformed ids without querying', async () => {
+    expect(await findAccessibleFile('not-an-id', owner)).toBeNull();
+    expect(lookups).toEqual([]);
+  });
+
+  test('adds the fields the access check needs to a selection', async () => {
+    const id = String(new mongoose.Types.ObjectId());
+
+    expect(await findAccessibleFile(id, student, 'title')).toBe(file);
+    await findAccessibleFile(id, student, '-extractedText');
+
+    expect(lookups.map(lookup => lookup.fields)).toEqual(['title uploadedBy verification', '-extractedText']);
+  });
+
+  test('hides a pending material from other students', async () => {
+    file = material({ verification: { status: 'pending' } });
+    const id = String(file._id);
+
+    expect(await findAccessibleFile(id, student)).toBeNull();
+    expect(await findAccessibleFile(id, owner)).toBe(file);
+  });
+});
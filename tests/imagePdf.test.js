@@ -0,0 +1,88 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import sharp from 'sharp';
+import { PDFDocument } from 'pdf-lib';
+import { imagesToPDF, extractPageJpegs, normalizeImage, isImageMimeType } from '../services/imagePdfService.js';
+
+let dir;
+
+// Write a solid-colour test photo and describe it like multer does
+const photo = async (name, width, height, format) => {
+  const filePath = path.join(dir, name);
+  await sharp({ create: { width, height, channels: 3, background: { r: 240, g: 240, b: 230 } } })
+    .toFormat(format)
+    .toFile(filePath);
+  return { path: filePath, mimetype: `image/${format}`, originalname: name };
+};
+
+const isJpeg = (buffer) => buffer[0] === 0xff && buffer[1] === 0xd8;
+
+beforeAll(async () => {
+  dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'image-pdf-'));
+});
+
+afterAll(async () => {
+  await fs.promises.rm(dir, { recursive: true, force: true });
+});
+
+describe('isImageMimeType', () => {
+  test('accepts phone photo formats only', () => {
+    ['image/jpeg', 'image/png', 'image/heic', 'image/heif'].forEach(type => expect(isImageMimeType(type)).toBe(true));
+    ['image/gif', 'application/pdf'].forEach(type => expect(isImageMimeType(type)).toBe(false));
+  });
+});
+
+describe('normalizeImage', () => {
+  test('shrinks large photos to 2400px on the long side', async () => {
+    const { path: filePath } = await photo('large.png', 3000, 1500, 'png');
+    const { data, info } = await normalizeImage(await fs.promises.readFile(filePath), 'image/png');
+
+    expect(isJpeg(data)).toBe(true);
+    expect([info.width, info.height]).toEqual([2400, 1200]);
+  });
+
+  test('never enlarges small photos', async () => {
+    const { path: filePath } = await photo('small.jpeg', 400, 300, 'jpeg');
+    const { info } = await normalizeImage(await fs.promises.readFile(filePath), 'image/jpeg');
+
+    expect([info.width, info.height]).toEqual([400, 300]);
+  });
+});
+
+describe('imagesToPDF', () => {
+  test('makes one page per photo, in upload order, keeping each aspect ratio', async () => {
+    const images = [await photo('portrait.png', 300, 600, 'png'), await photo('landscape.jpeg', 800, 400, 'jpeg')];
+    const pdf = await PDFDocument.load(await imagesToPDF(images));
+
+    const sizes = pdf.getPages().map(page => page.getSize());
+    expect(sizes).toHaveLength(2);
+    expect(sizes[0].height / sizes[0].width).toBeCloseTo(2, 2);
+    expect(sizes[1].height / sizes[1].width).toBeCloseTo(0.5, 2);
+  });
+
+  test('names the photo it could not read', async () => {
+    const broken = path.join(dir, 'broken.jpeg');
+    await fs.promises.writeFile(broken, 'not an image');
+
+    await expect(imagesToPDF([{ path: broken, mimetype: 'image/jpeg', originalname: 'page-2.jpg' }]))
+      .rejects.toThrow('Could not read image "page-2.jpg"');
+  });
+});
+
+describe('extractPageJpegs', () => {
+  test('reads the page photos back out of a merged PDF', async () => {
+    const images = [await photo('a.png', 200, 300, 'png'), await photo('b.png', 300, 200, 'png'), await photo('c.png', 100, 100, 'png')];
+    const jpegs = await extractPageJpegs(await imagesToPDF(images));
+
+    expect(jpegs).toHaveLength(3);
+    jpegs.forEach(jpeg => expect(isJpeg(jpeg)).toBe(true));
+    expect((await sharp(jpegs[1]).metadata()).width).toBe(300);
+  });
+
+  test('returns null for PDFs that are not one photo per page', async () => {
+    const doc = await PDFDocument.create();
+    doc.addPage().drawText('Typed notes');
+    expect(await extractPageJpegs(Buffer.from(await doc.save()))).toBeNull();
+  });
+});
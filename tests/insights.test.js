@@ -0,0 +1,59 @@
+import { parseInsights } from '../services/insightsService.js';
+
+describe('parseInsights', () => {
+  test('reads a plain JSON reply', () => {
+    const reply = JSON.stringify({
+      summary: ' Entropy always increases. ',
+      keyTopics: ['Entropy', 'Second law'],
+      flashcards: [{ question: 'What always increases?', answer: 'Entropy', page: 3 }]
+    });
+
+    expect(parseInsights(reply)).toEqual({
+      summary: 'Entropy always increases.',
+      keyTopics: ['Entropy', 'Second law'],
+      flashcards: [{ question: 'What always increases?', answer: 'Entropy', page: 3 }]
+    });
+  });
+
+  test('accepts a reply wrapped in a ```json fence', () => {
+    const reply = '```json\n{"summary": "Short summary"}\n```';
+    expect(parseInsights(reply)).toEqual({ summary: 'Short summary', keyTopics: [], flashcards: [] });
+  });
+
+  test('rejects replies that are not JSON or have no summary', () => {
+    expect(() => parseInsights('Here are your flashcards!')).toThrow('not valid JSON');
+    expect(() => parseInsights('{"summary": "   ", "keyTopics": ["x"]}')).toThrow('no summary');
+    expect(() => parseInsights('null')).toThrow('no summary');
+  });
+
+  test('drops empty and duplicate topics and caps them at 10', () => {
+    const keyTopics = ['Heat', 'Heat', '', 42, ...Array.from({ length: 15 }, (_, i) => `Topic ${i}`)];
+    const { keyTopics: parsed } = parseInsights(JSON.stringify({ summary: 'S', keyTopics }));
+
+    expect(parsed).toHaveLength(10);
+    expect(parsed[0]).toBe('Heat');
+    expect(parsed.filter(topic => topic === 'Heat')).toHaveLength(1);
+  });
+
+  test('drops incomplete flashcards and invalid page numbers', () => {
+    const flashcards = [
+      { question: 'Q1', answer: 'A1', page: 0 },
+      { question: 'Q2', answer: '' },
+      { question: 'Q3', answer: 'A3', page: '4' },
+      null,
+      { question: 'Q4', answer: 'A4', page: 2 }
+    ];
+    const { flashcards: parsed } = parseInsights(JSON.stringify({ summary: 'S', flashcards }));
+
+    expect(parsed).toEqual([
+      { question: 'Q1', answer: 'A1', page: undefined },
+      { question: 'Q3', answer: 'A3', page: undefined },
+      { question: 'Q4', answer: 'A4', page: 2 }
+    ]);
+  });
+
+  test('caps flashcards at 15', () => {
+    const flashcards = Array.from({ length: 20 }, (_, i) => ({ question: `Q${i}`, answer: `A${i}` }));
+    expect(parseInsights(JSON.stringify({ summary: 'S', flashcards })).flashcards).toHaveLength(15);
+  });
+});
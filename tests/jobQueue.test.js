@@ -0,0 +1,241 @@
+import Job from '../models/Job.js';
+import File from '../models/File.js';
+import { markExtractionFailed } from '../jobs/extractionJob.js';
+import {
+  enqueueJob,
+  claimNextJob,
+  failExpiredLastAttempts,
+  getBackoffDelay,
+  runJob,
+  registerJobHandler,
+  PermanentJobError
+} from '../services/jobQueue.js';
+
+const MINUTE_MS = 60 * 1000;
+const statics = ['create', 'find', 'findOne', 'findOneAndUpdate', 'updateOne'];
+const originals = Object.fromEntries(statics.map(name => [name, Job[name]]));
+
+let updates;
+
+beforeEach(() => {
+  updates = [];
+  Job.updateOne = async (filter, update) => {
+    updates.push({ filter, update });
+    return { modifiedCount: 1 };
+  };
+});
+
+afterEach(() => {
+  statics.forEach(name => {
+    Job[name] = originals[name];
+  });
+});
+
+const claimedJob = (fields = {}) => ({
+  _id: 'job-1',
+  type: 'test-job',
+  payload: {},
+  attempts: 1,
+  maxAttempts: 3,
+  lockedBy: 'worker-1',
+  ...fields
+});
+
+describe('enqueueJob', () => {
+  test('creates a job without a dedupe key', async () => {
+    Job.create = async (fields) => ({ _id: 'new', ...fields });
+
+    const job = await enqueueJob('test-job', { a: 1 }, { priority: 2 });
+    expect(job).toMatchObject({ type: 'test-job', payload: { a: 1 }, priority: 2, status: 'queued', dedupeKey: null });
+  });
+
+  test('reuses the active job with the same key', async () => {
+    let upsert;
+    Job.findOneAndUpdate = async (filter, update, options) => {
+      upsert = { filter, options };
+      return { _id: 'active', ...update.$setOnInsert };
+    };
+
+    const job = await enqueueJob('test-job', {}, { dedupeKey: 'test-job:1' });
+    expect(job._id).toBe('active');
+    expect(upsert.filter).toEqual({ dedupeKey: 'test-job:1', status: { $in: ['queued', 'running'] } });
+    expect(upsert.options.upsert).toBe(true);
+  });
+
+  test('returns the job a concurrent request queued when the unique index rejects the insert', async () => {
+    Job.findOneAndUpdate = async () => {
+      throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+    };
+    Job.findOne = async () => ({ _id: 'other' });
+
+    expect((await enqueueJob('test-job', {}, { dedupeKey: 'test-job:1' }))._id).toBe('other');
+  });
+
+  test('gives up after repeated duplicate key errors', async () => {
+    let attempts = 0;
+    Job.findOneAndUpdate = async () => {
+      attempts++;
+      throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+    };
+    Job.findOne = async () => null;
+
+    await expect(enqueueJob('test-job', {}, { dedupeKey: 'test-job:1' })).rejects.toThrow('E11000');
+    expect(attempts).toBe(3);
+  });
+});
+
+describe('getBackoffDelay', () => {
+  test('doubles with each attempt, with ±20% jitter', () => {
+    [1, 2, 3].forEach(attempt => {
+      const delay = getBackoffDelay(attempt);
+      const base = 30 * 1000 * 2 ** (attempt - 1);
+      expect(delay).toBeGreaterThanOrEqual(base * 0.8);
+      expect(delay).toBeLessThanOrEqual(base * 1.2);
+    });
+  });
+
+  test('is capped at an hour (plus jitter)', () => {
+    expect(getBackoffDelay(30)).toBeLessThanOrEqual(72 * MINUTE_MS);
+  });
+});
+
+describe('failExpiredLastAttempts', () => {
+  test('fails jobs whose lease expired during their last attempt and runs their failure hook', async () => {
+    const hooked = [];
+    registerJobHandler('hooked-job', async () => {}, { onFailure: async (job, error) => hooked.push([job._id, error.message]) });
+
+    let findFilter;
+    Job.find = (filter) => {
+      findFilter = filter;
+      return { select: () => ({ lean: async () => [{ _id: 'a' }, { _id: 'b' }] }) };
+    };
+    // 'b' was failed by another worker in between
+    Job.findOneAndUpdate = async (filter, update) => (filter._id === 'a'
+      ? { _id: 'a', type: 'hooked-job', ...update.$set }
+      : null);
+
+    const now = new Date();
+    expect(await failExpiredLastAttempts(['hooked-job'], now)).toBe(1);
+
+    expect(findFilter).toEqual({
+      type: { $in: ['hooked-job'] },
+      status: 'running',
+      lockExpiresAt: { $lte: now },
+      $expr: { $gte: ['$attempts', '$maxAttempts'] }
+    });
+    expect(hooked).toEqual([['a', 'Lease expired during the last attempt (worker crashed or stalled)']]);
+  });
+
+  test('a failing hook does not stop the sweep', async () => {
+    registerJobHandler('broken-hook-job', async () => {}, {
+      onFailure: async () => {
+        throw new Error('database down');
+      }
+    });
+    Job.find = () => ({ select: () => ({ lean: async () => [{ _id: 'a' }, { _id: 'b' }] }) });
+    Job.findOneAndUpdate = async (filter) => ({ _id: filter._id, type: 'broken-hook-job' });
+
+    expect(await failExpiredLastAttempts(['broken-hook-job'])).toBe(2);
+  });
+});
+
+describe('claimNextJob', () => {
+  test('claims a due job, or a crashed one with attempts left', async () => {
+    Job.find = () => ({ select: () => ({ lean: async () => [] }) });
+    let claim;
+    Job.findOneAndUpdate = async (filter, update, options) => {
+      claim = { filter, update, options };
+      return { _id: 'claimed' };
+    };
+
+    expect((await claimNextJob('worker-1', ['test-job']))._id).toBe('claimed');
+    expect(claim.filter.$or[0]).toMatchObject({ status: 'queued' });
+    expect(claim.filter.$or[1]).toMatchObject({ status: 'running', $expr: { $lt: ['$attempts', '$maxAttempts'] } });
+    expect(claim.update.$set).toMatchObject({ status: 'running', lockedBy: 'worker-1' });
+    expect(claim.update.$inc).toEqual({ attempts: 1 });
+    expect(claim.options.sort).toEqual({ priority: -1, runAt: 1 });
+  });
+});
+
+describe('runJob', () => {
+  test('stores the result of a successful job', async () => {
+    let context;
+    registerJobHandler('test-job', async (job, ctx) => {
+      context = ctx;
+      return { pages: 3 };
+    });
+
+    await runJob(claimedJob());
+
+    expect(context.isFinalAttempt).toBe(false);
+    expect(updates).toHaveLength(1);
+    expect(updates[0].filter).toEqual({ _id: 'job-1', lockedBy: 'worker-1' });
+    expect(updates[0].update.$set).toMatchObject({ status: 'succeeded', result: { pages: 3 }, lockedBy: null });
+  });
+
+  test('queues a failed job again with a backoff', async () => {
+    registerJobHandler('test-job', async () => {
+      throw new Error('provider timeout');
+    });
+
+    const before = Date.now();
+    await runJob(claimedJob({ attempts: 2 }));
+
+    const { $set, $push } = updates[0].update;
+    expect($set.status).toBe('queued');
+    expect($set.lastError).toBe('provider timeout');
+    expect($set.runAt.getTime()).toBeGreaterThanOrEqual(before + 48 * 1000);
+    expect($push.failures.$each).toEqual([{ attempt: 2, message: 'provider timeout' }]);
+  });
+
+  test('fails a job on its last attempt', async () => {
+    let context;
+    registerJobHandler('test-job', async (job, ctx) => {
+      context = ctx;
+      throw new Error('provider timeout');
+    });
+
+    await runJob(claimedJob({ attempts: 3 }));
+
+    expect(context.isFinalAttempt).toBe(true);
+    expect(updates[0].update.$set).toMatchObject({ status: 'failed', lastError: 'provider timeout' });
+  });
+
+  test('does not retry a permanent error', async () => {
+    registerJobHandler('test-job', async () => {
+      throw new PermanentJobError('File not found');
+    });
+
+    await runJob(claimedJob());
+    expect(updates[0].update.$set.status).toBe('failed');
+  });
+
+  test('fails a job without a handler', async () => {
+    await runJob(claimedJob({ type: 'unknown-job' }));
+    expect(updates[0].update.$set).toMatchObject({
+      status: 'failed',
+      lastError: 'No handler registered for job type "unknown-job"'
+    });
+  });
+});
+
+describe('markExtractionFailed', () => {
+  const fileUpdateOne = File.updateOne;
+
+  afterEach(() => {
+    File.updateOne = fileUpdateOne;
+  });
+
+  test('marks the file of a crashed extraction failed', async () => {
+    let update;
+    File.updateOne = async (filter, changes) => {
+      update = { filter, changes };
+    };
+
+    await markExtractionFailed({ payload: { fileId: 'file-1' } }, new Error('Lease expired'));
+    expect(update).toEqual({
+      filter: { _id: 'file-1' },
+      changes: { $set: { extractionStatus: 'failed', extractionError: 'Lease expired' } }
+    });
+  });
+});
@@ -0,0 +1,176 @@
+import { jest } from '@jest/globals';
+import File from '../models/File.js';
+import Job from '../models/Job.js';
+import AuditLog from '../models/AuditLog.js';
+
+// Category changes move the stored file; tests record the moves instead
+const moves = [];
+jest.unstable_mockModule('../services/storageService.js', () => ({
+  DOWNLOAD_URL_TTL_SECONDS: 300,
+  uploadFile: jest.fn(),
+  getSignedDownloadUrl: jest.fn(),
+  openFileStream: jest.fn(),
+  downloadFileBuffer: jest.fn(),
+  deleteFile: jest.fn(),
+  moveFile: async (publicId, provider, folder, options) => {
+    moves.push({ publicId, provider, folder, ...options });
+    const key = `${folder}/${publicId.split('/').pop()}`;
+    return { publicId: key, fileUrl: `r2://bucket/${key}` };
+  },
+  makeFilePrivate: jest.fn()
+}));
+const { updateMaterial } = await import('../controllers/fileController.js');
+
+const owner = { uid: 'owner-uid', email: 'owner@example.com' };
+const student = { uid: 'student-uid', email: 'student@example.com' };
+
+const mockResponse = () => {
+  const res = { statusCode: 200, body: null };
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (body) => {
+    res.body = body;
+    return res;
+  };
+  return res;
+};
+
+const material = () => {
+  const file = new File({
+    title: 'Heat notes',
+    fileName: 'heat.pdf',
+    fileUrl: 'r2://bucket/Notes/heat.pdf',
+    fileType: 'application/pdf',
+    fileSize: 1000,
+    uploadedBy: owner.uid,
+    category: { type: 'notes', branch: 'BTech', semester: '3', subject: 'Physics' },
+    metadata: { collegeName: 'City College', year: 2024, course: 'BTech' },
+    tags: ['notes', 'btech', 'physics', 'sem-3', 'city college', 'exam'],
+    storage: { provider: 'r2', publicId: 'Notes/heat.pdf', access: 'private' },
+    extractionStatus: 'success'
+  });
+  file.save = async function () {
+    return this;
+  };
+  return file;
+};
+
+describe('updateMaterial', () => {
+  const originals = {
+    findById: File.findById,
+    exists: Job.exists,
+    jobUpsert: Job.findOneAndUpdate,
+    insertMany: AuditLog.insertMany
+  };
+  let file;
+  let runningExtraction;
+  let queuedJobs;
+  let auditEntries;
+
+  beforeEach(() => {
+    file = material();
+    runningExtraction = false;
+    queuedJobs = [];
+    auditEntries = [];
+    moves.length = 0;
+
+    File.findById = () => ({
+      select() {
+        return this;
+      },
+      then: (resolve) => resolve(file)
+    });
+    Job.exists = async () => (runningExtraction ? { _id: 'job-1' } : null);
+    Job.findOneAndUpdate = async (filter, update) => {
+      queuedJobs.push(filter.dedupeKey);
+      return { _id: 'job-2', ...update.$setOnInsert };
+    };
+    AuditLog.insertMany = async (entries) => {
+      auditEntries.push(...entries);
+    };
+  });
+
+  afterEach(() => {
+    File.findById = originals.findById;
+    Job.exists = originals.exists;
+    Job.findOneAndUpdate = originals.jobUpsert;
+    AuditLog.insertMany = originals.insertMany;
+  });
+
+  const update = async (body, user = owner) => {
+    const res = mockResponse();
+    await updateMaterial({ params: { fileId: String(file._id) }, body, user, ip: '127.0.0.1', get: () => 'jest' }, res);
+    return res;
+  };
+
+  test('rebuilds the derived tags and keeps the ones the uploader added', async () => {
+    const res = await update({ subject: 'Thermodynamics', semester: '4' });
+
+    expect(res.statusCode).toBe(200);
+    expect(file.tags).toEqual(['notes', 'btech', 'thermodynamics', 'sem-4', 'city college', 'exam']);
+    expect(res.body.data.changes.map(change => change.field)).toEqual(
+      expect.arrayContaining(['category.subject', 'category.semester'])
+    );
+  });
+
+  test('audits the edit and re-indexes the retrieval chunks', async () => {
+    await update({ title: 'Heat and work', year: 2025 });
+
+    expect(auditEntries).toHaveLength(1);
+    expect(auditEntries[0]).toMatchObject({ action: 'material.update', targetId: String(file._id), targetLabel: 'Heat and work' });
+    expect(auditEntries[0].changes).toEqual(expect.arrayContaining([
+      { field: 'title', before: 'Heat notes', after: 'Heat and work' },
+      { field: 'metadata.year', before: 2024, after: 2025 }
+    ]));
+    expect(queuedJobs).toEqual([`index-chunks:${file._id}`]);
+  });
+
+  test('moves the stored file when the category changes', async () => {
+    const res = await update({ category: 'assignments' });
+
+    expect(res.statusCode).toBe(200);
+    expect(moves).toEqual([{ publicId: 'Notes/heat.pdf', provider: 'r2', folder: 'Assignments', access: 'private' }]);
+    expect(file.storage.publicId).toBe('Assignments/heat.pdf');
+    expect(auditEntries[0].metadata).toEqual({ movedTo: 'Assignments' });
+  });
+
+  test('does not move a file that text extraction is still reading', async () => {
+    runningExtraction = true;
+    const res = await update({ category: 'assignments' });
+
+    expect(res.statusCode).toBe(409);
+    expect(moves).toEqual([]);
+    expect(auditEntries).toEqual([]);
+  });
+
+  test('an edit that changes nothing is not saved or audited', async () => {
+    const res = await update({ title: '  Heat notes ' });
+
+    expect(res.body.message).toBe('No changes');
+    expect(auditEntries).toEqual([]);
+    expect(queuedJobs).toEqual([]);
+  });
+
+  test('only the uploader and admins can edit', async () => {
+    expect((await update({ title: 'Mine now' }, student)).statusCode).toBe(403);
+    expect((await update({ title: 'Checked' }, { uid: 'admin-uid', email: 'admin@example.com', role: 'admin' })).statusCode).toBe(200);
+  });
+
+  test('validates the edited fields', async () => {
+    const cases = [
+      [{}, /^Nothing to update/],
+      [{ title: '   ' }, 'title cannot be empty'],
+      [{ category: 'memes' }, /^category must be one of/],
+      [{ year: 1800 }, 'year must be a valid year'],
+      [{ tags: ['x'.repeat(100)] }, /^Up to \d+ tags/]
+    ];
+
+    for (const [body, message] of cases) {
+      const res = await update(body);
+      expect(res.statusCode).toBe(400);
+      expect(res.body.message).toMatch(message);
+    }
+  });
+});
@@ -0,0 +1,74 @@
+import {
+  shingle,
+  computeMinHash,
+  lshBands,
+  estimateSimilarity,
+  NUM_HASHES,
+  LSH_BANDS
+} from '../utils/minhash.js';
+
+const words = (count, prefix = 'word') => Array.from({ length: count }, (_, i) => `${prefix}${i}`).join(' ');
+
+describe('shingle', () => {
+  test('makes one shingle per run of five words', () => {
+    expect(shingle(words(10)).size).toBe(6);
+  });
+
+  test('ignores case, punctuation and stop words', () => {
+    expect(shingle('Heat flows from hot bodies to cold bodies.'))
+      .toEqual(shingle('heat FLOWS hot, bodies cold bodies'));
+  });
+});
+
+describe('computeMinHash', () => {
+  test('returns null for text too short to compare', () => {
+    expect(computeMinHash('only four words here')).toBeNull();
+  });
+
+  test('is deterministic', () => {
+    const signature = computeMinHash(words(50));
+
+    expect(signature).toHaveLength(NUM_HASHES);
+    expect(computeMinHash(words(50))).toEqual(signature);
+  });
+});
+
+describe('estimateSimilarity', () => {
+  test('is 1 for the same text', () => {
+    const signature = computeMinHash(words(50));
+    expect(estimateSimilarity(signature, signature)).toBe(1);
+  });
+
+  test('is high for near duplicates and low for unrelated text', () => {
+    const original = computeMinHash(words(200));
+    const edited = computeMinHash(`${words(200)} ${words(10, 'extra')}`);
+    const unrelated = computeMinHash(words(200, 'other'));
+
+    expect(estimateSimilarity(original, edited)).toBeGreaterThan(0.8);
+    expect(estimateSimilarity(original, unrelated)).toBeLessThan(0.2);
+  });
+
+  test('is 0 when a signature is missing or of another length', () => {
+    const signature = computeMinHash(words(50));
+
+    expect(estimateSimilarity(signature, null)).toBe(0);
+    expect(estimateSimilarity(signature, signature.slice(1))).toBe(0);
+  });
+});
+
+describe('lshBands', () => {
+  test('makes one key per band', () => {
+    const bands = lshBands(computeMinHash(words(50)));
+
+    expect(bands).toHaveLength(LSH_BANDS);
+    bands.forEach((band, i) => expect(band.startsWith(`${i}:`)).toBe(true));
+  });
+
+  test('near duplicates share a band, unrelated texts do not', () => {
+    const original = new Set(lshBands(computeMinHash(words(200))));
+    const shared = (text) => lshBands(computeMinHash(text)).filter(band => original.has(band)).length;
+
+    expect(shared(`${words(200)} ${words(10, 'extra')}`)).toBeGreaterThan(0);
+    expect(shared(words(200, 'other'))).toBe(0);
+  });
+});
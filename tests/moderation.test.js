@@ -0,0 +1,196 @@
+import mongoose from 'mongoose';
+import File from '../models/File.js';
+import Job from '../models/Job.js';
+import AuditLog from '../models/AuditLog.js';
+import { bulkVerifyMaterials, bulkRejectMaterials } from '../controllers/moderationController.js';
+import { StubProvider, setTextGenerationProvider } from '../services/textGenerationProviders.js';
+
+const admin = { uid: 'admin-uid', email: 'admin@example.com', role: 'admin' };
+const id = () => String(new mongoose.Types.ObjectId());
+
+const mockResponse = () => {
+  const res = { statusCode: 200, body: null };
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (body) => {
+    res.body = body;
+    return res;
+  };
+  return res;
+};
+
+const request = (body) => ({ user: admin, body, ip: '127.0.0.1', get: () => 'jest' });
+
+describe('bulk moderation decisions', () => {
+  const originals = {
+    findOneAndUpdate: File.findOneAndUpdate,
+    find: File.find,
+    updateOne: File.updateOne,
+    insertMany: AuditLog.insertMany,
+    jobUpsert: Job.findOneAndUpdate
+  };
+  let materials;
+  let updates;
+  let auditEntries;
+  let queuedJobs;
+
+  const material = (fields = {}) => {
+    const doc = {
+      _id: id(),
+      title: 'Notes',
+      verification: { status: 'pending' },
+      review: null,
+      extractionStatus: 'success',
+      insights: { status: null },
+      ...fields
+    };
+    materials.set(doc._id, doc);
+    return doc;
+  };
+
+  beforeAll(() => {
+    setTextGenerationProvider(new StubProvider());
+  });
+
+  afterAll(() => {
+    setTextGenerationProvider(null);
+  });
+
+  beforeEach(() => {
+    materials = new Map();
+    updates = [];
+    auditEntries = [];
+    queuedJobs = [];
+
+    // Changes only materials that are pending and not claimed by another admin
+    File.findOneAndUpdate = async (filter, update) => {
+      const doc = materials.get(filter._id);
+      const claimedByOther = doc?.review?.claimedBy && doc.review.claimedBy !== admin.uid;
+      if (!doc || doc.verification.status !== 'pending' || claimedByOther) return null;
+
+      updates.push({ id: filter._id, set: update.$set });
+      const before = structuredClone(doc);
+      doc.verification = { ...doc.verification, status: update.$set['verification.status'] };
+      return before;
+    };
+    File.find = (filter) => ({
+      select() {
+        return this;
+      },
+      lean: async () => filter._id.$in.map(materialId => materials.get(materialId)).filter(Boolean)
+    });
+    File.updateOne = async () => ({ modifiedCount: 1 });
+    AuditLog.insertMany = async (entries) => {
+      auditEntries.push(...entries);
+    };
+    Job.findOneAndUpdate = async (filter, update) => {
+      queuedJobs.push(filter.dedupeKey);
+      return { _id: id(), ...update.$setOnInsert };
+    };
+  });
+
+  afterEach(() => {
+    File.findOneAndUpdate = originals.findOneAndUpdate;
+    File.find = originals.find;
+    File.updateOne = originals.updateOne;
+    AuditLog.insertMany = originals.insertMany;
+    Job.findOneAndUpdate = originals.jobUpsert;
+  });
+
+  test('verifies the pending materials and explains every skipped one', async () => {
+    const pending = material({ title: 'Heat' });
+    const notExtracted = material({ title: 'Scan', extractionStatus: 'pending' });
+    const done = material({ verification: { status: 'verified' } });
+    const claimed = material({
+      review: { claimedBy: 'other-uid', claimedByEmail: 'other@example.com', claimExpiresAt: new Date(Date.now() + 60000) }
+    });
+    const missing = id();
+
+    const res = mockResponse();
+    await bulkVerifyMaterials(request({ materialIds: [pending._id, notExtracted._id, done._id, claimed._id, missing] }), res);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.verified).toEqual([
+      { id: pending._id, title: 'Heat' },
+      { id: notExtracted._id, title: 'Scan' }
+    ]);
+    expect(res.body.data.skipped).toEqual([
+      { id: done._id, reason: 'Already verified' },
+      { id: claimed._id, reason: 'Being reviewed by other@example.com' },
+      { id: missing, reason: 'Material not found' }
+    ]);
+
+    expect(updates[0].set).toMatchObject({ 'verification.status': 'verified', 'verification.verifiedBy': admin.uid, purgeAfter: null });
+    // Study aids only for materials whose text is ready
+    expect(queuedJobs).toEqual([`generate-insights:${pending._id}`]);
+  });
+
+  test('writes one audit entry per decided material', async () => {
+    const first = material({ title: 'First' });
+    const second = material({ title: 'Second' });
+    const done = material({ verification: { status: 'rejected' } });
+
+    await bulkVerifyMaterials(request({ materialIds: [first._id, second._id, done._id] }), mockResponse());
+
+    expect(auditEntries.map(entry => [entry.action, entry.targetId, entry.targetLabel])).toEqual([
+      ['material.verify', first._id, 'First'],
+      ['material.verify', second._id, 'Second']
+    ]);
+    expect(auditEntries[0].changes).toContainEqual({ field: 'verification.status', before: 'pending', after: 'verified' });
+    expect(auditEntries[0].metadata).toEqual({ bulk: true });
+  });
+
+  test('a material decided by someone else in between is skipped, not audited twice', async () => {
+    const raced = material();
+    const findOneAndUpdate = File.findOneAndUpdate;
+    File.findOneAndUpdate = async (filter, update) => {
+      materials.get(raced._id).verification.status = 'rejected';
+      return findOneAndUpdate(filter, update);
+    };
+
+    const res = mockResponse();
+    await bulkVerifyMaterials(request({ materialIds: [raced._id] }), res);
+
+    expect(res.body.data.verified).toEqual([]);
+    expect(res.body.data.skipped).toEqual([{ id: raced._id, reason: 'Already rejected' }]);
+    expect(auditEntries).toEqual([]);
+  });
+
+  test('rejects with a predefined reason and schedules the file for removal', async () => {
+    const pending = material();
+
+    const res = mockResponse();
+    await bulkRejectMaterials(request({ materialIds: [pending._id], reasonCode: 'poor-quality' }), res);
+
+    expect(res.body.data.rejected).toEqual([{ id: pending._id, title: 'Notes' }]);
+    const { set } = updates[0];
+    expect(set).toMatchObject({
+      'verification.status': 'rejected',
+      'verification.rejectionCode': 'poor-quality',
+      'verification.rejectionReason': 'Unreadable or poor quality scan'
+    });
+    expect(set.purgeAfter.getTime()).toBeGreaterThan(Date.now());
+    expect(queuedJobs).toEqual([]);
+  });
+
+  test('validates the request', async () => {
+    const cases = [
+      [{ materialIds: [] }, 'materialIds must be a list of 1-100 ids'],
+      [{ materialIds: Array.from({ length: 101 }, id) }, 'materialIds must be a list of 1-100 ids'],
+      [{ materialIds: ['nope'] }, 'Invalid material ids: nope'],
+      [{ materialIds: [id()], reasonCode: 'boring' }, /^reasonCode must be one of/],
+      [{ materialIds: [id()], reasonCode: 'constructor' }, /^reasonCode must be one of/],
+      [{ materialIds: [id()], reasonCode: 'other' }, 'A reason is required when reasonCode is "other"']
+    ];
+
+    for (const [body, message] of cases) {
+      const res = mockResponse();
+      await bulkRejectMaterials(request(body), res);
+      expect(res.statusCode).toBe(400);
+      expect(res.body.message).toMatch(message);
+    }
+    expect(updates).toEqual([]);
+  });
+});
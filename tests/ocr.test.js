@@ -0,0 +1,153 @@
+import { PDFDocument } from 'pdf-lib';
+import { OCRService } from '../services/ocrService.js';
+import { OCRProvider, OCRRateLimitError, createOCRProviders } from '../services/ocrProviders.js';
+
+// Provider whose recognize() is scripted per call
+class FakeProvider extends OCRProvider {
+  constructor(name, recognize, { available = true, maxFileSize = Infinity, maxPdfPages = Infinity } = {}) {
+    super(name);
+    this.available = available;
+    this.maxFileSize = maxFileSize;
+    this.maxPdfPages = maxPdfPages;
+    this.calls = [];
+    this.handle = recognize;
+  }
+
+  isAvailable() {
+    return this.available;
+  }
+
+  async recognize(buffer, fileName, mimeType, options) {
+    this.calls.push({ fileName, mimeType, options });
+    return this.handle(buffer, fileName, mimeType, options);
+  }
+}
+
+const pagesOf = (count, text = 'text') => Array.from({ length: count }, (_, i) => ({
+  page: i + 1,
+  text: `${text} ${i + 1}`,
+  confidence: null,
+  error: null
+}));
+
+const pdfWithPages = async (count) => {
+  const doc = await PDFDocument.create();
+  for (let i = 0; i < count; i++) doc.addPage([200, 200]);
+  return Buffer.from(await doc.save());
+};
+
+// Page count of the PDF chunk a provider received
+const chunkPageCount = async (buffer) => (await PDFDocument.load(buffer)).getPageCount();
+
+describe('createOCRProviders', () => {
+  test('builds the chain in the configured order', () => {
+    expect(createOCRProviders('tesseract, ocrspace').map(provider => provider.name)).toEqual(['tesseract', 'ocrspace']);
+  });
+
+  test('ignores duplicates, blanks and unknown names', () => {
+    expect(createOCRProviders('tesseract,,TESSERACT,google,constructor').map(provider => provider.name)).toEqual(['tesseract']);
+  });
+});
+
+describe('OCRService.recognize', () => {
+  const image = Buffer.from('image');
+
+  test('uses the first provider that succeeds', async () => {
+    const first = new FakeProvider('first', async () => {
+      throw new Error('timeout');
+    });
+    const second = new FakeProvider('second', async () => pagesOf(1));
+
+    const result = await new OCRService([first, second]).recognize(image, 'a.jpg', 'image/jpeg', { languages: ['hin'] });
+
+    expect(result).toEqual({ pages: pagesOf(1), provider: 'second' });
+    expect(second.calls[0].options).toEqual({ languages: ['hin'] });
+  });
+
+  test('skips unavailable providers and those the file is too large for', async () => {
+    const offline = new FakeProvider('offline', async () => pagesOf(1), { available: false });
+    const small = new FakeProvider('small', async () => pagesOf(1), { maxFileSize: 1 });
+    const local = new FakeProvider('local', async () => pagesOf(1));
+
+    const service = new OCRService([offline, small, local]);
+    expect((await service.recognize(image, 'a.jpg', 'image/jpeg')).provider).toBe('local');
+    expect(offline.calls).toHaveLength(0);
+    expect(small.calls).toHaveLength(0);
+  });
+
+  test('reports every provider error when all fail', async () => {
+    const failing = (message) => async () => {
+      throw new Error(message);
+    };
+    const service = new OCRService([new FakeProvider('a', failing('bad key')), new FakeProvider('b', failing('no lang'))]);
+
+    await expect(service.recognize(image, 'a.jpg', 'image/jpeg')).rejects.toThrow('All OCR providers failed (a: bad key; b: no lang)');
+  });
+
+  test('remembers rate-limited providers for the rest of the document', async () => {
+    const limited = new FakeProvider('limited', async () => {
+      throw new OCRRateLimitError('daily quota');
+    });
+    const service = new OCRService([limited]);
+    const exhausted = new Set();
+
+    await expect(service.recognize(image, 'a.jpg', 'image/jpeg', { exhausted })).rejects.toBeInstanceOf(OCRRateLimitError);
+    expect([...exhausted]).toEqual(['limited']);
+
+    await expect(service.recognize(image, 'b.jpg', 'image/jpeg', { exhausted })).rejects.toBeInstanceOf(OCRRateLimitError);
+    expect(limited.calls).toHaveLength(1);
+  });
+});
+
+describe('OCRService.extractPages', () => {
+  test('fails without an available provider', async () => {
+    const service = new OCRService([new FakeProvider('offline', async () => [], { available: false })]);
+    await expect(service.extractPages(Buffer.from('x'), 'a.jpg', 'image/jpeg')).rejects.toThrow('No OCR provider is available');
+  });
+
+  test('tags image pages with the provider that read them', async () => {
+    const service = new OCRService([new FakeProvider('local', async () => pagesOf(1))]);
+    const [page] = await service.extractPages(Buffer.from('x'), 'a.png', 'image/png');
+
+    expect(page).toMatchObject({ page: 1, text: 'text 1', source: 'local' });
+  });
+
+  test('splits a PDF into chunks, numbers pages across them and reports progress', async () => {
+    const provider = new FakeProvider('local', async (buffer) => pagesOf(await chunkPageCount(buffer)));
+    const progress = [];
+
+    const pages = await new OCRService([provider]).extractPages(await pdfWithPages(7), 'notes.pdf', 'application/pdf', {
+      onProgress: async (update) => progress.push(update.current)
+    });
+
+    expect(provider.calls).toHaveLength(3); // 3 + 3 + 1 pages
+    expect(pages.map(page => page.page)).toEqual([1, 2, 3, 4, 5, 6, 7]);
+    expect(progress).toEqual([0, 3, 6, 7]);
+  });
+
+  test('keeps the chunks that worked when one fails', async () => {
+    let call = 0;
+    const provider = new FakeProvider('local', async (buffer) => {
+      call++;
+      if (call === 2) throw new Error('blurry');
+      return pagesOf(await chunkPageCount(buffer));
+    });
+
+    const pages = await new OCRService([provider]).extractPages(await pdfWithPages(5), 'notes.pdf', 'application/pdf');
+
+    expect(pages.filter(page => page.error).map(page => page.page)).toEqual([4, 5]);
+    expect(pages[3].error).toMatch(/blurry/);
+  });
+
+  test('in strict mode a rate limit fails the run so the job retries it', async () => {
+    let call = 0;
+    const provider = new FakeProvider('local', async (buffer) => {
+      call++;
+      if (call === 2) throw new OCRRateLimitError('daily quota');
+      return pagesOf(await chunkPageCount(buffer));
+    });
+
+    await expect(new OCRService([provider]).extractPages(await pdfWithPages(5), 'notes.pdf', 'application/pdf', { throwOnError: true }))
+      .rejects.toBeInstanceOf(OCRRateLimitError);
+  });
+});
@@ -0,0 +1,83 @@
+import CollegeSettings from '../models/CollegeSettings.js';
+import { parseOcrLanguages, validateOcrLanguages, MAX_OCR_LANGUAGES, DEFAULT_OCR_LANGUAGES } from '../utils/ocrLanguages.js';
+import { resolveOcrLanguages } from '../services/collegeSettingsService.js';
+import { OCRSpaceProvider } from '../services/ocrProviders.js';
+
+describe('parseOcrLanguages', () => {
+  test('reads a comma separated string or an array', () => {
+    expect(parseOcrLanguages('hin, ENG')).toEqual({ languages: ['hin', 'eng'], invalid: [] });
+    expect(parseOcrLanguages(['mar', 'eng'])).toEqual({ languages: ['mar', 'eng'], invalid: [] });
+  });
+
+  test('drops blanks and duplicates', () => {
+    expect(parseOcrLanguages('hin,,hin, ')).toEqual({ languages: ['hin'], invalid: [] });
+    expect(parseOcrLanguages(undefined)).toEqual({ languages: [], invalid: [] });
+  });
+
+  test('lists unsupported codes, including names inherited from Object.prototype', () => {
+    expect(parseOcrLanguages('hin,fra,constructor,__proto__')).toEqual({
+      languages: ['hin'],
+      invalid: ['fra', 'constructor', '__proto__']
+    });
+  });
+});
+
+describe('validateOcrLanguages', () => {
+  test('accepts a supported selection', () => {
+    expect(validateOcrLanguages(parseOcrLanguages('hin,eng'))).toBeNull();
+  });
+
+  test('names the unsupported codes', () => {
+    expect(validateOcrLanguages(parseOcrLanguages('hin,xyz'))).toMatch(/^Unsupported OCR language\(s\): xyz\. Supported: eng, hin/);
+  });
+
+  test(`allows at most ${MAX_OCR_LANGUAGES} languages`, () => {
+    expect(validateOcrLanguages(parseOcrLanguages('eng,hin,mar,ben'))).toBe(`Choose at most ${MAX_OCR_LANGUAGES} OCR languages`);
+  });
+});
+
+describe('resolveOcrLanguages', () => {
+  const findOne = CollegeSettings.findOne;
+  let collegeLanguages;
+
+  beforeEach(() => {
+    collegeLanguages = null;
+    CollegeSettings.findOne = () => ({
+      select: () => ({ lean: async () => (collegeLanguages ? { ocrLanguages: collegeLanguages } : null) })
+    });
+  });
+
+  afterEach(() => {
+    CollegeSettings.findOne = findOne;
+  });
+
+  test("uses the uploader's choice first", async () => {
+    collegeLanguages = ['tam'];
+    expect(await resolveOcrLanguages({ metadata: { ocrLanguages: ['hin', 'eng'], collegeName: 'IIT' } })).toEqual(['hin', 'eng']);
+  });
+
+  test("falls back to the college's default, then the global one", async () => {
+    collegeLanguages = ['tam', 'eng'];
+    expect(await resolveOcrLanguages({ metadata: { ocrLanguages: [], collegeName: 'Anna University' } })).toEqual(['tam', 'eng']);
+
+    collegeLanguages = null;
+    expect(await resolveOcrLanguages({ metadata: { collegeName: 'Anna University' } })).toEqual(DEFAULT_OCR_LANGUAGES);
+  });
+});
+
+describe('OCR.space language options', () => {
+  const provider = new OCRSpaceProvider();
+
+  test('sends a single Latin-script language as is', () => {
+    expect(provider.getRequestOptions(['eng'])).toEqual({ language: 'eng', engine: provider.engine });
+  });
+
+  test('auto-detects non-Latin scripts on the multilingual engine', () => {
+    expect(provider.getRequestOptions(['hin'])).toEqual({ language: 'auto', engine: provider.multilingualEngine });
+    expect(provider.getRequestOptions(['hin', 'eng'])).toEqual({ language: 'auto', engine: provider.multilingualEngine });
+  });
+
+  test('uses the configured language without a selection', () => {
+    expect(provider.getRequestOptions([])).toEqual({ language: provider.language, engine: provider.engine });
+  });
+});
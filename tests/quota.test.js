@@ -0,0 +1,156 @@
+import mongoose from 'mongoose';
+import File from '../models/File.js';
+import QuotaPolicy from '../models/QuotaPolicy.js';
+import QuotaReservation from '../models/QuotaReservation.js';
+import {
+  parseQuotaLimits,
+  getQuotaRole,
+  storedBytes,
+  checkQuota,
+  reserveQuota,
+  QUOTA_LIMITS
+} from '../services/quotaService.js';
+
+describe('parseQuotaLimits', () => {
+  test('keeps only the limits given', () => {
+    expect(parseQuotaLimits({ maxFiles: 10, maxUploadsPerDay: '3', other: 5 })).toEqual({
+      limits: { maxFiles: 10, maxUploadsPerDay: 3 },
+      error: null
+    });
+  });
+
+  test('reads null and empty values as unlimited', () => {
+    expect(parseQuotaLimits({ maxStorageBytes: null, maxPendingFiles: '' })).toEqual({
+      limits: { maxStorageBytes: null, maxPendingFiles: null },
+      error: null
+    });
+  });
+
+  test('accepts 0 (no uploads at all)', () => {
+    expect(parseQuotaLimits({ maxFiles: 0 }).limits).toEqual({ maxFiles: 0 });
+  });
+
+  test('rejects negative, fractional and non-numeric limits', () => {
+    [-1, 1.5, 'ten', '2x'].forEach(value => {
+      expect(parseQuotaLimits({ maxFiles: value }).error).toMatch(/^maxFiles must be a whole number/);
+    });
+  });
+
+  test('requires at least one limit', () => {
+    const { error } = parseQuotaLimits({ role: 'student' });
+    expect(error).toBe(`Provide at least one of: ${QUOTA_LIMITS.join(', ')}`);
+    expect(parseQuotaLimits().error).toBe(error);
+  });
+});
+
+describe('getQuotaRole', () => {
+  test('uses the stored role and falls back to student', () => {
+    expect(getQuotaRole({ role: 'moderator', email: 'mod@example.com' })).toBe('moderator');
+    expect(getQuotaRole({ role: 'admin', email: 'admin@example.com' })).toBe('admin');
+    expect(getQuotaRole({ role: 'guest', email: 'guest@example.com' })).toBe('student');
+    expect(getQuotaRole({ email: 'user@example.com' })).toBe('student');
+  });
+});
+
+describe('quota checks with uploads in progress', () => {
+  const originals = {
+    policy: QuotaPolicy.findOne,
+    aggregate: File.aggregate,
+    find: File.find,
+    create: QuotaReservation.create,
+    deleteOne: QuotaReservation.deleteOne,
+    reserved: QuotaReservation.aggregate
+  };
+  const student = { uid: 'student-uid', email: 'student@example.com', role: 'student' };
+  let usage;
+  let reservations;
+
+  beforeEach(() => {
+    usage = { files: 4, pendingFiles: 1, storageBytes: 0 };
+    reservations = [];
+
+    QuotaPolicy.findOne = () => ({ lean: async () => null });
+    File.aggregate = async () => [usage];
+    File.find = () => ({
+      select() {
+        return this;
+      },
+      setOptions() {
+        return this;
+      },
+      lean: async () => []
+    });
+    QuotaReservation.create = async (fields) => {
+      const reservation = { _id: new mongoose.Types.ObjectId(), ...fields };
+      reservations.push(reservation);
+      return reservation;
+    };
+    QuotaReservation.deleteOne = async ({ _id }) => {
+      reservations = reservations.filter(reservation => reservation._id !== _id);
+    };
+    // Sums the open reservations of the user, leaving out the caller's own
+    QuotaReservation.aggregate = async ([{ $match }]) => {
+      const open = reservations.filter(reservation => reservation.user === $match.user
+        && reservation.expiresAt > $match.expiresAt.$gt
+        && !reservation._id.equals($match._id?.$ne));
+      if (open.length === 0) return [];
+      return [{ files: open.reduce((sum, reservation) => sum + reservation.files, 0) }];
+    };
+  });
+
+  afterEach(() => {
+    QuotaPolicy.findOne = originals.policy;
+    File.aggregate = originals.aggregate;
+    File.find = originals.find;
+    QuotaReservation.create = originals.create;
+    QuotaReservation.deleteOne = originals.deleteOne;
+    QuotaReservation.aggregate = originals.reserved;
+  });
+
+  test('counts what other uploads reserved', async () => {
+    const first = await reserveQuota(student, { files: 1 });
+    expect(first.allowed).toBe(true);
+
+    const second = await reserveQuota(student, { files: 1 });
+    expect(second).toMatchObject({ allowed: false, exceeded: 'maxFiles' });
+    expect(second.message).toBe('Upload limit reached (5 materials). Please delete some files to upload new ones.');
+    // A refused reservation is released right away
+    expect(reservations).toHaveLength(1);
+
+    await first.release();
+    expect((await reserveQuota(student, { files: 1 })).allowed).toBe(true);
+  });
+
+  test("leaves out the caller's own reservation", async () => {
+    const held = await reserveQuota(student, { files: 1 });
+
+    expect((await checkQuota(student, { files: 1 }, { reservationId: reservations[0]._id })).allowed).toBe(true);
+    expect((await checkQuota(student, { files: 1 })).allowed).toBe(false);
+    await held.release();
+  });
+
+  test('only limits what is added', async () => {
+    usage = { files: 5, pendingFiles: 1, storageBytes: 0 };
+
+    expect((await checkQuota(student, { storageBytes: 1000 })).allowed).toBe(true);
+    expect((await checkQuota(student, { files: 1 })).exceeded).toBe('maxFiles');
+  });
+
+  test('admins have no limits', async () => {
+    usage = { files: 500, pendingFiles: 100, storageBytes: 1e12 };
+    const admin = { uid: 'admin-uid', email: 'admin@example.com', role: 'admin' };
+
+    expect((await reserveQuota(admin, { files: 1, pendingFiles: 1, storageBytes: 1e9 })).allowed).toBe(true);
+  });
+});
+
+describe('storedBytes', () => {
+  test('counts every version', () => {
+    expect(storedBytes({ fileSize: 300, versions: [{ fileSize: 100 }, { fileSize: 300 }] })).toBe(400);
+  });
+
+  test('counts the file of materials from before versioning', () => {
+    expect(storedBytes({ fileSize: 250, versions: [] })).toBe(250);
+    expect(storedBytes({})).toBe(0);
+  });
+});
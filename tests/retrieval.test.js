@@ -0,0 +1,164 @@
+import File from '../models/File.js';
+import { chunkText, chunkPages, citationLabel } from '../utils/chunker.js';
+import { tokenize } from '../utils/search.js';
+import { countTerms, inverseDocumentFrequency, searchChunks, RETRIEVAL_METHODS } from '../services/retrievalService.js';
+
+describe('chunkText', () => {
+  test('keeps short text in one chunk', () => {
+    expect(chunkText('Short page.', { size: 100, overlap: 20 })).toEqual(['Short page.']);
+  });
+
+  test('returns no chunks for empty text', () => {
+    expect(chunkText('', { size: 100, overlap: 20 })).toEqual([]);
+  });
+
+  test('breaks at sentence boundaries and repeats the overlap', () => {
+    const sentences = Array.from({ length: 12 }, (_, i) => `Sentence number ${i + 1} is here.`);
+    const chunks = chunkText(sentences.join(' '), { size: 120, overlap: 40 });
+
+    expect(chunks.length).toBeGreaterThan(1);
+    chunks.forEach(chunk => expect(chunk.length).toBeLessThanOrEqual(120));
+    // Every chunk but the last ends at the end of a sentence
+    chunks.slice(0, -1).forEach(chunk => expect(chunk.endsWith('.')).toBe(true));
+    // The start of each chunk repeats the end of the previous one
+    chunks.slice(1).forEach((chunk, i) => {
+      const firstWords = chunk.split(' ').slice(0, 2).join(' ');
+      expect(chunks[i]).toContain(firstWords);
+    });
+  });
+
+  test('always makes progress on text without breaks', () => {
+    const chunks = chunkText('x'.repeat(250), { size: 100, overlap: 20 });
+    expect(chunks.length).toBeGreaterThanOrEqual(3);
+  });
+});
+
+describe('chunkPages', () => {
+  test('numbers chunks across pages and never spans a page', () => {
+    const chunks = chunkPages([
+      { page: 1, text: 'First page text.' },
+      { page: 2, text: '   ' },
+      { page: 3, unit: 'slide', title: 'Intro', text: 'Third page text.' }
+    ]);
+
+    expect(chunks).toEqual([
+      { index: 0, page: 1, unit: 'page', title: null, part: 0, text: 'First page text.' },
+      { index: 1, page: 3, unit: 'slide', title: 'Intro', part: 0, text: 'Third page text.' }
+    ]);
+  });
+});
+
+describe('citationLabel', () => {
+  test('names the unit of the chunk', () => {
+    expect(citationLabel({ page: 3 })).toBe('p. 3');
+    expect(citationLabel({ page: 2, unit: 'slide' })).toBe('slide 2');
+    expect(citationLabel({ page: 4, unit: 'section' })).toBe('section 4');
+  });
+});
+
+describe('BM25 term counts', () => {
+  test('counts repeated tokens', () => {
+    expect(countTerms(tokenize('Heat flows; heat rises. Entropy grows.'))).toEqual({
+      heat: 2,
+      flow: 1,
+      rise: 1,
+      entropy: 1,
+      grow: 1
+    });
+  });
+
+  test('counts tokens named like Object.prototype members', () => {
+    const counts = countTerms(tokenize('The constructor calls the constructor; toString and valueOf too.'));
+
+    expect(counts.constructor).toBe(2);
+    expect(counts.tostring).toBe(1);
+    expect(counts.valueof).toBe(1);
+    expect(Object.keys(counts)).toEqual(expect.arrayContaining(['constructor', 'tostring', 'valueof']));
+  });
+
+  test('a chunk without the term has no count for it', () => {
+    const counts = countTerms(tokenize('Only thermodynamics here'));
+
+    expect(Object.hasOwn(counts, 'constructor')).toBe(false);
+    expect(Object.hasOwn(counts, 'hasownproperty')).toBe(false);
+  });
+
+  test('stores "__proto__" as a plain count', () => {
+    const counts = countTerms(['__proto__', '__proto__']);
+
+    expect(Object.hasOwn(counts, '__proto__')).toBe(true);
+    expect(counts.__proto__).toBe(2);
+    expect(JSON.parse(JSON.stringify(counts))).toEqual(JSON.parse('{"__proto__":2}'));
+  });
+});
+
+describe('BM25 inverse document frequency', () => {
+  test('rare terms weigh more than common ones', () => {
+    expect(inverseDocumentFrequency(1000, 1)).toBeGreaterThan(inverseDocumentFrequency(1000, 500));
+  });
+
+  test('stays positive for a term found in every chunk', () => {
+    expect(inverseDocumentFrequency(10, 10)).toBeGreaterThan(0);
+  });
+
+  test('matches the BM25 formula', () => {
+    expect(inverseDocumentFrequency(100, 10)).toBeCloseTo(Math.log(1 + 90.5 / 10.5), 10);
+  });
+});
+
+describe('searchChunks', () => {
+  const bm25 = RETRIEVAL_METHODS.bm25;
+  const fileFind = File.find;
+  let retrieveCalls;
+
+  // Chunks of files f0..f9, best first; every second file is not visible
+  const chunks = Array.from({ length: 10 }, (_, i) => ({ file: `f${i}`, page: 1, text: `chunk ${i}`, score: 10 - i }));
+  let visible;
+
+  beforeEach(() => {
+    retrieveCalls = [];
+    visible = new Set(['f0', 'f2', 'f4', 'f6', 'f8']);
+    RETRIEVAL_METHODS.bm25 = async (terms, filter, limit) => {
+      retrieveCalls.push({ filter, limit });
+      return chunks.slice(0, limit);
+    };
+    File.find = (filter) => ({
+      select: () => ({
+        lean: async () => filter._id.$in.filter(id => visible.has(id)).map(id => ({ _id: id, title: id }))
+      })
+    });
+  });
+
+  afterEach(() => {
+    RETRIEVAL_METHODS.bm25 = bm25;
+    File.find = fileFind;
+  });
+
+  test('filters the chunks on their own category and metadata', async () => {
+    await searchChunks('entropy', { branch: 'CSE', semester: '3,4', search: 'ignored' }, { limit: 1 });
+
+    expect(retrieveCalls[0].filter).toEqual({
+      $and: [{ 'category.branch': 'CSE' }, { 'category.semester': { $in: ['3', '4'] } }]
+    });
+  });
+
+  test('leaves out chunks of materials that are not visible', async () => {
+    const results = await searchChunks('entropy', {}, { limit: 2 });
+
+    expect(results.map(result => result.file.id)).toEqual(['f0', 'f2']);
+    expect(retrieveCalls).toHaveLength(1);
+  });
+
+  test('fetches more hits while hidden materials crowd out the top ones', async () => {
+    visible = new Set(['f0', 'f9']);
+    const results = await searchChunks('entropy', {}, { limit: 2 });
+
+    expect(results.map(result => result.file.id)).toEqual(['f0', 'f9']);
+    expect(retrieveCalls.map(call => call.limit)).toEqual([6, 24]);
+  });
+
+  test('returns nothing for a query without terms', async () => {
+    expect(await searchChunks('?!', {})).toEqual([]);
+    expect(retrieveCalls).toHaveLength(0);
+  });
+});
@@ -0,0 +1,53 @@
+import { buildSnippets, parseSearchTerms } from '../utils/search.js';
+
+// Highlighted words of a snippet, as the client would render them
+const highlighted = (snippet) => snippet.highlights.map(({ start, end }) => snippet.text.slice(start, end));
+
+describe('buildSnippets', () => {
+  test('returns nothing without terms', () => {
+    expect(buildSnippets({ title: 'Thermodynamics' }, [])).toEqual([]);
+  });
+
+  test('highlights short fields whole', () => {
+    const file = { title: 'Thermodynamics notes', category: { subject: 'Physics' }, tags: ['heat', 'entropy'] };
+    const snippets = buildSnippets(file, parseSearchTerms('entropy notes'));
+
+    expect(snippets.map(snippet => snippet.field)).toEqual(['title', 'tags']);
+    expect(snippets[0]).toMatchObject({ text: 'Thermodynamics notes' });
+    expect(highlighted(snippets[0])).toEqual(['notes']);
+    expect(highlighted(snippets[1])).toEqual(['entropy']);
+  });
+
+  test('matches word starts with suffixes and plural search terms', () => {
+    const file = { extractedText: 'Database normalization removes redundancy. Abnormal forms are rare.' };
+    const [snippet] = buildSnippets(file, parseSearchTerms('normal forms'));
+
+    expect(snippet.field).toBe('content');
+    expect(highlighted(snippet)).toEqual(['normalization', 'forms']);
+  });
+
+  test('cuts a window around a match with ellipses', () => {
+    const filler = 'lorem ipsum dolor sit amet '.repeat(10);
+    const file = { extractedText: `${filler}entropy always increases ${filler}` };
+    const [snippet] = buildSnippets(file, ['entropy'], { radius: 30 });
+
+    expect(snippet.text.startsWith('… ')).toBe(true);
+    expect(snippet.text.endsWith(' …')).toBe(true);
+    expect(snippet.text.length).toBeLessThan(90);
+    expect(highlighted(snippet)).toEqual(['entropy']);
+  });
+
+  test('merges overlapping windows and caps the number of snippets', () => {
+    const filler = ' lorem ipsum dolor sit amet consectetur adipiscing elit '.repeat(5);
+    const text = ['heat heat', 'heat', 'heat', 'heat', 'heat'].join(filler);
+    const snippets = buildSnippets({ extractedText: text }, ['heat'], { radius: 20, maxSnippets: 3 });
+
+    expect(snippets).toHaveLength(3);
+    expect(highlighted(snippets[0])).toEqual(['heat', 'heat']);
+  });
+
+  test('does not treat search input as a regular expression', () => {
+    const file = { extractedText: 'C++ and C# are languages' };
+    expect(() => buildSnippets(file, ['c++', '(unclosed'])).not.toThrow();
+  });
+});
@@ -0,0 +1,99 @@
+import File from '../models/File.js';
+import { resolveSortMode, getSortSpec, findFilesByCursor, VALID_SORT_MODES } from '../services/fileQueryService.js';
+import { trendingContribution, ACTIVITY_WEIGHTS } from '../services/fileStatsService.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('resolveSortMode', () => {
+  test('defaults to newest, or relevance for searches', () => {
+    expect(resolveSortMode(undefined)).toBe('newest');
+    expect(resolveSortMode('', true)).toBe('relevance');
+  });
+
+  test('accepts every listed mode', () => {
+    ['newest', 'downloads', 'stars', 'views', 'trending'].forEach(mode => {
+      expect(resolveSortMode(mode)).toBe(mode);
+    });
+    expect(VALID_SORT_MODES).toEqual(['relevance', 'newest', 'downloads', 'stars', 'views', 'trending']);
+  });
+
+  test('relevance needs a search', () => {
+    expect(resolveSortMode('relevance', true)).toBe('relevance');
+    expect(resolveSortMode('relevance', false)).toBeNull();
+  });
+
+  test('rejects unknown modes', () => {
+    expect(resolveSortMode('oldest')).toBeNull();
+    expect(resolveSortMode('constructor')).toBeNull();
+  });
+});
+
+describe('getSortSpec', () => {
+  test('sorts by the mode field, newest _id first on ties', () => {
+    expect(getSortSpec('downloads')).toEqual({ 'stats.downloadCount': -1, _id: -1 });
+    expect(getSortSpec('trending')).toEqual({ 'stats.trendingScore': -1, _id: -1 });
+    expect(getSortSpec('newest')).toEqual({ createdAt: -1, _id: -1 });
+  });
+
+  test('sorts searches by text score', () => {
+    expect(getSortSpec('relevance')).toEqual({ score: { $meta: 'textScore' }, _id: -1 });
+  });
+});
+
+describe('findFilesByCursor', () => {
+  const find = File.find;
+  let sortSpec;
+
+  beforeEach(() => {
+    File.find = () => ({
+      sort(spec) {
+        sortSpec = spec;
+        return this;
+      },
+      limit() {
+        return this;
+      },
+      lean: async () => []
+    });
+  });
+
+  afterEach(() => {
+    File.find = find;
+  });
+
+  test('pages in the order of the sort mode', async () => {
+    const page = await findFilesByCursor({}, { token: null, limit: 10, sort: 'stars' });
+
+    expect(sortSpec).toEqual({ 'stats.starCount': -1, _id: -1 });
+    expect(page.items).toEqual([]);
+  });
+
+  test('rejects a cursor issued for another sort mode', async () => {
+    const { pagination } = await findFilesByCursor({}, { token: null, limit: 10, sort: 'newest' });
+    expect(pagination.nextCursor).toBeNull();
+
+    const token = Buffer.from(JSON.stringify({ f: 'createdAt', v: null, id: '665f1b2c3d4e5f6a7b8c9d0e' })).toString('base64url');
+    expect(await findFilesByCursor({}, { token, limit: 10, sort: 'downloads' })).toBeNull();
+  });
+});
+
+describe('trendingContribution', () => {
+  const at = Date.UTC(2025, 5, 1);
+
+  test('halves every half-life (72 hours by default)', () => {
+    const later = trendingContribution(1, at + 72 * HOUR_MS);
+    expect(later - trendingContribution(1, at)).toBeCloseTo(Math.LN2, 10);
+  });
+
+  test('a heavier activity counts more at the same time', () => {
+    expect(trendingContribution(ACTIVITY_WEIGHTS.star, at)).toBeGreaterThan(trendingContribution(ACTIVITY_WEIGHTS.download, at));
+    expect(trendingContribution(ACTIVITY_WEIGHTS.download, at) - trendingContribution(ACTIVITY_WEIGHTS.view, at))
+      .toBeCloseTo(Math.log(3), 10);
+  });
+
+  test('a recent view outweighs an old star', () => {
+    const oldStar = trendingContribution(ACTIVITY_WEIGHTS.star, at);
+    const recentView = trendingContribution(ACTIVITY_WEIGHTS.view, at + 7 * 24 * HOUR_MS);
+    expect(recentView).toBeGreaterThan(oldStar);
+  });
+});
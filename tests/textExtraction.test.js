@@ -0,0 +1,218 @@
+import { jest } from '@jest/globals';
+import AdmZip from 'adm-zip';
+import File from '../models/File.js';
+import { TextExtractionService } from '../services/textExtraction.js';
+import { PermanentJobError } from '../services/jobQueue.js';
+
+// The extraction job downloads the stored file; tests hand it a buffer instead
+let storedFile = Buffer.alloc(0);
+jest.unstable_mockModule('../services/storageService.js', () => ({
+  DOWNLOAD_URL_TTL_SECONDS: 300,
+  uploadFile: jest.fn(),
+  getSignedDownloadUrl: jest.fn(),
+  openFileStream: jest.fn(),
+  downloadFileBuffer: async () => storedFile,
+  deleteFile: jest.fn(),
+  moveFile: jest.fn(),
+  makeFilePrivate: jest.fn()
+}));
+const { runExtractionJob } = await import('../jobs/extractionJob.js');
+
+const DOCX_MIME = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+const PPTX_MIME = 'application/vnd.openxmlformats-officedocument.presentationml.presentation';
+
+const zipOf = (entries) => {
+  const zip = new AdmZip();
+  Object.entries(entries).forEach(([name, content]) => zip.addFile(name, Buffer.from(content)));
+  return zip.toBuffer();
+};
+
+// Minimal DOCX: paragraphs are [style, text] pairs, style null for body text
+const docx = (paragraphs) => {
+  const body = paragraphs.map(([style, text]) => (
+    `<w:p>${style ? `<w:pPr><w:pStyle w:val="${style}"/></w:pPr>` : ''}<w:r><w:t xml:space="preserve">${text}</w:t></w:r></w:p>`
+  )).join('');
+
+  return zipOf({
+    '[Content_Types].xml': '<?xml version="1.0"?><Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+      + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+      + '<Default Extension="xml" ContentType="application/xml"/>'
+      + '<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>'
+      + '<Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>'
+      + '</Types>',
+    '_rels/.rels': '<?xml version="1.0"?><Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+      + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>'
+      + '</Relationships>',
+    'word/_rels/document.xml.rels': '<?xml version="1.0"?><Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+      + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>'
+      + '</Relationships>',
+    'word/styles.xml': '<?xml version="1.0"?><w:styles xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">'
+      + '<w:style w:type="paragraph" w:styleId="Heading1"><w:name w:val="heading 1"/></w:style>'
+      + '<w:style w:type="paragraph" w:styleId="Heading2"><w:name w:val="heading 2"/></w:style>'
+      + '</w:styles>',
+    'word/document.xml': '<?xml version="1.0"?><w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">'
+      + `<w:body>${body}</w:body></w:document>`
+  });
+};
+
+const NS = 'xmlns:p="http://schemas.openxmlformats.org/presentationml/2006/main" '
+  + 'xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main" '
+  + 'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"';
+
+const shape = (placeholder, ...paragraphs) => `<p:sp><p:nvSpPr><p:nvPr>${placeholder ? `<p:ph type="${placeholder}"/>` : ''}</p:nvPr></p:nvSpPr>`
+  + `<p:txBody>${paragraphs.map(([text, level]) => `<a:p>${level ? `<a:pPr lvl="${level}"/>` : ''}<a:r><a:t>${text}</a:t></a:r></a:p>`).join('')}</p:txBody></p:sp>`;
+
+const slideXml = (...shapes) => `<?xml version="1.0"?><p:sld ${NS}><p:cSld><p:spTree>${shapes.join('')}</p:spTree></p:cSld></p:sld>`;
+
+// slide2.xml is listed first in the presentation, so it is the first slide
+const pptx = () => zipOf({
+  'ppt/presentation.xml': `<?xml version="1.0"?><p:presentation ${NS}><p:sldIdLst>`
+    + '<p:sldId id="256" r:id="rId3"/><p:sldId id="257" r:id="rId2"/></p:sldIdLst></p:presentation>',
+  'ppt/_rels/presentation.xml.rels': '<?xml version="1.0"?><Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+    + '<Relationship Id="rId2" Type="slide" Target="slides/slide1.xml"/>'
+    + '<Relationship Id="rId3" Type="slide" Target="slides/slide2.xml"/>'
+    + '</Relationships>',
+  'ppt/slides/slide2.xml': slideXml(
+    shape('title', ['Laws of Thermodynamics']),
+    shape('body', ['Energy is conserved'], ['Even in closed systems', 1]),
+    shape('sldNum', ['7'])
+  ),
+  'ppt/slides/_rels/slide2.xml.rels': '<?xml version="1.0"?><Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+    + '<Relationship Id="rId1" Type="notesSlide" Target="../notesSlides/notesSlide1.xml"/></Relationships>',
+  'ppt/notesSlides/notesSlide1.xml': slideXml(shape('sldImg'), shape('body', ['Mention Joule &amp; Kelvin'])),
+  'ppt/slides/slide1.xml': slideXml(
+    shape('ctrTitle', ['Summary']),
+    '<p:graphicFrame><a:graphic><a:graphicData><a:tbl>'
+      + '<a:tr><a:tc><a:txBody><a:p><a:r><a:t>Law</a:t></a:r></a:p></a:txBody></a:tc><a:tc><a:txBody><a:p><a:r><a:t>Idea</a:t></a:r></a:p></a:txBody></a:tc></a:tr>'
+      + '<a:tr><a:tc><a:txBody><a:p><a:r><a:t>Second</a:t></a:r></a:p></a:txBody></a:tc><a:tc><a:txBody><a:p><a:r><a:t>Entropy grows</a:t></a:r></a:p></a:txBody></a:tc></a:tr>'
+      + '</a:tbl></a:graphicData></a:graphic></p:graphicFrame>'
+  )
+});
+
+describe('DOCX sections', () => {
+  test('splits the document at level 1-2 headings', async () => {
+    const sections = await TextExtractionService.extractDocumentSections(docx([
+      [null, 'Preface text.'],
+      ['Heading1', 'Heat'],
+      [null, 'Heat flows from hot to cold.'],
+      ['Heading2', 'Entropy &amp; disorder'],
+      [null, 'Entropy always increases.']
+    ]), 'notes.docx', DOCX_MIME);
+
+    expect(sections.map(({ page, unit, title, source }) => ({ page, unit, title, source }))).toEqual([
+      { page: 1, unit: 'section', title: null, source: 'docx' },
+      { page: 2, unit: 'section', title: 'Heat', source: 'docx' },
+      { page: 3, unit: 'section', title: 'Entropy & disorder', source: 'docx' }
+    ]);
+    expect(sections[1].text).toBe('# Heat\n\nHeat flows from hot to cold.');
+    expect(sections[2].text).toBe('## Entropy & disorder\n\nEntropy always increases.');
+  });
+
+  test('flattens to text with section markers', async () => {
+    const text = await TextExtractionService.extractTextFromBuffer(docx([
+      ['Heading1', 'Heat'],
+      [null, 'Heat flows from hot to cold, never the other way round.']
+    ]), 'notes.docx', DOCX_MIME);
+
+    expect(text).toBe('--- Section 1: Heat ---\n# Heat\n\nHeat flows from hot to cold, never the other way round.');
+  });
+});
+
+describe('PPTX slides', () => {
+  test('reads slides in presentation order with titles, levels, tables and speaker notes', async () => {
+    const slides = await TextExtractionService.extractDocumentSections(pptx(), 'deck.pptx', PPTX_MIME);
+
+    expect(slides).toEqual([
+      {
+        page: 1,
+        unit: 'slide',
+        title: 'Laws of Thermodynamics',
+        text: 'Energy is conserved\n  Even in closed systems\n\nNotes: Mention Joule & Kelvin',
+        source: 'pptx',
+        confidence: null,
+        error: null
+      },
+      {
+        page: 2,
+        unit: 'slide',
+        title: 'Summary',
+        text: '| Law | Idea |\n| Second | Entropy grows |',
+        source: 'pptx',
+        confidence: null,
+        error: null
+      }
+    ]);
+  });
+});
+
+describe('plain text sections', () => {
+  test('splits markdown-style headings and drops a byte order mark', async () => {
+    const sections = await TextExtractionService.extractDocumentSections(
+      Buffer.from('\uFEFF# Heat\nFlows.\n# Work\nDone.'),
+      'notes.txt',
+      'text/plain'
+    );
+
+    expect(sections.map(section => [section.title, section.text])).toEqual([
+      ['Heat', '# Heat\nFlows.'],
+      ['Work', '# Work\nDone.']
+    ]);
+  });
+
+  test('cuts long sections at paragraph boundaries', async () => {
+    const paragraph = 'x'.repeat(3000);
+    const sections = await TextExtractionService.extractDocumentSections(
+      Buffer.from(`# Long\n\n${[paragraph, paragraph, paragraph, paragraph].join('\n\n')}`),
+      'notes.txt',
+      'text/plain'
+    );
+
+    expect(sections.map(section => section.title)).toEqual(['Long', 'Long (cont.)']);
+    sections.forEach(section => expect(section.text.length).toBeLessThanOrEqual(8000));
+  });
+
+  test('rejects unsupported types', async () => {
+    await expect(TextExtractionService.extractDocumentSections(Buffer.from(''), 'a.zip', 'application/zip'))
+      .rejects.toThrow('Text extraction is not supported for application/zip ("a.zip")');
+  });
+});
+
+describe('runExtractionJob', () => {
+  const { findById, findByIdAndUpdate } = File;
+  let fileUpdates;
+
+  beforeEach(() => {
+    fileUpdates = [];
+    File.findById = async (id) => ({
+      _id: id,
+      title: 'Empty notes',
+      fileName: 'empty.docx',
+      fileType: DOCX_MIME,
+      metadata: { documentType: 'typed', ocrLanguages: ['eng'] }
+    });
+    File.findByIdAndUpdate = async (id, update) => {
+      fileUpdates.push(update);
+    };
+  });
+
+  afterEach(() => {
+    File.findById = findById;
+    File.findByIdAndUpdate = findByIdAndUpdate;
+  });
+
+  test('a typed document without text fails for good instead of being retried', async () => {
+    storedFile = docx([]);
+    const job = { payload: { fileId: 'file-1' } };
+
+    await expect(runExtractionJob(job, { reportProgress: async () => {}, isFinalAttempt: false }))
+      .rejects.toBeInstanceOf(PermanentJobError);
+    expect(fileUpdates).toEqual([{ extractionStatus: 'failed', extractionError: 'No pages could be extracted' }]);
+  });
+
+  test('a missing file fails for good', async () => {
+    File.findById = async () => null;
+
+    await expect(runExtractionJob({ payload: { fileId: 'gone' } }, { reportProgress: async () => {} }))
+      .rejects.toThrow('File gone not found');
+  });
+});
@@ -0,0 +1,161 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import File from '../models/File.js';
+import { getPurgeDate, SOFT_DELETE_RETENTION_DAYS } from '../utils/softDelete.js';
+
+// Purging deletes stored objects; tests record them instead
+const deletedObjects = [];
+let failDelete = false;
+jest.unstable_mockModule('../services/storageService.js', () => ({
+  DOWNLOAD_URL_TTL_SECONDS: 300,
+  uploadFile: jest.fn(),
+  getSignedDownloadUrl: jest.fn(),
+  openFileStream: jest.fn(),
+  downloadFileBuffer: jest.fn(),
+  deleteFile: async (publicId, provider, options) => {
+    if (failDelete) throw new Error('storage unavailable');
+    deletedObjects.push({ publicId, provider, ...options });
+  },
+  moveFile: jest.fn(),
+  makeFilePrivate: jest.fn()
+}));
+const { getStoredObjects, purgeRejectedStorage } = await import('../services/trashService.js');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const material = (fields = {}) => {
+  const file = new File({
+    title: 'Heat notes',
+    fileName: 'heat.pdf',
+    fileUrl: 'r2://bucket/heat.pdf',
+    fileType: 'application/pdf',
+    fileSize: 1000,
+    uploadedBy: 'owner-uid',
+    category: { type: 'Notes' },
+    storage: { provider: 'r2', publicId: 'notes/heat-v2.pdf', access: 'private' },
+    ...fields
+  });
+  // Keep documents in memory
+  file.save = async function () {
+    return this;
+  };
+  return file;
+};
+
+describe('soft delete and restore', () => {
+  test('a deleted material stays restorable for the retention period', async () => {
+    const file = material();
+    await file.softDelete('owner-uid');
+
+    expect(file.deletedBy).toBe('owner-uid');
+    expect(file.purgeAfter.getTime() - file.deletedAt.getTime()).toBe(SOFT_DELETE_RETENTION_DAYS * DAY_MS);
+  });
+
+  test('restoring clears the purge date', async () => {
+    const file = material();
+    await file.softDelete('owner-uid');
+    await file.restore();
+
+    expect([file.deletedAt, file.deletedBy, file.purgeAfter]).toEqual([null, null, null]);
+  });
+
+  test('a restored rejected material gets its rejection purge date back', async () => {
+    const verifiedAt = new Date(Date.now() - 5 * DAY_MS);
+    const file = material({ verification: { status: 'rejected', verifiedAt } });
+    await file.softDelete('owner-uid');
+    await file.restore();
+
+    expect(file.purgeAfter).toEqual(getPurgeDate(verifiedAt));
+  });
+
+  test('a rejected material whose file is already gone has nothing left to purge', async () => {
+    const file = material({ verification: { status: 'rejected', verifiedAt: new Date() } });
+    file.storage.purgedAt = new Date();
+    await file.softDelete('owner-uid');
+    await file.restore();
+
+    expect(file.purgeAfter).toBeNull();
+  });
+});
+
+describe('getStoredObjects', () => {
+  test('lists the current file and every earlier version once', () => {
+    const objects = getStoredObjects({
+      storage: { provider: 'r2', publicId: 'notes/heat-v2.pdf', access: 'private' },
+      versions: [
+        { storage: { provider: 'cloudinary', publicId: 'notes/heat-v1', access: 'public' } },
+        { storage: { provider: 'r2', publicId: 'notes/heat-v2.pdf', access: 'private' } },
+        { storage: null }
+      ]
+    });
+
+    expect(objects).toEqual([
+      { publicId: 'notes/heat-v2.pdf', provider: 'r2', access: 'private' },
+      { publicId: 'notes/heat-v1', provider: 'cloudinary', access: 'public' }
+    ]);
+  });
+});
+
+describe('purgeRejectedStorage', () => {
+  const { findOneAndUpdate, updateOne } = File;
+  const now = new Date();
+  const file = { _id: new mongoose.Types.ObjectId() };
+  let claimed;
+  let claimFilter;
+  let rollbacks;
+
+  beforeEach(() => {
+    deletedObjects.length = 0;
+    failDelete = false;
+    rollbacks = [];
+    claimed = {
+      _id: file._id,
+      purgeAfter: new Date(now.getTime() - DAY_MS),
+      storage: { provider: 'r2', publicId: 'notes/heat-v2.pdf', access: 'private' },
+      versions: [{ storage: { provider: 'r2', publicId: 'notes/heat-v1.pdf', access: 'private' } }]
+    };
+    File.findOneAndUpdate = (filter) => {
+      claimFilter = filter;
+      return { select: async () => claimed };
+    };
+    File.updateOne = async (filter, update) => {
+      rollbacks.push({ filter, update });
+    };
+  });
+
+  afterEach(() => {
+    File.findOneAndUpdate = findOneAndUpdate;
+    File.updateOne = updateOne;
+  });
+
+  test('claims the material, then deletes every stored version', async () => {
+    expect(await purgeRejectedStorage(file, now)).toBe(true);
+
+    expect(claimFilter).toEqual({
+      _id: file._id,
+      deletedAt: null,
+      'verification.status': 'rejected',
+      'storage.purgedAt': null,
+      purgeAfter: { $lte: now }
+    });
+    expect(deletedObjects.map(object => object.publicId)).toEqual(['notes/heat-v2.pdf', 'notes/heat-v1.pdf']);
+    expect(rollbacks).toEqual([]);
+  });
+
+  test('keeps the storage of a material verified or restored since it was listed', async () => {
+    claimed = null;
+
+    expect(await purgeRejectedStorage(file, now)).toBe(false);
+    expect(deletedObjects).toEqual([]);
+  });
+
+  test('hands the material back to the next run when storage fails', async () => {
+    failDelete = true;
+
+    await expect(purgeRejectedStorage(file, now)).rejects.toThrow('storage unavailable');
+    expect(rollbacks).toEqual([{
+      filter: { _id: file._id, 'storage.purgedAt': now },
+      update: { $set: { 'storage.purgedAt': null, purgeAfter: claimed.purgeAfter } }
+    }]);
+  });
+});
@@ -0,0 +1,184 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import mongoose from 'mongoose';
+import UploadSession from '../models/UploadSession.js';
+import {
+  expectedPartSize,
+  getMissingParts,
+  writeUploadPart,
+  completeUploadSession,
+  toUploadedFile,
+  removeUploadSession
+} from '../services/uploadSessionService.js';
+
+const MB = 1024 * 1024;
+const session = (size, fields = {}) => ({
+  size,
+  chunkSize: 5 * MB,
+  totalParts: Math.ceil(size / (5 * MB)),
+  receivedParts: [],
+  ...fields
+});
+
+describe('expectedPartSize', () => {
+  test('every part but the last is a full chunk', () => {
+    const upload = session(12 * MB);
+
+    expect(upload.totalParts).toBe(3);
+    expect(expectedPartSize(upload, 1)).toBe(5 * MB);
+    expect(expectedPartSize(upload, 2)).toBe(5 * MB);
+    expect(expectedPartSize(upload, 3)).toBe(2 * MB);
+  });
+
+  test('the last part is a full chunk when the size divides evenly', () => {
+    expect(expectedPartSize(session(10 * MB), 2)).toBe(5 * MB);
+  });
+
+  test('a single-part upload is the whole file', () => {
+    expect(expectedPartSize(session(1234), 1)).toBe(1234);
+  });
+});
+
+describe('getMissingParts', () => {
+  test('lists every part of a new upload', () => {
+    expect(getMissingParts(session(12 * MB))).toEqual([1, 2, 3]);
+  });
+
+  test('lists the parts not received yet, in order, whatever order they arrived in', () => {
+    expect(getMissingParts(session(26 * MB, { receivedParts: [4, 1, 6] }))).toEqual([2, 3, 5]);
+  });
+
+  test('is empty once every part arrived', () => {
+    expect(getMissingParts(session(12 * MB, { receivedParts: [3, 2, 1, 2] }))).toEqual([]);
+  });
+});
+
+describe('completing a resumable upload', () => {
+  const originals = {
+    findOneAndUpdate: UploadSession.findOneAndUpdate,
+    findByIdAndUpdate: UploadSession.findByIdAndUpdate,
+    findById: UploadSession.findById,
+    updateOne: UploadSession.updateOne,
+    deleteOne: UploadSession.deleteOne
+  };
+  const content = Buffer.from('Heat flows from hot to cold.');
+  let stored;
+  let tempFiles;
+
+  const matchesOne = ({ status, updatedAt }) => (!status || status === stored.status)
+    && (!updatedAt || stored.updatedAt <= updatedAt.$lte);
+  const matches = (filter) => (filter.$or ? filter.$or.some(matchesOne) : matchesOne(filter));
+
+  const apply = (update) => {
+    Object.assign(stored, update.$set);
+    if (update.$addToSet) {
+      stored.receivedParts = [...new Set([...stored.receivedParts, update.$addToSet.receivedParts])];
+    }
+    return { ...stored };
+  };
+
+  beforeEach(() => {
+    tempFiles = [];
+    stored = {
+      _id: new mongoose.Types.ObjectId(),
+      fileName: 'heat.txt',
+      mimeType: 'text/plain',
+      size: content.length,
+      chunkSize: 10,
+      totalParts: 3,
+      receivedParts: [],
+      sha256: crypto.createHash('sha256').update(content).digest('hex'),
+      status: 'uploading'
+    };
+
+    // A single session held in memory; conditional updates only apply when the filter matches
+    UploadSession.findOneAndUpdate = async (filter, update) => (matches(filter) ? apply(update) : null);
+    UploadSession.findByIdAndUpdate = async (id, update) => apply(update);
+    UploadSession.findById = async () => ({ ...stored });
+    UploadSession.updateOne = async (filter, update) => {
+      if (matches(filter)) apply(update);
+    };
+    UploadSession.deleteOne = async () => {};
+  });
+
+  afterEach(async () => {
+    await removeUploadSession(stored);
+    await Promise.all(tempFiles.map(file => fs.promises.rm(file, { force: true })));
+    Object.assign(UploadSession, originals);
+  });
+
+  const uploadParts = async (data = content) => {
+    for (const partNumber of [3, 1, 2]) {
+      const start = (partNumber - 1) * 10;
+      const { error } = await writeUploadPart({ ...stored }, partNumber, data.subarray(start, start + 10));
+      expect(error).toBeUndefined();
+    }
+  };
+
+  test('assembles the parts in order once all arrived', async () => {
+    await uploadParts();
+
+    const { session: completed } = await completeUploadSession({ ...stored });
+    expect(completed.status).toBe('completed');
+    expect(await fs.promises.readFile(completed.assembledPath)).toEqual(content);
+
+    const file = await toUploadedFile(completed);
+    tempFiles.push(file.path);
+    expect(file).toMatchObject({ originalname: 'heat.txt', mimetype: 'text/plain', size: content.length });
+  });
+
+  test('lists the parts still missing', async () => {
+    await writeUploadPart({ ...stored }, 2, content.subarray(10, 20));
+
+    expect(await completeUploadSession({ ...stored })).toEqual({
+      error: '2 part(s) are still missing',
+      status: 409,
+      missingParts: [1, 3]
+    });
+  });
+
+  test('rejects parts of the wrong size', async () => {
+    expect(await writeUploadPart({ ...stored }, 3, content.subarray(0, 10))).toEqual({
+      error: 'Part 3 must be 8 bytes (got 10)',
+      status: 400
+    });
+  });
+
+  test('drops the parts when the assembled file fails the checksum', async () => {
+    await uploadParts(Buffer.from('Heat flows from cold to hot.'));
+
+    const result = await completeUploadSession({ ...stored });
+    expect(result).toMatchObject({ status: 422, missingParts: [1, 2, 3] });
+    expect(stored.status).toBe('uploading');
+  });
+
+  test('a second complete waits for the first instead of assembling again', async () => {
+    await uploadParts();
+    stored.status = 'assembling';
+    stored.updatedAt = new Date();
+
+    expect(await completeUploadSession({ ...stored, status: 'uploading' })).toEqual({
+      error: 'This upload is already being assembled',
+      status: 409,
+      missingParts: []
+    });
+    expect(await writeUploadPart({ ...stored, status: 'uploading' }, 1, content.subarray(0, 10))).toMatchObject({ status: 409 });
+  });
+
+  test('an assembly left behind by a crashed request is taken over', async () => {
+    await uploadParts();
+    stored.status = 'assembling';
+    stored.updatedAt = new Date(Date.now() - 60 * 60 * 1000);
+
+    const { session: completed } = await completeUploadSession({ ...stored, status: 'uploading' });
+    expect(completed.status).toBe('completed');
+  });
+
+  test('a complete that lost the race to a finished one returns the finished upload', async () => {
+    await uploadParts();
+    const first = await completeUploadSession({ ...stored });
+
+    const second = await completeUploadSession({ ...stored, status: 'uploading' });
+    expect(second.session).toMatchObject({ status: 'completed', assembledPath: first.session.assembledPath });
+  });
+});
@@ -0,0 +1,116 @@
+import File from '../models/File.js';
+import { getFileVersions } from '../controllers/fileController.js';
+
+const owner = { uid: 'owner-uid', email: 'owner@example.com' };
+const student = { uid: 'student-uid', email: 'student@example.com' };
+
+const mockResponse = () => {
+  const res = { statusCode: 200, body: null };
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (body) => {
+    res.body = body;
+    return res;
+  };
+  return res;
+};
+
+const version = (number, fields = {}) => ({
+  version: number,
+  fileName: `heat-v${number}.pdf`,
+  fileUrl: `r2://bucket/notes/heat-v${number}.pdf`,
+  fileType: 'application/pdf',
+  fileSize: 1000 * number,
+  contentHash: `hash-${number}`,
+  storage: { provider: 'r2', publicId: `notes/heat-v${number}.pdf`, access: 'private' },
+  uploadedBy: owner.uid,
+  uploadedAt: new Date(Date.UTC(2025, 0, number)),
+  ...fields
+});
+
+const material = (fields = {}) => new File({
+  title: 'Heat notes',
+  fileName: 'heat-v2.pdf',
+  fileUrl: 'r2://bucket/notes/heat-v2.pdf',
+  fileType: 'application/pdf',
+  fileSize: 2000,
+  contentHash: 'hash-2',
+  uploadedBy: owner.uid,
+  category: { type: 'notes', branch: 'CSE', semester: '3', subject: 'Physics' },
+  storage: { provider: 'r2', publicId: 'notes/heat-v2.pdf', access: 'private' },
+  verification: { status: 'verified' },
+  version: 2,
+  versions: [version(1, { changelog: 'First upload' }), version(2, { changelog: 'Fixed page 3' })],
+  ...fields
+});
+
+describe('getFileVersions', () => {
+  const findById = File.findById;
+  let file;
+
+  beforeEach(() => {
+    file = material();
+    File.findById = () => ({
+      select() {
+        return this;
+      },
+      then: (resolve) => resolve(file)
+    });
+  });
+
+  afterEach(() => {
+    File.findById = findById;
+  });
+
+  const getVersions = async (user) => {
+    const res = mockResponse();
+    await getFileVersions({ params: { fileId: String(file._id) }, user }, res);
+    return res;
+  };
+
+  test('lists versions newest first and marks the current one', async () => {
+    const { body } = await getVersions(student);
+
+    expect(body.data.currentVersion).toBe(2);
+    expect(body.data.versions.map(entry => [entry.version, entry.current, entry.changelog])).toEqual([
+      [2, true, 'Fixed page 3'],
+      [1, false, 'First upload']
+    ]);
+  });
+
+  test('shows storage details to the uploader only', async () => {
+    const [latest] = (await getVersions(owner)).body.data.versions;
+    expect(latest.storage).toMatchObject({ provider: 'r2', publicId: 'notes/heat-v2.pdf' });
+    expect(latest.contentHash).toBe('hash-2');
+
+    const [shown] = (await getVersions(student)).body.data.versions;
+    expect(shown).not.toHaveProperty('storage');
+    expect(shown).not.toHaveProperty('contentHash');
+  });
+
+  test('never sends the stored file location or the uploader of a version', async () => {
+    const { body } = await getVersions(owner);
+
+    body.data.versions.forEach(entry => {
+      expect(entry).not.toHaveProperty('fileUrl');
+      expect(entry).not.toHaveProperty('uploadedBy');
+    });
+  });
+
+  test('describes a material from before versioning as version 1', async () => {
+    file = material({ version: undefined, versions: [] });
+    const { body } = await getVersions(owner);
+
+    expect(body.data.versions).toHaveLength(1);
+    expect(body.data.versions[0]).toMatchObject({ version: 1, current: true, fileName: 'heat-v2.pdf', contentHash: 'hash-2' });
+  });
+
+  test('hides the history of unverified materials from other students', async () => {
+    file = material({ verification: { status: 'pending' } });
+
+    expect((await getVersions(student)).statusCode).toBe(404);
+    expect((await getVersions(owner)).statusCode).toBe(200);
+  });
+});
@@ -0,0 +1,69 @@
+// Split extracted pages into overlapping chunks for retrieval and LLM context.
+// Chunks never span pages, so every chunk can be cited by its page number.
+
+export const DEFAULT_CHUNK_SIZE = 1200; // characters
+export const DEFAULT_CHUNK_OVERLAP = 200;
+
+/**
+ * Split text into chunks of about `size` characters, breaking at paragraph,
+ * sentence or word boundaries, with `overlap` characters repeated between chunks.
+ * @param {string} text
+ * @param {Object} options - { size, overlap }
+ * @returns {string[]}
+ */
+export const chunkText = (text, { size = DEFAULT_CHUNK_SIZE, overlap = DEFAULT_CHUNK_OVERLAP } = {}) => {
+  const chunks = [];
+  let start = 0;
+
+  while (start < text.length) {
+    let end = Math.min(start + size, text.length);
+
+    if (end < text.length) {
+      // Look for the last natural break in the second half of the chunk
+      const searchFrom = start + Math.floor(size / 2);
+      const window = text.slice(searchFrom, end);
+      const breaks = [window.lastIndexOf('\n\n'), window.lastIndexOf('. '), window.lastIndexOf('\n'), window.lastIndexOf(' ')];
+      const breakAt = breaks.find(index => index > -1);
+      if (breakAt !== undefined) end = searchFrom + breakAt + 1;
+    }
+
+    const chunk = text.slice(start, end).trim();
+    if (chunk) chunks.push(chunk);
+    if (end >= text.length) break;
+
+    // Start the next chunk `overlap` characters back, at a word boundary
+    let next = Math.max(end - overlap, start + 1);
+    const space = text.indexOf(' ', next);
+    if (space > -1 && space < end) next = space + 1;
+    start = next;
+  }
+
+  return chunks;
+};
+
+/**
+ * Chunk every page of a document.
+ * @param {Array} pages - [{ page, unit, title, text }]
+ * @param {Object} options - { size, overlap }
+ * @returns {Array<{ index, page, unit, title, part, text }>} index is the position in the document
+ */
+export const chunkPages = (pages, options = {}) => pages
+  .filter(page => page.text && page.text.trim())
+  .flatMap(page => chunkText(page.text, options).map((text, part) => ({
+    page: page.page,
+    unit: page.unit || 'page',
+    title: page.title || null,
+    part,
+    text
+  })))
+  .map((chunk, index) => ({ index, ...chunk }));
+
+/**
+ * How a chunk is cited in prompts and answers: "p. 3", "slide 2" or "section 4".
+ * @param {Object} chunk - { page, unit }
+ */
+export const citationLabel = (chunk) => {
+  if (chunk.unit === 'slide') return `slide ${chunk.page}`;
+  if (chunk.unit === 'section') return `section ${chunk.page}`;
+  return `p. ${chunk.page}`;
+};
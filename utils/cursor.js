@@ -0,0 +1,105 @@
+// Opaque cursor tokens for keyset (cursor-based) pagination
+// A cursor remembers the sort key value and _id of the last item on a page,
+// so the next page starts right after it even if new documents arrive mid-scroll.
+import mongoose from 'mongoose';
+
+const MAX_LIMIT = 100;
+
+// Read a nested value such as 'stats.downloadCount'
+const getPath = (doc, path) => path.split('.').reduce((value, key) => value?.[key], doc);
+
+/**
+ * Encode the position of a document as an opaque token.
+ * @param {Object} doc - Last document of the current page
+ * @param {string} field - Active sort key (e.g. 'createdAt')
+ * @returns {string} base64url token
+ */
+export const encodeCursor = (doc, field) => {
+  const value = getPath(doc, field);
+  const payload = {
+    f: field,
+    v: value instanceof Date ? value.toISOString() : value ?? null,
+    d: value instanceof Date ? 1 : 0,
+    id: String(doc._id)
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+/**
+ * Decode a cursor token.
+ * @param {string} token
+ * @param {string} field - Sort key the cursor must have been issued for
+ * @returns {{ field: string, value: *, id: mongoose.Types.ObjectId } | null} null when invalid
+ */
+export const decodeCursor = (token, field) => {
+  try {
+    const payload = JSON.parse(Buffer.from(String(token), 'base64url').toString('utf-8'));
+
+    if (payload.f !== field || !mongoose.Types.ObjectId.isValid(payload.id)) return null;
+
+    return {
+      field,
+      value: payload.d ? new Date(payload.v) : payload.v,
+      id: new mongoose.Types.ObjectId(payload.id)
+    };
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Filter selecting the documents that come after the cursor.
+ * Ties on the sort key are broken by _id in the same direction.
+ * @param {Object} cursor - From decodeCursor
+ * @param {number} direction - -1 (descending) or 1 (ascending)
+ */
+export const buildCursorFilter = (cursor, direction = -1) => {
+  const op = direction === -1 ? '$lt' : '$gt';
+  const clauses = [
+    { [cursor.field]: { [op]: cursor.value } },
+    { [cursor.field]: cursor.value, _id: { [op]: cursor.id } }
+  ];
+
+  // Missing values sort last in descending order but never match $lt
+  if (direction === -1 && cursor.value !== null) {
+    clauses.push({ [cursor.field]: null });
+  }
+
+  return { $or: clauses };
+};
+
+/**
+ * Work out whether a listing request asked for cursor pagination.
+ * Clients opt in with `?pagination=cursor` on the first page and then
+ * pass back `?cursor=<nextCursor>`.
+ * @param {Object} query - req.query
+ * @returns {{ enabled: boolean, token: string|null, limit: number }}
+ */
+export const parseCursorQuery = (query) => {
+  const enabled = query.pagination === 'cursor' || Boolean(query.cursor);
+  const limit = Math.min(Math.max(parseInt(query.limit) || 20, 1), MAX_LIMIT);
+  return { enabled, token: query.cursor || null, limit };
+};
+
+/**
+ * Trim the extra lookahead row and build the pagination payload.
+ * Queries should fetch `limit + 1` rows so hasNext needs no count query.
+ * @param {Array} rows - Query results (limit + 1 rows at most)
+ * @param {number} limit
+ * @param {string} field - Active sort key
+ */
+export const buildCursorPage = (rows, limit, field) => {
+  const hasNext = rows.length > limit;
+  const items = hasNext ? rows.slice(0, limit) : rows;
+
+  return {
+    items,
+    pagination: {
+      mode: 'cursor',
+      limit,
+      count: items.length,
+      hasNext,
+      nextCursor: hasNext ? encodeCursor(items[items.length - 1], field) : null
+    }
+  };
+};
@@ -0,0 +1,87 @@
+import zlib from 'zlib';
+
+// Helpers for per-page extraction results ({ page, unit, title, text, source, confidence, error })
+
+// Page texts longer than this are stored gzipped (see packPageText)
+const COMPRESS_THRESHOLD = 2048;
+
+const UNIT_LABELS = {
+  page: 'Page',
+  slide: 'Slide',
+  section: 'Section'
+};
+
+/**
+ * Flatten pages into one text with "--- Page N ---" (or "--- Slide N: Title ---") markers.
+ * Used for File.extractedText (search index + chatbot context); failed pages are left out.
+ * @param {Array} pages
+ * @returns {string}
+ */
+export const pagesToText = (pages) => pages
+  .filter(page => page.text)
+  .map(page => {
+    const label = `${UNIT_LABELS[page.unit] || UNIT_LABELS.page} ${page.page}${page.title ? `: ${page.title}` : ''}`;
+    return `--- ${label} ---\n${page.text}`;
+  })
+  .join('\n\n');
+
+const MARKER_UNITS = Object.fromEntries(Object.entries(UNIT_LABELS).map(([unit, label]) => [label, unit]));
+
+/**
+ * Split text produced by pagesToText back into pages.
+ * Text without markers becomes a single page.
+ * @param {string} text
+ * @returns {Array<{ page, unit, title, text }>}
+ */
+export const parseFlattenedText = (text) => {
+  if (!text) return [];
+
+  const markers = [...text.matchAll(/^--- (Page|Slide|Section) (\d+)(?:: (.*))? ---$/gm)];
+  if (markers.length === 0) {
+    return [{ page: 1, unit: 'page', title: null, text: text.trim() }];
+  }
+
+  return markers.map((marker, i) => {
+    const end = i + 1 < markers.length ? markers[i + 1].index : text.length;
+    return {
+      page: Number(marker[2]),
+      unit: MARKER_UNITS[marker[1]],
+      title: marker[3] || null,
+      text: text.slice(marker.index + marker[0].length, end).trim()
+    };
+  });
+};
+
+/**
+ * Whether any page produced a meaningful amount of text.
+ * @param {Array} pages
+ * @param {number} minLength - Minimum characters across all pages
+ */
+export const hasReadableText = (pages, minLength = 10) =>
+  pages.reduce((total, page) => total + (page.text || '').trim().length, 0) >= minLength;
+
+/**
+ * Storage fields for a page's text: short texts stay plain, long ones are gzipped.
+ * @param {string} text
+ * @returns {{ text: string, textCompressed: Buffer|null, textLength: number }}
+ */
+export const packPageText = (text = '') => {
+  if (Buffer.byteLength(text) <= COMPRESS_THRESHOLD) {
+    return { text, textCompressed: null, textLength: text.length };
+  }
+  return { text: '', textCompressed: zlib.gzipSync(text), textLength: text.length };
+};
+
+/**
+ * Read the text of a stored page (ExtractionPage document or lean object).
+ * @returns {string}
+ */
+export const unpackPageText = (page) => {
+  const raw = page.textCompressed;
+  // Documents hold a Buffer, lean queries a BSON Binary
+  const compressed = !raw ? null : Buffer.isBuffer(raw) ? raw : Buffer.from(raw.buffer ?? raw);
+  if (compressed && compressed.length) {
+    return zlib.gunzipSync(compressed).toString('utf-8');
+  }
+  return page.text || '';
+};
@@ -0,0 +1,88 @@
+// MinHash signatures + LSH bands for near-duplicate detection over extracted text.
+// Two texts' signatures agree in about as many positions as the Jaccard similarity
+// of their word shingles; LSH bands let MongoDB find candidates with an index lookup.
+import { tokenize } from './search.js';
+
+export const SHINGLE_SIZE = 5; // words per shingle
+export const NUM_HASHES = 100;
+export const LSH_BANDS = 20; // 20 bands × 5 rows: pairs above ~0.55 similarity usually share a band
+const ROWS_PER_BAND = NUM_HASHES / LSH_BANDS;
+
+// 32-bit FNV-1a
+const hashString = (value) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+// Murmur3 finalizer: spreads the bits of a 32-bit value
+const mix = (value) => {
+  let h = value;
+  h ^= h >>> 16;
+  h = Math.imul(h, 0x85ebca6b);
+  h ^= h >>> 13;
+  h = Math.imul(h, 0xc2b2ae35);
+  h ^= h >>> 16;
+  return h >>> 0;
+};
+
+// Fixed seeds: stored signatures must stay comparable across restarts
+const SEEDS = Array.from({ length: NUM_HASHES }, (_, i) => mix(0x9e3779b9 + i));
+
+/**
+ * Hashed word shingles of a text.
+ * @param {string} text
+ * @returns {Set<number>}
+ */
+export const shingle = (text, size = SHINGLE_SIZE) => {
+  const tokens = tokenize(text);
+  const shingles = new Set();
+  for (let i = 0; i + size <= tokens.length; i++) {
+    shingles.add(hashString(tokens.slice(i, i + size).join(' ')));
+  }
+  return shingles;
+};
+
+/**
+ * MinHash signature of a text.
+ * @param {string} text
+ * @returns {number[]|null} NUM_HASHES values, or null when the text is too short to compare
+ */
+export const computeMinHash = (text) => {
+  const shingles = shingle(text);
+  if (shingles.size === 0) return null;
+
+  const signature = new Array(NUM_HASHES).fill(0xffffffff);
+  for (const value of shingles) {
+    for (let i = 0; i < NUM_HASHES; i++) {
+      const hash = mix(value ^ SEEDS[i]);
+      if (hash < signature[i]) signature[i] = hash;
+    }
+  }
+  return signature;
+};
+
+/**
+ * LSH band keys of a signature ("<band>:<hash>"); similar texts share at least one.
+ * @param {number[]} signature
+ * @returns {string[]}
+ */
+export const lshBands = (signature) => Array.from({ length: LSH_BANDS }, (_, band) => {
+  const rows = signature.slice(band * ROWS_PER_BAND, (band + 1) * ROWS_PER_BAND);
+  return `${band}:${hashString(rows.join(',')).toString(36)}`;
+});
+
+/**
+ * Estimated Jaccard similarity of two signatures (0-1).
+ */
+export const estimateSimilarity = (a, b) => {
+  if (!a || !b || a.length !== b.length) return 0;
+  let same = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] === b[i]) same++;
+  }
+  return same / a.length;
+};
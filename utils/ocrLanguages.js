@@ -0,0 +1,53 @@
+// Languages uploaders can pick for OCR of their notes.
+// Codes are Tesseract's (ISO 639-2); `latin` marks scripts OCR.space's default engine can read.
+export const OCR_LANGUAGES = {
+  eng: { name: 'English', latin: true },
+  hin: { name: 'Hindi', latin: false },
+  mar: { name: 'Marathi', latin: false },
+  ben: { name: 'Bengali', latin: false },
+  guj: { name: 'Gujarati', latin: false },
+  pan: { name: 'Punjabi', latin: false },
+  tam: { name: 'Tamil', latin: false },
+  tel: { name: 'Telugu', latin: false },
+  kan: { name: 'Kannada', latin: false },
+  mal: { name: 'Malayalam', latin: false },
+  urd: { name: 'Urdu', latin: false }
+};
+
+export const MAX_OCR_LANGUAGES = 3;
+
+/**
+ * Parse a language selection from a request.
+ * Accepts an array or a comma separated string ("hin,eng").
+ * @returns {{ languages: string[], invalid: string[] }}
+ */
+export const parseOcrLanguages = (input) => {
+  const values = (Array.isArray(input) ? input : String(input ?? '').split(','))
+    .map(value => String(value).trim().toLowerCase())
+    .filter(Boolean);
+
+  const languages = [...new Set(values)];
+  return {
+    languages: languages.filter(code => Object.hasOwn(OCR_LANGUAGES, code)),
+    invalid: languages.filter(code => !Object.hasOwn(OCR_LANGUAGES, code))
+  };
+};
+
+/**
+ * Validation message for a parsed selection, or null when it is valid.
+ */
+export const validateOcrLanguages = ({ languages, invalid }) => {
+  if (invalid.length > 0) {
+    return `Unsupported OCR language(s): ${invalid.join(', ')}. Supported: ${Object.keys(OCR_LANGUAGES).join(', ')}`;
+  }
+  if (languages.length > MAX_OCR_LANGUAGES) {
+    return `Choose at most ${MAX_OCR_LANGUAGES} OCR languages`;
+  }
+  return null;
+};
+
+// Used when neither the file nor its college has a preference
+export const DEFAULT_OCR_LANGUAGES = (() => {
+  const { languages } = parseOcrLanguages(process.env.OCR_DEFAULT_LANGUAGES || 'eng');
+  return languages.length ? languages : ['eng'];
+})();
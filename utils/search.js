@@ -0,0 +1,136 @@
+// Helpers for full-text search over materials (query parsing + highlighted snippets)
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'is',
+  'it', 'of', 'on', 'or', 'the', 'to', 'was', 'what', 'with'
+]);
+
+// Escape user input before it is used inside a RegExp
+export const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Split a search string into lowercase terms.
+ * Stop words are dropped (MongoDB's text index ignores them too).
+ * @param {string} search - Raw search string from the query
+ * @returns {string[]} Unique search terms
+ */
+export const parseSearchTerms = (search) => {
+  if (!search) return [];
+
+  const terms = String(search)
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(term => term.length > 1 && !STOP_WORDS.has(term));
+
+  return [...new Set(terms)];
+};
+
+// Crude stemming so "forms" also highlights "form" (the text index stems too)
+const stemTerm = (term) => (term.length > 4 && term.endsWith('s') ? term.slice(0, -1) : term);
+
+/**
+ * Split text into stemmed lowercase tokens, keeping duplicates (for term-frequency scoring).
+ * @param {string} text
+ * @returns {string[]}
+ */
+export const tokenize = (text) => String(text || '')
+  .toLowerCase()
+  .split(/[^\p{L}\p{N}]+/u)
+  .filter(term => term.length > 1 && !STOP_WORDS.has(term))
+  .map(stemTerm);
+
+// Matches each term at a word start, allowing suffixes ("normal" → "normalization")
+const buildTermRegex = (terms) => new RegExp(
+  `(?<![\\p{L}\\p{N}])(?:${terms.map(stemTerm).map(escapeRegex).join('|')})[\\p{L}\\p{N}]*`,
+  'giu'
+);
+
+const findMatches = (text, regex) => {
+  const matches = [];
+  if (!text) return matches;
+
+  regex.lastIndex = 0;
+  let match;
+  while ((match = regex.exec(text)) !== null) {
+    matches.push({ start: match.index, end: match.index + match[0].length });
+  }
+  return matches;
+};
+
+// Cut a window of `radius` chars around a match, snapping to whitespace
+const buildWindow = (text, match, radius) => {
+  let start = Math.max(0, match.start - radius);
+  let end = Math.min(text.length, match.end + radius);
+
+  if (start > 0) {
+    const space = text.indexOf(' ', start);
+    if (space !== -1 && space < match.start) start = space + 1;
+  }
+  if (end < text.length) {
+    const space = text.lastIndexOf(' ', end);
+    if (space > match.end) end = space;
+  }
+  return { start, end };
+};
+
+/**
+ * Build highlighted snippets showing where a file matched the search.
+ * Highlights are returned as character offsets into `text` so the client
+ * decides how to render them (no HTML is injected into user content).
+ * @param {Object} file - Lean file document (must include extractedText)
+ * @param {string[]} terms - Terms from parseSearchTerms
+ * @param {Object} options - { maxSnippets, radius }
+ * @returns {Array<{field: string, text: string, highlights: Array<{start: number, end: number}>}>}
+ */
+export const buildSnippets = (file, terms, { maxSnippets = 3, radius = 80 } = {}) => {
+  if (!terms.length) return [];
+
+  const regex = buildTermRegex(terms);
+  const snippets = [];
+
+  // Short fields are returned whole
+  const shortFields = [
+    ['title', file.title],
+    ['subject', file.category?.subject],
+    ['tags', (file.tags || []).join(', ')]
+  ];
+
+  shortFields.forEach(([field, value]) => {
+    const highlights = findMatches(value, regex);
+    if (highlights.length > 0) {
+      snippets.push({ field, text: value, highlights });
+    }
+  });
+
+  // Document body: one window per match, merged when they overlap
+  const body = (file.extractedText || '').replace(/\s+/g, ' ');
+  const bodyMatches = findMatches(body, regex);
+  const windows = [];
+
+  for (const match of bodyMatches) {
+    const window = buildWindow(body, match, radius);
+    const previous = windows[windows.length - 1];
+
+    if (previous && window.start <= previous.end) {
+      previous.end = Math.max(previous.end, window.end);
+      previous.matches.push(match);
+    } else {
+      if (windows.length === maxSnippets) break;
+      windows.push({ ...window, matches: [match] });
+    }
+  }
+
+  windows.forEach(({ start, end, matches }) => {
+    const prefix = start > 0 ? '… ' : '';
+    const suffix = end < body.length ? ' …' : '';
+    snippets.push({
+      field: 'content',
+      text: `${prefix}${body.slice(start, end)}${suffix}`,
+      highlights: matches
+        .filter(m => m.end <= end)
+        .map(m => ({ start: m.start - start + prefix.length, end: m.end - start + prefix.length }))
+    });
+  });
+
+  return snippets;
+};
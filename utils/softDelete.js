@@ -0,0 +1,64 @@
+// Soft deletion for mongoose models: deleted records stay in the database (hidden from
+// queries) until jobs/purgeJob.js removes them and their storage assets after the retention period.
+
+export const SOFT_DELETE_RETENTION_DAYS = Number(process.env.SOFT_DELETE_RETENTION_DAYS || 30);
+
+// Queries that skip soft-deleted records; deletes are left alone so purging still works
+const FILTERED_QUERIES = ['find', 'findOne', 'findOneAndUpdate', 'countDocuments', 'distinct', 'updateOne', 'updateMany'];
+
+/**
+ * When a record deleted now is purged.
+ * @param {Date} [from]
+ */
+export const getPurgeDate = (from = new Date()) => new Date(from.getTime() + SOFT_DELETE_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+
+/**
+ * Mongoose plugin adding deletedAt/deletedBy/purgeAfter and hiding deleted records.
+ * Include them with `.setOptions({ withDeleted: true })` or by filtering on deletedAt.
+ * @param {Object} [options] - { purgeAfterRestore(doc) }: purgeAfter of a restored record,
+ *   for models that also schedule purges outside the trash (default null)
+ */
+export const softDeletePlugin = (schema, { purgeAfterRestore = () => null } = {}) => {
+  schema.add({
+    deletedAt: { type: Date, default: null },
+    deletedBy: { type: String, default: null }, // UID of whoever deleted it
+    purgeAfter: { type: Date, default: null } // When the purge job may remove it for good
+  });
+  schema.index({ deletedAt: 1, purgeAfter: 1 });
+
+  FILTERED_QUERIES.forEach(operation => schema.pre(operation, function () {
+    if (this.getOptions().withDeleted || 'deletedAt' in this.getFilter()) return;
+    this.where({ deletedAt: null });
+  }));
+
+  // $text and $geoNear must stay the first stage, so the condition joins the first $match
+  schema.pre('aggregate', function () {
+    const pipeline = this.pipeline();
+    const [first] = pipeline;
+    if (first?.$geoNear || first?.$search) return;
+
+    if (first?.$match) {
+      if (!('deletedAt' in first.$match)) first.$match = { ...first.$match, deletedAt: null };
+    } else {
+      pipeline.unshift({ $match: { deletedAt: null } });
+    }
+  });
+
+  /**
+   * Move the record to the trash.
+   * @param {string} deletedBy - UID
+   */
+  schema.methods.softDelete = function (deletedBy) {
+    this.deletedAt = new Date();
+    this.deletedBy = deletedBy;
+    this.purgeAfter = getPurgeDate(this.deletedAt);
+    return this.save();
+  };
+
+  schema.methods.restore = function () {
+    this.deletedAt = null;
+    this.deletedBy = null;
+    this.purgeAfter = purgeAfterRestore(this);
+    return this.save();
+  };
+};
@@ -0,0 +1,59 @@
+// Background worker: runs queued jobs (OCR extraction, ...)
+// Start with `npm run worker` next to the API server.
+import 'dotenv/config';
+import mongoose from 'mongoose';
+import { startWorker } from './services/jobQueue.js';
+import { registerJobHandlers } from './jobs/index.js';
+import { enqueuePurge } from './jobs/purgeJob.js';
+import { enqueueStatsRollup } from './jobs/analyticsJob.js';
+import { enqueueUploadCleanup } from './jobs/uploadCleanupJob.js';
+import logger from './utils/logger.js';
+
+const minutes = (value, fallback) => Number(value || fallback) * 60 * 1000;
+
+// Periodic jobs, each queued on start and then at its interval
+const SCHEDULES = [
+  // Trash past its retention period is purged
+  { name: 'purge', enqueue: enqueuePurge, intervalMs: minutes(process.env.PURGE_INTERVAL_MINUTES, 60) },
+  // Material views/downloads are rolled up into daily stats
+  { name: 'stats rollup', enqueue: enqueueStatsRollup, intervalMs: minutes(process.env.STATS_ROLLUP_INTERVAL_MINUTES, 60) },
+  // Abandoned resumable uploads are removed from temp-uploads (shared with the API server)
+  { name: 'upload cleanup', enqueue: enqueueUploadCleanup, intervalMs: minutes(process.env.UPLOAD_CLEANUP_INTERVAL_MINUTES, 60) }
+];
+
+registerJobHandlers();
+
+mongoose.set('strictQuery', true);
+mongoose.connect(process.env.MONGODB_URI)
+  .then(() => {
+    logger.info('✅ Worker connected to MongoDB');
+
+    const worker = startWorker();
+
+    const timers = SCHEDULES.map(({ name, enqueue, intervalMs }) => {
+      const schedule = () => enqueue().catch(error => logger.error(`❌ Failed to queue ${name}:`, error.message));
+      schedule();
+      return setInterval(schedule, intervalMs);
+    });
+
+    // Finish the current job before exiting; an interrupted job is picked up
+    // again once its lease expires
+    const shutdown = async (signal) => {
+      logger.info(`🛑 ${signal} received, stopping worker...`);
+      timers.forEach(clearInterval);
+      await worker.stop();
+      await mongoose.disconnect();
+      process.exit(0);
+    };
+
+    process.on('SIGINT', () => shutdown('SIGINT'));
+    process.on('SIGTERM', () => shutdown('SIGTERM'));
+  })
+  .catch((error) => {
+    logger.error('❌ Worker MongoDB connection error:', error);
+    process.exit(1);
+  });
+
+process.on('unhandledRejection', (reason) => {
+  logger.error('Unhandled Rejection:', reason);
+});